@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Mock live visitor stream for local development
+ *
+ * Serves random add/update/remove events over both Server-Sent Events and
+ * WebSocket without any dependencies:
+ *
+ *   SSE:       http://localhost:3001/stream
+ *   WebSocket: ws://localhost:3001/stream
+ *
+ * Usage: npm run mock:stream  (PORT and INTERVAL env vars are optional)
+ */
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 3001;
+const INTERVAL = Number(process.env.INTERVAL) || 1500;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const CITIES = [
+	{ city: "Berlin", country: "Germany", countryCode: "DE", latitude: 52.52, longitude: 13.405 },
+	{ city: "São Paulo", country: "Brazil", countryCode: "BR", latitude: -23.5505, longitude: -46.6333 },
+	{ city: "Nairobi", country: "Kenya", countryCode: "KE", latitude: -1.2921, longitude: 36.8219 },
+	{ city: "Mumbai", country: "India", countryCode: "IN", latitude: 19.076, longitude: 72.8777 },
+	{ city: "Seoul", country: "South Korea", countryCode: "KR", latitude: 37.5665, longitude: 126.978 },
+	{ city: "Toronto", country: "Canada", countryCode: "CA", latitude: 43.6532, longitude: -79.3832 },
+	{ city: "Mexico City", country: "Mexico", countryCode: "MX", latitude: 19.4326, longitude: -99.1332 },
+	{ city: "Sydney", country: "Australia", countryCode: "AU", latitude: -33.8688, longitude: 151.2093 },
+];
+const FIRST_NAMES = ["Ada", "Kwame", "Lena", "Ravi", "Mina", "Tomás", "Yuki", "Omar"];
+const LAST_NAMES = ["Lovelace", "Mensah", "Schmidt", "Patel", "Kim", "García", "Sato", "Haddad"];
+const DEVICES = ["desktop", "mobile", "tablet"];
+const BROWSERS = ["Chrome", "Safari", "Firefox", "Edge"];
+const REFERRERS = ["Google", "Direct", "Twitter", "Newsletter"];
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+const jitter = () => (Math.random() - 0.5) * 0.5;
+
+let nextId = 1;
+const liveIds = [];
+
+const createVisitor = () => {
+	const firstName = pick(FIRST_NAMES);
+	const lastName = pick(LAST_NAMES);
+	const location = pick(CITIES);
+	return {
+		visitorId: `live-${nextId++}`,
+		firstName,
+		lastName,
+		email: `${firstName}.${lastName}@example.com`.toLowerCase(),
+		...location,
+		latitude: location.latitude + jitter(),
+		longitude: location.longitude + jitter(),
+		profileImage: `https://api.dicebear.com/7.x/avataaars/svg?seed=${firstName}${nextId}`,
+		isCustomer: Math.random() < 0.3,
+		device: { type: pick(DEVICES) },
+		browser: { name: pick(BROWSERS) },
+		referrer: pick(REFERRERS),
+		currentUrl: "/home",
+		conversionLikelihood: { score: Math.floor(Math.random() * 100) },
+	};
+};
+
+const nextEvent = () => {
+	const roll = Math.random();
+	if (liveIds.length < 3 || roll < 0.5) {
+		const visitor = createVisitor();
+		liveIds.push(visitor.visitorId);
+		return { type: "add", visitor };
+	}
+	if (roll < 0.8) {
+		return {
+			type: "update",
+			visitor: {
+				visitorId: pick(liveIds),
+				conversionLikelihood: { score: Math.floor(Math.random() * 100) },
+			},
+		};
+	}
+	const [visitorId] = liveIds.splice(Math.floor(Math.random() * liveIds.length), 1);
+	return { type: "remove", visitorId };
+};
+
+const sseClients = new Set();
+const wsClients = new Set();
+
+/**
+ * Encodes a text message as a single unmasked WebSocket frame
+ * @param {string} text - Message text
+ * @returns {Buffer} Frame bytes
+ */
+const encodeFrame = (text) => {
+	const payload = Buffer.from(text);
+	let header;
+	if (payload.length < 126) {
+		header = Buffer.from([0x81, payload.length]);
+	} else if (payload.length < 65536) {
+		header = Buffer.alloc(4);
+		header[0] = 0x81;
+		header[1] = 126;
+		header.writeUInt16BE(payload.length, 2);
+	} else {
+		header = Buffer.alloc(10);
+		header[0] = 0x81;
+		header[1] = 127;
+		header.writeBigUInt64BE(BigInt(payload.length), 2);
+	}
+	return Buffer.concat([header, payload]);
+};
+
+const server = http.createServer((req, res) => {
+	if (req.url !== "/stream") {
+		res.writeHead(404).end();
+		return;
+	}
+	res.writeHead(200, {
+		"Content-Type": "text/event-stream",
+		"Cache-Control": "no-cache",
+		Connection: "keep-alive",
+		"Access-Control-Allow-Origin": "*",
+	});
+	res.write("retry: 2000\n\n");
+	sseClients.add(res);
+	req.on("close", () => sseClients.delete(res));
+});
+
+server.on("upgrade", (req, socket) => {
+	const key = req.headers["sec-websocket-key"];
+	if (req.url !== "/stream" || !key) {
+		socket.destroy();
+		return;
+	}
+	const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+	socket.write(
+		"HTTP/1.1 101 Switching Protocols\r\n" +
+			"Upgrade: websocket\r\n" +
+			"Connection: Upgrade\r\n" +
+			`Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+	);
+	wsClients.add(socket);
+	// Client frames are ignored; a close frame (opcode 0x8) ends the connection
+	socket.on("data", (data) => {
+		if ((data[0] & 0x0f) === 0x8) socket.end();
+	});
+	socket.on("close", () => wsClients.delete(socket));
+	socket.on("error", () => wsClients.delete(socket));
+});
+
+setInterval(() => {
+	const message = JSON.stringify(nextEvent());
+	sseClients.forEach((res) => res.write(`data: ${message}\n\n`));
+	const frame = encodeFrame(message);
+	wsClients.forEach((socket) => socket.write(frame));
+}, INTERVAL);
+
+server.listen(PORT, () => {
+	console.log(`Mock visitor stream on http://localhost:${PORT}/stream (SSE) and ws://localhost:${PORT}/stream`);
+});
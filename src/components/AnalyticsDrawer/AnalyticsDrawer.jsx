@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Analytics drawer breaking down the visitors on screen
+ * @module components/AnalyticsDrawer
+ */
+
+import React, { useMemo, useState } from "react";
+import { FaTimes } from "react-icons/fa";
+import { BarChart } from "./BarChart";
+import { ScoreHistogram } from "./ScoreHistogram";
+import { countValues, getHistogram } from "../../utils/visitorAnalytics";
+import { selectVisitorsInBounds } from "../../utils/geoSelection";
+import { getFilterValueLabel } from "../../utils/i18n";
+import { ANALYTICS_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./AnalyticsDrawer.css";
+
+/**
+ * AnalyticsDrawer component
+ * Charts the device, browser, OS and referrer mix and the conversion score
+ * distribution of the filtered visitors, or only of those in the map view.
+ * Clicking a bar applies the matching filter.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the drawer is open
+ * @param {Function} props.onClose - Callback when the drawer should close
+ * @param {Array<Object>} props.visitors - Visitors to chart (the filtered visitors)
+ * @param {[number, number, number, number]|null} props.bounds - Map bounds as [west, south, east, north]
+ * @param {Object} props.filters - Current filter values
+ * @param {Array<import("../../utils/filterRegistry").FilterDefinition>} props.registry - Filter registry
+ * @param {Function} props.onFilterChange - Callback with a filter key and its new value
+ * @returns {JSX.Element|null} AnalyticsDrawer component or null if not open
+ */
+export const AnalyticsDrawer = ({
+	isOpen,
+	onClose,
+	visitors,
+	bounds,
+	filters,
+	registry,
+	onFilterChange,
+}) => {
+	const i18n = useI18n();
+	const { t } = i18n;
+	const [onlyInView, setOnlyInView] = useState(false);
+
+	const scoreDefinition = registry.find(
+		(definition) => definition.key === ANALYTICS_CONFIG.SCORE_FILTER_KEY
+	);
+
+	const charts = useMemo(() => {
+		if (!isOpen) return null;
+		const charted =
+			onlyInView && bounds ? selectVisitorsInBounds(visitors, bounds) : visitors;
+		return {
+			count: charted.length,
+			breakdowns: ANALYTICS_CONFIG.DIMENSIONS.map((key) =>
+				registry.find((definition) => definition.key === key)
+			)
+				.filter(Boolean)
+				.map((definition) => ({
+					definition,
+					breakdown: countValues(
+						charted,
+						definition.accessor,
+						ANALYTICS_CONFIG.TOP_VALUES
+					),
+				})),
+			histogram:
+				scoreDefinition &&
+				getHistogram(
+					charted,
+					scoreDefinition.accessor,
+					scoreDefinition,
+					ANALYTICS_CONFIG.SCORE_BIN_SIZE
+				),
+		};
+	}, [isOpen, visitors, bounds, onlyInView, registry, scoreDefinition]);
+
+	if (!isOpen) return null;
+
+	/**
+	 * Adds a value to a multi filter, or removes it if already selected
+	 * @param {string} key - Filter key
+	 * @param {string} value - Clicked value
+	 */
+	const toggleValue = (key, value) => {
+		const selected = filters[key] || [];
+		const lower = value.toLowerCase();
+		const isSelected = selected.some((item) => String(item).toLowerCase() === lower);
+		onFilterChange(
+			key,
+			isSelected
+				? selected.filter((item) => String(item).toLowerCase() !== lower)
+				: [...selected, value]
+		);
+	};
+
+	/**
+	 * Sets the score range to a bin, or clears it if already set to that bin
+	 * @param {import("../../utils/visitorAnalytics").HistogramBin} bin - Clicked bin
+	 */
+	const selectScoreBin = (bin) => {
+		const range = filters[scoreDefinition.key];
+		const isSelected = range?.[0] === bin.min && range?.[1] === bin.max;
+		onFilterChange(scoreDefinition.key, isSelected ? null : [bin.min, bin.max]);
+	};
+
+	/**
+	 * Gets the localized title of a chart
+	 * @param {import("../../utils/filterRegistry").FilterDefinition} definition - Charted filter
+	 * @returns {string} Title
+	 */
+	const getTitle = (definition) =>
+		t(`filter.${definition.key}`, { defaultValue: definition.label });
+
+	return (
+		<aside className="analytics-drawer" aria-label={t("toolbar.analytics")}>
+			<div className="analytics-header">
+				<h3>{t("analytics.title")}</h3>
+				<button
+					className="analytics-close-btn"
+					onClick={onClose}
+					aria-label={t("analytics.close")}
+					title={t("analytics.close")}
+					type="button"
+				>
+					<FaTimes aria-hidden="true" />
+				</button>
+			</div>
+
+			<label className="analytics-option">
+				<input
+					type="checkbox"
+					checked={onlyInView}
+					onChange={(e) => setOnlyInView(e.target.checked)}
+					disabled={!bounds}
+				/>
+				{t("visitorList.onlyInView")}
+			</label>
+
+			<p className="analytics-summary" aria-live="polite">
+				{t("analytics.summary", { count: charts.count })}
+			</p>
+
+			{charts.breakdowns.map(({ definition, breakdown }) => (
+				<BarChart
+					key={definition.key}
+					title={getTitle(definition)}
+					breakdown={breakdown}
+					getLabel={(value) => getFilterValueLabel(definition, value, value, i18n)}
+					selected={filters[definition.key] || []}
+					onToggle={(value) => toggleValue(definition.key, value)}
+				/>
+			))}
+
+			{charts.histogram && (
+				<ScoreHistogram
+					title={getTitle(scoreDefinition)}
+					bins={charts.histogram.bins}
+					missingCount={charts.histogram.missingCount}
+					range={filters[scoreDefinition.key]}
+					onSelect={selectScoreBin}
+				/>
+			)}
+		</aside>
+	);
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Horizontal SVG bar chart of a categorical breakdown
+ * @module components/AnalyticsDrawer/BarChart
+ */
+
+import React from "react";
+import { useI18n } from "../../hooks/useI18n";
+
+const WIDTH = 320;
+const ROW_HEIGHT = 24;
+const BAR_HEIGHT = 16;
+const LABEL_WIDTH = 110;
+const COUNT_WIDTH = 44;
+const MAX_LABEL_LENGTH = 16;
+
+/**
+ * Shortens a label to fit the label column
+ * @param {string} label - Full label
+ * @returns {string} Label, ellipsized if too long
+ */
+const truncate = (label) =>
+	label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label;
+
+/**
+ * BarChart component
+ * One bar per value; clicking a bar (or pressing Enter/Space on it) toggles
+ * the value in the matching filter. Bars of selected values are emphasized.
+ * @param {Object} props - Component props
+ * @param {string} props.title - Chart title
+ * @param {import("../../utils/visitorAnalytics").ValueBreakdown} props.breakdown - Counts to chart
+ * @param {Array<string>} props.selected - Values selected in the filter
+ * @param {Function} props.onToggle - Callback with the clicked value
+ * @param {Function} [props.getLabel] - Maps a value to its displayed label
+ * @returns {JSX.Element} BarChart component
+ */
+export const BarChart = ({
+	title,
+	breakdown,
+	selected,
+	onToggle,
+	getLabel = (value) => value,
+}) => {
+	const { t, formatNumber } = useI18n();
+	const { values, otherCount, missingCount } = breakdown;
+	const max = Math.max(...values.map((item) => item.count), 1);
+	const barSpace = WIDTH - LABEL_WIDTH - COUNT_WIDTH;
+	const selectedValues = new Set(selected.map((value) => String(value).toLowerCase()));
+	const notes = [
+		otherCount > 0 && t("analytics.other", { count: otherCount }),
+		missingCount > 0 && t("analytics.unknown", { count: missingCount }),
+	].filter(Boolean);
+
+	return (
+		<section className="analytics-chart">
+			<h4>{title}</h4>
+			{values.length === 0 ? (
+				<p className="analytics-empty">{t("analytics.empty")}</p>
+			) : (
+				<svg
+					className="analytics-svg"
+					viewBox={`0 0 ${WIDTH} ${values.length * ROW_HEIGHT}`}
+					role="group"
+					aria-label={t("analytics.breakdown", { title })}
+				>
+					{values.map((item, index) => {
+						const label = getLabel(item.value);
+						const isSelected = selectedValues.has(item.value.toLowerCase());
+						const y = index * ROW_HEIGHT;
+						const barWidth = Math.max((item.count / max) * barSpace, 2);
+						return (
+							<g
+								key={item.value}
+								className={`analytics-bar-row ${isSelected ? "selected" : ""}`}
+								transform={`translate(0, ${y})`}
+								role="button"
+								tabIndex={0}
+								aria-pressed={isSelected}
+								aria-label={t("analytics.barLabel", { label, count: item.count })}
+								onClick={() => onToggle(item.value)}
+								onKeyDown={(e) => {
+									if (e.key !== "Enter" && e.key !== " ") return;
+									e.preventDefault();
+									onToggle(item.value);
+								}}
+							>
+								<title>{`${label}: ${formatNumber(item.count)}`}</title>
+								<rect
+									className="analytics-bar-hit"
+									width={WIDTH}
+									height={ROW_HEIGHT}
+								/>
+								<text
+									className="analytics-label"
+									x={0}
+									y={ROW_HEIGHT / 2}
+									dominantBaseline="central"
+								>
+									{truncate(label)}
+								</text>
+								<rect
+									className="analytics-bar"
+									x={LABEL_WIDTH}
+									y={(ROW_HEIGHT - BAR_HEIGHT) / 2}
+									width={barWidth}
+									height={BAR_HEIGHT}
+									rx={4}
+								/>
+								<text
+									className="analytics-count"
+									x={LABEL_WIDTH + barWidth + 6}
+									y={ROW_HEIGHT / 2}
+									dominantBaseline="central"
+								>
+									{formatNumber(item.count)}
+								</text>
+							</g>
+						);
+					})}
+				</svg>
+			)}
+			{notes.length > 0 && <p className="analytics-note">{notes.join(" · ")}</p>}
+		</section>
+	);
+};
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview SVG histogram of conversion scores
+ * @module components/AnalyticsDrawer/ScoreHistogram
+ */
+
+import React from "react";
+import { getConversionScoreColor } from "../../utils/conversionScore";
+import { useI18n } from "../../hooks/useI18n";
+
+const WIDTH = 320;
+const HEIGHT = 120;
+const AXIS_HEIGHT = 18;
+const BAR_GAP = 3;
+
+/**
+ * ScoreHistogram component
+ * Clicking a bin sets the score range filter to it; clicking the bin that
+ * matches the current range clears the filter.
+ * @param {Object} props - Component props
+ * @param {string} props.title - Chart title
+ * @param {Array<import("../../utils/visitorAnalytics").HistogramBin>} props.bins - Score bins
+ * @param {number} props.missingCount - Visitors without a score
+ * @param {[number, number]|null} props.range - Active score range filter
+ * @param {Function} props.onSelect - Callback with the clicked bin
+ * @returns {JSX.Element} ScoreHistogram component
+ */
+export const ScoreHistogram = ({ title, bins, missingCount, range, onSelect }) => {
+	const { t, formatNumber } = useI18n();
+	const max = Math.max(...bins.map((bin) => bin.count), 1);
+	const binWidth = WIDTH / bins.length;
+	const plotHeight = HEIGHT - AXIS_HEIGHT;
+	const first = bins[0];
+	const last = bins[bins.length - 1];
+
+	return (
+		<section className="analytics-chart">
+			<h4>{title}</h4>
+			<svg
+				className="analytics-svg"
+				viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+				role="group"
+				aria-label={t("analytics.histogram", { title })}
+			>
+				{bins.map((bin, index) => {
+					const isSelected = range?.[0] === bin.min && range?.[1] === bin.max;
+					const barHeight = bin.count
+						? Math.max((bin.count / max) * plotHeight, 2)
+						: 0;
+					const label = `${formatNumber(bin.min)}–${formatNumber(bin.max)}`;
+					return (
+						<g
+							key={bin.min}
+							className={`analytics-bin ${isSelected ? "selected" : ""}`}
+							role="button"
+							tabIndex={0}
+							aria-pressed={isSelected}
+							aria-label={t("analytics.binLabel", { label, count: bin.count })}
+							onClick={() => onSelect(bin)}
+							onKeyDown={(e) => {
+								if (e.key !== "Enter" && e.key !== " ") return;
+								e.preventDefault();
+								onSelect(bin);
+							}}
+						>
+							<title>{`${label}: ${formatNumber(bin.count)}`}</title>
+							<rect
+								className="analytics-bar-hit"
+								x={index * binWidth}
+								width={binWidth}
+								height={plotHeight}
+							/>
+							<rect
+								className="analytics-bin-bar"
+								x={index * binWidth + BAR_GAP / 2}
+								y={plotHeight - barHeight}
+								width={binWidth - BAR_GAP}
+								height={barHeight}
+								rx={3}
+								fill={getConversionScoreColor((bin.min + bin.max) / 2)}
+							/>
+						</g>
+					);
+				})}
+				<line
+					className="analytics-axis"
+					x1={0}
+					x2={WIDTH}
+					y1={plotHeight}
+					y2={plotHeight}
+				/>
+				<text className="analytics-tick" x={0} y={HEIGHT - 4}>
+					{formatNumber(first.min)}
+				</text>
+				<text
+					className="analytics-tick"
+					x={WIDTH / 2}
+					y={HEIGHT - 4}
+					textAnchor="middle"
+				>
+					{formatNumber((first.min + last.max) / 2)}
+				</text>
+				<text className="analytics-tick" x={WIDTH} y={HEIGHT - 4} textAnchor="end">
+					{formatNumber(last.max)}
+				</text>
+			</svg>
+			{missingCount > 0 && (
+				<p className="analytics-note">
+					{t("analytics.withoutScore", { count: missingCount })}
+				</p>
+			)}
+		</section>
+	);
+};
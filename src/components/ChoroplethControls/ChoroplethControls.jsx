@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Choropleth metric picker and legend
+ * @module components/ChoroplethControls
+ */
+
+import React from "react";
+import { CHOROPLETH_CONFIG, CHOROPLETH_METRICS } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./ChoroplethControls.css";
+
+const METRIC_OPTIONS = [
+	{ value: CHOROPLETH_METRICS.COUNT, label: "choropleth.metric.count" },
+	{ value: CHOROPLETH_METRICS.CUSTOMER_RATE, label: "choropleth.metric.customerRate" },
+	{ value: CHOROPLETH_METRICS.AVERAGE_SCORE, label: "choropleth.metric.averageScore" },
+];
+
+const LEGEND_GRADIENT = `linear-gradient(to right, ${CHOROPLETH_CONFIG.COLOR_RAMP.map(
+	([stop, color]) => `${color} ${stop * 100}%`
+).join(", ")})`;
+
+/**
+ * ChoroplethControls component
+ * @param {Object} props - Component props
+ * @param {string} props.metric - Current shading metric
+ * @param {Function} props.onMetricChange - Callback with the new metric
+ * @param {number} props.max - Value mapped to the darkest color
+ * @param {number} props.countryCount - Number of countries with visitors
+ * @param {boolean} [props.isLoading=false] - Whether the boundaries are still loading
+ * @param {Error|null} [props.error] - Boundaries load error
+ * @returns {JSX.Element} ChoroplethControls component
+ */
+export const ChoroplethControls = ({
+	metric,
+	onMetricChange,
+	max,
+	countryCount,
+	isLoading = false,
+	error = null,
+}) => {
+	const { t, formatNumber } = useI18n();
+
+	/**
+	 * Formats a legend value for the metric
+	 * @param {number} value - Value
+	 * @returns {string} Formatted value
+	 */
+	const formatValue = (value) =>
+		metric === CHOROPLETH_METRICS.CUSTOMER_RATE
+			? formatNumber(value / 100, { style: "percent", maximumFractionDigits: 1 })
+			: formatNumber(value);
+
+	return (
+		<div className="choropleth-controls" role="group" aria-label={t("choropleth.label")}>
+			<div className="choropleth-control">
+				<span className="choropleth-control-label" id="choropleth-metric-label">
+					{t("choropleth.shadeBy")}
+				</span>
+				<div
+					className="choropleth-segmented"
+					role="radiogroup"
+					aria-labelledby="choropleth-metric-label"
+				>
+					{METRIC_OPTIONS.map((option) => (
+						<button
+							key={option.value}
+							className={`choropleth-segment ${
+								metric === option.value ? "active" : ""
+							}`}
+							onClick={() => onMetricChange(option.value)}
+							role="radio"
+							aria-checked={metric === option.value}
+							type="button"
+						>
+							{t(option.label)}
+						</button>
+					))}
+				</div>
+			</div>
+
+			{error ? (
+				<p className="choropleth-status" role="alert">
+					{t("choropleth.error")}
+				</p>
+			) : isLoading ? (
+				<p className="choropleth-status">{t("choropleth.loading")}</p>
+			) : (
+				<div className="choropleth-legend">
+					<div
+						className="choropleth-legend-bar"
+						style={{ background: LEGEND_GRADIENT }}
+						aria-hidden="true"
+					/>
+					<div className="choropleth-legend-labels">
+						<span>{formatValue(0)}</span>
+						<span>{formatValue(max)}</span>
+					</div>
+					<div className="choropleth-legend-empty">
+						<span
+							className="choropleth-legend-swatch"
+							style={{ background: CHOROPLETH_CONFIG.EMPTY_COLOR }}
+							aria-hidden="true"
+						/>
+						{t("choropleth.empty")}
+						<span className="choropleth-legend-count">
+							{t("choropleth.countries", { count: countryCount })}
+						</span>
+					</div>
+				</div>
+			)}
+		</div>
+	);
+};
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Country choropleth layer shaded by visitor aggregates
+ * @module components/ChoroplethLayer
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { Source, Layer, Popup as MapboxPopup, useMap } from "react-map-gl";
+import { getMetricValue } from "../../utils/countryStats";
+import { CHOROPLETH_CONFIG, THEME_LAYER_COLORS } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import { useTheme } from "../../hooks/useTheme";
+import "./ChoroplethLayer.css";
+
+/** Layers showing countries: polygons, and points for those too small to draw */
+export const COUNTRY_LAYER_IDS = [CHOROPLETH_CONFIG.FILL_LAYER_ID, CHOROPLETH_CONFIG.POINT_LAYER_ID];
+
+/**
+ * ChoroplethLayer component shading country polygons by a metric
+ * Countries and territories without a polygon at this scale (e.g. Singapore,
+ * Hong Kong) are point features, drawn as shaded circles. Hovering a country
+ * shows its name and statistics.
+ * Must be rendered inside a react-map-gl Map with COUNTRY_LAYER_IDS among its
+ * interactive layers for country clicks.
+ * @param {Object} props - Component props
+ * @param {Object} props.boundaries - Country boundaries FeatureCollection
+ * @param {Map<string, Object>} props.stats - Country statistics from aggregateByCountry
+ * @param {string} props.metric - Shading metric (see CHOROPLETH_METRICS)
+ * @param {number} props.max - Value mapped to the darkest color
+ * @param {Array<string>} [props.selectedCodes] - Country codes currently filtered on
+ * @returns {JSX.Element} ChoroplethLayer component
+ */
+export const ChoroplethLayer = ({
+	boundaries,
+	stats,
+	metric,
+	max,
+	selectedCodes = [],
+}) => {
+	const { current: mapRef } = useMap();
+	const { t, formatNumber, getCountryName } = useI18n();
+	const { theme } = useTheme();
+	const [hovered, setHovered] = useState(null);
+
+	// Track the hovered country for the tooltip
+	useEffect(() => {
+		const map = mapRef?.getMap();
+		if (!map) return undefined;
+
+		const handleMove = (e) => {
+			const feature = e.features?.[0];
+			if (!feature) return;
+			setHovered({
+				code: feature.properties.code,
+				name: feature.properties.name,
+				longitude: e.lngLat.lng,
+				latitude: e.lngLat.lat,
+			});
+		};
+		const handleLeave = () => setHovered(null);
+
+		map.on("mousemove", COUNTRY_LAYER_IDS, handleMove);
+		map.on("mouseleave", COUNTRY_LAYER_IDS, handleLeave);
+		return () => {
+			map.off("mousemove", COUNTRY_LAYER_IDS, handleMove);
+			map.off("mouseleave", COUNTRY_LAYER_IDS, handleLeave);
+		};
+	}, [mapRef]);
+
+	const hoveredStats = hovered ? stats.get(hovered.code) : null;
+
+	const data = useMemo(
+		() => ({
+			type: "FeatureCollection",
+			features: boundaries.features.map((feature) => {
+				const entry = stats.get(feature.properties.code);
+				const value = entry ? getMetricValue(entry, metric) : null;
+				return {
+					type: "Feature",
+					geometry: feature.geometry,
+					properties: {
+						...feature.properties,
+						...(value === null ? {} : { value }),
+					},
+				};
+			}),
+		}),
+		[boundaries, stats, metric]
+	);
+
+	const color = useMemo(
+		() => [
+			"case",
+			["has", "value"],
+			[
+				"interpolate",
+				["linear"],
+				["get", "value"],
+				...CHOROPLETH_CONFIG.COLOR_RAMP.flatMap(([stop, rampColor]) => [
+					stop * max,
+					rampColor,
+				]),
+			],
+			CHOROPLETH_CONFIG.EMPTY_COLOR,
+		],
+		[max]
+	);
+
+	const normalizedCodes = selectedCodes.map((code) => String(code).toUpperCase());
+	const isSelected = ["in", ["get", "code"], ["literal", normalizedCodes]];
+	const colors = THEME_LAYER_COLORS[theme];
+
+	return (
+		<>
+			<Source id={CHOROPLETH_CONFIG.SOURCE_ID} type="geojson" data={data}>
+				<Layer
+					id={CHOROPLETH_CONFIG.FILL_LAYER_ID}
+					type="fill"
+					paint={{
+						"fill-color": color,
+						"fill-opacity": CHOROPLETH_CONFIG.FILL_OPACITY,
+					}}
+				/>
+				<Layer
+					id={CHOROPLETH_CONFIG.LINE_LAYER_ID}
+					type="line"
+					paint={{
+						"line-color": [
+							"case",
+							isSelected,
+							colors.ACCENT,
+							colors.COUNTRY_BORDER,
+						],
+						"line-width": ["case", isSelected, 2.5, 0.6],
+					}}
+				/>
+				<Layer
+					id={CHOROPLETH_CONFIG.POINT_LAYER_ID}
+					type="circle"
+					filter={["==", ["geometry-type"], "Point"]}
+					paint={{
+						"circle-radius": CHOROPLETH_CONFIG.POINT_RADIUS,
+						"circle-color": color,
+						"circle-opacity": CHOROPLETH_CONFIG.FILL_OPACITY,
+						"circle-stroke-color": [
+							"case",
+							isSelected,
+							colors.ACCENT,
+							colors.COUNTRY_BORDER,
+						],
+						"circle-stroke-width": ["case", isSelected, 2.5, 0.6],
+					}}
+				/>
+			</Source>
+
+			{hovered && (
+				<MapboxPopup
+					longitude={hovered.longitude}
+					latitude={hovered.latitude}
+					anchor="bottom"
+					offset={12}
+					closeButton={false}
+					closeOnClick={false}
+					className="country-tooltip"
+				>
+					<strong>{getCountryName(hovered.code, hovered.name)}</strong>
+					{hoveredStats ? (
+						<span>
+							{t("choropleth.tooltip.visitors", { count: hoveredStats.count })}
+							{" · "}
+							{t("choropleth.tooltip.customers", {
+								rate: formatNumber(hoveredStats.customerRate / 100, {
+									style: "percent",
+									maximumFractionDigits: 1,
+								}),
+							})}
+							{hoveredStats.averageScore !== null &&
+								` · ${t("choropleth.tooltip.averageScore", {
+									score: hoveredStats.averageScore,
+								})}`}
+						</span>
+					) : (
+						<span>{t("choropleth.empty")}</span>
+					)}
+				</MapboxPopup>
+			)}
+		</>
+	);
+};
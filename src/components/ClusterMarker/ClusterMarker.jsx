@@ -3,24 +3,80 @@
  * @module components/ClusterMarker
  */
 
-import React from "react";
+import React, { useState } from "react";
 import { Marker as MapboxMarker } from "react-map-gl";
+import { getClusterStats } from "../../utils/clusterStats";
+import { getConversionScoreColor } from "../../utils/conversionScore";
+import { getCategoryLabel } from "../../utils/colorSchemes";
+import { useI18n } from "../../hooks/useI18n";
 import "./ClusterMarker.css";
 
+/**
+ * Donut ring showing the color category mix of a cluster
+ * Segments are drawn as dashed strokes on a circle normalized to a path
+ * length of 100, so dash lengths are percentages.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.segments - Color categories with counts
+ * @param {number} props.total - Number of visitors in the cluster
+ * @returns {JSX.Element} ClusterRing component
+ */
+const ClusterRing = ({ segments, total }) => {
+	let offset = 0;
+
+	return (
+		<svg className="cluster-ring" viewBox="0 0 100 100" aria-hidden="true">
+			{segments.map((category) => {
+				if (!category.count) return null;
+				const share = (category.count / total) * 100;
+				const segment = (
+					<circle
+						key={category.value}
+						cx="50"
+						cy="50"
+						r="45"
+						pathLength="100"
+						stroke={category.color}
+						strokeDasharray={`${share} ${100 - share}`}
+						strokeDashoffset={-offset}
+						transform="rotate(-90 50 50)"
+					/>
+				);
+				offset += share;
+				return segment;
+			})}
+		</svg>
+	);
+};
+
 /**
  * ClusterMarker component for displaying a cluster of markers
+ * A ring around the count shows the mix of the color-by categories; hovering
+ * or focusing the cluster shows a tooltip with the customer count, average
+ * conversion score and category breakdown. Enter or Space opens the cluster,
+ * like a click.
  * @param {Object} props - Component props
  * @param {Object} props.cluster - Cluster object from supercluster
  * @param {number} props.pointCount - Number of points in cluster
+ * @param {import("../../utils/colorSchemes").ColorScale} props.colorScale - Scale the clusters were built with
  * @param {Function} props.onClick - Callback when cluster is clicked
  * @returns {JSX.Element} ClusterMarker component
  */
-export const ClusterMarker = ({ cluster, pointCount, onClick }) => {
+export const ClusterMarker = ({ cluster, pointCount, colorScale, onClick }) => {
+	const i18n = useI18n();
+	const { t, formatNumber } = i18n;
+	const [showTooltip, setShowTooltip] = useState(false);
+
 	const handleClick = (e) => {
 		e.originalEvent.stopPropagation();
 		onClick(cluster);
 	};
 
+	const handleKeyDown = (e) => {
+		if (e.key !== "Enter" && e.key !== " ") return;
+		e.preventDefault();
+		onClick(cluster);
+	};
+
 	const getClusterSize = (count) => {
 		if (count < 10) return 40;
 		if (count < 100) return 50;
@@ -29,6 +85,15 @@ export const ClusterMarker = ({ cluster, pointCount, onClick }) => {
 
 	const size = getClusterSize(pointCount);
 	const [longitude, latitude] = cluster.geometry.coordinates;
+	const { customers, averageScore, segments } = getClusterStats(
+		cluster.properties,
+		colorScale
+	);
+	const tooltipId = `cluster-tooltip-${cluster.id}`;
+	const customerShare = formatNumber(customers / pointCount, {
+		style: "percent",
+		maximumFractionDigits: 0,
+	});
 
 	return (
 		<MapboxMarker
@@ -36,17 +101,68 @@ export const ClusterMarker = ({ cluster, pointCount, onClick }) => {
 			latitude={latitude}
 			anchor="center"
 			onClick={handleClick}
+			// Lift the hovered cluster so its tooltip isn't covered by neighbours
+			style={{ zIndex: showTooltip ? 1 : 0 }}
 		>
 			<div
 				className="cluster-marker"
 				style={{ width: `${size}px`, height: `${size}px` }}
 				role="button"
 				tabIndex={0}
-				aria-label={`Cluster of ${pointCount} visitors`}
+				aria-label={t("cluster.label", { count: pointCount })}
+				aria-describedby={showTooltip ? tooltipId : undefined}
+				onMouseEnter={() => setShowTooltip(true)}
+				onMouseLeave={() => setShowTooltip(false)}
+				onFocus={() => setShowTooltip(true)}
+				onBlur={() => setShowTooltip(false)}
+				onKeyDown={handleKeyDown}
+				data-map-focusable=""
 			>
-				<span className="cluster-count">{pointCount}</span>
+				<ClusterRing segments={segments} total={pointCount} />
+				<span className="cluster-count">{formatNumber(pointCount)}</span>
 			</div>
+
+			{showTooltip && (
+				<div id={tooltipId} className="cluster-tooltip" role="tooltip">
+					<div className="cluster-tooltip-title">
+						{t("cluster.visitors", { count: pointCount })}
+					</div>
+					<dl className="cluster-tooltip-stats">
+						<dt>{t("cluster.customers")}</dt>
+						<dd>
+							{formatNumber(customers)} ({customerShare})
+						</dd>
+						<dt>{t("cluster.averageScore")}</dt>
+						<dd>
+							{averageScore === null ? (
+								"—"
+							) : (
+								<>
+									<span
+										className="cluster-tooltip-swatch"
+										style={{ background: getConversionScoreColor(averageScore) }}
+									/>
+									{formatNumber(averageScore)}
+								</>
+							)}
+						</dd>
+						{segments
+							.filter((category) => category.count > 0)
+							.map((category) => (
+								<React.Fragment key={category.value}>
+									<dt>
+										<span
+											className="cluster-tooltip-swatch"
+											style={{ background: category.color }}
+										/>
+										{getCategoryLabel(colorScale, category, i18n)}
+									</dt>
+									<dd>{formatNumber(category.count)}</dd>
+								</React.Fragment>
+							))}
+					</dl>
+				</div>
+			)}
 		</MapboxMarker>
 	);
 };
-
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Color-by picker and legend for the visitor markers
+ * @module components/ColorLegend
+ */
+
+import React, { useMemo } from "react";
+import { COLOR_SCALE_TYPES } from "../../constants";
+import {
+	FALLBACK_CATEGORY,
+	countByCategory,
+	getCategoryLabel,
+} from "../../utils/colorSchemes";
+import { useI18n } from "../../hooks/useI18n";
+import "./ColorLegend.css";
+
+/**
+ * Builds the CSS gradient of a continuous scale
+ * Stepped schemes get hard color stops at each range boundary.
+ * @param {import("../../utils/colorSchemes").ColorScale} scale - Continuous scale
+ * @returns {string} CSS linear-gradient
+ */
+const getGradient = ({ scheme, categories }) => {
+	const ranges = categories.filter((category) => category.value !== FALLBACK_CATEGORY);
+	const min = ranges[0].min;
+	const span = ranges[ranges.length - 1].max - min || 1;
+	const toPercent = (value) => `${((value - min) / span) * 100}%`;
+
+	const stops = scheme.interpolate
+		? [
+				...scheme.stops.map(([value, color]) => `${color} ${toPercent(value)}`),
+				`${scheme.stops[scheme.stops.length - 1][1]} 100%`,
+		  ]
+		: ranges.map(
+				(range) => `${range.color} ${toPercent(range.min)} ${toPercent(range.max)}`
+		  );
+	return `linear-gradient(to right, ${stops.join(", ")})`;
+};
+
+/**
+ * ColorLegend component
+ * Picks the attribute coloring the markers and lists its colors with the
+ * number of filtered visitors in each.
+ * @param {Object} props - Component props
+ * @param {Array<import("../../utils/colorSchemes").ColorScheme>} props.schemes - Schemes to pick from
+ * @param {import("../../utils/colorSchemes").ColorScale} props.scale - Scale of the current scheme
+ * @param {Function} props.onSchemeChange - Callback with the picked scheme key
+ * @param {Array<Object>} props.visitors - Visitors on the map (after filtering)
+ * @returns {JSX.Element} ColorLegend component
+ */
+export const ColorLegend = ({ schemes, scale, onSchemeChange, visitors }) => {
+	const i18n = useI18n();
+	const { t, formatNumber } = i18n;
+	const isContinuous = scale.scheme.type === COLOR_SCALE_TYPES.CONTINUOUS;
+
+	const counts = useMemo(() => countByCategory(scale, visitors), [scale, visitors]);
+	const entries = scale.categories
+		.map((category, i) => ({ ...category, count: counts[i] }))
+		.filter((entry) => entry.count > 0);
+	const gradient = useMemo(
+		() => (isContinuous ? getGradient(scale) : null),
+		[isContinuous, scale]
+	);
+	// Continuous scales end with the "no value" entry, after their ranges
+	const [firstRange] = scale.categories;
+	const lastRange = scale.categories[scale.categories.length - 2];
+
+	return (
+		<div className="color-legend" role="group" aria-label={t("colorBy.legend")}>
+			<div className="color-legend-header">
+				<label className="color-legend-label" htmlFor="color-legend-scheme">
+					{t("colorBy.label")}
+				</label>
+				<select
+					id="color-legend-scheme"
+					className="color-legend-select"
+					value={scale.scheme.key}
+					onChange={(e) => onSchemeChange(e.target.value)}
+				>
+					{schemes.map((scheme) => (
+						<option key={scheme.key} value={scheme.key}>
+							{t(`colorScheme.${scheme.key}`, { defaultValue: scheme.label })}
+						</option>
+					))}
+				</select>
+			</div>
+
+			{gradient && (
+				<div className="color-legend-scale">
+					<div
+						className="color-legend-bar"
+						style={{ background: gradient }}
+						aria-hidden="true"
+					/>
+					<div className="color-legend-bounds">
+						<span>{formatNumber(firstRange.min)}</span>
+						<span>{formatNumber(lastRange.max)}</span>
+					</div>
+				</div>
+			)}
+
+			{entries.length ? (
+				<ul className="color-legend-list">
+					{entries.map((entry) => (
+						<li key={entry.value} className="color-legend-item">
+							<span
+								className="color-legend-swatch"
+								style={{ background: entry.color }}
+								aria-hidden="true"
+							/>
+							<span className="color-legend-name">
+								{getCategoryLabel(scale, entry, i18n)}
+							</span>
+							<span className="color-legend-count">
+								{formatNumber(entry.count)}
+							</span>
+						</li>
+					))}
+				</ul>
+			) : (
+				<p className="color-legend-empty">{t("colorBy.empty")}</p>
+			)}
+		</div>
+	);
+};
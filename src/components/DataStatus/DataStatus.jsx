@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Data status component for visitor source loading states
+ * @module components/DataStatus
+ */
+
+import React from "react";
+import { FaExclamationTriangle, FaRedo, FaUserSlash } from "react-icons/fa";
+import { SOURCE_STATUS } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./DataStatus.css";
+
+/**
+ * DataStatus component showing loading, empty and error states of the visitor source
+ * @param {Object} props - Component props
+ * @param {string} props.status - Current source status (see SOURCE_STATUS)
+ * @param {Error|null} props.error - Last load error, if any
+ * @param {number} props.visitorCount - Number of visitors currently loaded
+ * @param {string} props.sourceLabel - Human readable source description
+ * @param {Function} props.onRetry - Callback to reload the source
+ * @returns {JSX.Element|null} DataStatus component or null if nothing to show
+ */
+export const DataStatus = ({
+	status,
+	error,
+	visitorCount,
+	sourceLabel,
+	onRetry,
+}) => {
+	const { t } = useI18n();
+	const hasData = visitorCount > 0;
+
+	if (status === SOURCE_STATUS.ERROR && hasData) {
+		return (
+			<div className="data-status-banner" role="alert">
+				<FaExclamationTriangle aria-hidden="true" />
+				<span>{t("data.refreshFailed", { message: error?.message })}</span>
+				<button className="data-status-retry" onClick={onRetry} type="button">
+					<FaRedo aria-hidden="true" />
+					{t("data.retry")}
+				</button>
+			</div>
+		);
+	}
+
+	if (hasData) return null;
+
+	if (status === SOURCE_STATUS.IDLE || status === SOURCE_STATUS.LOADING) {
+		return (
+			<div className="data-status" role="status" aria-live="polite">
+				<div className="data-status-spinner" aria-hidden="true" />
+				<p className="data-status-title">{t("data.loading")}</p>
+				<p className="data-status-detail">{sourceLabel}</p>
+			</div>
+		);
+	}
+
+	if (status === SOURCE_STATUS.ERROR) {
+		return (
+			<div className="data-status" role="alert">
+				<FaExclamationTriangle className="data-status-icon error" aria-hidden="true" />
+				<p className="data-status-title">{t("data.error")}</p>
+				<p className="data-status-detail">{error?.message}</p>
+				<button className="data-status-retry" onClick={onRetry} type="button">
+					<FaRedo aria-hidden="true" />
+					{t("data.retry")}
+				</button>
+			</div>
+		);
+	}
+
+	return (
+		<div className="data-status" role="status">
+			<FaUserSlash className="data-status-icon" aria-hidden="true" />
+			<p className="data-status-title">{t("data.empty")}</p>
+			<p className="data-status-detail">
+				{t("data.emptyDetail", { source: sourceLabel })}
+			</p>
+		</div>
+	);
+};
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Diagnostics for visitor records rejected or corrected during normalization
+ * @module components/DiagnosticsPanel
+ */
+
+import React, { useState } from "react";
+import { FaExclamationTriangle, FaInfoCircle, FaTimes } from "react-icons/fa";
+import { ISSUE_SEVERITIES, VISITOR_SCHEMA_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./DiagnosticsPanel.css";
+
+/**
+ * Shortens a record to a one-line preview
+ * @param {*} record - Original record
+ * @returns {string} JSON preview
+ */
+const getPreview = (record) => {
+	let text;
+	try {
+		text = JSON.stringify(record) ?? String(record);
+	} catch (error) {
+		text = String(record);
+	}
+	return text.length > VISITOR_SCHEMA_CONFIG.PREVIEW_LENGTH
+		? `${text.slice(0, VISITOR_SCHEMA_CONFIG.PREVIEW_LENGTH)}…`
+		: text;
+};
+
+/**
+ * Describes where an issue came from
+ * @param {import("../../utils/visitorSchema").VisitorIssue} issue - Issue
+ * @param {Function} t - Message lookup from useI18n
+ * @returns {string} Origin description
+ */
+const getOrigin = (issue, t) => {
+	const origin =
+		issue.index === null
+			? t("diagnostics.liveUpdate")
+			: t("diagnostics.record", { index: issue.index + 1 });
+	return issue.visitorId === null
+		? origin
+		: `${origin} · ${t("diagnostics.id", { id: String(issue.visitorId) })}`;
+};
+
+/**
+ * List of issues, truncated to PANEL_LIST_LIMIT entries
+ * Reasons come from the normalizer and are not localized.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.issues - Issues to list
+ * @returns {JSX.Element} IssueList component
+ */
+const IssueList = ({ issues }) => {
+	const { t } = useI18n();
+	const hidden = issues.length - VISITOR_SCHEMA_CONFIG.PANEL_LIST_LIMIT;
+	return (
+		<ul className="diagnostics-list">
+			{issues.slice(0, VISITOR_SCHEMA_CONFIG.PANEL_LIST_LIMIT).map((issue, index) => (
+				<li key={index} className={`diagnostics-item ${issue.severity}`}>
+					<span className="diagnostics-reason">{issue.reason}</span>
+					<span className="diagnostics-origin">{getOrigin(issue, t)}</span>
+					<code className="diagnostics-record">{getPreview(issue.record)}</code>
+				</li>
+			))}
+			{hidden > 0 && (
+				<li className="diagnostics-more">{t("diagnostics.more", { count: hidden })}</li>
+			)}
+		</ul>
+	);
+};
+
+/**
+ * DiagnosticsPanel component
+ * A status chip summarizing the issues that opens a panel listing them.
+ * @param {Object} props - Component props
+ * @param {Array<import("../../utils/visitorSchema").VisitorIssue>} props.issues - Normalization issues
+ * @returns {JSX.Element|null} DiagnosticsPanel component or null if there are no issues
+ */
+export const DiagnosticsPanel = ({ issues }) => {
+	const { t } = useI18n();
+	const [isOpen, setIsOpen] = useState(false);
+
+	if (!issues.length) return null;
+
+	const rejected = issues.filter((issue) => issue.severity === ISSUE_SEVERITIES.ERROR);
+	const corrected = issues.filter((issue) => issue.severity === ISSUE_SEVERITIES.WARNING);
+	const hasRejected = rejected.length > 0;
+
+	return (
+		<div className="diagnostics">
+			<button
+				className={`diagnostics-chip ${hasRejected ? "error" : "warning"}`}
+				onClick={() => setIsOpen((prev) => !prev)}
+				aria-expanded={isOpen}
+				aria-label={t("diagnostics.show")}
+				type="button"
+			>
+				{hasRejected ? (
+					<FaExclamationTriangle aria-hidden="true" />
+				) : (
+					<FaInfoCircle aria-hidden="true" />
+				)}
+				{hasRejected
+					? t("diagnostics.rejectedCount", { count: rejected.length })
+					: t("diagnostics.correctedCount", { count: corrected.length })}
+			</button>
+
+			{isOpen && (
+				<div
+					className="diagnostics-panel"
+					role="dialog"
+					aria-label={t("diagnostics.title")}
+				>
+					<div className="diagnostics-header">
+						<h3>{t("diagnostics.title")}</h3>
+						<button
+							className="diagnostics-close-btn"
+							onClick={() => setIsOpen(false)}
+							aria-label={t("diagnostics.close")}
+							title={t("diagnostics.close")}
+							type="button"
+						>
+							<FaTimes aria-hidden="true" />
+						</button>
+					</div>
+
+					<p className="diagnostics-summary">
+						{t("diagnostics.recordsRejected", { count: rejected.length })} ·{" "}
+						{t("diagnostics.corrections", { count: corrected.length })}
+					</p>
+
+					{hasRejected && (
+						<section>
+							<h4>{t("diagnostics.rejected")}</h4>
+							<IssueList issues={rejected} />
+						</section>
+					)}
+
+					{corrected.length > 0 && (
+						<section>
+							<h4>{t("diagnostics.corrected")}</h4>
+							<IssueList issues={corrected} />
+						</section>
+					)}
+				</div>
+			)}
+		</div>
+	);
+};
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Export panel for downloading visitors as CSV, GeoJSON or JSON
+ * @module components/ExportPanel
+ */
+
+import React, { useMemo, useState } from "react";
+import { FaTimes, FaDownload } from "react-icons/fa";
+import { getExportColumns } from "../../utils/visitorExport";
+import { EXPORT_FORMATS, EXPORT_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./ExportPanel.css";
+
+const FORMAT_OPTIONS = [
+	{ value: EXPORT_FORMATS.CSV, label: "CSV" },
+	{ value: EXPORT_FORMATS.GEOJSON, label: "GeoJSON" },
+	{ value: EXPORT_FORMATS.JSON, label: "JSON" },
+];
+
+/**
+ * ExportPanel component
+ * Exports the filtered visitors, or the map selection when there is one.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the panel is open
+ * @param {Function} props.onClose - Callback when panel should close
+ * @param {Array<Object>} props.filteredVisitors - Visitors matching the search, filters and time window
+ * @param {Array<Object>|null} props.selectedVisitors - Visitors in the map selection, or null without one
+ * @param {Function} props.onExport - Callback with (format, visitors, columns, isSelection)
+ * @returns {JSX.Element|null} ExportPanel component or null if not open
+ */
+export const ExportPanel = ({
+	isOpen,
+	onClose,
+	filteredVisitors,
+	selectedVisitors,
+	onExport,
+}) => {
+	const { t } = useI18n();
+	const [format, setFormat] = useState(EXPORT_CONFIG.DEFAULT_FORMAT);
+	const [useSelection, setUseSelection] = useState(true);
+	// Track exclusions so fields that appear later (live updates) are included
+	const [excludedColumns, setExcludedColumns] = useState(() => new Set());
+
+	const isSelection = !!selectedVisitors && useSelection;
+	const visitors = isSelection ? selectedVisitors : filteredVisitors;
+	const columns = useMemo(() => getExportColumns(visitors), [visitors]);
+	const chosenColumns = columns.filter((column) => !excludedColumns.has(column));
+	const hasColumnPicker = format !== EXPORT_FORMATS.JSON;
+
+	if (!isOpen) return null;
+
+	const toggleColumn = (column) => {
+		setExcludedColumns((prev) => {
+			const next = new Set(prev);
+			if (next.has(column)) {
+				next.delete(column);
+			} else {
+				next.add(column);
+			}
+			return next;
+		});
+	};
+
+	const canExport =
+		visitors.length > 0 && (!hasColumnPicker || chosenColumns.length > 0);
+
+	return (
+		<div className="export-panel" role="dialog" aria-label={t("export.label")}>
+			<div className="export-header">
+				<h3>{t("export.title")}</h3>
+				<button
+					className="export-close-btn"
+					onClick={onClose}
+					aria-label={t("export.close")}
+					title={t("export.close")}
+					type="button"
+				>
+					<FaTimes aria-hidden="true" />
+				</button>
+			</div>
+
+			{selectedVisitors && (
+				<div className="export-section" role="radiogroup" aria-label={t("export.scope")}>
+					<label className="export-radio">
+						<input
+							type="radio"
+							name="export-scope"
+							checked={isSelection}
+							onChange={() => setUseSelection(true)}
+						/>
+						{t("export.selection", { count: selectedVisitors.length })}
+					</label>
+					<label className="export-radio">
+						<input
+							type="radio"
+							name="export-scope"
+							checked={!isSelection}
+							onChange={() => setUseSelection(false)}
+						/>
+						{t("export.filtered", { count: filteredVisitors.length })}
+					</label>
+				</div>
+			)}
+
+			<div className="export-section">
+				<span className="export-label" id="export-format-label">
+					{t("export.format")}
+				</span>
+				<div
+					className="export-segmented"
+					role="radiogroup"
+					aria-labelledby="export-format-label"
+				>
+					{FORMAT_OPTIONS.map((option) => (
+						<button
+							key={option.value}
+							className={`export-segment ${format === option.value ? "active" : ""}`}
+							onClick={() => setFormat(option.value)}
+							role="radio"
+							aria-checked={format === option.value}
+							type="button"
+						>
+							{option.label}
+						</button>
+					))}
+				</div>
+			</div>
+
+			<fieldset className="export-section export-columns" disabled={!hasColumnPicker}>
+				<legend className="export-label">
+					{t("export.columns")}
+					{hasColumnPicker && (
+						<span className="export-column-actions">
+							<button
+								onClick={() => setExcludedColumns(new Set())}
+								type="button"
+							>
+								{t("export.all")}
+							</button>
+							<button
+								onClick={() => setExcludedColumns(new Set(columns))}
+								type="button"
+							>
+								{t("export.none")}
+							</button>
+						</span>
+					)}
+				</legend>
+				{hasColumnPicker ? (
+					<div className="export-column-list">
+						{columns.map((column) => (
+							<label key={column} className="export-checkbox">
+								<input
+									type="checkbox"
+									checked={!excludedColumns.has(column)}
+									onChange={() => toggleColumn(column)}
+								/>
+								{column}
+							</label>
+						))}
+					</div>
+				) : (
+					<p className="export-note">{t("export.jsonNote")}</p>
+				)}
+			</fieldset>
+
+			<p className="export-note">
+				{t("export.note")}
+			</p>
+
+			<button
+				className="export-download-btn"
+				onClick={() => onExport(format, visitors, chosenColumns, isSelection)}
+				disabled={!canExport}
+				type="button"
+			>
+				<FaDownload aria-hidden="true" />
+				{t("export.download", { count: visitors.length })}
+			</button>
+		</div>
+	);
+};
@@ -5,19 +5,23 @@
 
 import React from "react";
 import { FaTimes } from "react-icons/fa";
+import { MultiSelectFilter } from "./MultiSelectFilter";
+import { RangeFilter } from "./RangeFilter";
+import { useI18n } from "../../hooks/useI18n";
+import { FILTER_TYPES } from "../../constants";
 import "./FilterPanel.css";
 
 /**
  * FilterPanel component
+ * Renders one control per entry in the filter registry. Escape closes it.
  * @param {Object} props - Component props
  * @param {boolean} props.isOpen - Whether the panel is open
  * @param {Function} props.onClose - Callback when panel should close
  * @param {Object} props.filters - Current filter state
  * @param {Function} props.onFilterChange - Callback when filter changes
  * @param {Function} props.onClearFilters - Callback when clear all is clicked
- * @param {Array<string>} props.uniqueCountries - Unique country options
- * @param {Array<string>} props.uniqueDevices - Unique device options
- * @param {Array<string>} props.uniqueCountryCodes - Unique country code options
+ * @param {Array<Object>} props.registry - Filter definitions to render (see FILTER_REGISTRY)
+ * @param {Object<string, Array<Object>>} props.filterOptions - Multi filter options with counts, keyed by filter key
  * @param {boolean} props.hasActiveFilters - Whether any filters are active
  * @param {number} props.filteredCount - Number of filtered results
  * @param {number} props.totalCount - Total number of visitors
@@ -29,19 +33,30 @@ export const FilterPanel = ({
 	filters,
 	onFilterChange,
 	onClearFilters,
-	uniqueCountries,
-	uniqueDevices,
-	uniqueCountryCodes,
+	registry,
+	filterOptions,
 	hasActiveFilters,
 	filteredCount,
 	totalCount,
 }) => {
+	const { t } = useI18n();
+
 	if (!isOpen) return null;
 
 	return (
-		<div className="filter-panel" role="dialog" aria-label="Filter options">
+		<div
+			className="filter-panel"
+			role="dialog"
+			aria-label={t("filters.label")}
+			onKeyDown={(e) => {
+				if (e.key !== "Escape") return;
+				// Close only the panel, not the popup behind it
+				e.stopPropagation();
+				onClose();
+			}}
+		>
 			<div className="filter-header">
-				<h3>Filters</h3>
+				<h3>{t("filters.title")}</h3>
 				<div className="filter-header-actions">
 					{hasActiveFilters && (
 						<button
@@ -49,14 +64,14 @@ export const FilterPanel = ({
 							onClick={onClearFilters}
 							type="button"
 						>
-							Clear All
+							{t("filters.clearAll")}
 						</button>
 					)}
 					<button
 						className="filter-close-btn"
 						onClick={onClose}
-						aria-label="Close filters"
-						title="Close filters"
+						aria-label={t("filters.close")}
+						title={t("filters.close")}
 						type="button"
 					>
 						<FaTimes aria-hidden="true" />
@@ -65,75 +80,29 @@ export const FilterPanel = ({
 			</div>
 
 			<div className="filter-grid">
-				<div className="filter-item">
-					<label htmlFor="country-filter">Country</label>
-					<select
-						id="country-filter"
-						value={filters.country}
-						onChange={(e) => onFilterChange("country", e.target.value)}
-						className="filter-select"
-					>
-						<option value="">All Countries</option>
-						{uniqueCountries.map((country) => (
-							<option key={country} value={country}>
-								{country}
-							</option>
-						))}
-					</select>
-				</div>
-
-				<div className="filter-item">
-					<label htmlFor="country-code-filter">Country Code</label>
-					<select
-						id="country-code-filter"
-						value={filters.countryCode}
-						onChange={(e) => onFilterChange("countryCode", e.target.value)}
-						className="filter-select"
-					>
-						<option value="">All Codes</option>
-						{uniqueCountryCodes.map((code) => (
-							<option key={code} value={code}>
-								{code}
-							</option>
-						))}
-					</select>
-				</div>
-
-				<div className="filter-item">
-					<label htmlFor="device-filter">Device</label>
-					<select
-						id="device-filter"
-						value={filters.device}
-						onChange={(e) => onFilterChange("device", e.target.value)}
-						className="filter-select"
-					>
-						<option value="">All Devices</option>
-						{uniqueDevices.map((device) => (
-							<option key={device} value={device}>
-								{device}
-							</option>
-						))}
-					</select>
-				</div>
-
-				<div className="filter-item">
-					<label htmlFor="type-filter">Type</label>
-					<select
-						id="type-filter"
-						value={filters.customer}
-						onChange={(e) => onFilterChange("customer", e.target.value)}
-						className="filter-select"
-					>
-						<option value="">All</option>
-						<option value="customer">Customers</option>
-						<option value="visitor">Visitors</option>
-					</select>
-				</div>
+				{registry.map((definition) =>
+					definition.type === FILTER_TYPES.RANGE ? (
+						<RangeFilter
+							key={definition.key}
+							definition={definition}
+							value={filters[definition.key]}
+							onChange={(value) => onFilterChange(definition.key, value)}
+						/>
+					) : (
+						<MultiSelectFilter
+							key={definition.key}
+							definition={definition}
+							value={filters[definition.key]}
+							options={filterOptions[definition.key] || []}
+							onChange={(value) => onFilterChange(definition.key, value)}
+						/>
+					)
+				)}
 			</div>
 
 			{hasActiveFilters && (
 				<div className="filter-results">
-					Showing {filteredCount} of {totalCount} users
+					{t("filters.showing", { filtered: filteredCount, count: totalCount })}
 				</div>
 			)}
 		</div>
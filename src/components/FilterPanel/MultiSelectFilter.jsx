@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Multi-select filter control with per-option counts
+ * @module components/FilterPanel/MultiSelectFilter
+ */
+
+import React, { useState } from "react";
+import { FaChevronDown } from "react-icons/fa";
+import { getFilterValueLabel } from "../../utils/i18n";
+import { useI18n } from "../../hooks/useI18n";
+
+/**
+ * MultiSelectFilter component
+ * Labels come from the `filter.<key>` messages, falling back to the
+ * definition's English labels; region code options show country names.
+ * @param {Object} props - Component props
+ * @param {import("../../utils/filterRegistry").FilterDefinition} props.definition - Filter definition
+ * @param {Array<string>} props.value - Selected values
+ * @param {Array<{value: string, label: string, count: number}>} props.options - Available options
+ * @param {Function} props.onChange - Callback with the new selection
+ * @returns {JSX.Element} MultiSelectFilter component
+ */
+export const MultiSelectFilter = ({ definition, value, options, onChange }) => {
+	const i18n = useI18n();
+	const { t, formatNumber } = i18n;
+	const [isOpen, setIsOpen] = useState(false);
+	const listId = `${definition.key}-filter-options`;
+	const selected = value || [];
+	const label = t(`filter.${definition.key}`, { defaultValue: definition.label });
+
+	const getOptionLabel = (option) =>
+		getFilterValueLabel(definition, option.value, option.label, i18n);
+
+	const getSummary = () => {
+		if (selected.length === 0) {
+			return t(`filter.${definition.key}.all`, { defaultValue: definition.allLabel });
+		}
+		if (selected.length === 1) {
+			const option = options.find((item) => item.value === selected[0]);
+			return option ? getOptionLabel(option) : selected[0];
+		}
+		return t("filters.selected", { count: selected.length });
+	};
+
+	/**
+	 * Toggles an option in the selection
+	 * @param {string} optionValue - Option value
+	 */
+	const toggleOption = (optionValue) => {
+		onChange(
+			selected.includes(optionValue)
+				? selected.filter((item) => item !== optionValue)
+				: [...selected, optionValue]
+		);
+	};
+
+	return (
+		<div className="filter-item">
+			<label htmlFor={`${definition.key}-filter`}>{label}</label>
+			<button
+				id={`${definition.key}-filter`}
+				className={`filter-select filter-multi-toggle ${selected.length ? "has-value" : ""}`}
+				onClick={() => setIsOpen((prev) => !prev)}
+				aria-expanded={isOpen}
+				aria-controls={listId}
+				type="button"
+			>
+				<span className="filter-multi-summary">{getSummary()}</span>
+				<FaChevronDown
+					className={`filter-multi-chevron ${isOpen ? "open" : ""}`}
+					aria-hidden="true"
+				/>
+			</button>
+			{isOpen && (
+				<ul
+					id={listId}
+					className="filter-options"
+					role="group"
+					aria-label={t("filters.options", { label })}
+				>
+					{options.length === 0 && (
+						<li className="filter-option-empty">{t("filters.noValues")}</li>
+					)}
+					{options.map((option) => {
+						const checked = selected.includes(option.value);
+						return (
+							<li key={option.value}>
+								<label
+									className={`filter-option ${
+										option.count === 0 && !checked ? "empty" : ""
+									}`}
+								>
+									<input
+										type="checkbox"
+										checked={checked}
+										onChange={() => toggleOption(option.value)}
+									/>
+									<span className="filter-option-label">
+										{getOptionLabel(option)}
+									</span>
+									<span className="filter-option-count">
+										{formatNumber(option.count)}
+									</span>
+								</label>
+							</li>
+						);
+					})}
+				</ul>
+			)}
+		</div>
+	);
+};
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Dual-handle range filter control
+ * @module components/FilterPanel/RangeFilter
+ */
+
+import React from "react";
+import { useI18n } from "../../hooks/useI18n";
+
+/**
+ * RangeFilter component
+ * Selecting the full range resets the filter to inactive (null).
+ * @param {Object} props - Component props
+ * @param {import("../../utils/filterRegistry").FilterDefinition} props.definition - Filter definition
+ * @param {Array<number>|null} props.value - Selected [min, max], or null for the full range
+ * @param {Function} props.onChange - Callback with the new range
+ * @returns {JSX.Element} RangeFilter component
+ */
+export const RangeFilter = ({ definition, value, onChange }) => {
+	const { t, formatNumber } = useI18n();
+	const { key, min, max, step = 1 } = definition;
+	const label = t(`filter.${key}`, { defaultValue: definition.label });
+	const [low, high] = value || [min, max];
+
+	/**
+	 * Emits a new range, keeping the handles ordered
+	 * @param {number} nextLow - New lower bound
+	 * @param {number} nextHigh - New upper bound
+	 */
+	const updateRange = (nextLow, nextHigh) => {
+		const range = [Math.min(nextLow, nextHigh), Math.max(nextLow, nextHigh)];
+		onChange(range[0] === min && range[1] === max ? null : range);
+	};
+
+	const lowPercent = ((low - min) / (max - min)) * 100;
+	const highPercent = ((high - min) / (max - min)) * 100;
+
+	return (
+		<div className="filter-item filter-item-wide">
+			<div className="filter-range-header">
+				<label htmlFor={`${key}-filter-min`}>{label}</label>
+				<span className="filter-range-value">
+					{formatNumber(low)} – {formatNumber(high)}
+				</span>
+			</div>
+			<div
+				className="filter-range"
+				style={{
+					"--range-low": `${lowPercent}%`,
+					"--range-high": `${highPercent}%`,
+				}}
+			>
+				<input
+					id={`${key}-filter-min`}
+					type="range"
+					min={min}
+					max={max}
+					step={step}
+					value={low}
+					onChange={(e) => updateRange(Number(e.target.value), high)}
+					aria-label={t("filters.minimum", { label })}
+				/>
+				<input
+					type="range"
+					min={min}
+					max={max}
+					step={step}
+					value={high}
+					onChange={(e) => updateRange(low, Number(e.target.value))}
+					aria-label={t("filters.maximum", { label })}
+				/>
+			</div>
+		</div>
+	);
+};
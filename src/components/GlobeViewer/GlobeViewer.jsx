@@ -0,0 +1,1213 @@
+/**
+ * @fileoverview Embeddable globe viewer with its map, panels and controls
+ * @module components/GlobeViewer
+ */
+
+import React, {
+	forwardRef,
+	useState,
+	useRef,
+	useCallback,
+	useMemo,
+	useEffect,
+	useImperativeHandle,
+} from "react";
+import ReactMapGL from "react-map-gl";
+import { SearchFilterBar } from "../SearchFilterBar/SearchFilterBar";
+import { FilterPanel } from "../FilterPanel/FilterPanel";
+import { ViewControls } from "../ViewControls/ViewControls";
+import { Marker } from "../Marker/Marker";
+import { ClusterMarker } from "../ClusterMarker/ClusterMarker";
+import { VisitorGroupPanel } from "../VisitorGroupPanel/VisitorGroupPanel";
+import { Popup } from "../Popup/Popup";
+import { DataStatus } from "../DataStatus/DataStatus";
+import { LiveIndicator } from "../LiveIndicator/LiveIndicator";
+import { HeatmapLayer } from "../HeatmapLayer/HeatmapLayer";
+import { HeatmapControls } from "../HeatmapControls/HeatmapControls";
+import { Timeline } from "../Timeline/Timeline";
+import { ChoroplethLayer, COUNTRY_LAYER_IDS } from "../ChoroplethLayer/ChoroplethLayer";
+import { ChoroplethControls } from "../ChoroplethControls/ChoroplethControls";
+import { ColorLegend } from "../ColorLegend/ColorLegend";
+import { SavedViewsPanel } from "../SavedViewsPanel/SavedViewsPanel";
+import { SelectionTool } from "../SelectionTool/SelectionTool";
+import { SelectionBar } from "../SelectionBar/SelectionBar";
+import { ExportPanel } from "../ExportPanel/ExportPanel";
+import { ImportDialog } from "../ImportDialog/ImportDialog";
+import { DropOverlay } from "../ImportDialog/DropOverlay";
+import { DiagnosticsPanel } from "../DiagnosticsPanel/DiagnosticsPanel";
+import { VisitorListPanel } from "../VisitorListPanel/VisitorListPanel";
+import { AnalyticsDrawer } from "../AnalyticsDrawer/AnalyticsDrawer";
+import { MapAnnouncer } from "../MapAnnouncer/MapAnnouncer";
+import { LanguageSwitcher } from "../LanguageSwitcher/LanguageSwitcher";
+import { ThemeSwitcher } from "../ThemeSwitcher/ThemeSwitcher";
+import {
+	VisitorLayers,
+	INTERACTIVE_LAYER_IDS,
+} from "../VisitorLayers/VisitorLayers";
+import { useMapConfig } from "../../hooks/useMapConfig";
+import { useVisitorFilters } from "../../hooks/useVisitorFilters";
+import { useClustering } from "../../hooks/useClustering";
+import { useVisitorSource } from "../../hooks/useVisitorSource";
+import { useVisitorStream } from "../../hooks/useVisitorStream";
+import { useUrlState } from "../../hooks/useUrlState";
+import { useTimeline } from "../../hooks/useTimeline";
+import { useCountryBoundaries } from "../../hooks/useCountryBoundaries";
+import { useFileDrop } from "../../hooks/useFileDrop";
+import { useMarkerNavigation } from "../../hooks/useMarkerNavigation";
+import { useChangeCallback } from "../../hooks/useChangeCallback";
+import { useSavedViews } from "../../hooks/useSavedViews";
+import { useLocale } from "../../hooks/useLocale";
+import { I18nContext } from "../../hooks/useI18n";
+import { useThemePreference } from "../../hooks/useThemePreference";
+import { ThemeContext } from "../../hooks/useTheme";
+import { createDefaultSource, createMemorySource } from "../../utils/visitorSources";
+import { createDefaultStream } from "../../utils/visitorStreams";
+import { parseUrlState, DEFAULT_URL_STATE } from "../../utils/urlState";
+import { FILTER_REGISTRY, DEFAULT_FILTERS } from "../../utils/filterRegistry";
+import { isRecentArrival } from "../../utils/timeline";
+import {
+	aggregateByCountry,
+	getMetricMax,
+	getCountryBounds,
+} from "../../utils/countryStats";
+import { selectVisitorsInRing, getRingBounds } from "../../utils/geoSelection";
+import { getExportMetadata, downloadVisitors } from "../../utils/visitorExport";
+import { combineVisitors } from "../../utils/visitorImport";
+import { normalizeVisitors } from "../../utils/visitorSchema";
+import { getMapStyles } from "../../utils/mapStyleRegistry";
+import { selectColorSchemes, createColorScale } from "../../utils/colorSchemes";
+import { getSavedViewState, downloadSavedViews } from "../../utils/savedViews";
+import {
+	MAPBOX_TOKEN,
+	DEFAULT_VIEW_STATE,
+	VIEW_MODES,
+	FOG_CONFIG,
+	MARKER_SELECTED_ZOOM,
+	CLUSTER_MAX_EXPANSION_ZOOM,
+	CLUSTER_PANEL_CONFIG,
+	URL_STATE_ALLOWED,
+	VISUALIZATION_MODES,
+	HEATMAP_CONFIG,
+	RENDER_MODES,
+	GPU_RENDER_CONFIG,
+	MARKER_TRANSITIONS,
+	VISITOR_STREAM_CONFIG,
+	CHOROPLETH_CONFIG,
+	SELECTION_CONFIG,
+	MAP_KEYBOARD_CONFIG,
+	DEFAULT_VIEWER_CONTROLS,
+	COLOR_BY_CONFIG,
+	COLOR_SCALE_TYPES,
+	SAVED_VIEWS_CONFIG,
+	I18N_CONFIG,
+} from "../../constants";
+import "./GlobeViewer.css";
+
+const NO_VISITORS = [];
+
+/**
+ * Imperative handle of a GlobeViewer ref
+ * @typedef {Object} GlobeViewerHandle
+ * @property {Function} flyToVisitor - Selects a loaded visitor by ID and flies to it; returns whether it was found
+ * @property {Function} resetView - Flies back to the initial view and closes the popup
+ * @property {Function} setFilters - Replaces the filter values; filters left out are cleared
+ */
+
+/**
+ * GlobeViewer component
+ * The whole viewer: the map and every panel and control around it. It fills
+ * its container, so the container needs a height.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} [props.visitors] - Visitors to show, used instead of `source`
+ * @param {import("../../utils/visitorSources").VisitorSource} [props.source] - Visitor data source, defaults to the environment-configured source
+ * @param {import("../../utils/visitorStreams").VisitorStream|null} [props.stream] - Live visitor stream, defaults to the environment-configured stream
+ * @param {Object} [props.initialViewState] - Initial camera (longitude, latitude, zoom, pitch, bearing), also used by "reset view"
+ * @param {string} [props.initialViewMode] - Initial view mode ('globe' or 'flat')
+ * @param {string} [props.initialMapStyle] - Initial map style id
+ * @param {Array<string|Object>} [props.mapStyles] - Styles to offer: registered style ids or style definitions, defaults to every registered style
+ * @param {Array<string|import("../../utils/colorSchemes").ColorScheme>} [props.colorSchemes] - Color-by schemes to offer: default scheme keys or scheme definitions, defaults to DEFAULT_COLOR_SCHEMES
+ * @param {string} [props.initialColorBy] - Key of the scheme coloring the markers at first
+ * @param {Object<string, boolean>} [props.controls] - Controls to show or hide, keyed as DEFAULT_VIEWER_CONTROLS
+ * @param {Array<import("../Popup/popupSchema").PopupField>} [props.popupFields] - Popup detail rows, defaults to DEFAULT_POPUP_FIELDS
+ * @param {Array<import("../Popup/popupSchema").PopupAction>} [props.popupActions] - Popup action buttons, defaults to DEFAULT_POPUP_ACTIONS
+ * @param {string} [props.savedViewsKey] - localStorage key of the saved views, to keep a separate collection
+ * @param {string} [props.localeKey] - localStorage key of the language choice, to keep a separate one
+ * @param {number} [props.gpuThreshold] - Filtered visitor count above which markers are drawn as GPU layers
+ * @param {string} [props.mapboxAccessToken] - Mapbox token, defaults to VITE_MAPBOX_TOKEN
+ * @param {boolean} [props.syncUrl] - Whether to mirror the viewer state in the page URL
+ * @param {Function} [props.onVisitorSelect] - Called with the selected visitor, or null when the popup closes
+ * @param {Function} [props.onFiltersChange] - Called with the filter values when they change
+ * @param {Function} [props.onViewChange] - Called with the camera after the map stops moving
+ * @param {string} [props.className] - Extra class for the root element
+ * @param {Object} [props.style] - Inline styles for the root element
+ * @param {React.Ref<GlobeViewerHandle>} ref - Imperative handle
+ * @returns {JSX.Element} GlobeViewer component
+ */
+export const GlobeViewer = forwardRef(function GlobeViewer(
+	{
+		visitors: visitorsProp,
+		source,
+		stream,
+		initialViewState,
+		initialViewMode,
+		initialMapStyle,
+		mapStyles: styleList,
+		colorSchemes: schemeList,
+		initialColorBy = COLOR_BY_CONFIG.DEFAULT_SCHEME,
+		controls: controlsProp,
+		popupFields,
+		popupActions,
+		savedViewsKey = SAVED_VIEWS_CONFIG.STORAGE_KEY,
+		localeKey = I18N_CONFIG.STORAGE_KEY,
+		gpuThreshold = GPU_RENDER_CONFIG.THRESHOLD,
+		mapboxAccessToken = MAPBOX_TOKEN,
+		syncUrl = false,
+		onVisitorSelect,
+		onFiltersChange,
+		onViewChange,
+		className = "",
+		style,
+	},
+	ref
+) {
+	const mapRef = useRef(null);
+	const i18n = useLocale(localeKey);
+	// A `visitors` array is used as is rather than loaded through a source, so a
+	// new array updates the map in place instead of reloading it from empty
+	const hasVisitorsProp = Boolean(visitorsProp);
+	const visitorSource = useMemo(
+		() =>
+			hasVisitorsProp ? createMemorySource(NO_VISITORS) : source || createDefaultSource(),
+		[hasVisitorsProp, source]
+	);
+	const visitorStream = useMemo(
+		() => (stream === undefined ? createDefaultStream() : stream),
+		[stream]
+	);
+	const controls = useMemo(
+		() => ({ ...DEFAULT_VIEWER_CONTROLS, ...controlsProp }),
+		[controlsProp]
+	);
+	// The initial props are this viewer's defaults: they are left out of the
+	// URL and "reset view" returns to them
+	const [defaults] = useState(() => ({
+		...DEFAULT_URL_STATE,
+		viewState: { ...DEFAULT_VIEW_STATE, ...initialViewState },
+		viewMode: initialViewMode || DEFAULT_URL_STATE.viewMode,
+		mapStyle: initialMapStyle || DEFAULT_URL_STATE.mapStyle,
+	}));
+	const [initialState] = useState(() =>
+		syncUrl
+			? parseUrlState(window.location.search, defaults, {
+					...URL_STATE_ALLOWED,
+					mapStyles: getMapStyles().map((definition) => definition.id),
+			  })
+			: defaults
+	);
+	const [selectedMarker, setSelectedMarker] = useState(null);
+	const [pendingSelectionId, setPendingSelectionId] = useState(
+		initialState.selectedId
+	);
+	const [viewState, setViewState] = useState(initialState.viewState);
+	const [viewMode, setViewMode] = useState(initialState.viewMode);
+	const [mapStyle, setMapStyle] = useState(initialState.mapStyle);
+	const [searchQuery, setSearchQuery] = useState(initialState.searchQuery);
+	const [showFilters, setShowFilters] = useState(false);
+	const [showExport, setShowExport] = useState(false);
+	const [showAnalytics, setShowAnalytics] = useState(false);
+	const [showSavedViews, setShowSavedViews] = useState(false);
+	const [showImport, setShowImport] = useState(false);
+	const [droppedFile, setDroppedFile] = useState(null);
+	const [importedData, setImportedData] = useState(null);
+	const [filters, setFilters] = useState(initialState.filters);
+	const [visualization, setVisualization] = useState(VISUALIZATION_MODES.MARKERS);
+	const [heatmapSettings, setHeatmapSettings] = useState({
+		weight: HEATMAP_CONFIG.DEFAULT_WEIGHT,
+		radius: HEATMAP_CONFIG.DEFAULT_RADIUS,
+		intensity: HEATMAP_CONFIG.DEFAULT_INTENSITY,
+	});
+	const [choroplethMetric, setChoroplethMetric] = useState(
+		CHOROPLETH_CONFIG.DEFAULT_METRIC
+	);
+	const [cursor, setCursor] = useState("");
+	const [isMapLoaded, setIsMapLoaded] = useState(false);
+	const [openCluster, setOpenCluster] = useState(null);
+	const [selectionTool, setSelectionTool] = useState(null);
+	const [selectionRing, setSelectionRing] = useState(null);
+	const [showSelectionList, setShowSelectionList] = useState(false);
+	const [hoveredVisitorId, setHoveredVisitorId] = useState(null);
+	const [colorBy, setColorBy] = useState(initialColorBy);
+	// Marker to hand focus back to when the popup it opened closes
+	const [focusReturnId, setFocusReturnId] = useState(null);
+
+	const { mapStyles, styleDefinition, getMapStyleSource, getFogColor } =
+		useMapConfig(mapStyle, styleList);
+	const theme = useThemePreference(styleDefinition.theme);
+	useMarkerNavigation(mapRef, isMapLoaded);
+	const {
+		visitors: loadedVisitors,
+		status: sourceStatus,
+		error: sourceError,
+		refresh: refreshVisitors,
+	} = useVisitorSource(visitorSource);
+	const sourceVisitors = visitorsProp || loadedVisitors;
+	// Imported visitors are merged into (or replace) every load of the source
+	const baseVisitors = useMemo(
+		() =>
+			importedData
+				? combineVisitors(sourceVisitors, importedData.visitors, importedData.mode)
+				: sourceVisitors,
+		[sourceVisitors, importedData]
+	);
+	// Validate and coerce records before anything renders them
+	const { visitors: validVisitors, issues: loadIssues } = useMemo(
+		() => normalizeVisitors(baseVisitors),
+		[baseVisitors]
+	);
+	const {
+		visitors,
+		transitions,
+		status: streamStatus,
+		issues: streamIssues,
+	} = useVisitorStream(validVisitors, visitorStream);
+	const dataIssues = useMemo(
+		() => [...loadIssues, ...streamIssues],
+		[loadIssues, streamIssues]
+	);
+	const timeline = useTimeline(visitors);
+	const {
+		filteredVisitors,
+		matchingVisitors,
+		filterOptions,
+		hasActiveFilters,
+		searchErrors,
+		searchResults,
+		searchValueOptions,
+	} = useVisitorFilters(
+		visitors,
+		searchQuery,
+		filters,
+		FILTER_REGISTRY,
+		timeline.timeWindow
+	);
+
+	// Categories are derived from every loaded visitor so colors don't shift
+	// while filtering; schemes with fixed categories or stops ignore the data
+	const colorSchemes = useMemo(() => selectColorSchemes(schemeList), [schemeList]);
+	const colorScheme =
+		colorSchemes.find((scheme) => scheme.key === colorBy) || colorSchemes[0];
+	const derivesCategories =
+		colorScheme.type === COLOR_SCALE_TYPES.CATEGORICAL && !colorScheme.categories;
+	const colorScale = useMemo(
+		() => createColorScale(colorScheme, visitors),
+		[colorScheme, derivesCategories ? visitors : null]
+	);
+
+	// Get map bounds for clustering and the visitor list
+	const bounds = useMemo(() => {
+		if (!mapRef.current?.getMap) return null;
+		try {
+			const map = mapRef.current.getMap();
+			if (!map || !map.getBounds) return null;
+			const mapBounds = map.getBounds();
+			const ne = mapBounds.getNorthEast();
+			const sw = mapBounds.getSouthWest();
+			return [sw.lng, sw.lat, ne.lng, ne.lat];
+		} catch (error) {
+			return null;
+		}
+	}, [isMapLoaded, viewState.longitude, viewState.latitude, viewState.zoom]);
+
+	// Switch to GPU layers when there are too many visitors for DOM markers
+	const renderMode =
+		filteredVisitors.length > gpuThreshold
+			? RENDER_MODES.GPU
+			: RENDER_MODES.DOM;
+	const isGpu = renderMode === RENDER_MODES.GPU;
+
+	// Use clustering (GPU layers cluster inside Mapbox instead)
+	const { clusters, supercluster } = useClustering(
+		isGpu ? NO_VISITORS : filteredVisitors,
+		bounds,
+		Math.floor(viewState.zoom),
+		colorScale
+	);
+
+	const visitorsById = useMemo(() => {
+		return new Map(visitors.map((visitor) => [String(visitor.visitorId), visitor]));
+	}, [visitors]);
+
+	// Resolve the open cluster's visitors so live updates are reflected
+	const clusterVisitors = useMemo(() => {
+		if (!openCluster?.visitorIds) return NO_VISITORS;
+		return openCluster.visitorIds
+			.map((id) => visitorsById.get(id))
+			.filter(Boolean);
+	}, [openCluster, visitorsById]);
+
+	// Visitors inside the drawn selection, re-evaluated as filters change
+	const selectedVisitors = useMemo(
+		() =>
+			selectionRing ? selectVisitorsInRing(filteredVisitors, selectionRing) : NO_VISITORS,
+		[filteredVisitors, selectionRing]
+	);
+
+	// During playback, markers of visitors that just arrived animate in
+	const arrivalSpan =
+		(timeline.speed * VISITOR_STREAM_CONFIG.ENTER_DURATION) / 1000;
+	const getMarkerTransition = (visitor) => {
+		const streamTransition = transitions.get(String(visitor.visitorId));
+		if (streamTransition || !timeline.isPlaying) return streamTransition;
+		return isRecentArrival(visitor, timeline.timeWindow, arrivalSpan)
+			? MARKER_TRANSITIONS.ENTER
+			: undefined;
+	};
+
+	// In heatmap mode markers fade in as the heatmap fades out
+	const isHeatmap = visualization === VISUALIZATION_MODES.HEATMAP;
+	const isChoropleth = visualization === VISUALIZATION_MODES.CHOROPLETH;
+	const markerOpacity = isHeatmap
+		? Math.min(
+				Math.max(
+					(viewState.zoom - HEATMAP_CONFIG.FADE_START_ZOOM) /
+						(HEATMAP_CONFIG.FADE_END_ZOOM - HEATMAP_CONFIG.FADE_START_ZOOM),
+					0
+				),
+				1
+		  )
+		: 1;
+
+	// Country aggregates for the choropleth
+	const { boundaries, error: boundariesError } = useCountryBoundaries(isChoropleth);
+	const countryStats = useMemo(
+		() => (isChoropleth ? aggregateByCountry(filteredVisitors) : new Map()),
+		[isChoropleth, filteredVisitors]
+	);
+	const choroplethMax = getMetricMax(countryStats, choroplethMetric);
+	const showChoropleth = isChoropleth && !!boundaries;
+
+	const interactiveLayerIds = useMemo(() => {
+		const ids = [
+			...(isGpu ? INTERACTIVE_LAYER_IDS : []),
+			...(showChoropleth ? COUNTRY_LAYER_IDS : []),
+		];
+		return ids.length ? ids : undefined;
+	}, [isGpu, showChoropleth]);
+
+	// Select the visitor from a restored link once it has been loaded
+	useEffect(() => {
+		if (pendingSelectionId === null) return;
+		const visitor = visitors.find(
+			(item) => String(item.visitorId) === pendingSelectionId
+		);
+		if (visitor) {
+			setSelectedMarker({ id: visitor.visitorId, ...visitor });
+			setPendingSelectionId(null);
+		}
+	}, [visitors, pendingSelectionId]);
+
+	/**
+	 * Applies viewer state restored from the URL on back/forward navigation
+	 * @param {Object} restored - Parsed URL state
+	 */
+	const handleUrlRestore = useCallback((restored) => {
+		setViewState((prev) => ({ ...prev, ...restored.viewState }));
+		setViewMode(restored.viewMode);
+		setMapStyle(restored.mapStyle);
+		setSearchQuery(restored.searchQuery);
+		setFilters(restored.filters);
+		setSelectedMarker(null);
+		setFocusReturnId(null);
+		setPendingSelectionId(restored.selectedId);
+	}, []);
+
+	const urlState = useMemo(
+		() => ({
+			viewState,
+			viewMode,
+			mapStyle: styleDefinition.id,
+			searchQuery,
+			filters,
+			selectedId: selectedMarker?.id ?? pendingSelectionId,
+		}),
+		[
+			viewState,
+			viewMode,
+			styleDefinition.id,
+			searchQuery,
+			filters,
+			selectedMarker,
+			pendingSelectionId,
+		]
+	);
+
+	// Styles can be registered at runtime, so links are checked against the registry
+	const urlStateAllowed = useMemo(
+		() => ({
+			...URL_STATE_ALLOWED,
+			mapStyles: mapStyles.map((definition) => definition.id),
+		}),
+		[mapStyles]
+	);
+
+	useUrlState(urlState, {
+		defaults,
+		allowed: urlStateAllowed,
+		onRestore: handleUrlRestore,
+		enabled: syncUrl,
+	});
+
+	const { views: savedViews, saveView, renameView, deleteView, importViews } =
+		useSavedViews(savedViewsKey);
+
+	/**
+	 * Restores a saved view, flying to its camera
+	 * @param {import("../../utils/savedViews").SavedView} view - Saved view
+	 */
+	const restoreSavedView = useCallback(
+		(view) => {
+			const restored = getSavedViewState(view, urlStateAllowed);
+			setViewMode(restored.viewMode);
+			setMapStyle(restored.mapStyle);
+			setSearchQuery(restored.searchQuery);
+			setFilters(restored.filters);
+			setPendingSelectionId(null);
+			setSelectedMarker(null);
+			setFocusReturnId(null);
+
+			const { longitude, latitude, zoom, pitch, bearing } = restored.viewState;
+			if (mapRef.current) {
+				mapRef.current.flyTo({
+					center: [longitude, latitude],
+					zoom,
+					pitch,
+					bearing,
+					duration: SAVED_VIEWS_CONFIG.FLY_DURATION,
+					essential: true,
+				});
+			} else {
+				setViewState((prev) => ({ ...prev, ...restored.viewState }));
+			}
+		},
+		[urlStateAllowed]
+	);
+
+	useChangeCallback(selectedMarker, onVisitorSelect);
+	useChangeCallback(filters, onFiltersChange);
+
+	/**
+	 * Handles marker click event
+	 * @param {Object} visitor - The clicked visitor object
+	 */
+	const handleMarkerClick = useCallback(
+		(visitor) => {
+			// Set selected marker
+			setPendingSelectionId(null);
+			setFocusReturnId(
+				document.activeElement?.matches(MAP_KEYBOARD_CONFIG.FOCUSABLE_SELECTOR)
+					? visitor.visitorId
+					: null
+			);
+			setSelectedMarker({
+				id: visitor.visitorId,
+				...visitor,
+			});
+
+			// Zoom to marker location
+			if (mapRef.current) {
+				mapRef.current.flyTo({
+					center: [visitor.longitude, visitor.latitude],
+					zoom: MARKER_SELECTED_ZOOM,
+					duration: 1000,
+					essential: true,
+				});
+			}
+		},
+		[]
+	);
+
+	/**
+	 * Handles cluster click event by opening the cluster details panel
+	 * @param {Object} cluster - The clicked cluster object
+	 */
+	const handleClusterClick = useCallback(
+		(cluster) => {
+			if (!supercluster) return;
+
+			// Leaves are references to the clustered points, so listing them all is cheap
+			const leaves = supercluster.getLeaves(cluster.id, Infinity);
+			setShowSelectionList(false);
+			setShowAnalytics(false);
+			setOpenCluster({
+				key: `dom-${cluster.id}`,
+				center: cluster.geometry.coordinates,
+				expansionZoom: Math.min(
+					supercluster.getClusterExpansionZoom(cluster.id) + 1,
+					CLUSTER_MAX_EXPANSION_ZOOM
+				),
+				visitorIds: leaves.map((leaf) => String(leaf.properties.visitorId)),
+			});
+		},
+		[supercluster]
+	);
+
+	/**
+	 * Flies to the open cluster's expansion zoom and closes the panel
+	 */
+	const zoomToOpenCluster = useCallback(() => {
+		if (!openCluster || !mapRef.current) return;
+
+		mapRef.current.flyTo({
+			center: openCluster.center,
+			zoom: openCluster.expansionZoom,
+			duration: 500,
+			essential: true,
+		});
+		setOpenCluster(null);
+	}, [openCluster]);
+
+	/**
+	 * Opens the popup of a visitor picked from a visitor group panel
+	 * Keeps the current zoom so the rest of the group stays in view.
+	 * @param {Object} visitor - The picked visitor
+	 */
+	const handleClusterVisitorSelect = useCallback((visitor) => {
+		setPendingSelectionId(null);
+		setFocusReturnId(null);
+		setSelectedMarker({ id: visitor.visitorId, ...visitor });
+		mapRef.current?.easeTo({
+			center: [visitor.longitude, visitor.latitude],
+			duration: 500,
+		});
+	}, []);
+
+	/**
+	 * Stores a drawn selection; each tool draws a single shape
+	 * @param {Array<[number, number]>} ring - Unwrapped selection ring
+	 */
+	const handleSelectionComplete = useCallback((ring) => {
+		setSelectionRing(ring);
+		setSelectionTool(null);
+	}, []);
+
+	const cancelSelectionTool = useCallback(() => setSelectionTool(null), []);
+
+	/**
+	 * Clears the drawn selection and its list
+	 */
+	const clearSelection = useCallback(() => {
+		setSelectionRing(null);
+		setShowSelectionList(false);
+	}, []);
+
+	/**
+	 * Opens the list of selected visitors in place of any cluster panel or
+	 * the analytics drawer
+	 */
+	const showSelectedVisitors = useCallback(() => {
+		setOpenCluster(null);
+		setShowAnalytics(false);
+		setShowSelectionList(true);
+	}, []);
+
+	/**
+	 * Fits the camera to the drawn selection
+	 */
+	const zoomToSelection = useCallback(() => {
+		if (!selectionRing || !mapRef.current) return;
+
+		mapRef.current.fitBounds(getRingBounds(selectionRing), {
+			padding: SELECTION_CONFIG.FIT_PADDING,
+			duration: 1000,
+			essential: true,
+		});
+	}, [selectionRing]);
+
+	/**
+	 * Downloads visitors along with the search, filters, time window and
+	 * selection that produced them
+	 * @param {string} format - One of EXPORT_FORMATS
+	 * @param {Array<Object>} exportVisitors - Visitors to export
+	 * @param {Array<string>} columns - Flattened columns to include
+	 * @param {boolean} isSelection - Whether the visitors are the map selection
+	 */
+	const handleExport = useCallback(
+		(format, exportVisitors, columns, isSelection) => {
+			const metadata = getExportMetadata({
+				count: exportVisitors.length,
+				searchQuery,
+				filters,
+				registry: FILTER_REGISTRY,
+				timeWindow: timeline.timeWindow,
+				selectionRing: isSelection ? selectionRing : null,
+			});
+			downloadVisitors(format, exportVisitors, columns, metadata, FILTER_REGISTRY);
+		},
+		[searchQuery, filters, timeline.timeWindow, selectionRing]
+	);
+
+	/**
+	 * Opens the import dialog with a file dropped onto the app
+	 * @param {File} file - Dropped file
+	 */
+	const handleFileDrop = useCallback((file) => {
+		setDroppedFile(file);
+		setShowImport(true);
+	}, []);
+
+	const { isDragging, dropHandlers } = useFileDrop(handleFileDrop);
+
+	/**
+	 * Closes the import dialog, forgetting any dropped file
+	 */
+	const closeImport = useCallback(() => {
+		setShowImport(false);
+		setDroppedFile(null);
+	}, []);
+
+	/**
+	 * Closes the popup, returning focus to the marker that opened it
+	 * Focus is only moved if it was in the popup (and so is about to be lost).
+	 */
+	const closePopup = useCallback(() => {
+		setPendingSelectionId(null);
+		setSelectedMarker(null);
+		setFocusReturnId(null);
+
+		const container = mapRef.current?.getContainer();
+		const active = document.activeElement;
+		if (focusReturnId === null || !container) return;
+		if (active !== document.body && !active?.closest(".mapboxgl-popup")) return;
+		requestAnimationFrame(() => {
+			const marker = container.querySelector(
+				`[data-visitor-id="${CSS.escape(String(focusReturnId))}"]`
+			);
+			(marker || mapRef.current?.getCanvas())?.focus({ preventScroll: true });
+		});
+	}, [focusReturnId]);
+
+	/**
+	 * Resets the map view to the initial position
+	 */
+	const resetView = useCallback(() => {
+		if (mapRef.current) {
+			mapRef.current.flyTo({
+				center: [defaults.viewState.longitude, defaults.viewState.latitude],
+				zoom: defaults.viewState.zoom,
+				duration: 1500,
+				essential: true,
+			});
+		}
+		setPendingSelectionId(null);
+		setSelectedMarker(null);
+	}, [defaults]);
+
+	/**
+	 * Clears all filters and search query
+	 */
+	const clearFilters = useCallback(() => {
+		setSearchQuery("");
+		setFilters(DEFAULT_FILTERS);
+	}, []);
+
+	/**
+	 * Handles filter change
+	 * @param {string} key - Filter key
+	 * @param {Array<string>|Array<number>|null} value - Filter value
+	 */
+	const handleFilterChange = useCallback((key, value) => {
+		setFilters((prev) => ({
+			...prev,
+			[key]: value,
+		}));
+	}, []);
+
+	/**
+	 * Handles a click on a GPU layer feature (cluster or visitor point)
+	 * @param {Object} feature - Clicked GeoJSON feature
+	 */
+	const handleLayerFeatureClick = useCallback(
+		(feature) => {
+			const map = mapRef.current;
+			if (!map) return;
+
+			if (feature.properties.cluster) {
+				const source = map.getSource(GPU_RENDER_CONFIG.SOURCE_ID);
+				if (!source) return;
+
+				// Leaves and expansion zoom are computed in the Mapbox worker
+				const { cluster_id: clusterId, point_count: pointCount } = feature.properties;
+				const key = `gpu-${clusterId}`;
+				setShowSelectionList(false);
+				setShowAnalytics(false);
+				setOpenCluster({
+					key,
+					center: feature.geometry.coordinates,
+					expansionZoom: null,
+					visitorIds: null,
+				});
+				source.getClusterExpansionZoom(clusterId, (error, zoom) => {
+					if (error) return;
+					setOpenCluster((prev) =>
+						prev?.key === key
+							? {
+									...prev,
+									expansionZoom: Math.min(zoom + 1, CLUSTER_MAX_EXPANSION_ZOOM),
+							  }
+							: prev
+					);
+				});
+				// Page through the leaves so the panel sorts the whole cluster, not a subset
+				const visitorIds = [];
+				const pageSize = CLUSTER_PANEL_CONFIG.LEAF_PAGE_SIZE;
+				const loadLeaves = (offset) => {
+					source.getClusterLeaves(clusterId, pageSize, offset, (error, leaves) => {
+						if (!error) {
+							leaves.forEach((leaf) => visitorIds.push(String(leaf.properties.visitorId)));
+							if (leaves.length === pageSize && visitorIds.length < pointCount) {
+								loadLeaves(offset + pageSize);
+								return;
+							}
+						}
+						setOpenCluster((prev) =>
+							prev?.key === key ? { ...prev, visitorIds: error ? [] : visitorIds } : prev
+						);
+					});
+				};
+				loadLeaves(0);
+				return;
+			}
+
+			const visitor = visitorsById.get(String(feature.properties.visitorId));
+			if (visitor) handleMarkerClick(visitor);
+		},
+		[visitorsById, handleMarkerClick]
+	);
+
+	/**
+	 * Filters to a clicked country and fits the camera to it
+	 * @param {string} code - Country code
+	 */
+	const handleCountryClick = useCallback(
+		(code) => {
+			setFilters((prev) => ({ ...prev, countryCode: [code] }));
+
+			const countryBounds = getCountryBounds(boundaries, code);
+			if (countryBounds && mapRef.current) {
+				mapRef.current.fitBounds(countryBounds, {
+					padding: CHOROPLETH_CONFIG.FIT_PADDING,
+					maxZoom: CHOROPLETH_CONFIG.FIT_MAX_ZOOM,
+					duration: 1000,
+					essential: true,
+				});
+			}
+		},
+		[boundaries]
+	);
+
+	/**
+	 * Handles map click: activates GPU layer features, otherwise closes the popup
+	 * @param {Object} e - Map click event
+	 */
+	const handleMapClick = useCallback(
+		(e) => {
+			const feature = e.features?.[0];
+			if (COUNTRY_LAYER_IDS.includes(feature?.layer.id)) {
+				handleCountryClick(feature.properties.code);
+				return;
+			}
+			if (feature) {
+				handleLayerFeatureClick(feature);
+				return;
+			}
+			if (selectedMarker) {
+				closePopup();
+			}
+		},
+		[selectedMarker, closePopup, handleLayerFeatureClick, handleCountryClick]
+	);
+
+	useImperativeHandle(
+		ref,
+		() => ({
+			flyToVisitor: (visitorId) => {
+				const visitor = visitorsById.get(String(visitorId));
+				if (visitor) handleMarkerClick(visitor);
+				return !!visitor;
+			},
+			resetView,
+			setFilters: (next) => setFilters({ ...DEFAULT_FILTERS, ...next }),
+		}),
+		[visitorsById, handleMarkerClick, resetView]
+	);
+
+	return (
+		<ThemeContext.Provider value={theme}>
+			<I18nContext.Provider value={i18n}>
+				<div
+					className={`globe-viewer ${theme.theme} ${className}`.trim()}
+					dir={i18n.direction}
+					lang={i18n.locale}
+					style={{ ...style, "--marker-opacity": markerOpacity }}
+					{...(controls.import ? dropHandlers : undefined)}
+				>
+					{controls.search && (
+						<SearchFilterBar
+							searchQuery={searchQuery}
+							onSearchChange={setSearchQuery}
+							onClearSearch={() => setSearchQuery("")}
+							showFilters={showFilters}
+							onToggleFilters={
+								controls.filters
+									? () => {
+											setShowExport(false);
+											setShowSavedViews(false);
+											setShowFilters((prev) => !prev);
+									  }
+									: undefined
+							}
+							hasActiveFilters={hasActiveFilters}
+							showExport={showExport}
+							onToggleExport={
+								controls.export
+									? () => {
+											setShowFilters(false);
+											setShowSavedViews(false);
+											setShowExport((prev) => !prev);
+									  }
+									: undefined
+							}
+							showAnalytics={showAnalytics}
+							onToggleAnalytics={
+								controls.analytics
+									? () => {
+											// The drawer takes the place of the cluster and selection lists
+											setOpenCluster(null);
+											setShowSelectionList(false);
+											setShowAnalytics((prev) => !prev);
+									  }
+									: undefined
+							}
+							hasImport={!!importedData}
+							onImportClick={controls.import ? () => setShowImport(true) : undefined}
+							showSavedViews={showSavedViews}
+							onToggleSavedViews={
+								controls.savedViews
+									? () => {
+											setShowFilters(false);
+											setShowExport(false);
+											setShowSavedViews((prev) => !prev);
+									  }
+									: undefined
+							}
+							searchErrors={searchErrors}
+							searchValueOptions={searchValueOptions}
+							searchResults={searchResults}
+							onResultSelect={handleMarkerClick}
+						/>
+					)}
+
+					<FilterPanel
+						isOpen={showFilters}
+						onClose={() => setShowFilters(false)}
+						filters={filters}
+						onFilterChange={handleFilterChange}
+						onClearFilters={clearFilters}
+						registry={FILTER_REGISTRY}
+						filterOptions={filterOptions}
+						hasActiveFilters={hasActiveFilters}
+						filteredCount={filteredVisitors.length}
+						totalCount={visitors.length}
+					/>
+
+					<ExportPanel
+						isOpen={showExport}
+						onClose={() => setShowExport(false)}
+						filteredVisitors={filteredVisitors}
+						selectedVisitors={selectionRing ? selectedVisitors : null}
+						onExport={handleExport}
+					/>
+
+					<SavedViewsPanel
+						isOpen={showSavedViews}
+						onClose={() => setShowSavedViews(false)}
+						views={savedViews}
+						onSave={(name) => saveView(name, urlState)}
+						onRestore={restoreSavedView}
+						onRename={renameView}
+						onDelete={deleteView}
+						onImport={importViews}
+						onExport={() => downloadSavedViews(savedViews)}
+					/>
+
+					<AnalyticsDrawer
+						isOpen={showAnalytics}
+						onClose={() => setShowAnalytics(false)}
+						visitors={filteredVisitors}
+						bounds={bounds}
+						filters={filters}
+						registry={FILTER_REGISTRY}
+						onFilterChange={handleFilterChange}
+					/>
+
+					<ImportDialog
+						isOpen={showImport}
+						file={droppedFile}
+						onClose={closeImport}
+						currentImport={
+							importedData && {
+								fileName: importedData.fileName,
+								count: importedData.visitors.length,
+								mode: importedData.mode,
+							}
+						}
+						onImport={setImportedData}
+						onRemoveImport={() => setImportedData(null)}
+					/>
+
+					{isDragging && <DropOverlay />}
+
+					{controls.status && (
+						<DataStatus
+							status={sourceStatus}
+							error={sourceError}
+							visitorCount={visitors.length}
+							sourceLabel={visitorSource.label}
+							onRetry={refreshVisitors}
+						/>
+					)}
+
+					<MapAnnouncer
+						visibleCount={filteredVisitors.length}
+						totalCount={visitors.length}
+						latitude={viewState.latitude}
+						longitude={viewState.longitude}
+						zoom={viewState.zoom}
+					/>
+
+					<div className="status-chips">
+						{controls.status && <DiagnosticsPanel issues={dataIssues} />}
+						{controls.status && visitorStream && (
+							<LiveIndicator status={streamStatus} label={visitorStream.label} />
+						)}
+						{controls.theme && (
+							<ThemeSwitcher mode={theme.mode} onModeChange={theme.setMode} />
+						)}
+						{controls.language && (
+							<LanguageSwitcher
+								locale={i18n.locale}
+								onLocaleChange={i18n.setLocale}
+							/>
+						)}
+					</div>
+
+					{controls.viewControls && (
+						<ViewControls
+							viewMode={viewMode}
+							onViewModeChange={setViewMode}
+							mapStyle={styleDefinition.id}
+							mapStyles={mapStyles}
+							onMapStyleChange={setMapStyle}
+							onResetView={resetView}
+							visualization={visualization}
+							onVisualizationChange={setVisualization}
+							selectionTool={selectionTool}
+							onSelectionToolChange={controls.selection ? setSelectionTool : undefined}
+						/>
+					)}
+
+					{(selectionTool || selectionRing) && (
+						<SelectionBar
+							tool={selectionTool}
+							count={selectionRing ? selectedVisitors.length : null}
+							onShowList={showSelectedVisitors}
+							onExport={() => {
+								setShowFilters(false);
+								setShowSavedViews(false);
+								setShowExport(true);
+							}}
+							onClear={clearSelection}
+							onCancel={cancelSelectionTool}
+						/>
+					)}
+
+					{controls.visitorList && (
+						<VisitorListPanel
+							visitors={filteredVisitors}
+							bounds={bounds}
+							selectedId={selectedMarker?.id ?? null}
+							onVisitorSelect={handleMarkerClick}
+							onVisitorHover={setHoveredVisitorId}
+						/>
+					)}
+
+					{showSelectionList && selectionRing && (
+						<VisitorGroupPanel
+							label={i18n.t("groupPanel.selection")}
+							visitors={selectedVisitors}
+							canZoom
+							onZoom={zoomToSelection}
+							onVisitorSelect={handleClusterVisitorSelect}
+							selectedId={selectedMarker?.id ?? null}
+							onClose={() => setShowSelectionList(false)}
+						/>
+					)}
+
+					{openCluster && (
+						<VisitorGroupPanel
+							key={openCluster.key}
+							label={i18n.t("groupPanel.cluster")}
+							visitors={clusterVisitors}
+							isLoading={!openCluster.visitorIds}
+							canZoom={
+								openCluster.expansionZoom !== null &&
+								openCluster.expansionZoom > viewState.zoom
+							}
+							onZoom={zoomToOpenCluster}
+							onVisitorSelect={handleClusterVisitorSelect}
+							selectedId={selectedMarker?.id ?? null}
+							onClose={() => setOpenCluster(null)}
+						/>
+					)}
+
+					{controls.timeline && timeline.extent && (
+						<Timeline
+							extent={timeline.extent}
+							visitors={matchingVisitors}
+							timeWindow={timeline.timeWindow}
+							onTimeWindowChange={timeline.setTimeWindow}
+							onClear={timeline.clearTimeWindow}
+							isPlaying={timeline.isPlaying}
+							onPlayToggle={timeline.togglePlayback}
+							speed={timeline.speed}
+							onSpeedChange={timeline.setSpeed}
+							visibleCount={filteredVisitors.length}
+						/>
+					)}
+
+					{isHeatmap && (
+						<HeatmapControls
+							settings={heatmapSettings}
+							onSettingsChange={setHeatmapSettings}
+						/>
+					)}
+
+					{controls.legend && visualization === VISUALIZATION_MODES.MARKERS && (
+						<ColorLegend
+							schemes={colorSchemes}
+							scale={colorScale}
+							onSchemeChange={setColorBy}
+							visitors={filteredVisitors}
+						/>
+					)}
+
+					{isChoropleth && (
+						<ChoroplethControls
+							metric={choroplethMetric}
+							onMetricChange={setChoroplethMetric}
+							max={choroplethMax}
+							countryCount={countryStats.size}
+							isLoading={!boundaries && !boundariesError}
+							error={boundariesError}
+						/>
+					)}
+
+					<ReactMapGL
+						ref={mapRef}
+						{...viewState}
+						onMove={(e) => setViewState(e.viewState)}
+						onMoveEnd={(e) => onViewChange?.(e.viewState)}
+						onLoad={() => setIsMapLoaded(true)}
+						mapboxAccessToken={mapboxAccessToken}
+						mapStyle={getMapStyleSource()}
+						projection={viewMode === VIEW_MODES.GLOBE ? "globe" : "mercator"}
+						style={{ width: "100%", height: "100%" }}
+						fog={
+							viewMode === VIEW_MODES.GLOBE
+								? {
+										...FOG_CONFIG,
+										color: getFogColor(),
+								  }
+								: undefined
+						}
+						onClick={handleMapClick}
+						interactiveLayerIds={interactiveLayerIds}
+						onMouseEnter={() => setCursor("pointer")}
+						onMouseLeave={() => setCursor("")}
+						cursor={cursor}
+					>
+						{showChoropleth && (
+							<ChoroplethLayer
+								boundaries={boundaries}
+								stats={countryStats}
+								metric={choroplethMetric}
+								max={choroplethMax}
+								selectedCodes={filters.countryCode}
+							/>
+						)}
+
+						<SelectionTool
+							tool={selectionTool}
+							ring={selectionRing}
+							onComplete={handleSelectionComplete}
+							onCancel={cancelSelectionTool}
+						/>
+
+						{isHeatmap && (
+							<HeatmapLayer visitors={filteredVisitors} {...heatmapSettings} />
+						)}
+
+						{isGpu && markerOpacity > 0 && (
+							<VisitorLayers
+								visitors={filteredVisitors}
+								selectedId={selectedMarker?.id ?? null}
+								highlightedId={hoveredVisitorId}
+								colorScale={colorScale}
+								opacity={markerOpacity}
+							/>
+						)}
+
+						{markerOpacity > 0 &&
+							clusters.map((cluster) => {
+								const { cluster: isCluster, point_count } = cluster.properties;
+
+								if (isCluster) {
+									return (
+										<ClusterMarker
+											key={`cluster-${cluster.id}`}
+											cluster={cluster}
+											pointCount={point_count}
+											colorScale={colorScale}
+											onClick={handleClusterClick}
+										/>
+									);
+								}
+
+								const visitor = cluster.properties.visitor;
+								return (
+									<Marker
+										key={visitor.visitorId}
+										visitor={visitor}
+										isSelected={selectedMarker?.id === visitor.visitorId}
+										isHighlighted={hoveredVisitorId === visitor.visitorId}
+										ringColor={colorScale.getColor(visitor)}
+										onClick={handleMarkerClick}
+										transition={getMarkerTransition(visitor)}
+									/>
+								);
+							})}
+
+						<Popup
+							visitor={selectedMarker}
+							onClose={closePopup}
+							autoFocus={focusReturnId !== null}
+							fields={popupFields}
+							actions={popupActions}
+							onFilterChange={handleFilterChange}
+						/>
+					</ReactMapGL>
+				</div>
+			</I18nContext.Provider>
+		</ThemeContext.Provider>
+	);
+});
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Heatmap settings panel (weighting, radius, intensity)
+ * @module components/HeatmapControls
+ */
+
+import React from "react";
+import { HEATMAP_CONFIG, HEATMAP_WEIGHTS } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./HeatmapControls.css";
+
+const WEIGHT_OPTIONS = [
+	{ value: HEATMAP_WEIGHTS.COUNT, label: "heatmap.weight.count" },
+	{ value: HEATMAP_WEIGHTS.SCORE, label: "heatmap.weight.score" },
+	{ value: HEATMAP_WEIGHTS.CUSTOMERS, label: "heatmap.weight.customers" },
+];
+
+/**
+ * HeatmapControls component
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Heatmap settings ({weight, radius, intensity})
+ * @param {Function} props.onSettingsChange - Callback with the updated settings
+ * @returns {JSX.Element} HeatmapControls component
+ */
+export const HeatmapControls = ({ settings, onSettingsChange }) => {
+	const { t, formatNumber } = useI18n();
+
+	/**
+	 * Updates a single setting
+	 * @param {string} key - Setting key
+	 * @param {*} value - New value
+	 */
+	const update = (key, value) => {
+		onSettingsChange({ ...settings, [key]: value });
+	};
+
+	return (
+		<div className="heatmap-controls" role="group" aria-label={t("heatmap.label")}>
+			<div className="heatmap-control">
+				<span className="heatmap-control-label" id="heatmap-weight-label">
+					{t("heatmap.weightBy")}
+				</span>
+				<div
+					className="heatmap-segmented"
+					role="radiogroup"
+					aria-labelledby="heatmap-weight-label"
+				>
+					{WEIGHT_OPTIONS.map((option) => (
+						<button
+							key={option.value}
+							className={`heatmap-segment ${
+								settings.weight === option.value ? "active" : ""
+							}`}
+							onClick={() => update("weight", option.value)}
+							role="radio"
+							aria-checked={settings.weight === option.value}
+							type="button"
+						>
+							{t(option.label)}
+						</button>
+					))}
+				</div>
+			</div>
+
+			<label className="heatmap-control">
+				<span className="heatmap-control-label">
+					{t("heatmap.radius")}{" "}
+					<span className="heatmap-control-value">
+						{t("heatmap.radiusValue", { value: settings.radius })}
+					</span>
+				</span>
+				<input
+					type="range"
+					min={HEATMAP_CONFIG.MIN_RADIUS}
+					max={HEATMAP_CONFIG.MAX_RADIUS}
+					step={1}
+					value={settings.radius}
+					onChange={(e) => update("radius", Number(e.target.value))}
+				/>
+			</label>
+
+			<label className="heatmap-control">
+				<span className="heatmap-control-label">
+					{t("heatmap.intensity")}{" "}
+					<span className="heatmap-control-value">
+						{t("heatmap.intensityValue", {
+							value: formatNumber(settings.intensity, {
+								minimumFractionDigits: 1,
+								maximumFractionDigits: 1,
+							}),
+						})}
+					</span>
+				</span>
+				<input
+					type="range"
+					min={HEATMAP_CONFIG.MIN_INTENSITY}
+					max={HEATMAP_CONFIG.MAX_INTENSITY}
+					step={0.1}
+					value={settings.intensity}
+					onChange={(e) => update("intensity", Number(e.target.value))}
+				/>
+			</label>
+		</div>
+	);
+};
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Heatmap layer showing visitor density
+ * @module components/HeatmapLayer
+ */
+
+import React, { useMemo } from "react";
+import { Source, Layer } from "react-map-gl";
+import { visitorsToFeatureCollection } from "../../utils/geojson";
+import { HEATMAP_CONFIG, HEATMAP_WEIGHTS } from "../../constants";
+
+/**
+ * Mapbox expressions for each heatmap weighting
+ * @type {Object<string, Array|number>}
+ */
+const WEIGHT_EXPRESSIONS = {
+	[HEATMAP_WEIGHTS.COUNT]: 1,
+	[HEATMAP_WEIGHTS.SCORE]: ["/", ["coalesce", ["get", "score"], 0], 100],
+	[HEATMAP_WEIGHTS.CUSTOMERS]: ["case", ["get", "isCustomer"], 1, 0],
+};
+
+/**
+ * HeatmapLayer component rendering visitors as a density heatmap
+ * Must be rendered inside a react-map-gl Map.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.visitors - Visitors to plot
+ * @param {string} props.weight - Weighting (see HEATMAP_WEIGHTS)
+ * @param {number} props.radius - Base radius in pixels
+ * @param {number} props.intensity - Base intensity
+ * @returns {JSX.Element} HeatmapLayer component
+ */
+export const HeatmapLayer = ({ visitors, weight, radius, intensity }) => {
+	const data = useMemo(() => visitorsToFeatureCollection(visitors), [visitors]);
+
+	const paint = useMemo(
+		() => ({
+			"heatmap-weight": WEIGHT_EXPRESSIONS[weight] ?? 1,
+			"heatmap-intensity": [
+				"interpolate",
+				["linear"],
+				["zoom"],
+				0,
+				intensity,
+				HEATMAP_CONFIG.FADE_END_ZOOM,
+				intensity * 3,
+			],
+			"heatmap-radius": [
+				"interpolate",
+				["linear"],
+				["zoom"],
+				0,
+				radius,
+				HEATMAP_CONFIG.FADE_END_ZOOM,
+				radius * 2,
+			],
+			"heatmap-color": [
+				"interpolate",
+				["linear"],
+				["heatmap-density"],
+				...HEATMAP_CONFIG.COLOR_RAMP.flat(),
+			],
+			"heatmap-opacity": [
+				"interpolate",
+				["linear"],
+				["zoom"],
+				HEATMAP_CONFIG.FADE_START_ZOOM,
+				1,
+				HEATMAP_CONFIG.FADE_END_ZOOM,
+				0,
+			],
+		}),
+		[weight, radius, intensity]
+	);
+
+	return (
+		<Source id="visitors-heatmap" type="geojson" data={data}>
+			<Layer id="visitors-heatmap-layer" type="heatmap" paint={paint} />
+		</Source>
+	);
+};
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Overlay shown while a file is dragged over the app
+ * @module components/ImportDialog/DropOverlay
+ */
+
+import React from "react";
+import { FaFileUpload } from "react-icons/fa";
+import { useI18n } from "../../hooks/useI18n";
+import "./ImportDialog.css";
+
+/**
+ * DropOverlay component
+ * @returns {JSX.Element} DropOverlay component
+ */
+export const DropOverlay = () => {
+	const { t } = useI18n();
+
+	return (
+		<div className="drop-overlay" aria-hidden="true">
+			<FaFileUpload />
+			{t("import.drop")}
+		</div>
+	);
+};
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Import dialog for loading visitors from CSV, JSON and GeoJSON files
+ * @module components/ImportDialog
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { FaTimes, FaFileUpload } from "react-icons/fa";
+import {
+	VISITOR_IMPORT_FIELDS,
+	parseImportFile,
+	guessColumnMapping,
+	mapImportRecords,
+} from "../../utils/visitorImport";
+import { IMPORT_MODES, IMPORT_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./ImportDialog.css";
+
+/**
+ * Reads a value at a dotted path
+ * @param {Object} object - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or undefined
+ */
+const getPath = (object, path) =>
+	path.split(".").reduce((node, key) => (node == null ? undefined : node[key]), object);
+
+const PREVIEW_FIELDS = [
+	"firstName",
+	"lastName",
+	"latitude",
+	"longitude",
+	"country",
+	"device.type",
+];
+
+const PREVIEW_FIELD_DEFINITIONS = PREVIEW_FIELDS.map((key) =>
+	VISITOR_IMPORT_FIELDS.find((field) => field.key === key)
+);
+
+/**
+ * ImportDialog component
+ * Lets the user pick (or drop) a file, map its columns to the visitor
+ * schema, preview the result and merge it into or replace the loaded visitors.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the dialog is open
+ * @param {File|null} [props.file] - File dropped onto the app, parsed when it changes
+ * @param {Function} props.onClose - Callback when the dialog should close
+ * @param {{fileName: string, count: number, mode: string}|null} props.currentImport - Active import, if any
+ * @param {Function} props.onImport - Callback with {fileName, visitors, mode}
+ * @param {Function} props.onRemoveImport - Callback to drop the active import
+ * @returns {JSX.Element|null} ImportDialog component or null if not open
+ */
+export const ImportDialog = ({
+	isOpen,
+	file = null,
+	onClose,
+	currentImport,
+	onImport,
+	onRemoveImport,
+}) => {
+	const { t } = useI18n();
+	const [parsed, setParsed] = useState(null);
+	const [error, setError] = useState(null);
+	const [mapping, setMapping] = useState({});
+	const [mode, setMode] = useState(IMPORT_CONFIG.DEFAULT_MODE);
+	const inputRef = useRef(null);
+
+	/**
+	 * Reads and parses a file, guessing the column mapping
+	 * @param {File} selectedFile - File to read
+	 */
+	const readFile = async (selectedFile) => {
+		setError(null);
+		try {
+			const result = parseImportFile(selectedFile.name, await selectedFile.text());
+			setParsed(result);
+			setMapping(guessColumnMapping(result.columns));
+		} catch (readError) {
+			setParsed(null);
+			setError(readError);
+		}
+	};
+
+	useEffect(() => {
+		if (file) readFile(file);
+	}, [file]);
+
+	const result = useMemo(
+		() => (parsed ? mapImportRecords(parsed.records, mapping) : null),
+		[parsed, mapping]
+	);
+
+	if (!isOpen) return null;
+
+	const reset = () => {
+		setParsed(null);
+		setError(null);
+		if (inputRef.current) inputRef.current.value = "";
+	};
+
+	const close = () => {
+		reset();
+		onClose();
+	};
+
+	const previewVisitors = result
+		? result.visitors.slice(0, IMPORT_CONFIG.PREVIEW_ROWS)
+		: [];
+
+	/**
+	 * Gets the localized label of a schema field
+	 * @param {Object} field - Field from VISITOR_IMPORT_FIELDS
+	 * @returns {string} Label
+	 */
+	const getFieldLabel = (field) =>
+		t(`import.field.${field.key}`, { defaultValue: field.label });
+
+	const confirm = () => {
+		onImport({ fileName: parsed.fileName, visitors: result.visitors, mode });
+		close();
+	};
+
+	return (
+		<div className="import-backdrop" onClick={close}>
+			<div
+				className="import-dialog"
+				role="dialog"
+				aria-modal="true"
+				aria-label={t("import.title")}
+				onClick={(e) => e.stopPropagation()}
+				onKeyDown={(e) => {
+					if (e.key !== "Escape") return;
+					e.stopPropagation();
+					close();
+				}}
+			>
+				<div className="import-header">
+					<h3>
+						{parsed
+							? t("import.titleFile", { fileName: parsed.fileName })
+							: t("import.title")}
+					</h3>
+					<button
+						className="import-close-btn"
+						onClick={close}
+						aria-label={t("import.close")}
+						title={t("import.close")}
+						type="button"
+					>
+						<FaTimes aria-hidden="true" />
+					</button>
+				</div>
+
+				{!parsed ? (
+					<>
+						<div className="import-dropzone">
+							<FaFileUpload className="import-dropzone-icon" aria-hidden="true" />
+							<p>{t("import.dropHint")}</p>
+							<button
+								className="import-primary-btn"
+								onClick={() => inputRef.current?.click()}
+								type="button"
+							>
+								{t("import.choose")}
+							</button>
+							<input
+								ref={inputRef}
+								className="import-file-input"
+								type="file"
+								accept={IMPORT_CONFIG.ACCEPT}
+								onChange={(e) => e.target.files[0] && readFile(e.target.files[0])}
+								tabIndex={-1}
+								aria-hidden="true"
+							/>
+						</div>
+
+						{error && (
+							<p className="import-error" role="alert">
+								{t("import.readError", { message: error.message })}
+							</p>
+						)}
+
+						{currentImport && (
+							<div className="import-current">
+								<span>
+									{t(
+										currentImport.mode === IMPORT_MODES.REPLACE
+											? "import.currentReplace"
+											: "import.currentMerge",
+										{
+											count: currentImport.count,
+											fileName: currentImport.fileName,
+										}
+									)}
+								</span>
+								<button
+									className="import-secondary-btn"
+									onClick={onRemoveImport}
+									type="button"
+								>
+									{t("import.remove")}
+								</button>
+							</div>
+						)}
+					</>
+				) : (
+					<>
+						<p className="import-summary">
+							{t("import.rows", { count: parsed.records.length })} ·{" "}
+							{t("import.columns", { count: parsed.columns.length })}
+							{parsed.commentLines > 0 &&
+								` · ${t("import.commentLines", { count: parsed.commentLines })}`}
+						</p>
+
+						<div className="import-mapping">
+							{VISITOR_IMPORT_FIELDS.map((field) => (
+								<label key={field.key} className="import-mapping-row">
+									<span>
+										{getFieldLabel(field)}
+										{field.required && (
+											<span
+												className="import-required"
+												aria-label={t("import.required")}
+											>
+												*
+											</span>
+										)}
+									</span>
+									<select
+										className="import-select"
+										value={mapping[field.key] || ""}
+										onChange={(e) =>
+											setMapping((prev) => ({
+												...prev,
+												[field.key]: e.target.value,
+											}))
+										}
+									>
+										<option value="">—</option>
+										{parsed.columns.map((column) => (
+											<option key={column} value={column}>
+												{column}
+											</option>
+										))}
+									</select>
+								</label>
+							))}
+						</div>
+
+						<div className="import-preview">
+							<table>
+								<thead>
+									<tr>
+										{PREVIEW_FIELD_DEFINITIONS.map((field) => (
+											<th key={field.key}>{getFieldLabel(field)}</th>
+										))}
+									</tr>
+								</thead>
+								<tbody>
+									{previewVisitors.map((visitor, index) => (
+										<tr key={index}>
+											{PREVIEW_FIELDS.map((key) => (
+												<td key={key}>{String(getPath(visitor, key) ?? "")}</td>
+											))}
+										</tr>
+									))}
+								</tbody>
+							</table>
+						</div>
+
+						<p className="import-summary" aria-live="polite">
+							{t("import.ready", { count: result.visitors.length })}
+							{result.skipped > 0 &&
+								` · ${t("import.skipped", { count: result.skipped })}`}
+						</p>
+
+						<div
+							className="import-modes"
+							role="radiogroup"
+							aria-label={t("import.mode")}
+						>
+							<label className="import-radio">
+								<input
+									type="radio"
+									name="import-mode"
+									checked={mode === IMPORT_MODES.MERGE}
+									onChange={() => setMode(IMPORT_MODES.MERGE)}
+								/>
+								{t("import.merge")}
+							</label>
+							<label className="import-radio">
+								<input
+									type="radio"
+									name="import-mode"
+									checked={mode === IMPORT_MODES.REPLACE}
+									onChange={() => setMode(IMPORT_MODES.REPLACE)}
+								/>
+								{t("import.replace")}
+							</label>
+						</div>
+
+						<div className="import-actions">
+							<button className="import-secondary-btn" onClick={reset} type="button">
+								{t("import.chooseAnother")}
+							</button>
+							<button
+								className="import-primary-btn"
+								onClick={confirm}
+								disabled={result.visitors.length === 0}
+								type="button"
+							>
+								{t("import.confirm", { count: result.visitors.length })}
+							</button>
+						</div>
+					</>
+				)}
+			</div>
+		</div>
+	);
+};
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Language picker for the interface locale
+ * @module components/LanguageSwitcher
+ */
+
+import React from "react";
+import { FaLanguage } from "react-icons/fa";
+import { I18N_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./LanguageSwitcher.css";
+
+/**
+ * LanguageSwitcher component
+ * Each language is listed under its own name so it can be found from any locale.
+ * @param {Object} props - Component props
+ * @param {string} props.locale - Current locale code
+ * @param {Function} props.onLocaleChange - Callback with the picked locale code
+ * @returns {JSX.Element} LanguageSwitcher component
+ */
+export const LanguageSwitcher = ({ locale, onLocaleChange }) => {
+	const { t } = useI18n();
+
+	return (
+		<label className="language-switcher" title={t("language.label")}>
+			<FaLanguage className="language-switcher-icon" aria-hidden="true" />
+			<select
+				className="language-switcher-select"
+				value={locale}
+				onChange={(e) => onLocaleChange(e.target.value)}
+				aria-label={t("language.label")}
+			>
+				{I18N_CONFIG.LOCALES.map((item) => (
+					<option key={item.code} value={item.code} lang={item.code}>
+						{item.label}
+					</option>
+				))}
+			</select>
+		</label>
+	);
+};
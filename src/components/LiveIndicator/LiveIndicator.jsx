@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Live stream connection indicator
+ * @module components/LiveIndicator
+ */
+
+import React from "react";
+import { STREAM_STATUS } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./LiveIndicator.css";
+
+/** Message keys of the stream statuses */
+const STATUS_KEYS = {
+	[STREAM_STATUS.OPEN]: "live.open",
+	[STREAM_STATUS.CONNECTING]: "live.connecting",
+	[STREAM_STATUS.CLOSED]: "live.closed",
+};
+
+/**
+ * LiveIndicator component showing the live stream connection status
+ * @param {Object} props - Component props
+ * @param {string} props.status - Stream connection status (see STREAM_STATUS)
+ * @param {string} props.label - Stream URL or description
+ * @returns {JSX.Element} LiveIndicator component
+ */
+export const LiveIndicator = ({ status, label }) => {
+	const { t } = useI18n();
+
+	return (
+		<div
+			className={`live-indicator ${status}`}
+			role="status"
+			aria-live="polite"
+			title={label}
+		>
+			<span className="live-dot" aria-hidden="true" />
+			{t(STATUS_KEYS[status])}
+		</div>
+	);
+};
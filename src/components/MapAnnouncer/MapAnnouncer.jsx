@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Screen reader announcements of visitor counts and the camera
+ * @module components/MapAnnouncer
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { ANNOUNCER_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./MapAnnouncer.css";
+
+const ONE_DECIMAL = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+/**
+ * Formats a coordinate with its hemisphere
+ * @param {import("../../utils/i18n").I18n} i18n - Localization helpers
+ * @param {number} value - Latitude or longitude
+ * @param {string} positive - Message key of the hemisphere for positive values
+ * @param {string} negative - Message key of the hemisphere for negative values
+ * @returns {string} Coordinate such as "35.7° N"
+ */
+const formatCoordinate = ({ t, formatNumber }, value, positive, negative) =>
+	t(value < 0 ? negative : positive, {
+		value: formatNumber(Math.abs(value), ONE_DECIMAL),
+	});
+
+/**
+ * Describes how many visitors are shown
+ * @param {import("../../utils/i18n").I18n} i18n - Localization helpers
+ * @param {number} visibleCount - Visitors shown on the map
+ * @param {number} totalCount - Visitors loaded
+ * @returns {string} Announcement
+ */
+const describeCount = ({ t }, visibleCount, totalCount) =>
+	visibleCount === totalCount
+		? t("announcer.showingAll", { count: totalCount })
+		: t("announcer.showing", { visible: visibleCount, count: totalCount });
+
+/**
+ * Describes where the camera is
+ * @param {import("../../utils/i18n").I18n} i18n - Localization helpers
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} zoom - Zoom level
+ * @returns {string} Announcement
+ */
+const describeCamera = (i18n, latitude, longitude, zoom) =>
+	i18n.t("announcer.camera", {
+		latitude: formatCoordinate(i18n, latitude, "announcer.north", "announcer.south"),
+		longitude: formatCoordinate(i18n, longitude, "announcer.east", "announcer.west"),
+		zoom: i18n.formatNumber(zoom, ONE_DECIMAL),
+	});
+
+/**
+ * MapAnnouncer component
+ * A visually hidden live region announcing the number of visitors shown
+ * when the search, filters or time window change, and the camera position
+ * after the map stops moving. Each announcement waits for its value to
+ * settle, and the camera is not announced on load.
+ * @param {Object} props - Component props
+ * @param {number} props.visibleCount - Visitors shown on the map
+ * @param {number} props.totalCount - Visitors loaded
+ * @param {number} props.latitude - Camera center latitude
+ * @param {number} props.longitude - Camera center longitude
+ * @param {number} props.zoom - Camera zoom level
+ * @returns {JSX.Element} MapAnnouncer component
+ */
+export const MapAnnouncer = ({
+	visibleCount,
+	totalCount,
+	latitude,
+	longitude,
+	zoom,
+}) => {
+	const i18n = useI18n();
+	const [message, setMessage] = useState("");
+	const isInitialCameraRef = useRef(true);
+	// Read at announcement time so a language switch doesn't re-announce
+	const i18nRef = useRef(i18n);
+	i18nRef.current = i18n;
+
+	useEffect(() => {
+		if (!totalCount) return undefined;
+		const timer = setTimeout(
+			() => setMessage(describeCount(i18nRef.current, visibleCount, totalCount)),
+			ANNOUNCER_CONFIG.SETTLE_DELAY
+		);
+		return () => clearTimeout(timer);
+	}, [visibleCount, totalCount]);
+
+	useEffect(() => {
+		if (isInitialCameraRef.current) {
+			isInitialCameraRef.current = false;
+			return undefined;
+		}
+		const timer = setTimeout(
+			() => setMessage(describeCamera(i18nRef.current, latitude, longitude, zoom)),
+			ANNOUNCER_CONFIG.SETTLE_DELAY
+		);
+		return () => clearTimeout(timer);
+	}, [latitude, longitude, zoom]);
+
+	return (
+		<div
+			className="map-announcer"
+			role="status"
+			aria-live="polite"
+			aria-atomic="true"
+		>
+			{message}
+		</div>
+	);
+};
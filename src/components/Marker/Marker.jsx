@@ -5,23 +5,52 @@
 
 import React from "react";
 import { Marker as MapboxMarker } from "react-map-gl";
+import { getLocation } from "../../utils/visitorSort";
+import { getVisitorCountry } from "../../utils/i18n";
+import { useI18n } from "../../hooks/useI18n";
 import "./Marker.css";
 
 /**
  * Marker component for displaying a visitor on the map
+ * Enter or Space opens the visitor's popup, like a click.
  * @param {Object} props - Component props
  * @param {Object} props.visitor - Visitor object with location and profile data
  * @param {boolean} props.isSelected - Whether this marker is currently selected
+ * @param {boolean} [props.isHighlighted=false] - Whether the visitor is hovered in the visitor list
+ * @param {string} [props.ringColor] - Avatar ring color from the color-by scheme
  * @param {Function} props.onClick - Callback when marker is clicked
+ * @param {string} [props.transition] - Live stream transition ('enter' or 'leave')
  * @returns {JSX.Element} Marker component
  */
-export const Marker = ({ visitor, isSelected, onClick }) => {
+export const Marker = ({
+	visitor,
+	isSelected,
+	isHighlighted = false,
+	ringColor,
+	onClick,
+	transition,
+}) => {
+	const i18n = useI18n();
+	const { t } = i18n;
+
 	const handleClick = (e) => {
 		e.originalEvent.stopPropagation();
 		onClick(visitor);
 	};
 
+	const handleKeyDown = (e) => {
+		if (e.key !== "Enter" && e.key !== " ") return;
+		e.preventDefault();
+		onClick(visitor);
+	};
+
 	const fullName = `${visitor.firstName || ""} ${visitor.lastName || ""}`.trim();
+	const label = [
+		fullName || t("visitor.fallback"),
+		getLocation(visitor, getVisitorCountry(visitor, i18n)),
+	]
+		.filter(Boolean)
+		.join(", ");
 
 	return (
 		<MapboxMarker
@@ -29,18 +58,29 @@ export const Marker = ({ visitor, isSelected, onClick }) => {
 			latitude={visitor.latitude}
 			anchor="bottom"
 			onClick={handleClick}
+			style={isHighlighted ? { zIndex: 1 } : undefined}
 		>
 			<div
-				className={`marker-container ${isSelected ? "selected" : ""}`}
+				className={`marker-container ${isSelected ? "selected" : ""} ${
+					isHighlighted ? "highlighted" : ""
+				} ${
+					transition ? `marker-${transition}` : ""
+				}`}
 				role="button"
 				tabIndex={0}
-				aria-label={fullName || "Visitor"}
+				aria-label={label}
+				aria-haspopup="dialog"
+				aria-expanded={isSelected}
+				onKeyDown={handleKeyDown}
+				data-map-focusable=""
+				data-visitor-id={visitor.visitorId}
+				style={ringColor ? { "--marker-ring": ringColor } : undefined}
 			>
 				<div className="marker-avatar">
 					{visitor.profileImage ? (
 						<img
 							src={visitor.profileImage}
-							alt={fullName || "Visitor"}
+							alt={fullName || t("visitor.fallback")}
 							className="avatar-image"
 						/>
 					) : (
@@ -50,7 +90,11 @@ export const Marker = ({ visitor, isSelected, onClick }) => {
 					)}
 				</div>
 				{visitor.isCustomer && (
-					<div className="customer-badge" title="Customer" aria-label="Customer">
+					<div
+						className="customer-badge"
+						title={t("visitor.customer")}
+						aria-label={t("visitor.customer")}
+					>
 						✓
 					</div>
 				)}
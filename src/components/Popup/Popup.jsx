@@ -3,35 +3,98 @@
  * @module components/Popup
  */
 
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { Popup as MapboxPopup } from "react-map-gl";
 import { FaMapMarkerAlt } from "react-icons/fa";
-import {
-	getConversionScoreColor,
-	getConversionScoreBackgroundColor,
-} from "../../utils/conversionScore";
+import { getVisitorCountry } from "../../utils/i18n";
 import { POPUP_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import { DEFAULT_POPUP_FIELDS, DEFAULT_POPUP_ACTIONS, hasFieldValue } from "./popupSchema";
 import "./Popup.css";
 
+/**
+ * Checks if a key event comes from a text field, where Escape has its own meaning
+ * @param {KeyboardEvent} e - Key event
+ * @returns {boolean} True if the target is a form field
+ */
+const isFromField = (e) => Boolean(e.target.closest?.("input, textarea, select"));
+
 /**
  * Popup component for displaying visitor details
+ * The detail rows and action buttons come from a schema (see popupSchema).
+ * Escape closes the popup unless a text field or another panel handles it.
  * @param {Object} props - Component props
  * @param {Object} props.visitor - Visitor object to display
  * @param {Function} props.onClose - Callback when popup should close
+ * @param {boolean} [props.autoFocus=false] - Whether to move focus into the popup when it opens
+ * @param {Array<import("./popupSchema").PopupField>} [props.fields] - Detail rows
+ * @param {Array<import("./popupSchema").PopupAction>} [props.actions] - Action buttons
+ * @param {Function} [props.onFilterChange] - Sets a filter, for actions: `(key, value)`
  * @returns {JSX.Element|null} Popup component or null if no visitor
  */
-export const Popup = ({ visitor, onClose }) => {
+export const Popup = ({
+	visitor,
+	onClose,
+	autoFocus = false,
+	fields = DEFAULT_POPUP_FIELDS,
+	actions = DEFAULT_POPUP_ACTIONS,
+	onFilterChange,
+}) => {
+	const i18n = useI18n();
+	const { t } = i18n;
+	const closeButtonRef = useRef(null);
+	const [feedback, setFeedback] = useState("");
+	const visitorId = visitor?.visitorId;
+
+	useEffect(() => {
+		if (!visitor) return undefined;
+		const handleKeyDown = (e) => {
+			if (e.key !== "Escape" || e.defaultPrevented || isFromField(e)) return;
+			onClose();
+		};
+		window.addEventListener("keydown", handleKeyDown);
+		return () => window.removeEventListener("keydown", handleKeyDown);
+	}, [visitor, onClose]);
+
+	useEffect(() => {
+		if (visitorId !== undefined && autoFocus) {
+			closeButtonRef.current?.focus({ preventScroll: true });
+		}
+	}, [visitorId, autoFocus]);
+
+	// Messages belong to the visitor whose action produced them
+	useEffect(() => {
+		setFeedback("");
+	}, [visitorId]);
+
 	if (!visitor) return null;
 
-	const conversionScore = visitor.conversionLikelihood?.score;
-	const scoreColor = conversionScore
-		? getConversionScoreColor(conversionScore)
-		: null;
-	const scoreBgColor = conversionScore
-		? getConversionScoreBackgroundColor(conversionScore)
-		: null;
+	const actionContext = { i18n, onFilterChange };
+	const rows = fields
+		.map((field) => ({ field, value: field.accessor(visitor) }))
+		.filter(({ field, value }) =>
+			field.isVisible ? field.isVisible(value, visitor) : hasFieldValue(value)
+		);
+	const visibleActions = actions.filter(
+		(action) => !action.isVisible || action.isVisible(visitor, actionContext)
+	);
+
+	/**
+	 * Runs an action, announcing the message it returns or its failure
+	 * @param {import("./popupSchema").PopupAction} action - Action to run
+	 */
+	const runAction = async (action) => {
+		setFeedback("");
+		try {
+			const message = await action.run(visitor, actionContext);
+			if (typeof message === "string") setFeedback(message);
+		} catch (error) {
+			setFeedback(t("popup.actionFailed"));
+		}
+	};
 
 	const fullName = `${visitor.firstName || ""} ${visitor.lastName || ""}`.trim();
+	const country = getVisitorCountry(visitor, i18n);
 
 	return (
 		<MapboxPopup
@@ -45,11 +108,16 @@ export const Popup = ({ visitor, onClose }) => {
 			maxWidth={POPUP_CONFIG.maxWidth}
 			closeButton={false}
 		>
-			<div className="popup-content">
+			<div
+				className="popup-content"
+				role="dialog"
+				aria-label={t("popup.label", { name: fullName || t("visitor.fallback") })}
+			>
 				<button
+					ref={closeButtonRef}
 					className="popup-close"
 					onClick={onClose}
-					aria-label="Close popup"
+					aria-label={t("popup.close")}
 					type="button"
 				>
 					×
@@ -66,74 +134,65 @@ export const Popup = ({ visitor, onClose }) => {
 					</div>
 					<div className="popup-info">
 						<div className="popup-name-row">
-							<h3>{fullName || "Unknown"}</h3>
+							<h3>{fullName || t("visitor.unknown")}</h3>
 							{visitor.isCustomer && (
-								<span className="customer-tag">Customer</span>
+								<span className="customer-tag">{t("visitor.customer")}</span>
 							)}
 						</div>
 						{visitor.email && (
 							<p className="popup-email">{visitor.email}</p>
 						)}
-						{visitor.city && visitor.country && (
+						{visitor.city && country && (
 							<p className="popup-location">
 								<FaMapMarkerAlt className="location-icon" aria-hidden="true" />
-								{visitor.city}, {visitor.country}
+								{visitor.city}, {country}
 							</p>
 						)}
 					</div>
 				</div>
 
 				<div className="popup-details">
-					{visitor.visitorId && (
-						<div className="detail-row">
-							<span className="detail-label">Visitor ID:</span>
-							<span className="detail-value">{visitor.visitorId}</span>
-						</div>
-					)}
-
-					{visitor.countryCode && (
-						<div className="detail-row">
-							<span className="detail-label">Country Code:</span>
-							<span className="detail-value">{visitor.countryCode}</span>
-						</div>
-					)}
-
-					{visitor.device?.type && (
-						<div className="detail-row">
-							<span className="detail-label">Device:</span>
-							<span className="detail-value">{visitor.device.type}</span>
-						</div>
-					)}
-
-					{visitor.browser?.name && (
-						<div className="detail-row">
-							<span className="detail-label">Browser:</span>
-							<span className="detail-value">{visitor.browser.name}</span>
-						</div>
-					)}
-
-					{visitor.os?.name && (
-						<div className="detail-row">
-							<span className="detail-label">OS:</span>
-							<span className="detail-value">{visitor.os.name}</span>
-						</div>
-					)}
-
-					{conversionScore !== undefined && (
-						<div className="detail-row">
-							<span className="detail-label">Conversion Score:</span>
-							<span
-								className="detail-value conversion-score"
-								style={{
-									backgroundColor: scoreBgColor,
-									color: scoreColor,
-								}}
-							>
-								{conversionScore}/100
+					{rows.map(({ field, value }) => (
+						<div className="detail-row" key={field.key}>
+							<span className="detail-label">
+								{t(`popupField.${field.key}`, { defaultValue: field.label })}
+							</span>
+							<span className="detail-value">
+								{field.render
+									? field.render(value, visitor, i18n)
+									: field.format
+									? field.format(value, visitor, i18n)
+									: String(value)}
 							</span>
 						</div>
-					)}
+					))}
 				</div>
+
+				{visibleActions.length > 0 && (
+					<div
+						className="popup-actions"
+						role="group"
+						aria-label={t("popup.actions")}
+					>
+						{visibleActions.map((action) => {
+							const Icon = action.icon;
+							return (
+								<button
+									key={action.key}
+									className="popup-action-btn"
+									onClick={() => runAction(action)}
+									type="button"
+								>
+									{Icon && <Icon aria-hidden="true" />}
+									{t(`popupAction.${action.key}`, { defaultValue: action.label })}
+								</button>
+							);
+						})}
+					</div>
+				)}
+				<p className="popup-feedback" role="status">
+					{feedback}
+				</p>
 			</div>
 		</MapboxPopup>
 	);
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Declarative schema of the visitor popup's fields and actions
+ * @module components/Popup/popupSchema
+ */
+
+import React from "react";
+import { FaCopy, FaExternalLinkAlt, FaFilter } from "react-icons/fa";
+import {
+	getConversionScoreColor,
+	getConversionScoreBackgroundColor,
+} from "../../utils/conversionScore";
+import { POPUP_CONFIG } from "../../constants";
+
+/**
+ * A row in the popup's detail list
+ * @typedef {Object} PopupField
+ * @property {string} key - Unique key
+ * @property {string} label - Label shown when the locale has no `popupField.<key>` message
+ * @property {Function} accessor - Returns the visitor's value for this field
+ * @property {Function} [format] - Formats the value as text: `(value, visitor, i18n) => string`
+ * @property {Function} [isVisible] - Whether to show the row: `(value, visitor) => boolean`; defaults to the value being present
+ * @property {Function} [render] - Renders the value instead of `format`: `(value, visitor, i18n) => React node`
+ */
+
+/**
+ * A button in the popup's action bar
+ * @typedef {Object} PopupAction
+ * @property {string} key - Unique key
+ * @property {string} label - Label shown when the locale has no `popupAction.<key>` message
+ * @property {React.ComponentType} icon - Button icon
+ * @property {Function} [isVisible] - Whether to show the button: `(visitor, context) => boolean`
+ * @property {Function} run - Runs the action: `(visitor, context)`; may return (a promise of) a message to announce
+ */
+
+/**
+ * Context passed to popup actions
+ * @typedef {Object} PopupActionContext
+ * @property {import("../../utils/i18n").I18n} i18n - Localization helpers
+ * @property {Function} [onFilterChange] - Sets a filter: `(key, value)`
+ */
+
+/**
+ * Checks whether a field value is worth a row
+ * @param {*} value - Field value
+ * @returns {boolean} True unless the value is missing or empty
+ */
+export const hasFieldValue = (value) =>
+	value !== undefined && value !== null && value !== "";
+
+/**
+ * Resolves a visitor's page URL to an absolute http(s) URL
+ * Relative paths need POPUP_CONFIG.siteUrl. Other schemes (javascript:,
+ * data:…) are rejected since the URL comes from visitor data.
+ * @param {string} url - URL or path
+ * @param {string} [siteUrl] - Base for relative paths
+ * @returns {string|null} Absolute URL, or null if it can't be opened safely
+ */
+export const resolveVisitorUrl = (url, siteUrl = POPUP_CONFIG.siteUrl) => {
+	if (typeof url !== "string" || !url.trim()) return null;
+	try {
+		const resolved = siteUrl ? new URL(url, siteUrl) : new URL(url);
+		return resolved.protocol === "http:" || resolved.protocol === "https:"
+			? resolved.href
+			: null;
+	} catch (error) {
+		return null;
+	}
+};
+
+/**
+ * Renders a conversion score as a colored badge
+ * @param {number} score - Conversion score
+ * @param {Object} visitor - Visitor object
+ * @param {import("../../utils/i18n").I18n} i18n - Localization helpers
+ * @returns {JSX.Element} Score badge
+ */
+const renderScore = (score, visitor, { t, formatNumber }) => (
+	<span
+		className="conversion-score"
+		style={{
+			backgroundColor: score ? getConversionScoreBackgroundColor(score) : null,
+			color: score ? getConversionScoreColor(score) : null,
+		}}
+	>
+		{t("popup.scoreValue", { score: formatNumber(score) })}
+	</span>
+);
+
+/**
+ * Rows of the popup's detail list, in display order
+ * @type {Array<PopupField>}
+ */
+export const DEFAULT_POPUP_FIELDS = [
+	{
+		key: "visitorId",
+		label: "Visitor ID",
+		accessor: (visitor) => visitor.visitorId,
+	},
+	{
+		key: "countryCode",
+		label: "Country Code",
+		accessor: (visitor) => visitor.countryCode,
+	},
+	{
+		key: "device",
+		label: "Device",
+		accessor: (visitor) => visitor.device?.type,
+		format: (value, visitor, { t }) => t(`device.${value}`, { defaultValue: value }),
+	},
+	{
+		key: "browser",
+		label: "Browser",
+		accessor: (visitor) => visitor.browser?.name,
+	},
+	{
+		key: "os",
+		label: "OS",
+		accessor: (visitor) => visitor.os?.name,
+	},
+	{
+		key: "referrer",
+		label: "Referrer",
+		accessor: (visitor) => visitor.referrer,
+	},
+	{
+		key: "currentUrl",
+		label: "Current Page",
+		accessor: (visitor) => visitor.currentUrl,
+	},
+	{
+		key: "score",
+		label: "Conversion Score",
+		accessor: (visitor) => visitor.conversionLikelihood?.score,
+		render: renderScore,
+	},
+];
+
+/**
+ * Buttons of the popup's action bar, in display order
+ * @type {Array<PopupAction>}
+ */
+export const DEFAULT_POPUP_ACTIONS = [
+	{
+		key: "copyEmail",
+		label: "Copy email",
+		icon: FaCopy,
+		isVisible: (visitor) => !!visitor.email && !!navigator.clipboard,
+		run: async (visitor, { i18n }) => {
+			await navigator.clipboard.writeText(visitor.email);
+			return i18n.t("popupAction.copyEmail.done", { defaultValue: "Email copied" });
+		},
+	},
+	{
+		key: "openUrl",
+		label: "Open current page",
+		icon: FaExternalLinkAlt,
+		isVisible: (visitor) => resolveVisitorUrl(visitor.currentUrl) !== null,
+		run: (visitor) => {
+			window.open(resolveVisitorUrl(visitor.currentUrl), "_blank", "noopener,noreferrer");
+		},
+	},
+	{
+		key: "filterCountry",
+		label: "Filter to country",
+		icon: FaFilter,
+		isVisible: (visitor, { onFilterChange }) => !!visitor.countryCode && !!onFilterChange,
+		run: (visitor, { onFilterChange }) => {
+			onFilterChange("countryCode", [visitor.countryCode]);
+		},
+	},
+];
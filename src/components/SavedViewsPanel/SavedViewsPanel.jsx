@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Panel for saving, restoring and sharing named views
+ * @module components/SavedViewsPanel
+ */
+
+import React, { useRef, useState } from "react";
+import {
+	FaTimes,
+	FaBookmark,
+	FaPen,
+	FaTrash,
+	FaCheck,
+	FaFileUpload,
+	FaDownload,
+} from "react-icons/fa";
+import { parseSavedViews } from "../../utils/savedViews";
+import { SAVED_VIEWS_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./SavedViewsPanel.css";
+
+/**
+ * SavedViewsPanel component
+ * Saves the current camera, projection, style, search and filters under a
+ * name; clicking a saved view restores it. Views can be renamed and deleted
+ * in place, and the collection exported to or imported from a JSON file.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the panel is open
+ * @param {Function} props.onClose - Callback when the panel should close
+ * @param {Array<import("../../utils/savedViews").SavedView>} props.views - Saved views
+ * @param {Function} props.onSave - Callback with the name to save the current view under
+ * @param {Function} props.onRestore - Callback with the view to restore
+ * @param {Function} props.onRename - Callback with (id, name)
+ * @param {Function} props.onDelete - Callback with the view ID
+ * @param {Function} props.onImport - Callback with the views read from a file; returns {added, replaced}
+ * @param {Function} props.onExport - Callback to download the views
+ * @returns {JSX.Element|null} SavedViewsPanel component or null if not open
+ */
+export const SavedViewsPanel = ({
+	isOpen,
+	onClose,
+	views,
+	onSave,
+	onRestore,
+	onRename,
+	onDelete,
+	onImport,
+	onExport,
+}) => {
+	const { t, formatDate } = useI18n();
+	const [name, setName] = useState("");
+	const [editing, setEditing] = useState(null);
+	const [pendingDeleteId, setPendingDeleteId] = useState(null);
+	const [status, setStatus] = useState(null);
+	const inputRef = useRef(null);
+
+	if (!isOpen) return null;
+
+	const suggestedName = t("savedViews.defaultName", { number: views.length + 1 });
+
+	const handleSave = (e) => {
+		e.preventDefault();
+		onSave(name.trim() || suggestedName);
+		setName("");
+		setStatus({ message: t("savedViews.saved") });
+	};
+
+	const startRename = (view) => {
+		setPendingDeleteId(null);
+		setEditing({ id: view.id, name: view.name });
+	};
+
+	const commitRename = () => {
+		if (editing.name.trim()) onRename(editing.id, editing.name);
+		setEditing(null);
+	};
+
+	const handleRenameKeyDown = (e) => {
+		if (e.key === "Enter") {
+			e.preventDefault();
+			commitRename();
+		} else if (e.key === "Escape") {
+			// Cancel the rename without closing the panel
+			e.stopPropagation();
+			setEditing(null);
+		}
+	};
+
+	const handleDelete = (view) => {
+		if (pendingDeleteId !== view.id) {
+			setPendingDeleteId(view.id);
+			return;
+		}
+		setPendingDeleteId(null);
+		onDelete(view.id);
+	};
+
+	/**
+	 * Reads a saved views file and adds its views
+	 * @param {File} file - Picked file
+	 */
+	const readFile = async (file) => {
+		try {
+			const { added, replaced } = onImport(parseSavedViews(await file.text()));
+			setStatus({ message: t("savedViews.imported", { count: added, replaced }) });
+		} catch (error) {
+			setStatus({
+				message: t("savedViews.importError", { message: error.message }),
+				isError: true,
+			});
+		}
+		if (inputRef.current) inputRef.current.value = "";
+	};
+
+	return (
+		<div className="saved-views-panel" role="dialog" aria-label={t("savedViews.label")}>
+			<div className="saved-views-header">
+				<h3>{t("savedViews.title")}</h3>
+				<button
+					className="saved-views-close-btn"
+					onClick={onClose}
+					aria-label={t("savedViews.close")}
+					title={t("savedViews.close")}
+					type="button"
+				>
+					<FaTimes aria-hidden="true" />
+				</button>
+			</div>
+
+			<form className="saved-views-form" onSubmit={handleSave}>
+				<input
+					className="saved-views-input"
+					value={name}
+					onChange={(e) => setName(e.target.value)}
+					placeholder={suggestedName}
+					maxLength={SAVED_VIEWS_CONFIG.MAX_NAME_LENGTH}
+					aria-label={t("savedViews.nameLabel")}
+				/>
+				<button className="saved-views-save-btn" type="submit">
+					<FaBookmark aria-hidden="true" />
+					{t("savedViews.save")}
+				</button>
+			</form>
+
+			{views.length === 0 ? (
+				<p className="saved-views-note">{t("savedViews.empty")}</p>
+			) : (
+				<ul className="saved-views-list">
+					{views.map((view) => (
+						<li key={view.id} className="saved-views-item">
+							{editing?.id === view.id ? (
+								<input
+									className="saved-views-input"
+									value={editing.name}
+									onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+									onKeyDown={handleRenameKeyDown}
+									onBlur={commitRename}
+									maxLength={SAVED_VIEWS_CONFIG.MAX_NAME_LENGTH}
+									aria-label={t("savedViews.renameLabel", { name: view.name })}
+									autoFocus
+								/>
+							) : (
+								<button
+									className="saved-views-restore-btn"
+									onClick={() => onRestore(view)}
+									title={t("savedViews.restore", { name: view.name })}
+									type="button"
+								>
+									<span className="saved-views-name">{view.name}</span>
+									<span className="saved-views-date">
+										{formatDate(new Date(view.updatedAt), {
+											dateStyle: "medium",
+											timeStyle: "short",
+										})}
+									</span>
+								</button>
+							)}
+							{editing?.id === view.id ? (
+								<button
+									className="saved-views-icon-btn"
+									// Keep the input focused so blur doesn't commit first
+									onMouseDown={(e) => e.preventDefault()}
+									onClick={commitRename}
+									aria-label={t("savedViews.renameDone")}
+									title={t("savedViews.renameDone")}
+									type="button"
+								>
+									<FaCheck aria-hidden="true" />
+								</button>
+							) : (
+								<button
+									className="saved-views-icon-btn"
+									onClick={() => startRename(view)}
+									aria-label={t("savedViews.renameLabel", { name: view.name })}
+									title={t("savedViews.rename")}
+									type="button"
+								>
+									<FaPen aria-hidden="true" />
+								</button>
+							)}
+							<button
+								className={`saved-views-icon-btn danger ${
+									pendingDeleteId === view.id ? "confirm" : ""
+								}`}
+								onClick={() => handleDelete(view)}
+								onBlur={() => setPendingDeleteId(null)}
+								aria-label={
+									pendingDeleteId === view.id
+										? t("savedViews.confirmDelete", { name: view.name })
+										: t("savedViews.deleteLabel", { name: view.name })
+								}
+								title={
+									pendingDeleteId === view.id
+										? t("savedViews.confirmDelete", { name: view.name })
+										: t("savedViews.delete")
+								}
+								type="button"
+							>
+								<FaTrash aria-hidden="true" />
+							</button>
+						</li>
+					))}
+				</ul>
+			)}
+
+			<div className="saved-views-actions">
+				<input
+					ref={inputRef}
+					type="file"
+					accept={SAVED_VIEWS_CONFIG.ACCEPT}
+					className="saved-views-file-input"
+					onChange={(e) => e.target.files[0] && readFile(e.target.files[0])}
+					tabIndex={-1}
+					aria-hidden="true"
+				/>
+				<button
+					className="saved-views-action-btn"
+					onClick={() => inputRef.current?.click()}
+					type="button"
+				>
+					<FaFileUpload aria-hidden="true" />
+					{t("savedViews.import")}
+				</button>
+				<button
+					className="saved-views-action-btn"
+					onClick={onExport}
+					disabled={views.length === 0}
+					type="button"
+				>
+					<FaDownload aria-hidden="true" />
+					{t("savedViews.export")}
+				</button>
+			</div>
+
+			{status && (
+				<p
+					className={`saved-views-note ${status.isError ? "error" : ""}`}
+					role={status.isError ? "alert" : "status"}
+				>
+					{status.message}
+				</p>
+			)}
+		</div>
+	);
+};
@@ -3,41 +3,245 @@
  * @module components/SearchBar
  */
 
-import React from "react";
-import { FaSearch, FaTimes } from "react-icons/fa";
+import React, { useState, useRef, useMemo, useEffect } from "react";
+import { FaSearch, FaTimes, FaExclamationCircle } from "react-icons/fa";
+import { getSearchSuggestions } from "../../utils/visitorFilters";
+import { getLocation } from "../../utils/visitorSort";
+import { getVisitorCountry } from "../../utils/i18n";
+import { useI18n } from "../../hooks/useI18n";
 import "./SearchBar.css";
 
 /**
  * SearchBar component
+ * Supports the field query syntax (e.g. `country:Japan score:>70 -browser:Safari`)
+ * with inline syntax errors and autocomplete of field names and values.
+ * While no autocomplete applies, a keyboard-navigable list of ranked
+ * matching visitors is shown.
  * @param {Object} props - Component props
  * @param {string} props.searchQuery - Current search query value
  * @param {Function} props.onSearchChange - Callback when search query changes
  * @param {Function} props.onClearSearch - Callback when clear button is clicked
+ * @param {Array<Object>} [props.errors] - Query syntax errors ({start, end, message, code, params})
+ * @param {Object<string, Array<string>>} [props.valueOptions] - Autocomplete values keyed by field
+ * @param {Array<{visitor: Object}>} [props.results] - Ranked matching visitors
+ * @param {Function} [props.onResultSelect] - Callback with the visitor picked from the results
  * @returns {JSX.Element} SearchBar component
  */
-export const SearchBar = ({ searchQuery, onSearchChange, onClearSearch }) => {
+export const SearchBar = ({
+	searchQuery,
+	onSearchChange,
+	onClearSearch,
+	errors = [],
+	valueOptions = {},
+	results = [],
+	onResultSelect,
+}) => {
+	const i18n = useI18n();
+	const { t } = i18n;
+	const inputRef = useRef(null);
+	const [cursor, setCursor] = useState(searchQuery.length);
+	const [isFocused, setIsFocused] = useState(false);
+	const [activeIndex, setActiveIndex] = useState(0);
+
+	const suggestions = useMemo(() => {
+		if (!isFocused) return [];
+		return getSearchSuggestions(searchQuery, cursor, valueOptions);
+	}, [isFocused, searchQuery, cursor, valueOptions]);
+
+	const visibleResults = isFocused && !suggestions.length ? results : [];
+	const showSuggestions = suggestions.length > 0;
+	const showResults = visibleResults.length > 0;
+	const optionCount = showSuggestions ? suggestions.length : visibleResults.length;
+
+	useEffect(() => {
+		setActiveIndex(0);
+	}, [suggestions, results]);
+
+	/**
+	 * Tracks the cursor position so suggestions follow the token being edited
+	 */
+	const updateCursor = () => {
+		setCursor(inputRef.current?.selectionStart ?? searchQuery.length);
+	};
+
+	/**
+	 * Replaces the token under the cursor with a suggestion
+	 * @param {Object} suggestion - Suggestion from getSearchSuggestions
+	 */
+	const applySuggestion = (suggestion) => {
+		const nextQuery =
+			searchQuery.slice(0, suggestion.start) +
+			suggestion.replacement +
+			searchQuery.slice(suggestion.end);
+		const nextCursor = suggestion.start + suggestion.replacement.length;
+		onSearchChange(nextQuery);
+		setCursor(nextCursor);
+		requestAnimationFrame(() => {
+			inputRef.current?.setSelectionRange(nextCursor, nextCursor);
+		});
+	};
+
+	/**
+	 * Picks a visitor from the results and closes the dropdown
+	 * @param {Object} visitor - Selected visitor
+	 */
+	const selectResult = (visitor) => {
+		onResultSelect?.(visitor);
+		inputRef.current?.blur();
+	};
+
+	const handleKeyDown = (e) => {
+		if (!optionCount) return;
+
+		if (e.key === "ArrowDown") {
+			e.preventDefault();
+			setActiveIndex((prev) => (prev + 1) % optionCount);
+		} else if (e.key === "ArrowUp") {
+			e.preventDefault();
+			setActiveIndex((prev) => (prev - 1 + optionCount) % optionCount);
+		} else if (e.key === "Enter" || (e.key === "Tab" && showSuggestions)) {
+			e.preventDefault();
+			if (showSuggestions) {
+				applySuggestion(suggestions[activeIndex]);
+			} else {
+				selectResult(visibleResults[activeIndex].visitor);
+			}
+		} else if (e.key === "Escape") {
+			setIsFocused(false);
+		}
+	};
+
 	return (
-		<div className="search-container">
-			<FaSearch className="search-icon" aria-hidden="true" />
-			<input
-				type="text"
-				className="search-input"
-				placeholder="Search by name, email, or location..."
-				value={searchQuery}
-				onChange={(e) => onSearchChange(e.target.value)}
-				aria-label="Search visitors"
-			/>
-			{searchQuery && (
-				<button
-					className="clear-search-btn"
-					onClick={onClearSearch}
-					aria-label="Clear search"
-					type="button"
+		<div className="search-wrapper">
+			<div className={`search-container ${errors.length ? "has-error" : ""}`}>
+				<FaSearch className="search-icon" aria-hidden="true" />
+				<input
+					ref={inputRef}
+					type="text"
+					className="search-input"
+					placeholder={t("search.placeholder")}
+					value={searchQuery}
+					onChange={(e) => {
+						onSearchChange(e.target.value);
+						setCursor(e.target.selectionStart);
+						// Reopen the dropdown after it was dismissed with Escape
+						setIsFocused(true);
+					}}
+					onKeyDown={handleKeyDown}
+					onKeyUp={updateCursor}
+					onClick={updateCursor}
+					onFocus={() => setIsFocused(true)}
+					onBlur={() => setIsFocused(false)}
+					aria-label={t("search.label")}
+					aria-invalid={errors.length > 0}
+					aria-describedby={errors.length ? "search-errors" : undefined}
+					aria-autocomplete="list"
+					aria-expanded={showSuggestions || showResults}
+					aria-controls={showResults ? "search-results" : "search-suggestions"}
+					aria-activedescendant={
+						optionCount ? `search-option-${activeIndex}` : undefined
+					}
+					role="combobox"
+					spellCheck={false}
+					autoComplete="off"
+				/>
+				{searchQuery && (
+					<button
+						className="clear-search-btn"
+						onClick={onClearSearch}
+						aria-label={t("search.clear")}
+						type="button"
+					>
+						<FaTimes aria-hidden="true" />
+					</button>
+				)}
+			</div>
+
+			{showSuggestions && (
+				<ul
+					id="search-suggestions"
+					className="search-suggestions"
+					role="listbox"
+					aria-label={t("search.suggestions")}
+				>
+					{suggestions.map((suggestion, index) => (
+						<li
+							key={suggestion.replacement}
+							id={`search-option-${index}`}
+							className={`search-suggestion ${
+								index === activeIndex ? "active" : ""
+							}`}
+							role="option"
+							aria-selected={index === activeIndex}
+							// Prevent the input from blurring before the click lands
+							onMouseDown={(e) => e.preventDefault()}
+							onClick={() => applySuggestion(suggestion)}
+						>
+							{suggestion.label}
+						</li>
+					))}
+				</ul>
+			)}
+
+			{showResults && (
+				<ul
+					id="search-results"
+					className="search-suggestions search-results"
+					role="listbox"
+					aria-label={t("search.results")}
 				>
-					<FaTimes aria-hidden="true" />
-				</button>
+					{visibleResults.map(({ visitor }, index) => {
+						const fullName =
+							`${visitor.firstName || ""} ${visitor.lastName || ""}`.trim();
+						return (
+							<li
+								key={visitor.visitorId}
+								id={`search-option-${index}`}
+								className={`search-suggestion search-result ${
+									index === activeIndex ? "active" : ""
+								}`}
+								role="option"
+								aria-selected={index === activeIndex}
+								onMouseDown={(e) => e.preventDefault()}
+								onMouseEnter={() => setActiveIndex(index)}
+								onClick={() => selectResult(visitor)}
+							>
+								<span className="search-result-avatar" aria-hidden="true">
+									{visitor.profileImage ? (
+										<img src={visitor.profileImage} alt="" />
+									) : (
+										visitor.firstName?.[0] || "?"
+									)}
+								</span>
+								<span className="search-result-text">
+									<span className="search-result-name">
+										{fullName || t("visitor.unknown")}
+									</span>
+									<span className="search-result-detail">
+										{getLocation(visitor, getVisitorCountry(visitor, i18n)) ||
+											visitor.email}
+									</span>
+								</span>
+							</li>
+						);
+					})}
+				</ul>
+			)}
+
+			{errors.length > 0 && !showSuggestions && !showResults && (
+				<div id="search-errors" className="search-errors" role="alert">
+					{errors.map((error) => (
+						<p key={`${error.start}-${error.message}`} className="search-error">
+							<FaExclamationCircle aria-hidden="true" />
+							<code>{searchQuery.slice(error.start, error.end)}</code>
+							{t(`search.error.${error.code}`, {
+								...error.params,
+								defaultValue: error.message,
+							})}
+						</p>
+					))}
+				</div>
 			)}
 		</div>
 	);
 };
-
@@ -3,9 +3,16 @@
  * @module components/SearchFilterBar
  */
 
-import React from "react";
-import { FaFilter } from "react-icons/fa";
+import React, { useEffect, useRef } from "react";
+import {
+	FaFilter,
+	FaDownload,
+	FaFileUpload,
+	FaChartBar,
+	FaBookmark,
+} from "react-icons/fa";
 import { SearchBar } from "../SearchBar/SearchBar";
+import { useI18n } from "../../hooks/useI18n";
 import "./SearchFilterBar.css";
 
 /**
@@ -15,8 +22,20 @@ import "./SearchFilterBar.css";
  * @param {Function} props.onSearchChange - Callback when search changes
  * @param {Function} props.onClearSearch - Callback when search is cleared
  * @param {boolean} props.showFilters - Whether filter panel should be shown
- * @param {Function} props.onToggleFilters - Callback to toggle filter panel
+ * @param {Function} [props.onToggleFilters] - Callback to toggle filter panel, the button is hidden without it
  * @param {boolean} props.hasActiveFilters - Whether any filters are active
+ * @param {boolean} props.showExport - Whether the export panel is shown
+ * @param {Function} [props.onToggleExport] - Callback to toggle the export panel, the button is hidden without it
+ * @param {boolean} props.showAnalytics - Whether the analytics drawer is shown
+ * @param {Function} [props.onToggleAnalytics] - Callback to toggle the analytics drawer, the button is hidden without it
+ * @param {boolean} props.hasImport - Whether imported visitors are loaded
+ * @param {Function} [props.onImportClick] - Callback to open the import dialog, the button is hidden without it
+ * @param {boolean} props.showSavedViews - Whether the saved views panel is shown
+ * @param {Function} [props.onToggleSavedViews] - Callback to toggle the saved views panel, the button is hidden without it
+ * @param {Array<Object>} [props.searchErrors] - Search query syntax errors
+ * @param {Object<string, Array<string>>} [props.searchValueOptions] - Search autocomplete values
+ * @param {Array<Object>} [props.searchResults] - Ranked matching visitors
+ * @param {Function} [props.onResultSelect] - Callback when a search result is picked
  * @returns {JSX.Element} SearchFilterBar component
  */
 export const SearchFilterBar = ({
@@ -26,26 +45,106 @@ export const SearchFilterBar = ({
 	showFilters,
 	onToggleFilters,
 	hasActiveFilters,
+	showExport,
+	onToggleExport,
+	showAnalytics,
+	onToggleAnalytics,
+	hasImport,
+	onImportClick,
+	showSavedViews,
+	onToggleSavedViews,
+	searchErrors,
+	searchValueOptions,
+	searchResults,
+	onResultSelect,
 }) => {
+	const { t } = useI18n();
+	const filterButtonRef = useRef(null);
+	const wasFilterPanelOpenRef = useRef(showFilters);
+
+	// When the filter panel closes with focus inside it (e.g. via Escape),
+	// focus is lost to the page; hand it back to the toggle
+	useEffect(() => {
+		const wasOpen = wasFilterPanelOpenRef.current;
+		wasFilterPanelOpenRef.current = showFilters;
+		if (wasOpen && !showFilters && document.activeElement === document.body) {
+			filterButtonRef.current?.focus();
+		}
+	}, [showFilters]);
+
 	return (
 		<div className="search-filter-bar">
 			<SearchBar
 				searchQuery={searchQuery}
 				onSearchChange={onSearchChange}
 				onClearSearch={onClearSearch}
+				errors={searchErrors}
+				valueOptions={searchValueOptions}
+				results={searchResults}
+				onResultSelect={onResultSelect}
 			/>
-			<button
-				className={`filter-toggle-btn ${showFilters ? "active" : ""}`}
-				onClick={onToggleFilters}
-				title="Toggle filters"
-				aria-label="Toggle filter panel"
-				type="button"
-			>
-				<FaFilter aria-hidden="true" />
-				{hasActiveFilters && (
-					<span className="filter-badge" aria-label="Active filters" />
-				)}
-			</button>
+			{onToggleFilters && (
+				<button
+					ref={filterButtonRef}
+					className={`filter-toggle-btn ${showFilters ? "active" : ""}`}
+					onClick={onToggleFilters}
+					title={t("toolbar.filters")}
+					aria-label={t("toolbar.filtersLabel")}
+					aria-expanded={showFilters}
+					type="button"
+				>
+					<FaFilter aria-hidden="true" />
+					{hasActiveFilters && (
+						<span className="filter-badge" aria-label={t("toolbar.activeFilters")} />
+					)}
+				</button>
+			)}
+			{onToggleExport && (
+				<button
+					className={`filter-toggle-btn ${showExport ? "active" : ""}`}
+					onClick={onToggleExport}
+					title={t("toolbar.export")}
+					aria-label={t("toolbar.exportLabel")}
+					type="button"
+				>
+					<FaDownload aria-hidden="true" />
+				</button>
+			)}
+			{onToggleAnalytics && (
+				<button
+					className={`filter-toggle-btn ${showAnalytics ? "active" : ""}`}
+					onClick={onToggleAnalytics}
+					title={t("toolbar.analytics")}
+					aria-label={t("toolbar.analyticsLabel")}
+					type="button"
+				>
+					<FaChartBar aria-hidden="true" />
+				</button>
+			)}
+			{onImportClick && (
+				<button
+					className={`filter-toggle-btn ${hasImport ? "active" : ""}`}
+					onClick={onImportClick}
+					title={t("toolbar.import")}
+					aria-label={t("toolbar.importLabel")}
+					aria-haspopup="dialog"
+					type="button"
+				>
+					<FaFileUpload aria-hidden="true" />
+				</button>
+			)}
+			{onToggleSavedViews && (
+				<button
+					className={`filter-toggle-btn ${showSavedViews ? "active" : ""}`}
+					onClick={onToggleSavedViews}
+					title={t("toolbar.savedViews")}
+					aria-label={t("toolbar.savedViewsLabel")}
+					aria-expanded={showSavedViews}
+					type="button"
+				>
+					<FaBookmark aria-hidden="true" />
+				</button>
+			)}
 		</div>
 	);
 };
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Status bar for the map selection tools
+ * @module components/SelectionBar
+ */
+
+import React from "react";
+import { FaList, FaDownload, FaTimes } from "react-icons/fa";
+import { SELECTION_TOOLS } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./SelectionBar.css";
+
+/** Message keys of the drawing hints */
+const TOOL_HINTS = {
+	[SELECTION_TOOLS.RECTANGLE]: "selection.rectangleHint",
+	[SELECTION_TOOLS.LASSO]: "selection.lassoHint",
+	[SELECTION_TOOLS.POLYGON]: "selection.polygonHint",
+};
+
+/**
+ * SelectionBar component
+ * Shows a drawing hint while a tool is active, otherwise the size of the
+ * current selection with actions to list, export or clear it.
+ * @param {Object} props - Component props
+ * @param {string|null} props.tool - Active tool (see SELECTION_TOOLS), or null
+ * @param {number|null} props.count - Number of selected visitors, or null without a selection
+ * @param {Function} props.onShowList - Callback to list the selected visitors
+ * @param {Function} props.onExport - Callback to export the selected visitors
+ * @param {Function} props.onClear - Callback to clear the selection
+ * @param {Function} props.onCancel - Callback to cancel drawing
+ * @returns {JSX.Element} SelectionBar component
+ */
+export const SelectionBar = ({
+	tool,
+	count,
+	onShowList,
+	onExport,
+	onClear,
+	onCancel,
+}) => {
+	const { t, formatNumber } = useI18n();
+
+	if (tool) {
+		return (
+			<div className="selection-bar" role="status">
+				<span className="selection-bar-text">{t(TOOL_HINTS[tool])}</span>
+				<button className="selection-bar-btn" onClick={onCancel} type="button">
+					{t("selection.cancel")}
+				</button>
+			</div>
+		);
+	}
+
+	return (
+		<div className="selection-bar" role="status" aria-live="polite">
+			<span className="selection-bar-text">
+				<strong>{formatNumber(count)}</strong>{" "}
+				{t("selection.selected", { count })}
+			</span>
+			<button
+				className="selection-bar-btn"
+				onClick={onShowList}
+				disabled={count === 0}
+				type="button"
+			>
+				<FaList aria-hidden="true" />
+				{t("selection.list")}
+			</button>
+			<button
+				className="selection-bar-btn"
+				onClick={onExport}
+				disabled={count === 0}
+				type="button"
+			>
+				<FaDownload aria-hidden="true" />
+				{t("selection.export")}
+			</button>
+			<button
+				className="selection-bar-btn icon"
+				onClick={onClear}
+				aria-label={t("selection.clear")}
+				title={t("selection.clear")}
+				type="button"
+			>
+				<FaTimes aria-hidden="true" />
+			</button>
+		</div>
+	);
+};
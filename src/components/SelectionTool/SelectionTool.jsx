@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Rectangle, lasso and polygon drawing tool for selecting visitors on the map
+ * @module components/SelectionTool
+ */
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Source, Layer, useMap } from "react-map-gl";
+import { unwrapRing, closeRing } from "../../utils/geoSelection";
+import { SELECTION_TOOLS, SELECTION_CONFIG, THEME_LAYER_COLORS } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import { useTheme } from "../../hooks/useTheme";
+import "./SelectionTool.css";
+
+/** Message keys of the overlay's accessible instructions */
+const TOOL_INSTRUCTIONS = {
+	[SELECTION_TOOLS.RECTANGLE]: "selection.rectangleInstructions",
+	[SELECTION_TOOLS.LASSO]: "selection.lassoInstructions",
+	[SELECTION_TOOLS.POLYGON]: "selection.polygonInstructions",
+};
+
+/**
+ * Densifies a screen-space ring
+ * Each edge gets EDGE_STEPS points so it stays straight on screen once
+ * unprojected onto the globe.
+ * @param {Array<[number, number]>} corners - Ring vertices in pixels
+ * @returns {Array<[number, number]>} Screen-space ring
+ */
+const densifyRing = (corners) => {
+	const points = [];
+	corners.forEach(([ax, ay], index) => {
+		const [bx, by] = corners[(index + 1) % corners.length];
+		for (let step = 0; step < SELECTION_CONFIG.EDGE_STEPS; step += 1) {
+			const t = step / SELECTION_CONFIG.EDGE_STEPS;
+			points.push([ax + (bx - ax) * t, ay + (by - ay) * t]);
+		}
+	});
+	return points;
+};
+
+/**
+ * Builds a densified rectangle ring in screen space
+ * @param {[number, number]} start - First corner in pixels
+ * @param {[number, number]} end - Opposite corner in pixels
+ * @returns {Array<[number, number]>} Screen-space ring
+ */
+const getRectanglePoints = ([x0, y0], [x1, y1]) =>
+	densifyRing([
+		[x0, y0],
+		[x1, y0],
+		[x1, y1],
+		[x0, y1],
+	]);
+
+/**
+ * Gets the pointer position relative to an element
+ * @param {PointerEvent} e - Pointer event
+ * @param {HTMLElement} element - Reference element
+ * @returns {[number, number]} Position in pixels
+ */
+const getLocalPoint = (e, element) => {
+	const rect = element.getBoundingClientRect();
+	return [e.clientX - rect.left, e.clientY - rect.top];
+};
+
+/**
+ * SelectionTool component
+ * While a tool is active, a crosshair overlay captures pointer drags and
+ * previews the shape; on release the shape is unprojected to a geographic
+ * ring. The polygon tool instead adds a vertex per click and closes on a
+ * double-click, a click on the first vertex or Enter (Backspace removes the
+ * last vertex). The committed ring is drawn as a map layer. Must be rendered
+ * inside a react-map-gl Map.
+ * @param {Object} props - Component props
+ * @param {string|null} props.tool - Active tool (see SELECTION_TOOLS), or null
+ * @param {Array<[number, number]>|null} props.ring - Committed selection ring
+ * @param {Function} props.onComplete - Callback with the drawn ring (unwrapped [lng, lat] vertices)
+ * @param {Function} props.onCancel - Callback when drawing is cancelled
+ * @returns {JSX.Element} SelectionTool component
+ */
+export const SelectionTool = ({ tool, ring, onComplete, onCancel }) => {
+	const { current: mapRef } = useMap();
+	const { t } = useI18n();
+	const { theme } = useTheme();
+	const overlayRef = useRef(null);
+	// Rectangle: both corners. Lasso: the path. Polygon: the placed vertices
+	// followed by the pointer position.
+	const [points, setPoints] = useState(null);
+	const isPolygon = tool === SELECTION_TOOLS.POLYGON;
+
+	// Drop a polygon in progress when switching tools
+	useEffect(() => {
+		setPoints(null);
+	}, [tool]);
+
+	/**
+	 * Unprojects a screen-space ring and hands it over, unless it is too small
+	 * @param {Array<[number, number]>} screenRing - Ring in pixels
+	 */
+	const commitScreenRing = useCallback(
+		(screenRing) => {
+			const xs = screenRing.map(([x]) => x);
+			const ys = screenRing.map(([, y]) => y);
+			const isTooSmall =
+				screenRing.length < 3 ||
+				(Math.max(...xs) - Math.min(...xs) < SELECTION_CONFIG.MIN_SIZE &&
+					Math.max(...ys) - Math.min(...ys) < SELECTION_CONFIG.MIN_SIZE);
+			const map = mapRef?.getMap();
+			if (isTooSmall || !map) return;
+
+			const geoRing = screenRing.map((point) => {
+				const { lng, lat } = map.unproject(point);
+				return [lng, lat];
+			});
+			onComplete(unwrapRing(geoRing));
+		},
+		[mapRef, onComplete]
+	);
+
+	/**
+	 * Closes the polygon being drawn from its placed vertices
+	 */
+	const closePolygon = useCallback(() => {
+		if (!points) return;
+		const vertices = points.slice(0, -1);
+		if (vertices.length < 3) return;
+		setPoints(null);
+		commitScreenRing(densifyRing(vertices));
+	}, [points, commitScreenRing]);
+
+	// Escape cancels the tool, including a shape in progress; Enter and
+	// Backspace close the polygon or remove its last vertex
+	useEffect(() => {
+		if (!tool) return undefined;
+		const handleKeyDown = (e) => {
+			const isTyping = e.target.closest?.("input, textarea, select, [contenteditable]");
+			if (e.key === "Escape") {
+				setPoints(null);
+				onCancel();
+			} else if (!isPolygon || !points || isTyping) {
+				return;
+			} else if (e.key === "Enter") {
+				e.preventDefault();
+				closePolygon();
+			} else if (e.key === "Backspace") {
+				e.preventDefault();
+				const cursor = points[points.length - 1];
+				setPoints(points.length > 2 ? [...points.slice(0, -2), cursor] : null);
+			}
+		};
+		window.addEventListener("keydown", handleKeyDown);
+		return () => window.removeEventListener("keydown", handleKeyDown);
+	}, [tool, isPolygon, points, onCancel, closePolygon]);
+
+	const handlePointerDown = useCallback(
+		(e) => {
+			if (e.button !== 0) return;
+			const point = getLocalPoint(e, overlayRef.current);
+
+			if (!isPolygon) {
+				e.currentTarget.setPointerCapture(e.pointerId);
+				setPoints([point, point]);
+				return;
+			}
+			if (!points) {
+				setPoints([point, point]);
+				return;
+			}
+
+			const vertices = points.slice(0, -1);
+			const distanceTo = ([x, y]) => Math.hypot(point[0] - x, point[1] - y);
+			const isOnFirst = distanceTo(vertices[0]) <= SELECTION_CONFIG.CLOSE_DISTANCE;
+			if (vertices.length >= 3 && isOnFirst) {
+				closePolygon();
+				return;
+			}
+			// The second click of a double-click lands on the last vertex
+			const last = vertices[vertices.length - 1];
+			if (distanceTo(last) < SELECTION_CONFIG.MIN_POINT_DISTANCE) return;
+			setPoints([...vertices, point, point]);
+		},
+		[isPolygon, points, closePolygon]
+	);
+
+	const handlePointerMove = useCallback(
+		(e) => {
+			if (!points) return;
+			const point = getLocalPoint(e, overlayRef.current);
+
+			if (tool === SELECTION_TOOLS.RECTANGLE) {
+				setPoints([points[0], point]);
+				return;
+			}
+			if (isPolygon) {
+				setPoints([...points.slice(0, -1), point]);
+				return;
+			}
+
+			const [lastX, lastY] = points[points.length - 1];
+			const distance = Math.hypot(point[0] - lastX, point[1] - lastY);
+			if (distance >= SELECTION_CONFIG.MIN_POINT_DISTANCE) {
+				setPoints([...points, point]);
+			}
+		},
+		[points, tool, isPolygon]
+	);
+
+	const handlePointerUp = useCallback(() => {
+		if (!points || isPolygon) return;
+		setPoints(null);
+		commitScreenRing(
+			tool === SELECTION_TOOLS.RECTANGLE
+				? getRectanglePoints(points[0], points[1])
+				: points
+		);
+	}, [points, tool, isPolygon, commitScreenRing]);
+
+	const previewPoints = useMemo(() => {
+		if (!points) return null;
+		const [[x0, y0], [x1, y1]] = points;
+		const screenRing =
+			tool === SELECTION_TOOLS.RECTANGLE
+				? [
+						[x0, y0],
+						[x1, y0],
+						[x1, y1],
+						[x0, y1],
+				  ]
+				: points;
+		return screenRing.map(([x, y]) => `${x},${y}`).join(" ");
+	}, [points, tool]);
+
+	const data = useMemo(
+		() =>
+			ring
+				? {
+						type: "Feature",
+						geometry: { type: "Polygon", coordinates: [closeRing(ring)] },
+						properties: {},
+				  }
+				: null,
+		[ring]
+	);
+
+	const color = THEME_LAYER_COLORS[theme].ACCENT;
+
+	return (
+		<>
+			{data && (
+				<Source id={SELECTION_CONFIG.SOURCE_ID} type="geojson" data={data}>
+					<Layer
+						id={SELECTION_CONFIG.FILL_LAYER_ID}
+						type="fill"
+						paint={{ "fill-color": color, "fill-opacity": 0.12 }}
+					/>
+					<Layer
+						id={SELECTION_CONFIG.LINE_LAYER_ID}
+						type="line"
+						paint={{
+							"line-color": color,
+							"line-width": 2,
+							"line-dasharray": [2, 1],
+						}}
+					/>
+				</Source>
+			)}
+
+			{tool && (
+				<div
+					ref={overlayRef}
+					className="selection-overlay"
+					onPointerDown={handlePointerDown}
+					onPointerMove={handlePointerMove}
+					onPointerUp={handlePointerUp}
+					onPointerCancel={() => !isPolygon && setPoints(null)}
+					onDoubleClick={isPolygon ? closePolygon : undefined}
+					role="application"
+					aria-label={t(TOOL_INSTRUCTIONS[tool])}
+				>
+					{previewPoints && (
+						<svg className="selection-preview" aria-hidden="true">
+							<polygon points={previewPoints} />
+							{isPolygon &&
+								points.slice(0, -1).map(([x, y], index) => (
+									<circle
+										key={index}
+										className={`selection-vertex ${index === 0 ? "first" : ""}`}
+										cx={x}
+										cy={y}
+										r={index === 0 ? 5 : 3.5}
+									/>
+								))}
+						</svg>
+					)}
+				</div>
+			)}
+		</>
+	);
+};
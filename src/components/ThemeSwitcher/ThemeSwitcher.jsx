@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Interface theme picker (light, dark or system)
+ * @module components/ThemeSwitcher
+ */
+
+import React from "react";
+import { FaAdjust, FaMoon, FaSun } from "react-icons/fa";
+import { THEME_MODES } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./ThemeSwitcher.css";
+
+const MODE_ICONS = {
+	[THEME_MODES.LIGHT]: FaSun,
+	[THEME_MODES.DARK]: FaMoon,
+	[THEME_MODES.SYSTEM]: FaAdjust,
+};
+
+/**
+ * ThemeSwitcher component
+ * @param {Object} props - Component props
+ * @param {string} props.mode - Current theme preference (one of THEME_MODES)
+ * @param {Function} props.onModeChange - Callback with the picked preference
+ * @returns {JSX.Element} ThemeSwitcher component
+ */
+export const ThemeSwitcher = ({ mode, onModeChange }) => {
+	const { t } = useI18n();
+	const Icon = MODE_ICONS[mode] || FaAdjust;
+
+	return (
+		<label className="theme-switcher" title={t("theme.label")}>
+			<Icon className="theme-switcher-icon" aria-hidden="true" />
+			<select
+				className="theme-switcher-select"
+				value={mode}
+				onChange={(e) => onModeChange(e.target.value)}
+				aria-label={t("theme.label")}
+			>
+				{Object.values(THEME_MODES).map((value) => (
+					<option key={value} value={value}>
+						{t(`theme.${value}`)}
+					</option>
+				))}
+			</select>
+		</label>
+	);
+};
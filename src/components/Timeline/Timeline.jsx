@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Timeline control with arrivals histogram, brush and playback
+ * @module components/Timeline
+ */
+
+import React, { useMemo, useRef } from "react";
+import { FaPlay, FaPause, FaTimes } from "react-icons/fa";
+import { getArrivalHistogram } from "../../utils/timeline";
+import { TIMELINE_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./Timeline.css";
+
+const DATE_FORMAT = {
+	month: "short",
+	day: "numeric",
+	hour: "2-digit",
+	minute: "2-digit",
+};
+
+/**
+ * Timeline component
+ * Drag on the track to brush a time window, drag the window to move it, or
+ * drag its edges to resize it. Clicking the track without dragging clears
+ * the window. Arrow keys move the focused window (or edge) by one bin.
+ * @param {Object} props - Component props
+ * @param {[number, number]} props.extent - Time span of the data in epoch ms
+ * @param {Array<Object>} props.visitors - Visitors counted in the arrivals histogram
+ * @param {[number, number]|null} props.timeWindow - Selected window, or null for all time
+ * @param {Function} props.onTimeWindowChange - Callback with the new window
+ * @param {Function} props.onClear - Callback to clear the window
+ * @param {boolean} props.isPlaying - Whether playback is running
+ * @param {Function} props.onPlayToggle - Callback to start or pause playback
+ * @param {number} props.speed - Playback speed (timeline ms per second)
+ * @param {Function} props.onSpeedChange - Callback with the new speed
+ * @param {number} props.visibleCount - Number of visitors currently shown
+ * @returns {JSX.Element} Timeline component
+ */
+export const Timeline = ({
+	extent,
+	visitors,
+	timeWindow,
+	onTimeWindowChange,
+	onClear,
+	isPlaying,
+	onPlayToggle,
+	speed,
+	onSpeedChange,
+	visibleCount,
+}) => {
+	const { t, formatDate } = useI18n();
+	const trackRef = useRef(null);
+	const dragRef = useRef(null);
+
+	const [extentStart, extentEnd] = extent;
+	const span = Math.max(extentEnd - extentStart, 1);
+	const binWidth = span / TIMELINE_CONFIG.BIN_COUNT;
+	const minWidth = span * TIMELINE_CONFIG.MIN_WINDOW_RATIO;
+
+	const histogram = useMemo(
+		() => getArrivalHistogram(visitors, extent, TIMELINE_CONFIG.BIN_COUNT),
+		[visitors, extent]
+	);
+	const maxBin = Math.max(...histogram, 1);
+
+	/**
+	 * Formats an epoch ms timestamp for display
+	 * @param {number} time - Epoch milliseconds
+	 * @returns {string} Formatted date and time
+	 */
+	const formatTime = (time) => formatDate(new Date(time), DATE_FORMAT);
+
+	const toPercent = (time) => ((time - extentStart) / span) * 100;
+	const clampTime = (time) => Math.min(Math.max(time, extentStart), extentEnd);
+
+	/**
+	 * Converts a pointer position to a time on the track
+	 * @param {number} clientX - Pointer x coordinate
+	 * @returns {number} Epoch milliseconds
+	 */
+	const getPointerTime = (clientX) => {
+		const rect = trackRef.current.getBoundingClientRect();
+		return clampTime(extentStart + ((clientX - rect.left) / rect.width) * span);
+	};
+
+	/**
+	 * Builds a window from two times, enforcing the minimum width
+	 * @param {number} a - One edge
+	 * @param {number} b - Other edge
+	 * @returns {[number, number]} Ordered window
+	 */
+	const makeWindow = (a, b) => {
+		const start = Math.min(a, b);
+		const end = Math.max(a, b);
+		if (end - start >= minWidth) return [start, end];
+		return start + minWidth <= extentEnd
+			? [start, start + minWidth]
+			: [extentEnd - minWidth, extentEnd];
+	};
+
+	const handlePointerDown = (e) => {
+		if (e.button !== 0) return;
+		const time = getPointerTime(e.clientX);
+		const edge = e.target.dataset.edge;
+
+		if (edge && timeWindow) {
+			dragRef.current = {
+				mode: "resize",
+				anchor: edge === "start" ? timeWindow[1] : timeWindow[0],
+			};
+		} else if (timeWindow && time >= timeWindow[0] && time <= timeWindow[1]) {
+			dragRef.current = { mode: "move", offset: time - timeWindow[0] };
+		} else {
+			dragRef.current = { mode: "brush", anchor: time, moved: false };
+		}
+		trackRef.current.setPointerCapture(e.pointerId);
+	};
+
+	const handlePointerMove = (e) => {
+		const drag = dragRef.current;
+		if (!drag) return;
+		const time = getPointerTime(e.clientX);
+
+		if (drag.mode === "move") {
+			const width = timeWindow[1] - timeWindow[0];
+			const start = Math.min(Math.max(time - drag.offset, extentStart), extentEnd - width);
+			onTimeWindowChange([start, start + width]);
+		} else {
+			drag.moved = true;
+			onTimeWindowChange(makeWindow(drag.anchor, time));
+		}
+	};
+
+	const handlePointerUp = (e) => {
+		const drag = dragRef.current;
+		dragRef.current = null;
+		if (trackRef.current?.hasPointerCapture(e.pointerId)) {
+			trackRef.current.releasePointerCapture(e.pointerId);
+		}
+		// A click on the track without dragging clears the window
+		if (drag?.mode === "brush" && !drag.moved) onClear();
+	};
+
+	const handleKeyDown = (e) => {
+		if (!timeWindow || (e.key !== "ArrowLeft" && e.key !== "ArrowRight")) return;
+		e.preventDefault();
+		const delta = e.key === "ArrowLeft" ? -binWidth : binWidth;
+		const edge = e.target.dataset.edge;
+
+		if (edge === "start") {
+			onTimeWindowChange(makeWindow(clampTime(timeWindow[0] + delta), timeWindow[1]));
+		} else if (edge === "end") {
+			onTimeWindowChange(makeWindow(timeWindow[0], clampTime(timeWindow[1] + delta)));
+		} else {
+			const width = timeWindow[1] - timeWindow[0];
+			const start = Math.min(
+				Math.max(timeWindow[0] + delta, extentStart),
+				extentEnd - width
+			);
+			onTimeWindowChange([start, start + width]);
+		}
+	};
+
+	return (
+		<div className="timeline" role="group" aria-label={t("timeline.label")}>
+			<div className="timeline-controls">
+				<button
+					className="timeline-play-btn"
+					onClick={onPlayToggle}
+					aria-label={isPlaying ? t("timeline.pauseLabel") : t("timeline.playLabel")}
+					title={isPlaying ? t("timeline.pause") : t("timeline.play")}
+					type="button"
+				>
+					{isPlaying ? <FaPause aria-hidden="true" /> : <FaPlay aria-hidden="true" />}
+				</button>
+				<div
+					className="timeline-speeds"
+					role="radiogroup"
+					aria-label={t("timeline.speed")}
+				>
+					{TIMELINE_CONFIG.SPEEDS.map((option) => (
+						<button
+							key={option.value}
+							className={`timeline-speed ${speed === option.value ? "active" : ""}`}
+							onClick={() => onSpeedChange(option.value)}
+							role="radio"
+							aria-checked={speed === option.value}
+							type="button"
+						>
+							{option.label}
+						</button>
+					))}
+				</div>
+				<span className="timeline-summary">
+					{timeWindow
+						? `${formatTime(timeWindow[0])} – ${formatTime(timeWindow[1])}`
+						: t("timeline.allTime")}
+					<span className="timeline-count">
+						{t("timeline.shown", { count: visibleCount })}
+					</span>
+				</span>
+				{timeWindow && (
+					<button
+						className="timeline-clear-btn"
+						onClick={onClear}
+						aria-label={t("timeline.clear")}
+						title={t("timeline.clear")}
+						type="button"
+					>
+						<FaTimes aria-hidden="true" />
+					</button>
+				)}
+			</div>
+
+			<div
+				ref={trackRef}
+				className="timeline-track"
+				onPointerDown={handlePointerDown}
+				onPointerMove={handlePointerMove}
+				onPointerUp={handlePointerUp}
+				onPointerCancel={handlePointerUp}
+			>
+				<div className="timeline-histogram" aria-hidden="true">
+					{histogram.map((count, index) => {
+						const binStart = extentStart + index * binWidth;
+						const inWindow =
+							!timeWindow ||
+							(binStart + binWidth >= timeWindow[0] && binStart <= timeWindow[1]);
+						return (
+							<span
+								key={index}
+								className={`timeline-bar ${inWindow ? "in-window" : ""}`}
+								style={{ height: `${(count / maxBin) * 100}%` }}
+							/>
+						);
+					})}
+				</div>
+
+				{timeWindow && (
+					<div
+						className="timeline-window"
+						style={{
+							left: `${toPercent(timeWindow[0])}%`,
+							width: `${toPercent(timeWindow[1]) - toPercent(timeWindow[0])}%`,
+						}}
+						tabIndex={0}
+						role="slider"
+						aria-label={t("timeline.window")}
+						aria-valuemin={extentStart}
+						aria-valuemax={extentEnd}
+						aria-valuenow={timeWindow[0]}
+						aria-valuetext={t("timeline.windowText", {
+							start: formatTime(timeWindow[0]),
+							end: formatTime(timeWindow[1]),
+						})}
+						onKeyDown={handleKeyDown}
+					>
+						<span
+							className="timeline-handle start"
+							data-edge="start"
+							tabIndex={0}
+							role="slider"
+							aria-label={t("timeline.windowStart")}
+							aria-valuemin={extentStart}
+							aria-valuemax={timeWindow[1]}
+							aria-valuenow={timeWindow[0]}
+							aria-valuetext={formatTime(timeWindow[0])}
+						/>
+						<span
+							className="timeline-handle end"
+							data-edge="end"
+							tabIndex={0}
+							role="slider"
+							aria-label={t("timeline.windowEnd")}
+							aria-valuemin={timeWindow[0]}
+							aria-valuemax={extentEnd}
+							aria-valuenow={timeWindow[1]}
+							aria-valuetext={formatTime(timeWindow[1])}
+						/>
+					</div>
+				)}
+			</div>
+
+			<div className="timeline-axis" aria-hidden="true">
+				<span>{formatTime(extentStart)}</span>
+				<span>{formatTime(extentEnd)}</span>
+			</div>
+		</div>
+	);
+};
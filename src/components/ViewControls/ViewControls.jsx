@@ -12,34 +12,65 @@ import {
 	FaSun,
 	FaMoon,
 	FaCrosshairs,
+	FaFire,
+	FaFlag,
+	FaVectorSquare,
+	FaDrawPolygon,
+	FaPencilAlt,
+	FaLayerGroup,
 } from "react-icons/fa";
+import { MAP_STYLE_TYPES } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
 import "./ViewControls.css";
 
+/**
+ * Icons of the built-in map styles; registered styles can bring their own
+ * @type {Object<string, React.ComponentType>}
+ */
+const STYLE_ICONS = {
+	[MAP_STYLE_TYPES.OUTDOORS]: FaMountain,
+	[MAP_STYLE_TYPES.SATELLITE]: FaSatellite,
+	[MAP_STYLE_TYPES.LIGHT]: FaSun,
+	[MAP_STYLE_TYPES.DARK]: FaMoon,
+};
+
 /**
  * ViewControls component
  * @param {Object} props - Component props
  * @param {string} props.viewMode - Current view mode ('globe' or 'flat')
  * @param {Function} props.onViewModeChange - Callback when view mode changes
- * @param {string} props.mapStyle - Current map style
- * @param {Function} props.onMapStyleChange - Callback when map style changes
+ * @param {string} props.mapStyle - Current map style id
+ * @param {Array<import("../../utils/mapStyleRegistry").MapStyleDefinition>} props.mapStyles - Registered map styles
+ * @param {Function} props.onMapStyleChange - Callback with the picked map style id
  * @param {Function} props.onResetView - Callback when reset view is clicked
+ * @param {string} props.visualization - Current visualization ('markers', 'heatmap' or 'choropleth')
+ * @param {Function} props.onVisualizationChange - Callback when visualization changes
+ * @param {string|null} props.selectionTool - Active selection tool ('rectangle', 'lasso' or 'polygon'), or null
+ * @param {Function} [props.onSelectionToolChange] - Callback with the new selection tool, or null to stop drawing; the selection tools are hidden without it
  * @returns {JSX.Element} ViewControls component
  */
 export const ViewControls = ({
 	viewMode,
 	onViewModeChange,
 	mapStyle,
+	mapStyles,
 	onMapStyleChange,
 	onResetView,
+	visualization,
+	onVisualizationChange,
+	selectionTool,
+	onSelectionToolChange,
 }) => {
+	const { t } = useI18n();
+
 	return (
-		<div className="view-controls" role="toolbar" aria-label="Map view controls">
+		<div className="view-controls" role="toolbar" aria-label={t("controls.label")}>
 			<div className="control-group">
 				<button
 					className={`control-btn ${viewMode === "globe" ? "active" : ""}`}
 					onClick={() => onViewModeChange("globe")}
-					title="3D Globe View"
-					aria-label="Switch to 3D globe view"
+					title={t("controls.globe")}
+					aria-label={t("controls.globeLabel")}
 					type="button"
 				>
 					<FaGlobe aria-hidden="true" />
@@ -47,58 +78,112 @@ export const ViewControls = ({
 				<button
 					className={`control-btn ${viewMode === "flat" ? "active" : ""}`}
 					onClick={() => onViewModeChange("flat")}
-					title="2D Flat Map"
-					aria-label="Switch to 2D flat map view"
+					title={t("controls.flat")}
+					aria-label={t("controls.flatLabel")}
 					type="button"
 				>
 					<FaMap aria-hidden="true" />
 				</button>
-			</div>
-
-			<div className="control-group">
-				<button
-					className={`control-btn ${mapStyle === "outdoors" ? "active" : ""}`}
-					onClick={() => onMapStyleChange("outdoors")}
-					title="Outdoors (Green)"
-					aria-label="Switch to outdoors map style"
-					type="button"
-				>
-					<FaMountain aria-hidden="true" />
-				</button>
-				<button
-					className={`control-btn ${mapStyle === "satellite" ? "active" : ""}`}
-					onClick={() => onMapStyleChange("satellite")}
-					title="Satellite"
-					aria-label="Switch to satellite map style"
-					type="button"
-				>
-					<FaSatellite aria-hidden="true" />
-				</button>
 				<button
-					className={`control-btn ${mapStyle === "light" ? "active" : ""}`}
-					onClick={() => onMapStyleChange("light")}
-					title="Light"
-					aria-label="Switch to light map style"
+					className={`control-btn ${visualization === "heatmap" ? "active" : ""}`}
+					onClick={() =>
+						onVisualizationChange(visualization === "heatmap" ? "markers" : "heatmap")
+					}
+					title={t("controls.heatmap")}
+					aria-label={t("controls.heatmapLabel")}
+					aria-pressed={visualization === "heatmap"}
 					type="button"
 				>
-					<FaSun aria-hidden="true" />
+					<FaFire aria-hidden="true" />
 				</button>
 				<button
-					className={`control-btn ${mapStyle === "dark" ? "active" : ""}`}
-					onClick={() => onMapStyleChange("dark")}
-					title="Dark"
-					aria-label="Switch to dark map style"
+					className={`control-btn ${visualization === "choropleth" ? "active" : ""}`}
+					onClick={() =>
+						onVisualizationChange(
+							visualization === "choropleth" ? "markers" : "choropleth"
+						)
+					}
+					title={t("controls.choropleth")}
+					aria-label={t("controls.choroplethLabel")}
+					aria-pressed={visualization === "choropleth"}
 					type="button"
 				>
-					<FaMoon aria-hidden="true" />
+					<FaFlag aria-hidden="true" />
 				</button>
 			</div>
 
+			{onSelectionToolChange && (
+				<div className="control-group">
+					<button
+						className={`control-btn ${selectionTool === "rectangle" ? "active" : ""}`}
+						onClick={() =>
+							onSelectionToolChange(selectionTool === "rectangle" ? null : "rectangle")
+						}
+						title={t("controls.rectangle")}
+						aria-label={t("controls.rectangleLabel")}
+						aria-pressed={selectionTool === "rectangle"}
+						type="button"
+					>
+						<FaVectorSquare aria-hidden="true" />
+					</button>
+					<button
+						className={`control-btn ${selectionTool === "lasso" ? "active" : ""}`}
+						onClick={() =>
+							onSelectionToolChange(selectionTool === "lasso" ? null : "lasso")
+						}
+						title={t("controls.lasso")}
+						aria-label={t("controls.lassoLabel")}
+						aria-pressed={selectionTool === "lasso"}
+						type="button"
+					>
+						<FaPencilAlt aria-hidden="true" />
+					</button>
+					<button
+						className={`control-btn ${selectionTool === "polygon" ? "active" : ""}`}
+						onClick={() =>
+							onSelectionToolChange(selectionTool === "polygon" ? null : "polygon")
+						}
+						title={t("controls.polygon")}
+						aria-label={t("controls.polygonLabel")}
+						aria-pressed={selectionTool === "polygon"}
+						type="button"
+					>
+						<FaDrawPolygon aria-hidden="true" />
+					</button>
+				</div>
+			)}
+
+			<div
+				className="control-group control-group-styles"
+				role="group"
+				aria-label={t("controls.styles")}
+			>
+				{mapStyles.map(({ id, label, icon }) => {
+					const Icon = icon || STYLE_ICONS[id] || FaLayerGroup;
+					const title = t(`mapStyle.${id}`, { defaultValue: label });
+					return (
+						<button
+							key={id}
+							className={`control-btn ${mapStyle === id ? "active" : ""}`}
+							onClick={() => onMapStyleChange(id)}
+							title={title}
+							aria-label={t(`mapStyle.${id}.label`, {
+								defaultValue: t("controls.styleLabel", { label: title }),
+							})}
+							aria-pressed={mapStyle === id}
+							type="button"
+						>
+							<Icon aria-hidden="true" />
+						</button>
+					);
+				})}
+			</div>
+
 			<button
 				className="control-btn reset-btn"
 				onClick={onResetView}
-				title="Reset View"
-				aria-label="Reset map view to default"
+				title={t("controls.reset")}
+				aria-label={t("controls.resetLabel")}
 				type="button"
 			>
 				<FaCrosshairs aria-hidden="true" />
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Panel listing a group of visitors (a cluster or a map selection)
+ * @module components/VisitorGroupPanel
+ */
+
+import React, { useMemo, useState } from "react";
+import {
+	FaTimes,
+	FaSearchPlus,
+	FaChevronLeft,
+	FaChevronRight,
+} from "react-icons/fa";
+import { getConversionScoreColor } from "../../utils/conversionScore";
+import { getFullName, getLocation, compareValues } from "../../utils/visitorSort";
+import { getVisitorCountry } from "../../utils/i18n";
+import { CLUSTER_PANEL_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./VisitorGroupPanel.css";
+
+/**
+ * Sort orders offered by the panel
+ * Visitors without a value for the sorted field go last. Labels are message
+ * keys; comparators receive the localization helpers as a third argument.
+ * @type {Array<{value: string, label: string, compare: Function}>}
+ */
+const SORT_OPTIONS = [
+	{
+		value: "name",
+		label: "groupPanel.sort.name",
+		compare: (a, b) => compareValues(getFullName(a), getFullName(b)),
+	},
+	{
+		value: "score",
+		label: "groupPanel.sort.score",
+		compare: (a, b) =>
+			(b.conversionLikelihood?.score ?? -1) - (a.conversionLikelihood?.score ?? -1),
+	},
+	{
+		value: "customer",
+		label: "groupPanel.sort.customer",
+		compare: (a, b) => Number(Boolean(b.isCustomer)) - Number(Boolean(a.isCustomer)),
+	},
+	{
+		value: "country",
+		label: "groupPanel.sort.country",
+		compare: (a, b, i18n) =>
+			compareValues(getVisitorCountry(a, i18n), getVisitorCountry(b, i18n)),
+	},
+];
+
+/**
+ * VisitorGroupPanel component
+ * Lists a group of visitors with sorting and pagination. Picking a visitor
+ * opens its popup; the zoom button frames the group (for a cluster, its
+ * expansion zoom). Remount it (via `key`) when another group is opened to
+ * reset the page.
+ * @param {Object} props - Component props
+ * @param {string} props.label - Accessible name of the panel (e.g. "Cluster visitors")
+ * @param {Array<Object>} props.visitors - Visitors in the group
+ * @param {boolean} [props.isLoading=false] - Whether the group's visitors are still being fetched
+ * @param {boolean} props.canZoom - Whether zooming would show the group in more detail
+ * @param {Function} props.onZoom - Callback to zoom to the group
+ * @param {Function} props.onVisitorSelect - Callback with the visitor picked from the list
+ * @param {string|null} [props.selectedId] - Selected visitor ID
+ * @param {Function} props.onClose - Callback when the panel should close
+ * @returns {JSX.Element} VisitorGroupPanel component
+ */
+export const VisitorGroupPanel = ({
+	label,
+	visitors,
+	isLoading = false,
+	canZoom,
+	onZoom,
+	onVisitorSelect,
+	selectedId = null,
+	onClose,
+}) => {
+	const i18n = useI18n();
+	const { t, formatNumber } = i18n;
+	const [sort, setSort] = useState(CLUSTER_PANEL_CONFIG.DEFAULT_SORT);
+	const [page, setPage] = useState(0);
+
+	const sortedVisitors = useMemo(() => {
+		const option = SORT_OPTIONS.find((item) => item.value === sort) || SORT_OPTIONS[0];
+		return [...visitors].sort((a, b) => option.compare(a, b, i18n));
+	}, [visitors, sort, i18n]);
+
+	const pageSize = CLUSTER_PANEL_CONFIG.PAGE_SIZE;
+	const pageCount = Math.max(Math.ceil(sortedVisitors.length / pageSize), 1);
+	// Visitors can leave the group (live updates, filters) while the panel is open
+	const currentPage = Math.min(page, pageCount - 1);
+	const pageVisitors = sortedVisitors.slice(
+		currentPage * pageSize,
+		(currentPage + 1) * pageSize
+	);
+
+	return (
+		<div className="group-panel" role="dialog" aria-label={label}>
+			<div className="group-panel-header">
+				<h3>{t("groupPanel.count", { count: visitors.length })}</h3>
+				<div className="group-panel-actions">
+					<button
+						className="group-panel-btn"
+						onClick={onZoom}
+						disabled={!canZoom}
+						aria-label={t("groupPanel.zoom")}
+						title={canZoom ? t("groupPanel.zoom") : t("groupPanel.maxZoom")}
+						type="button"
+					>
+						<FaSearchPlus aria-hidden="true" />
+					</button>
+					<button
+						className="group-panel-btn"
+						onClick={onClose}
+						aria-label={t("groupPanel.closeLabel")}
+						title={t("groupPanel.close")}
+						type="button"
+					>
+						<FaTimes aria-hidden="true" />
+					</button>
+				</div>
+			</div>
+
+			<label className="group-panel-sort">
+				<span>{t("groupPanel.sortBy")}</span>
+				<select
+					className="group-panel-select"
+					value={sort}
+					onChange={(e) => {
+						setSort(e.target.value);
+						setPage(0);
+					}}
+				>
+					{SORT_OPTIONS.map((option) => (
+						<option key={option.value} value={option.value}>
+							{t(option.label)}
+						</option>
+					))}
+				</select>
+			</label>
+
+			{isLoading ? (
+				<p className="group-panel-empty">{t("data.loading")}</p>
+			) : pageVisitors.length === 0 ? (
+				<p className="group-panel-empty">{t("groupPanel.empty")}</p>
+			) : (
+				<ul className="group-panel-list">
+					{pageVisitors.map((visitor) => {
+						const fullName = getFullName(visitor);
+						const score = visitor.conversionLikelihood?.score;
+						return (
+							<li key={visitor.visitorId}>
+								<button
+									className={`group-panel-item ${
+										selectedId === visitor.visitorId ? "selected" : ""
+									}`}
+									onClick={() => onVisitorSelect(visitor)}
+									type="button"
+								>
+									<span className="group-panel-avatar" aria-hidden="true">
+										{visitor.profileImage ? (
+											<img src={visitor.profileImage} alt="" />
+										) : (
+											visitor.firstName?.[0] || "?"
+										)}
+									</span>
+									<span className="group-panel-text">
+										<span className="group-panel-name">
+											{fullName || t("visitor.unknown")}
+											{visitor.isCustomer && (
+												<span className="group-panel-customer">
+													{t("visitor.customer")}
+												</span>
+											)}
+										</span>
+										<span className="group-panel-detail">
+											{getLocation(visitor, getVisitorCountry(visitor, i18n)) ||
+												visitor.email}
+										</span>
+									</span>
+									{typeof score === "number" && (
+										<span
+											className="group-panel-score"
+											style={{ color: getConversionScoreColor(score) }}
+										>
+											{formatNumber(score)}
+										</span>
+									)}
+								</button>
+							</li>
+						);
+					})}
+				</ul>
+			)}
+
+			{pageCount > 1 && (
+				<div className="group-panel-pagination">
+					<button
+						className="group-panel-btn"
+						onClick={() => setPage(currentPage - 1)}
+						disabled={currentPage === 0}
+						aria-label={t("groupPanel.previous")}
+						type="button"
+					>
+						<FaChevronLeft aria-hidden="true" />
+					</button>
+					<span>
+						{t("groupPanel.page", { page: currentPage + 1, count: pageCount })}
+					</span>
+					<button
+						className="group-panel-btn"
+						onClick={() => setPage(currentPage + 1)}
+						disabled={currentPage === pageCount - 1}
+						aria-label={t("groupPanel.next")}
+						type="button"
+					>
+						<FaChevronRight aria-hidden="true" />
+					</button>
+				</div>
+			)}
+		</div>
+	);
+};
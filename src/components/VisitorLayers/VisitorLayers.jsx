@@ -0,0 +1,294 @@
+/**
+ * @fileoverview GPU-rendered visitor and cluster layers for large datasets
+ * @module components/VisitorLayers
+ */
+
+import React, { useEffect, useMemo, useRef } from "react";
+import { Source, Layer, useMap } from "react-map-gl";
+import { visitorsToFeatureCollection } from "../../utils/geojson";
+import { getCategoryProperty } from "../../utils/clusterStats";
+import {
+	CLUSTER_CONFIG,
+	GPU_RENDER_CONFIG,
+	THEME_LAYER_COLORS,
+	COLOR_BY_CONFIG,
+} from "../../constants";
+import { useTheme } from "../../hooks/useTheme";
+
+const {
+	SOURCE_ID,
+	CLUSTER_LAYER_ID,
+	CLUSTER_COUNT_LAYER_ID,
+	POINT_LAYER_ID,
+	AVATAR_LAYER_ID,
+	BADGE_LAYER_ID,
+	AVATAR_IMAGE_PREFIX,
+	AVATAR_SIZE,
+	AVATAR_PIXEL_RATIO,
+} = GPU_RENDER_CONFIG;
+
+/**
+ * Layer IDs that respond to clicks and hover
+ * @type {Array<string>}
+ */
+export const INTERACTIVE_LAYER_IDS = [CLUSTER_LAYER_ID, POINT_LAYER_ID, AVATAR_LAYER_ID];
+
+const IMAGE_PIXELS = AVATAR_SIZE * AVATAR_PIXEL_RATIO;
+
+// Mapbox can't change a source's clusterProperties once it is added, so
+// clusters count a fixed number of color category slots; categories past the
+// last slot share it
+const CATEGORY_SLOTS = COLOR_BY_CONFIG.MAX_CATEGORIES + 1;
+const SLOT_INDEXES = Array.from({ length: CATEGORY_SLOTS }, (_, i) => i);
+
+/**
+ * Cluster properties counting visitors per color category slot
+ * @type {Object<string, Array>}
+ */
+const CLUSTER_PROPERTIES = Object.fromEntries(
+	SLOT_INDEXES.map((slot) => [
+		getCategoryProperty(slot),
+		[
+			"+",
+			[
+				"case",
+				slot === CATEGORY_SLOTS - 1
+					? [">=", ["get", "colorIndex"], slot]
+					: ["==", ["get", "colorIndex"], slot],
+				1,
+				0,
+			],
+		],
+	])
+);
+
+/**
+ * Builds the expression coloring a cluster by its most common color category
+ * @param {import("../../utils/colorSchemes").ColorScale} colorScale - Color scale
+ * @returns {Array} Mapbox expression
+ */
+const getClusterColorExpression = ({ categories }) => {
+	const count = (slot) => ["get", getCategoryProperty(slot)];
+	const getSlotColor = (slot) =>
+		slot < CATEGORY_SLOTS - 1 || categories.length === CATEGORY_SLOTS
+			? categories[slot]?.color || COLOR_BY_CONFIG.OTHER_COLOR
+			: COLOR_BY_CONFIG.OTHER_COLOR;
+
+	return [
+		"case",
+		...SLOT_INDEXES.slice(0, -1).flatMap((slot) => [
+			[
+				"all",
+				...SLOT_INDEXES.filter((other) => other !== slot).map((other) => [
+					">=",
+					count(slot),
+					count(other),
+				]),
+			],
+			getSlotColor(slot),
+		]),
+		getSlotColor(CATEGORY_SLOTS - 1),
+	];
+};
+
+/**
+ * Draws an image clipped to a circle, sized for the avatar sprite
+ * @param {HTMLImageElement|null} image - Loaded image, or null for a transparent placeholder
+ * @returns {ImageData} Sprite pixels
+ */
+const drawAvatar = (image) => {
+	const canvas = document.createElement("canvas");
+	canvas.width = IMAGE_PIXELS;
+	canvas.height = IMAGE_PIXELS;
+	const context = canvas.getContext("2d");
+	if (image) {
+		context.beginPath();
+		context.arc(IMAGE_PIXELS / 2, IMAGE_PIXELS / 2, IMAGE_PIXELS / 2, 0, Math.PI * 2);
+		context.clip();
+		context.fillStyle = "#ffffff";
+		context.fillRect(0, 0, IMAGE_PIXELS, IMAGE_PIXELS);
+		context.drawImage(image, 0, 0, IMAGE_PIXELS, IMAGE_PIXELS);
+	}
+	return context.getImageData(0, 0, IMAGE_PIXELS, IMAGE_PIXELS);
+};
+
+/**
+ * VisitorLayers component rendering visitors and clusters as Mapbox layers
+ * Clustering runs in the Mapbox worker. Avatar sprites are loaded lazily
+ * through `styleimagemissing`, so only avatars of visible points are fetched.
+ * Must be rendered inside a react-map-gl Map with INTERACTIVE_LAYER_IDS set
+ * as its interactive layers.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.visitors - Visitors to plot
+ * @param {string|null} props.selectedId - Selected visitor ID
+ * @param {string|null} [props.highlightedId] - Visitor hovered in the visitor list
+ * @param {import("../../utils/colorSchemes").ColorScale} props.colorScale - Colors point rings and cluster outlines
+ * @param {number} [props.opacity=1] - Layer opacity (for the heatmap cross-fade)
+ * @returns {JSX.Element} VisitorLayers component
+ */
+export const VisitorLayers = ({
+	visitors,
+	selectedId,
+	highlightedId = null,
+	colorScale,
+	opacity = 1,
+}) => {
+	const { current: mapRef } = useMap();
+	const { theme } = useTheme();
+	const imageUrlsRef = useRef(new Map());
+	const spriteCacheRef = useRef(new Map());
+
+	const data = useMemo(
+		() => visitorsToFeatureCollection(visitors, colorScale),
+		[visitors, colorScale]
+	);
+	const clusterColor = useMemo(
+		() => getClusterColorExpression(colorScale),
+		[colorScale]
+	);
+
+	useEffect(() => {
+		imageUrlsRef.current = new Map(
+			visitors
+				.filter((visitor) => visitor.profileImage)
+				.map((visitor) => [String(visitor.visitorId), visitor.profileImage])
+		);
+	}, [visitors]);
+
+	// Lazily load avatar sprites requested by the symbol layer
+	useEffect(() => {
+		const map = mapRef?.getMap();
+		if (!map) return undefined;
+
+		const handleImageMissing = (e) => {
+			if (!e.id.startsWith(AVATAR_IMAGE_PREFIX) || map.hasImage(e.id)) return;
+
+			const cached = spriteCacheRef.current.get(e.id);
+			if (cached) {
+				map.addImage(e.id, cached, { pixelRatio: AVATAR_PIXEL_RATIO });
+				return;
+			}
+
+			// Add a placeholder synchronously, then swap in the loaded avatar
+			map.addImage(e.id, drawAvatar(null), { pixelRatio: AVATAR_PIXEL_RATIO });
+			const url = imageUrlsRef.current.get(e.id.slice(AVATAR_IMAGE_PREFIX.length));
+			if (!url) return;
+
+			const image = new Image(IMAGE_PIXELS, IMAGE_PIXELS);
+			image.crossOrigin = "anonymous";
+			image.onload = () => {
+				const sprite = drawAvatar(image);
+				spriteCacheRef.current.set(e.id, sprite);
+				if (map.hasImage(e.id)) map.updateImage(e.id, sprite);
+			};
+			image.src = url;
+		};
+
+		map.on("styleimagemissing", handleImageMissing);
+		return () => map.off("styleimagemissing", handleImageMissing);
+	}, [mapRef]);
+
+	const { ACCENT: accent } = THEME_LAYER_COLORS[theme];
+	const isSelected = ["==", ["to-string", ["get", "visitorId"]], String(selectedId ?? "")];
+	const isHighlighted = [
+		"==",
+		["to-string", ["get", "visitorId"]],
+		String(highlightedId ?? ""),
+	];
+	const pointOpacity = ["case", isSelected, 0.5 * opacity, opacity];
+	const unclustered = ["!", ["has", "point_count"]];
+
+	return (
+		<Source
+			id={SOURCE_ID}
+			type="geojson"
+			data={data}
+			cluster
+			clusterRadius={CLUSTER_CONFIG.RADIUS}
+			clusterMaxZoom={CLUSTER_CONFIG.MAX_ZOOM}
+			clusterProperties={CLUSTER_PROPERTIES}
+		>
+			<Layer
+				id={CLUSTER_LAYER_ID}
+				type="circle"
+				filter={["has", "point_count"]}
+				paint={{
+					"circle-color": accent,
+					"circle-radius": ["step", ["get", "point_count"], 20, 10, 25, 100, 30],
+					"circle-stroke-width": 4,
+					"circle-stroke-color": clusterColor,
+					"circle-opacity": opacity,
+					"circle-stroke-opacity": opacity,
+				}}
+			/>
+			<Layer
+				id={CLUSTER_COUNT_LAYER_ID}
+				type="symbol"
+				filter={["has", "point_count"]}
+				layout={{
+					"text-field": ["get", "point_count_abbreviated"],
+					"text-font": ["DIN Offc Pro Medium", "Arial Unicode MS Bold"],
+					"text-size": 14,
+					"text-allow-overlap": true,
+				}}
+				paint={{ "text-color": "#ffffff", "text-opacity": opacity }}
+			/>
+			<Layer
+				id={POINT_LAYER_ID}
+				type="circle"
+				filter={unclustered}
+				paint={{
+					"circle-color": accent,
+					"circle-radius": ["case", isHighlighted, AVATAR_SIZE / 2 + 4, AVATAR_SIZE / 2],
+					"circle-stroke-width": ["case", isHighlighted, 4, 2.5],
+					"circle-stroke-color": ["case", isHighlighted, accent, ["get", "color"]],
+					"circle-opacity": pointOpacity,
+					"circle-stroke-opacity": pointOpacity,
+				}}
+			/>
+			<Layer
+				id={AVATAR_LAYER_ID}
+				type="symbol"
+				filter={unclustered}
+				layout={{
+					"icon-image": [
+						"case",
+						["to-boolean", ["get", "profileImage"]],
+						["concat", AVATAR_IMAGE_PREFIX, ["to-string", ["get", "visitorId"]]],
+						"",
+					],
+					"icon-allow-overlap": true,
+					"icon-ignore-placement": true,
+					"text-field": [
+						"case",
+						["to-boolean", ["get", "profileImage"]],
+						"",
+						["get", "initial"],
+					],
+					"text-font": ["DIN Offc Pro Medium", "Arial Unicode MS Bold"],
+					"text-size": 19,
+					"text-allow-overlap": true,
+				}}
+				paint={{
+					"icon-opacity": pointOpacity,
+					"text-color": "#ffffff",
+					"text-opacity": pointOpacity,
+				}}
+			/>
+			<Layer
+				id={BADGE_LAYER_ID}
+				type="circle"
+				filter={["all", unclustered, ["==", ["get", "isCustomer"], true]]}
+				paint={{
+					"circle-color": "#34c759",
+					"circle-radius": 8,
+					"circle-stroke-width": 2,
+					"circle-stroke-color": "#ffffff",
+					"circle-translate": [AVATAR_SIZE / 2 - 8, AVATAR_SIZE / 2 - 8],
+					"circle-opacity": opacity,
+					"circle-stroke-opacity": opacity,
+				}}
+			/>
+		</Source>
+	);
+};
@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Collapsible, virtualized list of the filtered visitors
+ * @module components/VisitorListPanel
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+	FaListUl,
+	FaChevronDown,
+	FaChevronUp,
+	FaSort,
+	FaSortUp,
+	FaSortDown,
+} from "react-icons/fa";
+import { getConversionScoreColor } from "../../utils/conversionScore";
+import { getFullName, getLocation, compareValues } from "../../utils/visitorSort";
+import { selectVisitorsInBounds } from "../../utils/geoSelection";
+import { getVisitorCountry } from "../../utils/i18n";
+import { VISITOR_LIST_CONFIG } from "../../constants";
+import { useI18n } from "../../hooks/useI18n";
+import "./VisitorListPanel.css";
+
+/**
+ * Sortable columns, in display order
+ * Labels are message keys; getValue receives the localization helpers as a
+ * second argument.
+ * @type {Array<{key: string, label: string, getValue: Function}>}
+ */
+const COLUMNS = [
+	{ key: "name", label: "visitorList.column.name", getValue: getFullName },
+	{
+		key: "location",
+		label: "visitorList.column.location",
+		getValue: (visitor, i18n) => getLocation(visitor, getVisitorCountry(visitor, i18n)),
+	},
+	{
+		key: "device",
+		label: "visitorList.column.device",
+		getValue: (visitor) => visitor.device?.type,
+	},
+	{
+		key: "score",
+		label: "visitorList.column.score",
+		getValue: (visitor) => visitor.conversionLikelihood?.score,
+	},
+	{
+		key: "customer",
+		label: "visitorList.column.customer",
+		getValue: (visitor) => Boolean(visitor.isCustomer),
+	},
+];
+
+/**
+ * VisitorListPanel component
+ * A side panel listing visitors in a sortable table. Only the rows in view
+ * are rendered, so it stays fast with thousands of visitors. Hovering or
+ * focusing a row reports the visitor so its marker can be highlighted.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.visitors - Visitors to list (the filtered visitors)
+ * @param {[number, number, number, number]|null} props.bounds - Map bounds as [west, south, east, north]
+ * @param {string|null} [props.selectedId] - Selected visitor ID
+ * @param {Function} props.onVisitorSelect - Callback with the visitor picked from the list
+ * @param {Function} props.onVisitorHover - Callback with the hovered visitor ID, or null
+ * @returns {JSX.Element} VisitorListPanel component
+ */
+export const VisitorListPanel = ({
+	visitors,
+	bounds,
+	selectedId = null,
+	onVisitorSelect,
+	onVisitorHover,
+}) => {
+	const i18n = useI18n();
+	const { t, formatNumber } = i18n;
+	const [isExpanded, setIsExpanded] = useState(false);
+	const [onlyInView, setOnlyInView] = useState(false);
+	const [sort, setSort] = useState(VISITOR_LIST_CONFIG.DEFAULT_SORT);
+	const [scrollTop, setScrollTop] = useState(0);
+	const [viewportHeight, setViewportHeight] = useState(0);
+	const scrollRef = useRef(null);
+
+	// Bounds change on every camera move, so they only matter when listing the view
+	const listBounds = onlyInView ? bounds : null;
+	const inViewVisitors = useMemo(
+		() => (listBounds ? selectVisitorsInBounds(visitors, listBounds) : visitors),
+		[visitors, listBounds]
+	);
+	const listedVisitors = useMemo(() => {
+		// Collapsed, only the count is shown
+		if (!isExpanded) return inViewVisitors;
+		const column = COLUMNS.find((item) => item.key === sort.key) || COLUMNS[0];
+		return [...inViewVisitors].sort((a, b) =>
+			compareValues(column.getValue(a, i18n), column.getValue(b, i18n), sort.direction)
+		);
+	}, [isExpanded, inViewVisitors, sort, i18n]);
+
+	const listedRef = useRef(listedVisitors);
+	listedRef.current = listedVisitors;
+
+	// Track the scroll viewport's height as the window resizes
+	useEffect(() => {
+		const element = scrollRef.current;
+		if (!isExpanded || !element) return undefined;
+
+		setViewportHeight(element.clientHeight);
+		const observer = new ResizeObserver(() =>
+			setViewportHeight(element.clientHeight)
+		);
+		observer.observe(element);
+		return () => {
+			observer.disconnect();
+			onVisitorHover(null);
+		};
+	}, [isExpanded, onVisitorHover]);
+
+	// Bring a visitor selected elsewhere (map, search) into view
+	useEffect(() => {
+		const element = scrollRef.current;
+		if (!isExpanded || !element || selectedId === null) return;
+
+		const index = listedRef.current.findIndex(
+			(visitor) => visitor.visitorId === selectedId
+		);
+		if (index === -1) return;
+		const { ROW_HEIGHT } = VISITOR_LIST_CONFIG;
+		const rowTop = index * ROW_HEIGHT;
+		const viewportBottom = element.scrollTop + element.clientHeight;
+		if (rowTop < element.scrollTop || rowTop + ROW_HEIGHT > viewportBottom) {
+			element.scrollTop = rowTop - (element.clientHeight - ROW_HEIGHT) / 2;
+		}
+	}, [selectedId, isExpanded]);
+
+	/**
+	 * Sorts by a column, toggling the direction when it is already sorted
+	 * @param {string} key - Column key
+	 */
+	const handleSort = (key) => {
+		setSort((prev) => ({
+			key,
+			direction: prev.key === key ? -prev.direction : 1,
+		}));
+	};
+
+	/**
+	 * Gets a visitor's location with the localized country name
+	 * @param {Object} visitor - Visitor object
+	 * @returns {string} Location, or an empty string
+	 */
+	const getListedLocation = (visitor) =>
+		getLocation(visitor, getVisitorCountry(visitor, i18n));
+
+	/**
+	 * Gets the localized label of a device type
+	 * @param {string|undefined} type - Device type
+	 * @returns {string} Label, or a dash without a type
+	 */
+	const getDeviceLabel = (type) =>
+		type ? t(`device.${type}`, { defaultValue: type }) : "—";
+
+	const { ROW_HEIGHT, OVERSCAN } = VISITOR_LIST_CONFIG;
+	const start = Math.max(Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN, 0);
+	const end = Math.min(
+		Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN,
+		listedVisitors.length
+	);
+
+	return (
+		<section
+			className={`visitor-list-panel ${isExpanded ? "expanded" : ""}`}
+			aria-label={t("visitorList.label")}
+		>
+			<button
+				className="visitor-list-toggle"
+				onClick={() => setIsExpanded((prev) => !prev)}
+				aria-expanded={isExpanded}
+				type="button"
+			>
+				<FaListUl aria-hidden="true" />
+				<span className="visitor-list-title">{t("visitorList.title")}</span>
+				<span className="visitor-list-count">{formatNumber(listedVisitors.length)}</span>
+				{isExpanded ? (
+					<FaChevronUp aria-hidden="true" />
+				) : (
+					<FaChevronDown aria-hidden="true" />
+				)}
+			</button>
+
+			{isExpanded && (
+				<>
+					<label className="visitor-list-option">
+						<input
+							type="checkbox"
+							checked={onlyInView}
+							onChange={(e) => setOnlyInView(e.target.checked)}
+							disabled={!bounds}
+						/>
+						{t("visitorList.onlyInView")}
+					</label>
+
+					<div
+						className="visitor-list-table"
+						role="table"
+						aria-rowcount={listedVisitors.length + 1}
+					>
+						<div className="visitor-list-head" role="row" aria-rowindex={1}>
+							{COLUMNS.map((column) => {
+								const isSorted = sort.key === column.key;
+								const isAscending = sort.direction === 1;
+								const SortIcon = !isSorted ? FaSort : isAscending ? FaSortUp : FaSortDown;
+								return (
+									<div
+										key={column.key}
+										role="columnheader"
+										aria-sort={
+											!isSorted ? "none" : isAscending ? "ascending" : "descending"
+										}
+									>
+										<button
+											className={`visitor-list-sort ${isSorted ? "active" : ""}`}
+											onClick={() => handleSort(column.key)}
+											type="button"
+										>
+											{t(column.label)}
+											<SortIcon aria-hidden="true" />
+										</button>
+									</div>
+								);
+							})}
+						</div>
+
+						<div
+							ref={scrollRef}
+							className="visitor-list-scroll"
+							role="rowgroup"
+							onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+							onMouseLeave={() => onVisitorHover(null)}
+						>
+							{listedVisitors.length === 0 ? (
+								<p className="visitor-list-empty">
+									{onlyInView
+										? t("visitorList.emptyInView")
+										: t("visitorList.empty")}
+								</p>
+							) : (
+								<div
+									className="visitor-list-rows"
+									style={{ height: listedVisitors.length * ROW_HEIGHT }}
+								>
+									{listedVisitors.slice(start, end).map((visitor, offset) => {
+										const index = start + offset;
+										const score = visitor.conversionLikelihood?.score;
+										const isSelected = selectedId === visitor.visitorId;
+										return (
+											<div
+												key={visitor.visitorId}
+												className={`visitor-list-row ${isSelected ? "selected" : ""}`}
+												style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT }}
+												role="row"
+												aria-rowindex={index + 2}
+												aria-current={isSelected || undefined}
+												tabIndex={0}
+												onClick={() => onVisitorSelect(visitor)}
+												onKeyDown={(e) => {
+													if (e.key !== "Enter" && e.key !== " ") return;
+													e.preventDefault();
+													onVisitorSelect(visitor);
+												}}
+												onMouseEnter={() => onVisitorHover(visitor.visitorId)}
+												onFocus={() => onVisitorHover(visitor.visitorId)}
+											>
+												<span role="cell" className="visitor-list-name">
+													{getFullName(visitor) || t("visitor.unknown")}
+												</span>
+												<span role="cell">{getListedLocation(visitor) || "—"}</span>
+												<span role="cell">{getDeviceLabel(visitor.device?.type)}</span>
+												<span
+													role="cell"
+													className="visitor-list-score"
+													style={
+														typeof score === "number"
+															? { color: getConversionScoreColor(score) }
+															: undefined
+													}
+												>
+													{typeof score === "number"
+														? formatNumber(score)
+														: "—"}
+												</span>
+												<span role="cell" className="visitor-list-customer">
+													{visitor.isCustomer ? (
+														<span
+															className="visitor-list-badge"
+															aria-label={t("visitor.customer")}
+														>
+															✓
+														</span>
+													) : null}
+												</span>
+											</div>
+										);
+									})}
+								</div>
+							)}
+						</div>
+					</div>
+				</>
+			)}
+		</section>
+	);
+};
@@ -68,6 +68,18 @@ export const MAP_STYLE_TYPES = {
 	DARK: "dark",
 };
 
+/**
+ * Interface theme preferences
+ * LIGHT and DARK are also the resolved themes; SYSTEM follows the paired
+ * theme of the map style, then `prefers-color-scheme`.
+ * @type {Object<string, string>}
+ */
+export const THEME_MODES = {
+	LIGHT: "light",
+	DARK: "dark",
+	SYSTEM: "system",
+};
+
 /**
  * Fog configuration for globe view
  * @type {Object}
@@ -86,6 +98,8 @@ export const POPUP_CONFIG = {
 	offset: [-40, -68],
 	maxWidth: "500px",
 	closeOnClick: false,
+	// Base for relative visitor page URLs (`currentUrl`), e.g. https://shop.example.com
+	siteUrl: import.meta.env.VITE_SITE_URL || "",
 };
 
 /**
@@ -103,12 +117,15 @@ export const CONVERSION_SCORE = {
 
 /**
  * Clustering configuration
+ * The index is rebuilt at most once per REBUILD_INTERVAL milliseconds while
+ * the points keep changing (e.g. from a live stream).
  * @type {Object}
  */
 export const CLUSTER_CONFIG = {
 	RADIUS: 60,
 	MAX_ZOOM: 14,
 	MIN_ZOOM: 2,
+	REBUILD_INTERVAL: 250,
 };
 
 /**
@@ -117,3 +134,544 @@ export const CLUSTER_CONFIG = {
  */
 export const CLUSTER_MAX_EXPANSION_ZOOM = 18;
 
+
+/**
+ * Visitor data source types
+ * @type {Object<string, string>}
+ */
+export const VISITOR_SOURCE_TYPES = {
+	SAMPLE: "sample",
+	MEMORY: "memory",
+	REST: "rest",
+	STATIC: "static",
+};
+
+/**
+ * Visitor data source configuration from environment variables
+ * @type {Object}
+ */
+export const VISITOR_SOURCE_CONFIG = {
+	TYPE: import.meta.env.VITE_VISITOR_SOURCE_TYPE || VISITOR_SOURCE_TYPES.REST,
+	URL: import.meta.env.VITE_VISITOR_SOURCE_URL || "",
+	REFRESH_INTERVAL: Number(import.meta.env.VITE_VISITOR_REFRESH_INTERVAL) || 0,
+};
+
+/**
+ * Visitor data source loading states
+ * @type {Object<string, string>}
+ */
+export const SOURCE_STATUS = {
+	IDLE: "idle",
+	LOADING: "loading",
+	READY: "ready",
+	ERROR: "error",
+};
+
+/**
+ * Visitor stream configuration from environment variables
+ * The transport is inferred from the URL: ws:// and wss:// use WebSocket,
+ * anything else uses Server-Sent Events.
+ * @type {Object}
+ */
+export const VISITOR_STREAM_CONFIG = {
+	URL: import.meta.env.VITE_VISITOR_STREAM_URL || "",
+	RECONNECT_DELAY: 1000,
+	MAX_RECONNECT_DELAY: 30000,
+	ENTER_DURATION: 400,
+	EXIT_DURATION: 400,
+};
+
+/**
+ * Visitor stream event types
+ * @type {Object<string, string>}
+ */
+export const STREAM_EVENT_TYPES = {
+	ADD: "add",
+	UPDATE: "update",
+	REMOVE: "remove",
+};
+
+/**
+ * Visitor stream connection states
+ * @type {Object<string, string>}
+ */
+export const STREAM_STATUS = {
+	CONNECTING: "connecting",
+	OPEN: "open",
+	CLOSED: "closed",
+};
+
+/**
+ * Marker transition states for streamed visitors
+ * @type {Object<string, string>}
+ */
+export const MARKER_TRANSITIONS = {
+	ENTER: "enter",
+	LEAVE: "leave",
+};
+
+/**
+ * Filter dimension types
+ * @type {Object<string, string>}
+ */
+export const FILTER_TYPES = {
+	MULTI: "multi",
+	RANGE: "range",
+};
+
+/**
+ * URL query parameter names for shareable links
+ * @type {Object<string, string>}
+ */
+export const URL_PARAMS = {
+	LONGITUDE: "lng",
+	LATITUDE: "lat",
+	ZOOM: "z",
+	PITCH: "pitch",
+	BEARING: "bearing",
+	VIEW_MODE: "view",
+	MAP_STYLE: "style",
+	SEARCH: "q",
+	SELECTED: "visitor",
+};
+
+/**
+ * Prefix for filter query parameters (e.g. `f.country=Japan`)
+ * @type {string}
+ */
+export const FILTER_PARAM_PREFIX = "f.";
+
+/**
+ * Delay in ms before camera moves are written to the URL
+ * @type {number}
+ */
+export const URL_SYNC_DELAY = 300;
+
+/**
+ * Valid values for enumerated viewer state restored from the URL
+ * Map styles are validated against the style registry, which can change at
+ * runtime (see utils/mapStyleRegistry).
+ * @type {Object<string, Array<string>>}
+ */
+export const URL_STATE_ALLOWED = {
+	viewModes: Object.values(VIEW_MODES),
+};
+
+/**
+ * Ranked search results configuration
+ * @type {Object}
+ */
+export const SEARCH_RESULTS_CONFIG = {
+	LIMIT: 8,
+	MIN_QUERY_LENGTH: 2,
+	// Allowed edit distance grows with the length of the typed word
+	TYPO_TOLERANCE: [
+		{ MIN_LENGTH: 8, DISTANCE: 2 },
+		{ MIN_LENGTH: 3, DISTANCE: 1 },
+	],
+	// Shortest word that still filters the map when misspelled (name prefixes only)
+	MAP_TYPO_MIN_LENGTH: 5,
+};
+
+/**
+ * Visualization modes for visitors on the map
+ * @type {Object<string, string>}
+ */
+export const VISUALIZATION_MODES = {
+	MARKERS: "markers",
+	HEATMAP: "heatmap",
+	CHOROPLETH: "choropleth",
+};
+
+/**
+ * Heatmap weighting options
+ * @type {Object<string, string>}
+ */
+export const HEATMAP_WEIGHTS = {
+	COUNT: "count",
+	SCORE: "score",
+	CUSTOMERS: "customers",
+};
+
+/**
+ * Heatmap configuration
+ * The heatmap fades out between FADE_START_ZOOM and FADE_END_ZOOM while the
+ * individual markers fade in.
+ * @type {Object}
+ */
+export const HEATMAP_CONFIG = {
+	DEFAULT_WEIGHT: HEATMAP_WEIGHTS.COUNT,
+	DEFAULT_RADIUS: 30,
+	MIN_RADIUS: 5,
+	MAX_RADIUS: 80,
+	DEFAULT_INTENSITY: 1,
+	MIN_INTENSITY: 0.2,
+	MAX_INTENSITY: 5,
+	FADE_START_ZOOM: 6,
+	FADE_END_ZOOM: 8,
+	COLOR_RAMP: [
+		[0, "rgba(0, 122, 255, 0)"],
+		[0.2, "#5AC8FA"],
+		[0.4, "#34C759"],
+		[0.6, "#FFD60A"],
+		[0.8, "#FF9F0A"],
+		[1, "#FF453A"],
+	],
+};
+
+/**
+ * Marker rendering modes
+ * DOM renders React markers; GPU renders Mapbox circle/symbol layers.
+ * @type {Object<string, string>}
+ */
+export const RENDER_MODES = {
+	DOM: "dom",
+	GPU: "gpu",
+};
+
+/**
+ * GPU layer rendering configuration
+ * Above THRESHOLD filtered visitors the map switches to GPU layers (the
+ * viewer's `gpuThreshold` prop overrides it).
+ * @type {Object}
+ */
+export const GPU_RENDER_CONFIG = {
+	THRESHOLD: Number(import.meta.env.VITE_GPU_RENDER_THRESHOLD) || 2000,
+	SOURCE_ID: "visitors",
+	CLUSTER_LAYER_ID: "visitor-clusters",
+	CLUSTER_COUNT_LAYER_ID: "visitor-cluster-count",
+	POINT_LAYER_ID: "visitor-points",
+	AVATAR_LAYER_ID: "visitor-avatars",
+	BADGE_LAYER_ID: "visitor-customer-badges",
+	AVATAR_IMAGE_PREFIX: "visitor-avatar-",
+	AVATAR_SIZE: 44,
+	AVATAR_PIXEL_RATIO: 2,
+};
+
+/**
+ * Device types and their colors in the "device" color-by scheme
+ * Device types not listed fall into "other".
+ * @type {Array<{type: string, label: string, color: string}>}
+ */
+export const DEVICE_SEGMENTS = [
+	{ type: "desktop", label: "Desktop", color: "#5E5CE6" },
+	{ type: "mobile", label: "Mobile", color: "#FF9F0A" },
+	{ type: "tablet", label: "Tablet", color: "#30B0C7" },
+];
+
+/**
+ * Cluster details panel configuration
+ * In GPU mode a cluster's leaves are fetched from the Mapbox worker
+ * LEAF_PAGE_SIZE at a time.
+ * @type {Object}
+ */
+export const CLUSTER_PANEL_CONFIG = {
+	PAGE_SIZE: 8,
+	DEFAULT_SORT: "name",
+	LEAF_PAGE_SIZE: 1000,
+};
+
+/**
+ * Timeline configuration
+ * Speeds are expressed in timeline milliseconds per real second.
+ * @type {Object}
+ */
+export const TIMELINE_CONFIG = {
+	BIN_COUNT: 48,
+	TICK_INTERVAL: 100,
+	DEFAULT_WINDOW_RATIO: 0.1,
+	MIN_WINDOW_RATIO: 0.01,
+	SPEEDS: [
+		{ label: "15m/s", value: 15 * 60 * 1000 },
+		{ label: "1h/s", value: 60 * 60 * 1000 },
+		{ label: "6h/s", value: 6 * 60 * 60 * 1000 },
+		{ label: "1d/s", value: 24 * 60 * 60 * 1000 },
+	],
+	DEFAULT_SPEED: 60 * 60 * 1000,
+};
+
+/**
+ * Choropleth shading metrics
+ * @type {Object<string, string>}
+ */
+export const CHOROPLETH_METRICS = {
+	COUNT: "count",
+	CUSTOMER_RATE: "customerRate",
+	AVERAGE_SCORE: "averageScore",
+};
+
+/**
+ * Country choropleth configuration
+ * COLOR_RAMP stops are fractions of the metric's maximum.
+ * @type {Object}
+ */
+export const CHOROPLETH_CONFIG = {
+	DEFAULT_METRIC: CHOROPLETH_METRICS.COUNT,
+	SOURCE_ID: "country-boundaries",
+	FILL_LAYER_ID: "country-fill",
+	LINE_LAYER_ID: "country-outline",
+	POINT_LAYER_ID: "country-points",
+	POINT_RADIUS: 6,
+	FILL_OPACITY: 0.65,
+	EMPTY_COLOR: "rgba(142, 142, 147, 0.15)",
+	COLOR_RAMP: [
+		[0, "#dbeafe"],
+		[0.25, "#93c5fd"],
+		[0.5, "#3b82f6"],
+		[0.75, "#1d4ed8"],
+		[1, "#1e3a8a"],
+	],
+	FIT_PADDING: 60,
+	FIT_MAX_ZOOM: 5,
+};
+
+/**
+ * Map selection tools
+ * @type {Object<string, string>}
+ */
+export const SELECTION_TOOLS = {
+	RECTANGLE: "rectangle",
+	LASSO: "lasso",
+	POLYGON: "polygon",
+};
+
+/**
+ * Map selection configuration
+ * EDGE_STEPS densifies rectangle and polygon edges so they follow the globe's
+ * curvature; MIN_POINT_DISTANCE (px) thins out freehand lasso points, and a
+ * polygon click within CLOSE_DISTANCE (px) of its first vertex closes it.
+ * @type {Object}
+ */
+export const SELECTION_CONFIG = {
+	SOURCE_ID: "visitor-selection",
+	FILL_LAYER_ID: "visitor-selection-fill",
+	LINE_LAYER_ID: "visitor-selection-outline",
+	EDGE_STEPS: 16,
+	MIN_POINT_DISTANCE: 4,
+	CLOSE_DISTANCE: 10,
+	MIN_SIZE: 6,
+	FIT_PADDING: 60,
+};
+
+/**
+ * Visitor export formats
+ * @type {Object<string, string>}
+ */
+export const EXPORT_FORMATS = {
+	CSV: "csv",
+	GEOJSON: "geojson",
+	JSON: "json",
+};
+
+/**
+ * Visitor export configuration
+ * @type {Object}
+ */
+export const EXPORT_CONFIG = {
+	DEFAULT_FORMAT: EXPORT_FORMATS.CSV,
+	FILENAME_PREFIX: "visitors",
+	// Some browsers cancel the download if its URL is revoked right after the click
+	REVOKE_DELAY: 1000,
+};
+
+/**
+ * How imported visitors combine with the loaded ones
+ * @type {Object<string, string>}
+ */
+export const IMPORT_MODES = {
+	MERGE: "merge",
+	REPLACE: "replace",
+};
+
+/**
+ * Visitor import configuration
+ * @type {Object}
+ */
+export const IMPORT_CONFIG = {
+	ACCEPT: ".csv,.json,.geojson,text/csv,application/json,application/geo+json",
+	PREVIEW_ROWS: 5,
+	DEFAULT_MODE: IMPORT_MODES.MERGE,
+	ID_PREFIX: "import-",
+};
+
+/**
+ * Visitor normalization configuration
+ * MAX_STREAM_ISSUES caps how many rejected live updates are kept for the
+ * diagnostics panel.
+ * @type {Object}
+ */
+export const VISITOR_SCHEMA_CONFIG = {
+	GENERATED_ID_PREFIX: "visitor-",
+	MAX_STREAM_ISSUES: 100,
+	PANEL_LIST_LIMIT: 50,
+	PREVIEW_LENGTH: 160,
+};
+
+/**
+ * Diagnostics issue severities
+ * @type {Object<string, string>}
+ */
+export const ISSUE_SEVERITIES = {
+	ERROR: "error",
+	WARNING: "warning",
+};
+
+/**
+ * Visitor list panel configuration
+ * Rows have a fixed height so only the visible ones (plus OVERSCAN above
+ * and below) are rendered.
+ * @type {Object}
+ */
+export const VISITOR_LIST_CONFIG = {
+	ROW_HEIGHT: 44,
+	OVERSCAN: 6,
+	DEFAULT_SORT: { key: "name", direction: 1 },
+};
+
+/**
+ * Analytics dashboard configuration
+ * DIMENSIONS are FILTER_REGISTRY keys shown as bar charts; the score
+ * histogram uses the "score" range filter.
+ * @type {Object}
+ */
+export const ANALYTICS_CONFIG = {
+	DIMENSIONS: ["device", "browser", "os", "referrer"],
+	TOP_VALUES: 8,
+	SCORE_FILTER_KEY: "score",
+	SCORE_BIN_SIZE: 10,
+};
+
+/**
+ * Keyboard access to the map
+ * Markers and clusters carry a `data-map-focusable` attribute so arrow-key
+ * navigation can find them; markers also carry `data-visitor-id` so focus
+ * can return to them when their popup closes.
+ * @type {Object}
+ */
+export const MAP_KEYBOARD_CONFIG = {
+	FOCUSABLE_SELECTOR: "[data-map-focusable]",
+};
+
+/**
+ * Screen reader announcements
+ * Announcements wait until the count or camera has been stable for
+ * SETTLE_DELAY milliseconds so panning and typing don't flood the reader.
+ * @type {Object}
+ */
+export const ANNOUNCER_CONFIG = {
+	SETTLE_DELAY: 1000,
+};
+
+/**
+ * Localization configuration
+ * Each locale needs a catalog in src/locales; `direction` sets the layout
+ * direction of the controls.
+ * @type {Object}
+ */
+export const I18N_CONFIG = {
+	DEFAULT_LOCALE: "en",
+	STORAGE_KEY: "globe-viewer:locale",
+	LOCALES: [
+		{ code: "en", label: "English", direction: "ltr" },
+		{ code: "es", label: "Español", direction: "ltr" },
+		{ code: "ar", label: "العربية", direction: "rtl" },
+	],
+};
+
+/**
+ * Interface theme configuration
+ * @type {Object}
+ */
+export const THEME_CONFIG = {
+	DEFAULT_MODE: THEME_MODES.SYSTEM,
+	STORAGE_KEY: "globe-viewer:theme",
+	MEDIA_QUERY: "(prefers-color-scheme: dark)",
+};
+
+/**
+ * Theme colors for map layers, which can't read the CSS custom properties
+ * Keep in sync with the tokens in GlobeViewer.css.
+ * @type {Object<string, Object<string, string>>}
+ */
+export const THEME_LAYER_COLORS = {
+	light: {
+		ACCENT: "#007AFF",
+		COUNTRY_BORDER: "rgba(255, 255, 255, 0.8)",
+	},
+	dark: {
+		ACCENT: "#0A84FF",
+		COUNTRY_BORDER: "rgba(255, 255, 255, 0.25)",
+	},
+};
+
+/**
+ * Interface controls of the GlobeViewer, each shown unless its `controls` prop
+ * sets it to false
+ * @type {Object<string, boolean>}
+ */
+export const DEFAULT_VIEWER_CONTROLS = {
+	search: true,
+	filters: true,
+	export: true,
+	analytics: true,
+	import: true,
+	viewControls: true,
+	selection: true,
+	visitorList: true,
+	timeline: true,
+	status: true,
+	theme: true,
+	language: true,
+	legend: true,
+	savedViews: true,
+};
+
+/**
+ * Kinds of color-by schemes
+ * Categorical schemes give each value its own color; continuous schemes map
+ * a number onto color stops.
+ * @type {Object<string, string>}
+ */
+export const COLOR_SCALE_TYPES = {
+	CATEGORICAL: "categorical",
+	CONTINUOUS: "continuous",
+};
+
+/**
+ * Color-by configuration
+ * PALETTE colors the categories of schemes without fixed categories, most
+ * frequent value first; values beyond MAX_CATEGORIES fall into "other".
+ * Interpolated continuous schemes are split into GRADIENT_BINS equal ranges
+ * for the legend and the cluster rings.
+ * @type {Object}
+ */
+export const COLOR_BY_CONFIG = {
+	DEFAULT_SCHEME: "device",
+	PALETTE: [
+		"#5E5CE6",
+		"#FF9F0A",
+		"#30B0C7",
+		"#FF375F",
+		"#34C759",
+		"#BF5AF2",
+		"#FFD60A",
+		"#A2845E",
+	],
+	MAX_CATEGORIES: 8,
+	OTHER_COLOR: "#8E8E93",
+	GRADIENT_BINS: 5,
+};
+
+/**
+ * Saved views configuration
+ * FILE_VERSION is written to exported files so future formats can be told apart.
+ * @type {Object}
+ */
+export const SAVED_VIEWS_CONFIG = {
+	STORAGE_KEY: "globe-viewer:saved-views",
+	FILE_VERSION: 1,
+	FILENAME_PREFIX: "saved-views",
+	ACCEPT: ".json,application/json",
+	MAX_NAME_LENGTH: 80,
+	FLY_DURATION: 2000,
+};
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Custom hook for notifying a callback when a value changes
+ * @module hooks/useChangeCallback
+ */
+
+import { useEffect, useRef } from "react";
+
+/**
+ * Custom hook calling `callback(value)` whenever the value changes
+ * It is not called for the initial value. The latest callback is always
+ * used, so an inline function doesn't re-run the effect.
+ * @param {*} value - Value to watch, compared by identity
+ * @param {Function} [callback] - Called with the new value
+ */
+export const useChangeCallback = (value, callback) => {
+	const previousRef = useRef(value);
+	const callbackRef = useRef(callback);
+	callbackRef.current = callback;
+
+	useEffect(() => {
+		if (Object.is(previousRef.current, value)) return;
+		previousRef.current = value;
+		callbackRef.current?.(value);
+	}, [value]);
+};
@@ -3,43 +3,90 @@
  * @module hooks/useClustering
  */
 
-import { useMemo } from "react";
+import { useMemo, useRef } from "react";
 import useSupercluster from "use-supercluster";
+import { useThrottledValue } from "./useThrottledValue";
 import { CLUSTER_CONFIG } from "../constants";
+import { createClusterReducers } from "../utils/clusterStats";
+
+/**
+ * Builds a GeoJSON point feature for a visitor
+ * @param {Object} visitor - Visitor object
+ * @returns {Object} GeoJSON feature
+ */
+const toFeature = (visitor) => ({
+	type: "Feature",
+	properties: {
+		cluster: false,
+		visitorId: visitor.visitorId,
+		visitor,
+	},
+	geometry: {
+		type: "Point",
+		coordinates: [visitor.longitude, visitor.latitude],
+	},
+});
 
 /**
  * Custom hook for clustering markers
+ * Cluster properties carry aggregated statistics (customer count, score
+ * sum/count and color category counts); read them with getClusterStats.
  * @param {Array<Object>} visitors - Array of visitor objects
  * @param {Array<number>|null} bounds - Map bounds [west, south, east, north]
  * @param {number} zoom - Current zoom level
+ * @param {import("../utils/colorSchemes").ColorScale} colorScale - Scale whose categories clusters count
  * @returns {Object} Clustered points and supercluster instance
  */
-export const useClustering = (visitors, bounds, zoom) => {
+export const useClustering = (visitors, bounds, zoom, colorScale) => {
+	// Features are cached per visitor object so incremental updates (e.g. from a
+	// live stream) only build features for the visitors that actually changed
+	const featureCacheRef = useRef(new WeakMap());
+
 	const points = useMemo(() => {
-		return visitors.map((visitor) => ({
-			type: "Feature",
-			properties: {
-				cluster: false,
-				visitorId: visitor.visitorId,
-				visitor,
-			},
-			geometry: {
-				type: "Point",
-				coordinates: [visitor.longitude, visitor.latitude],
-			},
-		}));
+		const cache = featureCacheRef.current;
+		return visitors.map((visitor) => {
+			let feature = cache.get(visitor);
+			if (!feature) {
+				feature = toFeature(visitor);
+				cache.set(visitor, feature);
+			}
+			return feature;
+		});
 	}, [visitors]);
 
-	const { clusters, supercluster } = useSupercluster({
-		points,
-		bounds: bounds || undefined,
-		zoom: zoom || CLUSTER_CONFIG.MIN_ZOOM,
-		options: {
+	// Kept stable per scale so the index is only rebuilt when the points or
+	// the color scale change
+	const options = useMemo(
+		() => ({
 			radius: CLUSTER_CONFIG.RADIUS,
 			maxZoom: CLUSTER_CONFIG.MAX_ZOOM,
-		},
+			...createClusterReducers(colorScale),
+		}),
+		[colorScale]
+	);
+
+	// Supercluster has no incremental updates: every new points array rebuilds
+	// the whole index, so batches arriving in quick succession are coalesced
+	const indexedPoints = useThrottledValue(points, CLUSTER_CONFIG.REBUILD_INTERVAL);
+
+	const { clusters: indexedClusters, supercluster } = useSupercluster({
+		points: indexedPoints,
+		bounds: bounds || undefined,
+		zoom: zoom || CLUSTER_CONFIG.MIN_ZOOM,
+		options,
 	});
 
+	// Until the index catches up, drop markers of visitors that are gone so
+	// they don't reappear once their exit animation ends
+	const clusters = useMemo(() => {
+		if (indexedPoints === points) return indexedClusters;
+		const currentIds = new Set(points.map((point) => point.properties.visitorId));
+		return indexedClusters.filter(
+			(feature) =>
+				feature.properties.cluster || currentIds.has(feature.properties.visitorId)
+		);
+	}, [indexedClusters, indexedPoints, points]);
+
 	return { clusters, supercluster };
 };
 
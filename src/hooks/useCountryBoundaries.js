@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Custom hook for lazily loading the bundled country boundaries
+ * @module hooks/useCountryBoundaries
+ */
+
+import { useEffect, useState } from "react";
+
+let boundariesPromise = null;
+
+/**
+ * Loads the boundaries file once; it is split into its own chunk so it
+ * only downloads when the choropleth is first shown
+ * @returns {Promise<Object>} Country boundaries FeatureCollection
+ */
+const loadBoundaries = () => {
+	if (!boundariesPromise) {
+		boundariesPromise = import("../data/countryBoundaries.json")
+			.then((module) => module.default)
+			.catch((error) => {
+				boundariesPromise = null;
+				throw error;
+			});
+	}
+	return boundariesPromise;
+};
+
+/**
+ * Custom hook returning the country boundaries once loaded
+ * @param {boolean} enabled - Whether the boundaries are needed yet
+ * @returns {{boundaries: Object|null, error: Error|null}} Boundaries FeatureCollection and load error
+ */
+export const useCountryBoundaries = (enabled) => {
+	const [boundaries, setBoundaries] = useState(null);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		if (!enabled || boundaries) return undefined;
+
+		let cancelled = false;
+		loadBoundaries()
+			.then((data) => {
+				if (!cancelled) setBoundaries(data);
+			})
+			.catch((loadError) => {
+				if (!cancelled) setError(loadError);
+			});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [enabled, boundaries]);
+
+	return { boundaries, error };
+};
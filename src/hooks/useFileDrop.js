@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Custom hook for accepting files dropped onto an element
+ * @module hooks/useFileDrop
+ */
+
+import { useCallback, useRef, useState } from "react";
+
+/**
+ * Checks if a drag event carries files (rather than text or elements)
+ * @param {DragEvent} e - Drag event
+ * @returns {boolean} True if files are being dragged
+ */
+const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+
+/**
+ * Custom hook tracking file drags over an element and reporting dropped files
+ * Enter/leave events fire for every child element, so a counter tracks
+ * whether the drag is still inside.
+ * @param {Function} onDrop - Callback with the first dropped File
+ * @returns {{isDragging: boolean, dropHandlers: Object}} Drag state and event handlers to spread on the element
+ */
+export const useFileDrop = (onDrop) => {
+	const [isDragging, setIsDragging] = useState(false);
+	const depthRef = useRef(0);
+
+	const handleDragEnter = useCallback((e) => {
+		if (!hasFiles(e)) return;
+		e.preventDefault();
+		depthRef.current += 1;
+		setIsDragging(true);
+	}, []);
+
+	const handleDragOver = useCallback((e) => {
+		if (!hasFiles(e)) return;
+		e.preventDefault();
+		e.dataTransfer.dropEffect = "copy";
+	}, []);
+
+	const handleDragLeave = useCallback((e) => {
+		if (!hasFiles(e)) return;
+		depthRef.current = Math.max(depthRef.current - 1, 0);
+		if (depthRef.current === 0) setIsDragging(false);
+	}, []);
+
+	const handleDrop = useCallback(
+		(e) => {
+			if (!hasFiles(e)) return;
+			e.preventDefault();
+			depthRef.current = 0;
+			setIsDragging(false);
+			const [file] = e.dataTransfer.files;
+			if (file) onDrop(file);
+		},
+		[onDrop]
+	);
+
+	return {
+		isDragging,
+		dropHandlers: {
+			onDragEnter: handleDragEnter,
+			onDragOver: handleDragOver,
+			onDragLeave: handleDragLeave,
+			onDrop: handleDrop,
+		},
+	};
+};
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Context access to the active locale's messages and formatters
+ * @module hooks/useI18n
+ */
+
+import { createContext, useContext } from "react";
+import { createI18n } from "../utils/i18n";
+import { I18N_CONFIG } from "../constants";
+
+/**
+ * Localization context
+ * Defaults to the default locale so components also render outside a provider.
+ * @type {React.Context<import("../utils/i18n").I18n>}
+ */
+export const I18nContext = createContext(createI18n(I18N_CONFIG.DEFAULT_LOCALE));
+
+/**
+ * Custom hook returning the localization helpers of the active locale
+ * @returns {import("../utils/i18n").I18n} Localization helpers
+ */
+export const useI18n = () => useContext(I18nContext);
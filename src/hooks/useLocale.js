@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Custom hook for the active locale and the language switcher
+ * @module hooks/useLocale
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createI18n, resolveLocale } from "../utils/i18n";
+import { I18N_CONFIG } from "../constants";
+
+/**
+ * Picks the initial locale: a saved choice, then the browser's languages
+ * @param {string} storageKey - localStorage key of the saved choice
+ * @returns {string} Locale code
+ */
+const getInitialLocale = (storageKey) => {
+	let saved = null;
+	try {
+		saved = window.localStorage.getItem(storageKey);
+	} catch (error) {
+		// Storage can be unavailable (private mode, sandboxed iframes)
+	}
+	const candidates = [saved, ...(navigator.languages || [navigator.language])];
+	for (const tag of candidates) {
+		const locale = resolveLocale(tag);
+		if (locale) return locale;
+	}
+	return I18N_CONFIG.DEFAULT_LOCALE;
+};
+
+/**
+ * Custom hook holding the active locale
+ * The choice is remembered in localStorage under `storageKey`; another key
+ * switches to the locale saved there. The page's own `lang` is left to the
+ * host, as the viewer sets `lang` on its root element.
+ * @param {string} [storageKey=I18N_CONFIG.STORAGE_KEY] - localStorage key of the choice
+ * @returns {import("../utils/i18n").I18n & {setLocale: Function}} Localization helpers and a setter
+ */
+export const useLocale = (storageKey = I18N_CONFIG.STORAGE_KEY) => {
+	const [locale, setLocaleState] = useState(() => getInitialLocale(storageKey));
+	const storageKeyRef = useRef(storageKey);
+
+	useEffect(() => {
+		if (storageKeyRef.current === storageKey) return;
+		storageKeyRef.current = storageKey;
+		setLocaleState(getInitialLocale(storageKey));
+	}, [storageKey]);
+
+	const setLocale = useCallback(
+		(next) => {
+			const resolved = resolveLocale(next) || I18N_CONFIG.DEFAULT_LOCALE;
+			setLocaleState(resolved);
+			try {
+				window.localStorage.setItem(storageKey, resolved);
+			} catch (error) {
+				// Not persisted; the choice still applies to this session
+			}
+		},
+		[storageKey]
+	);
+
+	return useMemo(() => ({ ...createI18n(locale), setLocale }), [locale, setLocale]);
+};
@@ -3,40 +3,46 @@
  * @module hooks/useMapConfig
  */
 
-import { useCallback } from "react";
-import { MAP_STYLES, FOG_COLORS, MAP_STYLE_TYPES } from "../constants";
+import { useCallback, useMemo } from "react";
+import { useMapStyles } from "./useMapStyles";
+import { selectMapStyles } from "../utils/mapStyleRegistry";
 
 /**
  * Custom hook for managing map style and fog configuration
- * @param {string} mapStyle - Current map style type
+ * Unknown styles (e.g. one that was unregistered) fall back to the first
+ * offered style.
+ * @param {string} mapStyle - Current map style id
+ * @param {Array<string|Object>} [styleList] - Styles to offer (see selectMapStyles), defaults to every registered style
  * @returns {Object} Map configuration utilities
  */
-export const useMapConfig = (mapStyle) => {
+export const useMapConfig = (mapStyle, styleList) => {
+	const registeredStyles = useMapStyles();
+	const mapStyles = useMemo(
+		() => selectMapStyles(styleList, registeredStyles),
+		[styleList, registeredStyles]
+	);
+
+	const styleDefinition = useMemo(
+		() => mapStyles.find((definition) => definition.id === mapStyle) || mapStyles[0],
+		[mapStyles, mapStyle]
+	);
+
 	/**
-	 * Gets the Mapbox style URL for the current map style
-	 * @returns {string} Mapbox style URL
+	 * Gets the Mapbox style for the current map style
+	 * @returns {string|Object} Mapbox style URL or style JSON
 	 */
-	const getMapStyleUrl = useCallback(() => {
-		const styleMap = {
-			[MAP_STYLE_TYPES.OUTDOORS]: MAP_STYLES.OUTDOORS,
-			[MAP_STYLE_TYPES.SATELLITE]: MAP_STYLES.SATELLITE,
-			[MAP_STYLE_TYPES.LIGHT]: MAP_STYLES.LIGHT,
-			[MAP_STYLE_TYPES.DARK]: MAP_STYLES.DARK,
-		};
-		return styleMap[mapStyle] || MAP_STYLES.OUTDOORS;
-	}, [mapStyle]);
+	const getMapStyleSource = useCallback(() => styleDefinition.style, [styleDefinition]);
 
 	/**
 	 * Gets the fog color for the current map style
 	 * @returns {string} Hex color code
 	 */
-	const getFogColor = useCallback(() => {
-		return FOG_COLORS[mapStyle] || FOG_COLORS.outdoors;
-	}, [mapStyle]);
+	const getFogColor = useCallback(() => styleDefinition.fogColor, [styleDefinition]);
 
 	return {
-		getMapStyleUrl,
+		mapStyles,
+		styleDefinition,
+		getMapStyleSource,
 		getFogColor,
 	};
 };
-
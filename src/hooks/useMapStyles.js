@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Custom hook for the registered map styles
+ * @module hooks/useMapStyles
+ */
+
+import { useSyncExternalStore } from "react";
+import { getMapStyles, subscribeToMapStyles } from "../utils/mapStyleRegistry";
+
+/**
+ * Custom hook returning the registered map styles
+ * Re-renders when styles are registered or removed at runtime. The same
+ * snapshot is used on the server, for hosts that server-render the viewer.
+ * @returns {Array<import("../utils/mapStyleRegistry").MapStyleDefinition>} Registered styles
+ */
+export const useMapStyles = () =>
+	useSyncExternalStore(subscribeToMapStyles, getMapStyles, getMapStyles);
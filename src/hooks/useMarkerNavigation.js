@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Custom hook for moving focus between map markers with the arrow keys
+ * @module hooks/useMarkerNavigation
+ */
+
+import { useEffect } from "react";
+import { ARROW_DIRECTIONS, findNextInDirection } from "../utils/spatialNavigation";
+import { MAP_KEYBOARD_CONFIG } from "../constants";
+
+/**
+ * Gets the on-screen center of an element
+ * @param {Element} element - Element to measure
+ * @returns {{x: number, y: number, element: Element}} Center point
+ */
+const getCenter = (element) => {
+	const rect = element.getBoundingClientRect();
+	return {
+		x: rect.left + rect.width / 2,
+		y: rect.top + rect.height / 2,
+		element,
+	};
+};
+
+/**
+ * Custom hook letting keyboard users move between the visible markers
+ * While a marker or cluster has focus, the arrow keys focus the nearest one
+ * on screen in that direction instead of panning the map. The listener runs
+ * in the capture phase on the map container so Mapbox's own keyboard
+ * handler never sees those keys.
+ * @param {Object} mapRef - Ref to the react-map-gl map
+ * @param {boolean} isMapLoaded - Whether the map has loaded (its container exists)
+ */
+export const useMarkerNavigation = (mapRef, isMapLoaded) => {
+	useEffect(() => {
+		const container = isMapLoaded ? mapRef.current?.getContainer() : null;
+		if (!container) return undefined;
+
+		const handleKeyDown = (e) => {
+			const direction = ARROW_DIRECTIONS[e.key];
+			if (!direction || !e.target.matches?.(MAP_KEYBOARD_CONFIG.FOCUSABLE_SELECTOR)) {
+				return;
+			}
+			e.preventDefault();
+			e.stopPropagation();
+
+			const bounds = container.getBoundingClientRect();
+			const candidates = Array.from(
+				container.querySelectorAll(MAP_KEYBOARD_CONFIG.FOCUSABLE_SELECTOR)
+			)
+				.filter((element) => element !== e.target)
+				.map(getCenter)
+				// Markers panned off screen are still in the DOM
+				.filter(
+					({ x, y }) =>
+						x >= bounds.left &&
+						x <= bounds.right &&
+						y >= bounds.top &&
+						y <= bounds.bottom
+				);
+			const next = findNextInDirection(getCenter(e.target), candidates, direction);
+			next?.element.focus({ preventScroll: true });
+		};
+
+		container.addEventListener("keydown", handleKeyDown, true);
+		return () => container.removeEventListener("keydown", handleKeyDown, true);
+	}, [mapRef, isMapLoaded]);
+};
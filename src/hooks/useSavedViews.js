@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Custom hook for the saved views collection
+ * @module hooks/useSavedViews
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+	createSavedView,
+	loadSavedViews,
+	storeSavedViews,
+	mergeSavedViews,
+	normalizeViewName,
+} from "../utils/savedViews";
+import { SAVED_VIEWS_CONFIG } from "../constants";
+
+/**
+ * Custom hook holding the saved views
+ * Views are persisted to localStorage and kept in sync with other tabs
+ * using the same storage key. Another key loads the collection stored there.
+ * @param {string} [storageKey] - localStorage key, to keep separate collections
+ * @returns {Object} Views and functions to save, rename, delete and import them
+ */
+export const useSavedViews = (storageKey = SAVED_VIEWS_CONFIG.STORAGE_KEY) => {
+	const [views, setViews] = useState(() => loadSavedViews(storageKey));
+	// Only changes made here are written back, not the initial load or
+	// updates from other tabs
+	const isDirtyRef = useRef(false);
+
+	// Latest views, updated as soon as they change so every update (and the
+	// counts reported for it) starts from the same snapshot
+	const viewsRef = useRef(views);
+	const storageKeyRef = useRef(storageKey);
+
+	// Runs before the write below so the previous collection isn't stored
+	// under the new key
+	useEffect(() => {
+		if (storageKeyRef.current === storageKey) return;
+		storageKeyRef.current = storageKey;
+		isDirtyRef.current = false;
+		viewsRef.current = loadSavedViews(storageKey);
+		setViews(viewsRef.current);
+	}, [storageKey]);
+
+	useEffect(() => {
+		const isDirty = isDirtyRef.current;
+		isDirtyRef.current = false;
+		if (isDirty) storeSavedViews(views, storageKey);
+	}, [views, storageKey]);
+
+	useEffect(() => {
+		const handleStorage = (e) => {
+			if (e.key !== storageKey) return;
+			isDirtyRef.current = false;
+			viewsRef.current = loadSavedViews(storageKey);
+			setViews(viewsRef.current);
+		};
+
+		window.addEventListener("storage", handleStorage);
+		return () => window.removeEventListener("storage", handleStorage);
+	}, [storageKey]);
+
+	/**
+	 * Applies a change to the views and marks it for storage
+	 * Updates that return the current views unchanged are ignored.
+	 * @param {Function} updater - Returns the next views from the current ones
+	 */
+	const updateViews = useCallback((updater) => {
+		const next = updater(viewsRef.current);
+		if (next === viewsRef.current) return;
+		viewsRef.current = next;
+		isDirtyRef.current = true;
+		setViews(next);
+	}, []);
+
+	/**
+	 * Saves the viewer state as a new view
+	 * @param {string} name - View name
+	 * @param {import("../utils/urlState").UrlState} state - Viewer state
+	 * @returns {import("../utils/savedViews").SavedView|null} The view, or null without a name
+	 */
+	const saveView = useCallback(
+		(name, state) => {
+			if (!normalizeViewName(name)) return null;
+			const view = createSavedView(name, state);
+			updateViews((prev) => [...prev, view]);
+			return view;
+		},
+		[updateViews]
+	);
+
+	/**
+	 * Renames a view; empty names are ignored
+	 * @param {string} id - View ID
+	 * @param {string} name - New name
+	 */
+	const renameView = useCallback(
+		(id, name) => {
+			const normalized = normalizeViewName(name);
+			if (!normalized) return;
+			updateViews((prev) =>
+				prev.map((view) =>
+					view.id === id
+						? { ...view, name: normalized, updatedAt: new Date().toISOString() }
+						: view
+				)
+			);
+		},
+		[updateViews]
+	);
+
+	/**
+	 * Deletes a view
+	 * @param {string} id - View ID
+	 */
+	const deleteView = useCallback(
+		(id) => updateViews((prev) => prev.filter((view) => view.id !== id)),
+		[updateViews]
+	);
+
+	/**
+	 * Adds imported views, replacing saved views with the same ID
+	 * @param {Array<import("../utils/savedViews").SavedView>} imported - Views from a file
+	 * @returns {{added: number, replaced: number}} Counts of new and replaced views
+	 */
+	const importViews = useCallback(
+		(imported) => {
+			const { views: merged, added, replaced } = mergeSavedViews(
+				viewsRef.current,
+				imported
+			);
+			updateViews(() => merged);
+			return { added, replaced };
+		},
+		[updateViews]
+	);
+
+	return { views, saveView, renameView, deleteView, importViews };
+};
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Context access to the interface theme
+ * @module hooks/useTheme
+ */
+
+import { createContext, useContext } from "react";
+import { THEME_CONFIG, THEME_MODES } from "../constants";
+
+/**
+ * Interface theme
+ * @typedef {Object} Theme
+ * @property {string} mode - Preference: one of THEME_MODES
+ * @property {string} theme - Resolved theme, THEME_MODES.LIGHT or THEME_MODES.DARK
+ * @property {Function} setMode - Changes the preference
+ */
+
+/**
+ * Theme context
+ * Defaults to the light theme so components also render outside a provider.
+ * @type {React.Context<Theme>}
+ */
+export const ThemeContext = createContext({
+	mode: THEME_CONFIG.DEFAULT_MODE,
+	theme: THEME_MODES.LIGHT,
+	setMode: () => {},
+});
+
+/**
+ * Custom hook returning the interface theme
+ * @returns {Theme} Theme preference and resolved theme
+ */
+export const useTheme = () => useContext(ThemeContext);
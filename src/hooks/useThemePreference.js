@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Custom hook for the interface theme preference
+ * @module hooks/useThemePreference
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { THEME_CONFIG, THEME_MODES } from "../constants";
+
+/**
+ * Reads the saved theme preference
+ * @returns {string} One of THEME_MODES
+ */
+const getInitialMode = () => {
+	let saved = null;
+	try {
+		saved = window.localStorage.getItem(THEME_CONFIG.STORAGE_KEY);
+	} catch (error) {
+		// Storage can be unavailable (private mode, sandboxed iframes)
+	}
+	return Object.values(THEME_MODES).includes(saved) ? saved : THEME_CONFIG.DEFAULT_MODE;
+};
+
+/**
+ * Gets the operating system's color scheme
+ * @returns {string} THEME_MODES.LIGHT or THEME_MODES.DARK
+ */
+const getSystemTheme = () =>
+	window.matchMedia?.(THEME_CONFIG.MEDIA_QUERY).matches
+		? THEME_MODES.DARK
+		: THEME_MODES.LIGHT;
+
+/**
+ * Custom hook holding the theme preference and resolving the active theme
+ * An explicit light or dark preference always wins. The "system" preference
+ * uses the theme paired with the map style, and otherwise follows
+ * `prefers-color-scheme`, updating when the operating system switches.
+ * @param {string|null} [pairedTheme] - Theme paired with the current map style
+ * @returns {import("./useTheme").Theme} Theme preference, resolved theme and setter
+ */
+export const useThemePreference = (pairedTheme = null) => {
+	const [mode, setModeState] = useState(getInitialMode);
+	const [systemTheme, setSystemTheme] = useState(getSystemTheme);
+
+	useEffect(() => {
+		const query = window.matchMedia?.(THEME_CONFIG.MEDIA_QUERY);
+		if (!query) return undefined;
+		const handleChange = (e) =>
+			setSystemTheme(e.matches ? THEME_MODES.DARK : THEME_MODES.LIGHT);
+		query.addEventListener("change", handleChange);
+		return () => query.removeEventListener("change", handleChange);
+	}, []);
+
+	const setMode = useCallback((next) => {
+		const resolved = Object.values(THEME_MODES).includes(next)
+			? next
+			: THEME_CONFIG.DEFAULT_MODE;
+		setModeState(resolved);
+		try {
+			window.localStorage.setItem(THEME_CONFIG.STORAGE_KEY, resolved);
+		} catch (error) {
+			// Not persisted; the choice still applies to this session
+		}
+	}, []);
+
+	const theme = mode === THEME_MODES.SYSTEM ? pairedTheme || systemTheme : mode;
+
+	return useMemo(() => ({ mode, theme, setMode }), [mode, theme, setMode]);
+};
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Custom hook for throttling a changing value
+ * @module hooks/useThrottledValue
+ */
+
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Custom hook returning a value that follows `value` at most once per interval
+ * A change after a quiet period is taken right away; changes within the
+ * interval are held back and the latest one is taken when it ends.
+ * @param {*} value - Value to follow, compared by identity
+ * @param {number} interval - Minimum time between updates in ms
+ * @returns {*} Throttled value
+ */
+export const useThrottledValue = (value, interval) => {
+	const [throttled, setThrottled] = useState(value);
+	const lastUpdateRef = useRef(0);
+
+	useEffect(() => {
+		const update = () => {
+			lastUpdateRef.current = Date.now();
+			setThrottled(value);
+		};
+
+		const wait = lastUpdateRef.current + interval - Date.now();
+		if (wait <= 0) {
+			update();
+			return undefined;
+		}
+		const timerId = setTimeout(update, wait);
+		return () => clearTimeout(timerId);
+	}, [value, interval]);
+
+	return throttled;
+};
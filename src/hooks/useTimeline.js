@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Custom hook for the timeline window and playback
+ * @module hooks/useTimeline
+ */
+
+import { useState, useEffect, useMemo, useRef, useCallback } from "react";
+import { getTimeExtent } from "../utils/timeline";
+import { TIMELINE_CONFIG } from "../constants";
+
+/**
+ * Custom hook managing the timeline's time window and playback
+ * While playing, the window slides forward by `speed` timeline milliseconds
+ * per real second, keeping its width, and stops at the end of the data.
+ * @param {Array<Object>} visitors - All visitors (the extent covers their timestamps)
+ * @returns {Object} Time extent, window, playback state and controls
+ */
+export const useTimeline = (visitors) => {
+	const [timeWindow, setTimeWindow] = useState(null);
+	const [isPlaying, setIsPlaying] = useState(false);
+	const [speed, setSpeed] = useState(TIMELINE_CONFIG.DEFAULT_SPEED);
+	const windowRef = useRef(timeWindow);
+	windowRef.current = timeWindow;
+
+	const extent = useMemo(() => getTimeExtent(visitors), [visitors]);
+
+	/**
+	 * Gets the window playback starts from
+	 * Restarts from the beginning when no window is set or it reached the end.
+	 * @returns {[number, number]} Starting window
+	 */
+	const getPlaybackStart = useCallback(() => {
+		const current = windowRef.current;
+		if (current && current[1] < extent[1]) return current;
+
+		const width = current
+			? current[1] - current[0]
+			: (extent[1] - extent[0]) * TIMELINE_CONFIG.DEFAULT_WINDOW_RATIO;
+		return [extent[0], extent[0] + width];
+	}, [extent]);
+
+	// Advance the window while playing
+	useEffect(() => {
+		if (!isPlaying || !extent) return undefined;
+
+		let lastTick = performance.now();
+		const timerId = setInterval(() => {
+			const now = performance.now();
+			const step = (speed * (now - lastTick)) / 1000;
+			lastTick = now;
+
+			const [start, end] = windowRef.current || getPlaybackStart();
+			const nextEnd = Math.min(end + step, extent[1]);
+			const next = [start + (nextEnd - end), nextEnd];
+			windowRef.current = next;
+			setTimeWindow(next);
+			if (nextEnd >= extent[1]) setIsPlaying(false);
+		}, TIMELINE_CONFIG.TICK_INTERVAL);
+
+		return () => clearInterval(timerId);
+	}, [isPlaying, extent, speed, getPlaybackStart]);
+
+	// Stop playback when the data no longer has timestamps
+	useEffect(() => {
+		if (!extent) setIsPlaying(false);
+	}, [extent]);
+
+	/**
+	 * Starts or pauses playback
+	 */
+	const togglePlayback = useCallback(() => {
+		if (!extent) return;
+		if (isPlaying) {
+			setIsPlaying(false);
+			return;
+		}
+		const start = getPlaybackStart();
+		windowRef.current = start;
+		setTimeWindow(start);
+		setIsPlaying(true);
+	}, [extent, isPlaying, getPlaybackStart]);
+
+	/**
+	 * Clears the window so every visitor is shown, and stops playback
+	 */
+	const clearTimeWindow = useCallback(() => {
+		setIsPlaying(false);
+		setTimeWindow(null);
+	}, []);
+
+	return {
+		extent,
+		timeWindow,
+		setTimeWindow,
+		clearTimeWindow,
+		isPlaying,
+		togglePlayback,
+		speed,
+		setSpeed,
+	};
+};
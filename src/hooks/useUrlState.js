@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Custom hook for syncing viewer state with the browser URL
+ * @module hooks/useUrlState
+ */
+
+import { useEffect, useRef } from "react";
+import {
+	serializeUrlState,
+	parseUrlState,
+	getSettingsKey,
+} from "../utils/urlState";
+import { URL_SYNC_DELAY } from "../constants";
+
+/**
+ * Custom hook that mirrors viewer state into the URL query string
+ * Changes to settings (style, filters, search, selection...) push a new history
+ * entry; camera-only changes replace the current one so panning doesn't flood
+ * the history. Browser back/forward restores the state through `onRestore`.
+ * @param {import("../utils/urlState").UrlState} state - Current viewer state (should be memoized)
+ * @param {Object} options - Hook options
+ * @param {import("../utils/urlState").UrlState} options.defaults - Default viewer state
+ * @param {Object} [options.allowed] - Allowed values for enumerated fields (see parseUrlState)
+ * @param {Function} options.onRestore - Called with the parsed state on back/forward navigation
+ * @param {boolean} [options.enabled] - Whether to sync at all, e.g. off for embedded viewers
+ */
+export const useUrlState = (state, { defaults, allowed, onRestore, enabled = true }) => {
+	const settingsKeyRef = useRef(null);
+
+	// Write state to the URL
+	useEffect(() => {
+		if (!enabled) return undefined;
+		const timerId = setTimeout(() => {
+			const search = serializeUrlState(state, defaults);
+			const settingsKey = getSettingsKey(state, defaults);
+			if (settingsKeyRef.current === null) {
+				settingsKeyRef.current = getSettingsKey(
+					parseUrlState(window.location.search, defaults, allowed),
+					defaults
+				);
+			}
+			if (search === window.location.search) return;
+
+			const { pathname, hash } = window.location;
+			const url = `${pathname}${search}${hash}`;
+			if (settingsKey !== settingsKeyRef.current) {
+				window.history.pushState(null, "", url);
+			} else {
+				window.history.replaceState(null, "", url);
+			}
+			settingsKeyRef.current = settingsKey;
+		}, URL_SYNC_DELAY);
+
+		return () => clearTimeout(timerId);
+	}, [state, defaults, allowed, enabled]);
+
+	// Restore state on back/forward navigation
+	useEffect(() => {
+		if (!enabled) return undefined;
+		const handlePopState = () => {
+			const restored = parseUrlState(window.location.search, defaults, allowed);
+			settingsKeyRef.current = getSettingsKey(restored, defaults);
+			onRestore(restored);
+		};
+
+		window.addEventListener("popstate", handlePopState);
+		return () => window.removeEventListener("popstate", handlePopState);
+	}, [defaults, allowed, onRestore, enabled]);
+};
@@ -6,64 +6,93 @@
 import { useMemo } from "react";
 import {
 	filterVisitors,
-	getUniqueValues,
+	getFilterOptions,
+	parseSearchQuery,
+	getSearchValueOptions,
+	getSearchResults,
 } from "../utils/visitorFilters";
+import { FILTER_REGISTRY, isFilterActive } from "../utils/filterRegistry";
+import { filterByTimeWindow } from "../utils/timeline";
 
 /**
  * Custom hook for managing visitor filtering
  * @param {Array<Object>} visitors - Array of all visitors
  * @param {string} searchQuery - Current search query
  * @param {Object} filters - Current filter state
- * @returns {Object} Filtered visitors and unique filter values
+ * @param {Array<Object>} [registry] - Filter registry
+ * @param {[number, number]|null} [timeWindow] - Timeline window in epoch ms; visitors
+ *   without timestamps are unaffected
+ * @returns {Object} Filtered visitors, filter options with counts and search results
  */
-export const useVisitorFilters = (visitors, searchQuery, filters) => {
+export const useVisitorFilters = (
+	visitors,
+	searchQuery,
+	filters,
+	registry = FILTER_REGISTRY,
+	timeWindow = null
+) => {
 	/**
-	 * Filtered visitors based on search and filters
+	 * Visitors matching search and filters, before the time window is applied
+	 */
+	const matchingVisitors = useMemo(() => {
+		return filterVisitors(visitors, searchQuery, filters, registry);
+	}, [visitors, searchQuery, filters, registry]);
+
+	/**
+	 * Filtered visitors based on search, filters and the time window
+	 * Applied last so timeline playback doesn't re-run the other filters.
 	 */
 	const filteredVisitors = useMemo(() => {
-		return filterVisitors(visitors, searchQuery, filters);
-	}, [visitors, searchQuery, filters]);
+		return filterByTimeWindow(matchingVisitors, timeWindow);
+	}, [matchingVisitors, timeWindow]);
 
 	/**
-	 * Unique countries for filter dropdown
+	 * Options with per-option counts for each multi filter
 	 */
-	const uniqueCountries = useMemo(() => {
-		return getUniqueValues(visitors, "country");
-	}, [visitors]);
+	const filterOptions = useMemo(() => {
+		return getFilterOptions(visitors, searchQuery, filters, registry);
+	}, [visitors, searchQuery, filters, registry]);
 
 	/**
-	 * Unique devices for filter dropdown
+	 * Syntax errors in the search query
 	 */
-	const uniqueDevices = useMemo(() => {
-		return getUniqueValues(visitors, (visitor) => visitor.device?.type);
-	}, [visitors]);
+	const searchErrors = useMemo(() => {
+		return parseSearchQuery(searchQuery).errors;
+	}, [searchQuery]);
 
 	/**
-	 * Unique country codes for filter dropdown
+	 * Fuzzy-ranked visitors for the search results dropdown, out of those on the map
 	 */
-	const uniqueCountryCodes = useMemo(() => {
-		return getUniqueValues(visitors, "countryCode");
+	const searchResults = useMemo(() => {
+		return getSearchResults(filteredVisitors, searchQuery);
+	}, [filteredVisitors, searchQuery]);
+
+	/**
+	 * Field values for search autocomplete
+	 */
+	const searchValueOptions = useMemo(() => {
+		return getSearchValueOptions(visitors);
 	}, [visitors]);
 
 	/**
 	 * Checks if any filters are currently active
 	 */
 	const hasActiveFilters = useMemo(() => {
-		return !!(
-			searchQuery ||
-			filters.country ||
-			filters.device ||
-			filters.customer ||
-			filters.countryCode
+		return (
+			!!searchQuery ||
+			registry.some((definition) =>
+				isFilterActive(definition, filters[definition.key])
+			)
 		);
-	}, [searchQuery, filters]);
+	}, [searchQuery, filters, registry]);
 
 	return {
 		filteredVisitors,
-		uniqueCountries,
-		uniqueDevices,
-		uniqueCountryCodes,
+		matchingVisitors,
+		filterOptions,
 		hasActiveFilters,
+		searchErrors,
+		searchResults,
+		searchValueOptions,
 	};
 };
-
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Custom hook for loading visitors from a data source
+ * @module hooks/useVisitorSource
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import { SOURCE_STATUS } from "../constants";
+
+/**
+ * Custom hook for loading and periodically refreshing visitors from a source
+ * @param {import("../utils/visitorSources").VisitorSource} source - Visitor data source
+ * @returns {Object} Loaded visitors, loading status, error and a refresh function
+ */
+export const useVisitorSource = (source) => {
+	const [visitors, setVisitors] = useState([]);
+	const [status, setStatus] = useState(SOURCE_STATUS.IDLE);
+	const [error, setError] = useState(null);
+	const [lastUpdated, setLastUpdated] = useState(null);
+	const controllerRef = useRef(null);
+
+	/**
+	 * Loads visitors from the source, aborting any request still in flight
+	 */
+	const refresh = useCallback(async () => {
+		controllerRef.current?.abort();
+		const controller = new AbortController();
+		controllerRef.current = controller;
+
+		setStatus(SOURCE_STATUS.LOADING);
+		try {
+			const data = await source.load(controller.signal);
+			if (controller.signal.aborted) return;
+			setVisitors(data);
+			setError(null);
+			setStatus(SOURCE_STATUS.READY);
+			setLastUpdated(Date.now());
+		} catch (err) {
+			if (controller.signal.aborted) return;
+			// Keep the previously loaded visitors so a failed refresh doesn't blank the map
+			setError(err);
+			setStatus(SOURCE_STATUS.ERROR);
+		}
+	}, [source]);
+
+	// Reload whenever the source changes
+	useEffect(() => {
+		setVisitors([]);
+		refresh();
+		return () => controllerRef.current?.abort();
+	}, [refresh]);
+
+	// Periodic refresh
+	useEffect(() => {
+		if (!source.refreshInterval) return undefined;
+		const intervalId = setInterval(refresh, source.refreshInterval);
+		return () => clearInterval(intervalId);
+	}, [source.refreshInterval, refresh]);
+
+	return {
+		visitors,
+		status,
+		error,
+		lastUpdated,
+		refresh,
+	};
+};
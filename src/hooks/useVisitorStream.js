@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Custom hook for applying live stream events to the visitor set
+ * @module hooks/useVisitorStream
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import { applyStreamEvents } from "../utils/visitorStreams";
+import {
+	STREAM_STATUS,
+	MARKER_TRANSITIONS,
+	VISITOR_STREAM_CONFIG,
+	VISITOR_SCHEMA_CONFIG,
+} from "../constants";
+
+const NO_TRANSITIONS = new Map();
+const NO_ISSUES = [];
+
+/**
+ * Builds a visitor map keyed by visitorId
+ * @param {Array<Object>} visitors - Array of visitors
+ * @returns {Map<string, Object>} Visitor map
+ */
+const toVisitorMap = (visitors) => {
+	return new Map(visitors.map((visitor) => [String(visitor.visitorId), visitor]));
+};
+
+/**
+ * Custom hook that layers live add/update/remove events on top of a base visitor set
+ * Events are batched per animation frame. Unchanged visitor objects keep their
+ * identity so downstream memoization (e.g. clustering features) is reused.
+ * Removed visitors are kept for the exit animation before being dropped.
+ * Whenever the base visitors change (e.g. a source refresh) the stream state is reset.
+ * Events carrying invalid visitors are dropped and reported as issues (most recent first).
+ * @param {Array<Object>} baseVisitors - Visitors loaded from the data source
+ * @param {import("../utils/visitorStreams").VisitorStream|null} stream - Live stream, or null to disable
+ * @returns {Object} Live visitors, per-visitor marker transitions, connection status and rejected events
+ */
+export const useVisitorStream = (baseVisitors, stream) => {
+	const [snapshot, setSnapshot] = useState({
+		visitors: baseVisitors,
+		transitions: NO_TRANSITIONS,
+	});
+	const [issues, setIssues] = useState(NO_ISSUES);
+	const [status, setStatus] = useState(STREAM_STATUS.CLOSED);
+	const visitorMapRef = useRef(new Map());
+	const transitionsRef = useRef(new Map());
+	// Flush that last set each visitor's transition, so timers from earlier
+	// flushes leave it alone
+	const transitionBatchesRef = useRef(new Map());
+	const queueRef = useRef([]);
+	const frameRef = useRef(null);
+	const timersRef = useRef(new Set());
+
+	/**
+	 * Publishes the current visitor map and transitions to React state
+	 */
+	const publish = useCallback(() => {
+		setSnapshot({
+			visitors: Array.from(visitorMapRef.current.values()),
+			transitions: new Map(transitionsRef.current),
+		});
+	}, []);
+
+	/**
+	 * Runs a callback after a delay, tracking the timer for cleanup
+	 * @param {Function} callback - Callback to run
+	 * @param {number} delay - Delay in ms
+	 */
+	const schedule = useCallback((callback, delay) => {
+		const timerId = setTimeout(() => {
+			timersRef.current.delete(timerId);
+			callback();
+		}, delay);
+		timersRef.current.add(timerId);
+	}, []);
+
+	/**
+	 * Applies all queued events in a single update
+	 */
+	const flush = useCallback(() => {
+		frameRef.current = null;
+		const events = queueRef.current;
+		queueRef.current = [];
+
+		const visitorMap = new Map(visitorMapRef.current);
+		const transitions = transitionsRef.current;
+		const batches = transitionBatchesRef.current;
+		const leavingIds = new Set();
+		transitions.forEach((transition, id) => {
+			if (transition === MARKER_TRANSITIONS.LEAVE) leavingIds.add(id);
+		});
+		const { added, removed, rejected } = applyStreamEvents(visitorMap, events, leavingIds);
+		visitorMapRef.current = visitorMap;
+		if (rejected.length) {
+			const newest = [...rejected].reverse();
+			setIssues((prev) =>
+				[...newest, ...prev].slice(0, VISITOR_SCHEMA_CONFIG.MAX_STREAM_ISSUES)
+			);
+		}
+
+		// Re-adding a leaving visitor replaces its LEAVE, which cancels the removal
+		const batch = {};
+		added.forEach((id) => {
+			transitions.set(id, MARKER_TRANSITIONS.ENTER);
+			batches.set(id, batch);
+		});
+		removed.forEach((id) => {
+			transitions.set(id, MARKER_TRANSITIONS.LEAVE);
+			batches.set(id, batch);
+		});
+		publish();
+
+		if (added.length) {
+			schedule(() => {
+				if (transitionsRef.current !== transitions) return;
+				added.forEach((id) => {
+					if (batches.get(id) !== batch) return;
+					batches.delete(id);
+					transitions.delete(id);
+				});
+				publish();
+			}, VISITOR_STREAM_CONFIG.ENTER_DURATION);
+		}
+
+		if (removed.length) {
+			schedule(() => {
+				// The base visitors were reset in the meantime
+				if (transitionsRef.current !== transitions) return;
+				const nextMap = new Map(visitorMapRef.current);
+				removed.forEach((id) => {
+					// Skip visitors re-added (or removed again) since
+					if (batches.get(id) !== batch) return;
+					batches.delete(id);
+					transitions.delete(id);
+					nextMap.delete(id);
+				});
+				visitorMapRef.current = nextMap;
+				publish();
+			}, VISITOR_STREAM_CONFIG.EXIT_DURATION);
+		}
+	}, [publish, schedule]);
+
+	// Reset the live set whenever the base visitors change
+	useEffect(() => {
+		visitorMapRef.current = toVisitorMap(baseVisitors);
+		transitionsRef.current = new Map();
+		transitionBatchesRef.current = new Map();
+		publish();
+	}, [baseVisitors, publish]);
+
+	// Connect to the stream
+	useEffect(() => {
+		if (!stream) return undefined;
+
+		const disconnect = stream.connect((events) => {
+			queueRef.current.push(...events);
+			if (frameRef.current === null) {
+				frameRef.current = requestAnimationFrame(flush);
+			}
+		}, setStatus);
+
+		return () => {
+			disconnect();
+			cancelAnimationFrame(frameRef.current);
+			frameRef.current = null;
+			queueRef.current = [];
+			setStatus(STREAM_STATUS.CLOSED);
+		};
+	}, [stream, flush]);
+
+	// Clear pending transition timers on unmount
+	useEffect(() => {
+		const timers = timersRef.current;
+		return () => timers.forEach(clearTimeout);
+	}, []);
+
+	if (!stream) {
+		return { visitors: baseVisitors, transitions: NO_TRANSITIONS, status, issues: NO_ISSUES };
+	}
+
+	return {
+		visitors: snapshot.visitors,
+		transitions: snapshot.transitions,
+		status,
+		issues,
+	};
+};
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Library entry: the embeddable viewer and its helpers
+ * @module lib
+ */
+
+export { GlobeViewer } from "../components/GlobeViewer/GlobeViewer";
+export { mount } from "./mount";
+export {
+	DEFAULT_POPUP_FIELDS,
+	DEFAULT_POPUP_ACTIONS,
+	resolveVisitorUrl,
+} from "../components/Popup/popupSchema";
+export {
+	registerMapStyle,
+	unregisterMapStyle,
+	getMapStyles,
+	BUILT_IN_MAP_STYLES,
+} from "../utils/mapStyleRegistry";
+export { DEFAULT_COLOR_SCHEMES } from "../utils/colorSchemes";
+export {
+	createMemorySource,
+	createRestSource,
+	createStaticSource,
+	createSampleSource,
+} from "../utils/visitorSources";
+export { createStream } from "../utils/visitorStreams";
+export { DEFAULT_VIEWER_CONTROLS, COLOR_SCALE_TYPES } from "../constants";
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Framework-free mounting of the GlobeViewer
+ * @module lib/mount
+ */
+
+import React, { createRef } from "react";
+import { createRoot } from "react-dom/client";
+import { GlobeViewer } from "../components/GlobeViewer/GlobeViewer";
+
+/**
+ * A viewer mounted with `mount`
+ * @typedef {Object} MountedViewer
+ * @property {Function} update - Merges new options into the viewer's props
+ * @property {Function} flyToVisitor - Selects a visitor by ID and flies to it; returns whether it was found
+ * @property {Function} resetView - Flies back to the initial view
+ * @property {Function} setFilters - Replaces the filter values
+ * @property {Function} unmount - Removes the viewer from the element
+ */
+
+/**
+ * Renders a GlobeViewer into a DOM element, for pages that don't use React
+ * @param {Element} element - Container; the viewer fills it, so it needs a height
+ * @param {Object} [options] - GlobeViewer props
+ * @returns {MountedViewer} Handle for updating and removing the viewer
+ * @throws {Error} If no element is given
+ */
+export const mount = (element, options = {}) => {
+	if (!(element instanceof Element)) {
+		throw new Error("mount() needs a DOM element to render into");
+	}
+
+	const root = createRoot(element);
+	const viewerRef = createRef();
+	let props = options;
+	const render = () => root.render(<GlobeViewer ref={viewerRef} {...props} />);
+	render();
+
+	return {
+		update: (next) => {
+			props = { ...props, ...next };
+			render();
+		},
+		flyToVisitor: (visitorId) => viewerRef.current?.flyToVisitor(visitorId) ?? false,
+		resetView: () => viewerRef.current?.resetView(),
+		setFilters: (filters) => viewerRef.current?.setFilters(filters),
+		unmount: () => root.unmount(),
+	};
+};
@@ -0,0 +1,8 @@
+/**
+ * @fileoverview Standalone entry for script tags, bundling React and Mapbox GL
+ * @module lib/standalone
+ */
+
+import "mapbox-gl/dist/mapbox-gl.css";
+
+export * from "./index";
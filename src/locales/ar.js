@@ -0,0 +1,501 @@
+/**
+ * @fileoverview Arabic messages
+ * @module locales/ar
+ */
+
+/**
+ * Arabic message catalog
+ * Plurals use all six Arabic categories (zero, one, two, few, many, other).
+ * @type {Object<string, string|Object<string, string>>}
+ */
+export const ar = {
+	"filters.label": "خيارات التصفية",
+	"filters.title": "عوامل التصفية",
+	"filters.clearAll": "مسح الكل",
+	"filters.close": "إغلاق عوامل التصفية",
+	"filters.showing": "عرض {filtered} من {count} مستخدم",
+	"filters.selected": "{count} محدد",
+	"filters.options": "خيارات {label}",
+	"filters.noValues": "لا توجد قيم",
+	"filters.minimum": "الحد الأدنى لـ{label}",
+	"filters.maximum": "الحد الأقصى لـ{label}",
+
+	"search.placeholder": "ابحث، أو صفِّ مثل country:Japan score:>70",
+	"search.label": "البحث عن الزوار",
+	"search.clear": "مسح البحث",
+	"search.suggestions": "اقتراحات البحث",
+	"search.results": "الزوار المطابقون",
+	"search.error.unterminated": "علامة الاقتباس الختامية مفقودة",
+	"search.error.unknownField": "حقل غير معروف \"{field}\"",
+	"search.error.missingValue": "القيمة مفقودة للحقل \"{field}\"",
+	"search.error.expectsNumber": "يتوقع \"{field}\" رقمًا، مثل ‎>70 أو 50..80",
+	"search.error.expectsBoolean": "يتوقع \"{field}\" القيمة true أو false",
+
+	"visitor.unknown": "غير معروف",
+	"visitor.fallback": "زائر",
+	"visitor.customer": "عميل",
+
+	"toolbar.filters": "إظهار عوامل التصفية",
+	"toolbar.filtersLabel": "إظهار لوحة التصفية أو إخفاؤها",
+	"toolbar.activeFilters": "عوامل تصفية نشطة",
+	"toolbar.export": "تصدير الزوار",
+	"toolbar.exportLabel": "إظهار لوحة التصدير أو إخفاؤها",
+	"toolbar.analytics": "تحليلات الزوار",
+	"toolbar.analyticsLabel": "إظهار التحليلات أو إخفاؤها",
+	"toolbar.import": "استيراد الزوار",
+	"toolbar.importLabel": "استيراد الزوار من ملف",
+	"toolbar.savedViews": "العروض المحفوظة",
+	"toolbar.savedViewsLabel": "إظهار أو إخفاء العروض المحفوظة",
+
+	"controls.label": "عناصر التحكم في عرض الخريطة",
+	"controls.globe": "كرة أرضية ثلاثية الأبعاد",
+	"controls.globeLabel": "التبديل إلى عرض الكرة الأرضية ثلاثي الأبعاد",
+	"controls.flat": "خريطة مسطحة ثنائية الأبعاد",
+	"controls.flatLabel": "التبديل إلى عرض الخريطة المسطحة",
+	"controls.heatmap": "خريطة حرارية",
+	"controls.heatmapLabel": "إظهار الخريطة الحرارية أو إخفاؤها",
+	"controls.choropleth": "الدول",
+	"controls.choroplethLabel": "إظهار تظليل الدول أو إخفاؤه",
+	"controls.rectangle": "تحديد مستطيل",
+	"controls.rectangleLabel": "تحديد الزوار داخل مستطيل",
+	"controls.lasso": "تحديد حر",
+	"controls.lassoLabel": "تحديد الزوار برسم حر",
+	"controls.polygon": "تحديد مضلع",
+	"controls.polygonLabel": "تحديد الزوار داخل مضلع",
+	"controls.reset": "إعادة ضبط العرض",
+	"controls.resetLabel": "إعادة عرض الخريطة إلى الوضع الافتراضي",
+	"controls.styles": "أنماط الخريطة",
+	"controls.styleLabel": "التبديل إلى نمط الخريطة {label}",
+
+	"mapStyle.outdoors": "الهواء الطلق (أخضر)",
+	"mapStyle.outdoors.label": "التبديل إلى نمط خريطة الهواء الطلق",
+	"mapStyle.satellite": "قمر صناعي",
+	"mapStyle.satellite.label": "التبديل إلى نمط القمر الصناعي",
+	"mapStyle.light": "فاتح",
+	"mapStyle.light.label": "التبديل إلى النمط الفاتح",
+	"mapStyle.dark": "داكن",
+	"mapStyle.dark.label": "التبديل إلى النمط الداكن",
+
+	"live.open": "مباشر",
+	"live.connecting": "جارٍ الاتصال…",
+	"live.closed": "غير متصل",
+
+	"data.retry": "إعادة المحاولة",
+	"data.refreshFailed": "فشل التحديث: {message}",
+	"data.loading": "جارٍ تحميل الزوار…",
+	"data.error": "تعذر تحميل الزوار",
+	"data.empty": "لا يوجد زوار بعد",
+	"data.emptyDetail": "لم يُرجع {source} أي زوار.",
+
+	"import.drop": "أفلت الملف لاستيراد الزوار",
+	"import.title": "استيراد الزوار",
+	"import.titleFile": "استيراد {fileName}",
+	"import.dropHint": "أفلت ملف CSV أو JSON أو GeoJSON في أي مكان على الخريطة، أو",
+	"import.choose": "اختيار ملف",
+	"import.readError": "تعذرت قراءة الملف: {message}",
+	"import.currentReplace": {
+		zero: "لا زوار من {fileName} تحل محل الزوار المحمّلين",
+		one: "زائر واحد من {fileName} تحل محل الزوار المحمّلين",
+		two: "زائران من {fileName} تحل محل الزوار المحمّلين",
+		few: "{count} زوار من {fileName} تحل محل الزوار المحمّلين",
+		many: "{count} زائرًا من {fileName} تحل محل الزوار المحمّلين",
+		other: "{count} زائر من {fileName} تحل محل الزوار المحمّلين",
+	},
+	"import.currentMerge": {
+		zero: "لا زوار من {fileName} مدموجون مع الزوار المحمّلين",
+		one: "زائر واحد من {fileName} مدموجون مع الزوار المحمّلين",
+		two: "زائران من {fileName} مدموجون مع الزوار المحمّلين",
+		few: "{count} زوار من {fileName} مدموجون مع الزوار المحمّلين",
+		many: "{count} زائرًا من {fileName} مدموجون مع الزوار المحمّلين",
+		other: "{count} زائر من {fileName} مدموجون مع الزوار المحمّلين",
+	},
+	"import.remove": "إزالة",
+	"import.rows": {
+		zero: "لا صفوف",
+		one: "صف واحد",
+		two: "صفان",
+		few: "{count} صفوف",
+		many: "{count} صفًا",
+		other: "{count} صف",
+	},
+	"import.commentLines": {
+		zero: "لم يُتخطَّ أي سطر تعليق",
+		one: "تم تخطي سطر تعليق واحد",
+		two: "تم تخطي سطري تعليق",
+		few: "تم تخطي {count} أسطر تعليق",
+		many: "تم تخطي {count} سطر تعليق",
+		other: "تم تخطي {count} سطر تعليق",
+	},
+	"import.columns": {
+		zero: "لا أعمدة",
+		one: "عمود واحد",
+		two: "عمودان",
+		few: "{count} أعمدة",
+		many: "{count} عمودًا",
+		other: "{count} عمود",
+	},
+	"import.required": "مطلوب",
+	"import.ready": {
+		zero: "لا زوار جاهزون",
+		one: "زائر واحد جاهزون",
+		two: "زائران جاهزون",
+		few: "{count} زوار جاهزون",
+		many: "{count} زائرًا جاهزون",
+		other: "{count} زائر جاهزون",
+	},
+	"import.skipped": {
+		zero: "لم يُتخطَّ أي صف",
+		one: "تم تخطي صف واحد (خط العرض أو الطول مفقود)",
+		two: "تم تخطي صفين (خط العرض أو الطول مفقود)",
+		few: "تم تخطي {count} صفوف (خط العرض أو الطول مفقود)",
+		many: "تم تخطي {count} صفًا (خط العرض أو الطول مفقود)",
+		other: "تم تخطي {count} صف (خط العرض أو الطول مفقود)",
+	},
+	"import.mode": "وضع الاستيراد",
+	"import.merge": "الدمج مع الزوار المحمّلين",
+	"import.replace": "استبدال الزوار المحمّلين",
+	"import.chooseAnother": "اختيار ملف آخر",
+	"import.confirm": {
+		zero: "استيراد لا زوار",
+		one: "استيراد زائر واحد",
+		two: "استيراد زائران",
+		few: "استيراد {count} زوار",
+		many: "استيراد {count} زائرًا",
+		other: "استيراد {count} زائر",
+	},
+	"import.close": "إغلاق الاستيراد",
+	"import.field.latitude": "خط العرض",
+	"import.field.longitude": "خط الطول",
+	"import.field.visitorId": "معرّف الزائر",
+	"import.field.firstName": "الاسم الأول",
+	"import.field.lastName": "اسم العائلة",
+	"import.field.email": "البريد الإلكتروني",
+	"import.field.city": "المدينة",
+	"import.field.country": "الدولة",
+	"import.field.countryCode": "رمز الدولة",
+	"import.field.isCustomer": "عميل",
+	"import.field.device.type": "الجهاز",
+	"import.field.browser.name": "المتصفح",
+	"import.field.os.name": "نظام التشغيل",
+	"import.field.referrer": "المُحيل",
+	"import.field.currentUrl": "الصفحة الحالية",
+	"import.field.conversionLikelihood.score": "درجة التحويل",
+	"import.field.profileImage": "صورة الملف الشخصي",
+	"import.field.firstSeen": "أول زيارة",
+	"import.field.lastSeen": "آخر زيارة",
+
+	"export.title": "تصدير",
+	"export.selection": "تحديد الخريطة ({count})",
+	"export.filtered": "كل الزوار بعد التصفية ({count})",
+	"export.format": "التنسيق",
+	"export.columns": "الأعمدة",
+	"export.all": "الكل",
+	"export.none": "لا شيء",
+	"export.jsonNote": "يحتفظ JSON بكل الحقول، بما فيها المتداخلة.",
+	"export.note":
+		"يُسجَّل البحث وعوامل التصفية والنافذة الزمنية والتحديد النشط في الملف.",
+	"export.download": {
+		zero: "تنزيل لا زوار",
+		one: "تنزيل زائر واحد",
+		two: "تنزيل زائران",
+		few: "تنزيل {count} زوار",
+		many: "تنزيل {count} زائرًا",
+		other: "تنزيل {count} زائر",
+	},
+	"export.label": "تصدير الزوار",
+	"export.close": "إغلاق التصدير",
+	"export.scope": "الزوار المراد تصديرهم",
+
+	"diagnostics.liveUpdate": "تحديث مباشر",
+	"diagnostics.record": "السجل {index}",
+	"diagnostics.id": "المعرّف {id}",
+	"diagnostics.more": "…و{count} أخرى",
+	"diagnostics.rejectedCount": "{count} مرفوض",
+	"diagnostics.correctedCount": "{count} مصحح",
+	"diagnostics.title": "تشخيص البيانات",
+	"diagnostics.recordsRejected": {
+		zero: "لم يُرفض أي سجل",
+		one: "سجل واحد مرفوض",
+		two: "سجلان مرفوضان",
+		few: "{count} سجلات مرفوضة",
+		many: "{count} سجلًا مرفوضًا",
+		other: "{count} سجل مرفوض",
+	},
+	"diagnostics.corrections": {
+		zero: "لا تصحيحات",
+		one: "تصحيح واحد",
+		two: "تصحيحان",
+		few: "{count} تصحيحات",
+		many: "{count} تصحيحًا",
+		other: "{count} تصحيح",
+	},
+	"diagnostics.rejected": "مرفوضة",
+	"diagnostics.corrected": "مصححة",
+	"diagnostics.show": "إظهار تشخيص البيانات",
+	"diagnostics.close": "إغلاق التشخيص",
+
+	"selection.rectangleInstructions":
+		"اسحب لتحديد الزوار داخل مستطيل. اضغط Escape للإلغاء.",
+	"selection.lassoInstructions": "ارسم حول الزوار لتحديدهم. اضغط Escape للإلغاء.",
+	"selection.polygonInstructions":
+		"انقر لوضع زوايا المضلع، ثم انقر نقرًا مزدوجًا أو انقر على الزاوية الأولى أو اضغط Enter لإغلاقه. يزيل Backspace آخر زاوية، ويلغي Escape الرسم.",
+	"selection.rectangleHint": "اسحب على الخريطة لتحديد مستطيل",
+	"selection.lassoHint": "ارسم حول الزوار المراد تحديدهم",
+	"selection.polygonHint": "انقر لإضافة الزوايا، ثم انقر نقرًا مزدوجًا أو اضغط Enter للإنهاء",
+	"selection.cancel": "إلغاء",
+	"selection.selected": {
+		zero: "زائر محدد",
+		one: "زائر محدد",
+		two: "زائران محددان",
+		few: "زوار محددون",
+		many: "زائرًا محددًا",
+		other: "زائر محدد",
+	},
+	"selection.list": "قائمة",
+	"selection.export": "تصدير",
+	"selection.clear": "مسح التحديد",
+
+	"timeline.pauseLabel": "إيقاف التشغيل مؤقتًا",
+	"timeline.playLabel": "تشغيل الوصول",
+	"timeline.pause": "إيقاف مؤقت",
+	"timeline.play": "تشغيل",
+	"timeline.allTime": "كل الأوقات",
+	"timeline.shown": "{count} معروض",
+	"timeline.windowText": "من {start} إلى {end}",
+	"timeline.label": "الخط الزمني",
+	"timeline.speed": "سرعة التشغيل",
+	"timeline.clear": "إظهار كل الأوقات",
+	"timeline.window": "النافذة الزمنية",
+	"timeline.windowStart": "بداية النافذة",
+	"timeline.windowEnd": "نهاية النافذة",
+
+	"heatmap.weight.count": "الزوار",
+	"heatmap.weight.score": "الدرجة",
+	"heatmap.weight.customers": "العملاء",
+	"heatmap.weightBy": "الترجيح حسب",
+	"heatmap.radius": "نصف القطر",
+	"heatmap.radiusValue": "{value} بكسل",
+	"heatmap.intensity": "الشدة",
+	"heatmap.intensityValue": "{value}×",
+	"heatmap.label": "إعدادات الخريطة الحرارية",
+
+	"choropleth.metric.count": "الزوار",
+	"choropleth.metric.customerRate": "٪ العملاء",
+	"choropleth.metric.averageScore": "متوسط الدرجة",
+	"choropleth.shadeBy": "التظليل حسب",
+	"choropleth.error": "تعذر تحميل حدود الدول",
+	"choropleth.loading": "جارٍ تحميل حدود الدول…",
+	"choropleth.empty": "لا زوار",
+	"choropleth.countries": {
+		zero: "لا دول",
+		one: "دولة واحدة",
+		two: "دولتان",
+		few: "{count} دول",
+		many: "{count} دولة",
+		other: "{count} دولة",
+	},
+	"choropleth.label": "إعدادات تظليل الدول",
+	"choropleth.tooltip.visitors": {
+		zero: "لا زوار",
+		one: "زائر واحد",
+		two: "زائران",
+		few: "{count} زوار",
+		many: "{count} زائرًا",
+		other: "{count} زائر",
+	},
+	"choropleth.tooltip.customers": "{rate} عملاء",
+	"choropleth.tooltip.averageScore": "متوسط الدرجة {score}",
+
+	"colorBy.label": "التلوين حسب",
+	"colorBy.legend": "ألوان العلامات",
+	"colorBy.other": "أخرى",
+	"colorBy.noValue": "بلا قيمة",
+	"colorBy.range": "{min}–{max}",
+	"colorBy.empty": "لا يوجد زوار لعرضهم",
+	"colorScheme.device": "الجهاز",
+	"colorScheme.score": "درجة التحويل",
+	"colorScheme.customer": "حالة العميل",
+	"colorScheme.referrer": "المُحيل",
+	"colorScheme.browser": "المتصفح",
+
+	"savedViews.title": "العروض المحفوظة",
+	"savedViews.label": "العروض المحفوظة",
+	"savedViews.close": "إغلاق العروض المحفوظة",
+	"savedViews.nameLabel": "اسم العرض الجديد",
+	"savedViews.defaultName": "عرض {number}",
+	"savedViews.save": "حفظ",
+	"savedViews.saved": "تم حفظ العرض",
+	"savedViews.empty":
+		"احفظ الكاميرا ونمط الخريطة والبحث وعوامل التصفية الحالية للعودة إليها لاحقًا.",
+	"savedViews.restore": "استعادة {name}",
+	"savedViews.rename": "إعادة التسمية",
+	"savedViews.renameLabel": "إعادة تسمية {name}",
+	"savedViews.renameDone": "إنهاء إعادة التسمية",
+	"savedViews.delete": "حذف",
+	"savedViews.deleteLabel": "حذف {name}",
+	"savedViews.confirmDelete": "انقر مرة أخرى لحذف {name}",
+	"savedViews.import": "استيراد",
+	"savedViews.export": "تصدير",
+	"savedViews.imported": {
+		zero: "لم يُستورد أي عرض جديد، وحُدّث {replaced}",
+		one: "استُورد عرض جديد واحد، وحُدّث {replaced}",
+		two: "استُورد عرضان جديدان، وحُدّث {replaced}",
+		few: "استُوردت {count} عروض جديدة، وحُدّث {replaced}",
+		many: "استُورد {count} عرضًا جديدًا، وحُدّث {replaced}",
+		other: "استُورد {count} عرض جديد، وحُدّث {replaced}",
+	},
+	"savedViews.importError": "تعذر استيراد الملف: {message}",
+
+	"cluster.label": {
+		zero: "مجموعة من لا زوار",
+		one: "مجموعة من زائر واحد",
+		two: "مجموعة من زائران",
+		few: "مجموعة من {count} زوار",
+		many: "مجموعة من {count} زائرًا",
+		other: "مجموعة من {count} زائر",
+	},
+	"cluster.visitors": {
+		zero: "لا زوار",
+		one: "زائر واحد",
+		two: "زائران",
+		few: "{count} زوار",
+		many: "{count} زائرًا",
+		other: "{count} زائر",
+	},
+	"cluster.customers": "العملاء",
+	"cluster.averageScore": "متوسط الدرجة",
+
+	"device.desktop": "حاسوب مكتبي",
+	"device.mobile": "جوال",
+	"device.tablet": "جهاز لوحي",
+	"device.other": "أخرى",
+
+	"popup.label": "تفاصيل {name}",
+	"popup.close": "إغلاق النافذة",
+	"popup.scoreValue": "{score}/100",
+	"popup.actions": "إجراءات الزائر",
+	"popup.actionFailed": "تعذّر إكمال الإجراء",
+
+	"popupField.visitorId": "معرّف الزائر",
+	"popupField.countryCode": "رمز الدولة",
+	"popupField.device": "الجهاز",
+	"popupField.browser": "المتصفح",
+	"popupField.os": "نظام التشغيل",
+	"popupField.referrer": "المُحيل",
+	"popupField.currentUrl": "الصفحة الحالية",
+	"popupField.score": "درجة التحويل",
+	"popupAction.copyEmail": "نسخ البريد الإلكتروني",
+	"popupAction.copyEmail.done": "تم نسخ البريد الإلكتروني",
+	"popupAction.openUrl": "فتح الصفحة الحالية",
+	"popupAction.filterCountry": "التصفية حسب الدولة",
+
+	"groupPanel.sort.name": "الاسم",
+	"groupPanel.sort.score": "درجة التحويل",
+	"groupPanel.sort.customer": "العملاء أولًا",
+	"groupPanel.sort.country": "الدولة",
+	"groupPanel.count": {
+		zero: "لا زوار",
+		one: "زائر واحد",
+		two: "زائران",
+		few: "{count} زوار",
+		many: "{count} زائرًا",
+		other: "{count} زائر",
+	},
+	"groupPanel.zoom": "التكبير إلى الزوار",
+	"groupPanel.maxZoom": "أقصى تكبير بالفعل",
+	"groupPanel.sortBy": "الترتيب حسب",
+	"groupPanel.empty": "لا يوجد زوار في هذه المجموعة",
+	"groupPanel.page": "الصفحة {page} من {count}",
+	"groupPanel.closeLabel": "إغلاق قائمة الزوار",
+	"groupPanel.close": "إغلاق",
+	"groupPanel.previous": "الصفحة السابقة",
+	"groupPanel.next": "الصفحة التالية",
+	"groupPanel.selection": "الزوار المحددون",
+	"groupPanel.cluster": "زوار المجموعة",
+
+	"visitorList.column.name": "الاسم",
+	"visitorList.column.location": "الموقع",
+	"visitorList.column.device": "الجهاز",
+	"visitorList.column.score": "الدرجة",
+	"visitorList.column.customer": "عميل",
+	"visitorList.label": "قائمة الزوار",
+	"visitorList.title": "الزوار",
+	"visitorList.onlyInView": "الزوار في عرض الخريطة فقط",
+	"visitorList.emptyInView": "لا يوجد زوار في عرض الخريطة",
+	"visitorList.empty": "لا يوجد زوار لعرضهم",
+
+	"analytics.title": "التحليلات",
+	"analytics.summary": {
+		zero: "لا زوار · انقر على شريط للتصفية",
+		one: "زائر واحد · انقر على شريط للتصفية",
+		two: "زائران · انقر على شريط للتصفية",
+		few: "{count} زوار · انقر على شريط للتصفية",
+		many: "{count} زائرًا · انقر على شريط للتصفية",
+		other: "{count} زائر · انقر على شريط للتصفية",
+	},
+	"analytics.close": "إغلاق التحليلات",
+	"analytics.other": "{count} أخرى",
+	"analytics.unknown": "{count} غير معروف",
+	"analytics.empty": "لا بيانات",
+	"analytics.breakdown": "توزيع {title}",
+	"analytics.barLabel": {
+		zero: "{label}: لا زوار",
+		one: "{label}: زائر واحد",
+		two: "{label}: زائران",
+		few: "{label}: {count} زوار",
+		many: "{label}: {count} زائرًا",
+		other: "{label}: {count} زائر",
+	},
+	"analytics.histogram": "مدرج {title}",
+	"analytics.binLabel": {
+		zero: "الدرجة {label}: لا زوار",
+		one: "الدرجة {label}: زائر واحد",
+		two: "الدرجة {label}: زائران",
+		few: "الدرجة {label}: {count} زوار",
+		many: "الدرجة {label}: {count} زائرًا",
+		other: "الدرجة {label}: {count} زائر",
+	},
+	"analytics.withoutScore": "{count} بلا درجة",
+
+	"announcer.showingAll": {
+		zero: "عرض كل الزوار: لا زوار",
+		one: "عرض كل الزوار: زائر واحد",
+		two: "عرض كل الزوار: زائران",
+		few: "عرض كل الزوار: {count} زوار",
+		many: "عرض كل الزوار: {count} زائرًا",
+		other: "عرض كل الزوار: {count} زائر",
+	},
+	"announcer.showing": "عرض {visible} من {count}",
+	"announcer.camera": "الخريطة متمركزة عند {latitude}، {longitude}، التكبير {zoom}",
+	"announcer.north": "{value}° شمالًا",
+	"announcer.south": "{value}° جنوبًا",
+	"announcer.east": "{value}° شرقًا",
+	"announcer.west": "{value}° غربًا",
+
+	"language.label": "اللغة",
+
+	"theme.label": "المظهر",
+	"theme.light": "فاتح",
+	"theme.dark": "داكن",
+	"theme.system": "النظام",
+
+	"filter.country": "الدولة",
+	"filter.country.all": "كل الدول",
+	"filter.countryCode": "الدولة (الرمز)",
+	"filter.countryCode.all": "كل الرموز",
+	"filter.device": "الجهاز",
+	"filter.device.all": "كل الأجهزة",
+	"filter.customer": "النوع",
+	"filter.customer.all": "الكل",
+	"filter.customer.customer": "العملاء",
+	"filter.customer.visitor": "الزوار",
+	"filter.browser": "المتصفح",
+	"filter.browser.all": "كل المتصفحات",
+	"filter.os": "نظام التشغيل",
+	"filter.os.all": "كل الأنظمة",
+	"filter.referrer": "المُحيل",
+	"filter.referrer.all": "كل المُحيلين",
+	"filter.currentUrl": "الصفحة الحالية",
+	"filter.currentUrl.all": "كل الصفحات",
+	"filter.score": "درجة التحويل",
+};
@@ -0,0 +1,365 @@
+/**
+ * @fileoverview English messages
+ * @module locales/en
+ */
+
+/**
+ * English message catalog
+ * The default locale: keys missing from another catalog fall back to these.
+ * Filter and import field labels are not listed; their English text lives in
+ * the filter registry and the import schema.
+ * @type {Object<string, string|Object<string, string>>}
+ */
+export const en = {
+	"filters.label": "Filter options",
+	"filters.title": "Filters",
+	"filters.clearAll": "Clear All",
+	"filters.close": "Close filters",
+	"filters.showing": {
+		one: "Showing {filtered} of {count} user",
+		other: "Showing {filtered} of {count} users",
+	},
+	"filters.selected": "{count} selected",
+	"filters.options": "{label} options",
+	"filters.noValues": "No values",
+	"filters.minimum": "Minimum {label}",
+	"filters.maximum": "Maximum {label}",
+
+	"search.placeholder": "Search, or filter like country:Japan score:>70",
+	"search.label": "Search visitors",
+	"search.clear": "Clear search",
+	"search.suggestions": "Search suggestions",
+	"search.results": "Matching visitors",
+	"search.error.unterminated": "Missing closing quote",
+	"search.error.unknownField": "Unknown field \"{field}\"",
+	"search.error.missingValue": "Missing value for \"{field}\"",
+	"search.error.expectsNumber": "\"{field}\" expects a number, e.g. >70 or 50..80",
+	"search.error.expectsBoolean": "\"{field}\" expects true or false",
+
+	"visitor.unknown": "Unknown",
+	"visitor.fallback": "Visitor",
+	"visitor.customer": "Customer",
+
+	"toolbar.filters": "Toggle filters",
+	"toolbar.filtersLabel": "Toggle filter panel",
+	"toolbar.activeFilters": "Active filters",
+	"toolbar.export": "Export visitors",
+	"toolbar.exportLabel": "Toggle export panel",
+	"toolbar.analytics": "Visitor analytics",
+	"toolbar.analyticsLabel": "Toggle analytics drawer",
+	"toolbar.import": "Import visitors",
+	"toolbar.importLabel": "Import visitors from a file",
+	"toolbar.savedViews": "Saved views",
+	"toolbar.savedViewsLabel": "Toggle saved views panel",
+
+	"controls.label": "Map view controls",
+	"controls.globe": "3D Globe View",
+	"controls.globeLabel": "Switch to 3D globe view",
+	"controls.flat": "2D Flat Map",
+	"controls.flatLabel": "Switch to 2D flat map view",
+	"controls.heatmap": "Heatmap",
+	"controls.heatmapLabel": "Toggle heatmap",
+	"controls.choropleth": "Countries",
+	"controls.choroplethLabel": "Toggle country choropleth",
+	"controls.rectangle": "Box Select",
+	"controls.rectangleLabel": "Select visitors in a rectangle",
+	"controls.lasso": "Lasso Select",
+	"controls.lassoLabel": "Select visitors with a freehand lasso",
+	"controls.polygon": "Polygon Select",
+	"controls.polygonLabel": "Select visitors in a polygon",
+	"controls.reset": "Reset View",
+	"controls.resetLabel": "Reset map view to default",
+	"controls.styles": "Map styles",
+	"controls.styleLabel": "Switch to {label} map style",
+
+	"mapStyle.outdoors": "Outdoors (Green)",
+	"mapStyle.outdoors.label": "Switch to outdoors map style",
+	"mapStyle.satellite": "Satellite",
+	"mapStyle.satellite.label": "Switch to satellite map style",
+	"mapStyle.light": "Light",
+	"mapStyle.light.label": "Switch to light map style",
+	"mapStyle.dark": "Dark",
+	"mapStyle.dark.label": "Switch to dark map style",
+
+	"live.open": "Live",
+	"live.connecting": "Connecting…",
+	"live.closed": "Offline",
+
+	"data.retry": "Retry",
+	"data.refreshFailed": "Refresh failed: {message}",
+	"data.loading": "Loading visitors…",
+	"data.error": "Couldn't load visitors",
+	"data.empty": "No visitors yet",
+	"data.emptyDetail": "{source} returned no visitors.",
+
+	"import.drop": "Drop to import visitors",
+	"import.title": "Import visitors",
+	"import.titleFile": "Import {fileName}",
+	"import.dropHint": "Drop a CSV, JSON or GeoJSON file anywhere on the map, or",
+	"import.choose": "Choose file",
+	"import.readError": "Couldn't read the file: {message}",
+	"import.currentReplace": {
+		one: "{count} visitor from {fileName} replaces the loaded visitors",
+		other: "{count} visitors from {fileName} replace the loaded visitors",
+	},
+	"import.currentMerge": {
+		one: "{count} visitor from {fileName} is merged with the loaded visitors",
+		other: "{count} visitors from {fileName} are merged with the loaded visitors",
+	},
+	"import.remove": "Remove",
+	"import.rows": {
+		one: "{count} row",
+		other: "{count} rows",
+	},
+	"import.columns": {
+		one: "{count} column",
+		other: "{count} columns",
+	},
+	"import.commentLines": {
+		one: "{count} comment line skipped",
+		other: "{count} comment lines skipped",
+	},
+	"import.required": "required",
+	"import.ready": {
+		one: "{count} visitor ready",
+		other: "{count} visitors ready",
+	},
+	"import.skipped": {
+		one: "{count} row skipped (missing latitude or longitude)",
+		other: "{count} rows skipped (missing latitude or longitude)",
+	},
+	"import.mode": "Import mode",
+	"import.merge": "Merge with the loaded visitors",
+	"import.replace": "Replace the loaded visitors",
+	"import.chooseAnother": "Choose another file",
+	"import.confirm": {
+		one: "Import {count} visitor",
+		other: "Import {count} visitors",
+	},
+	"import.close": "Close import",
+
+	"export.title": "Export",
+	"export.selection": "Map selection ({count})",
+	"export.filtered": "All filtered visitors ({count})",
+	"export.format": "Format",
+	"export.columns": "Columns",
+	"export.all": "All",
+	"export.none": "None",
+	"export.jsonNote": "JSON keeps every field, including nested ones.",
+	"export.note":
+		"The active search, filters, time window and selection are recorded in the file.",
+	"export.download": {
+		one: "Download {count} visitor",
+		other: "Download {count} visitors",
+	},
+	"export.label": "Export visitors",
+	"export.close": "Close export",
+	"export.scope": "Visitors to export",
+
+	"diagnostics.liveUpdate": "Live update",
+	"diagnostics.record": "Record {index}",
+	"diagnostics.id": "ID {id}",
+	"diagnostics.more": "…and {count} more",
+	"diagnostics.rejectedCount": "{count} rejected",
+	"diagnostics.correctedCount": "{count} corrected",
+	"diagnostics.title": "Data diagnostics",
+	"diagnostics.recordsRejected": {
+		one: "{count} record rejected",
+		other: "{count} records rejected",
+	},
+	"diagnostics.corrections": {
+		one: "{count} correction",
+		other: "{count} corrections",
+	},
+	"diagnostics.rejected": "Rejected",
+	"diagnostics.corrected": "Corrected",
+	"diagnostics.show": "Show data diagnostics",
+	"diagnostics.close": "Close diagnostics",
+
+	"selection.rectangleInstructions":
+		"Drag to select visitors in a rectangle. Press Escape to cancel.",
+	"selection.lassoInstructions":
+		"Draw around visitors to select them. Press Escape to cancel.",
+	"selection.polygonInstructions":
+		"Click to place the corners of a polygon, then double-click, click the first corner or press Enter to close it. Backspace removes the last corner; Escape cancels.",
+	"selection.rectangleHint": "Drag on the map to select a rectangle",
+	"selection.lassoHint": "Draw around the visitors to select",
+	"selection.polygonHint": "Click to add corners; double-click or press Enter to finish",
+	"selection.cancel": "Cancel",
+	"selection.selected": {
+		one: "visitor selected",
+		other: "visitors selected",
+	},
+	"selection.list": "List",
+	"selection.export": "Export",
+	"selection.clear": "Clear selection",
+
+	"timeline.pauseLabel": "Pause playback",
+	"timeline.playLabel": "Play arrivals",
+	"timeline.pause": "Pause",
+	"timeline.play": "Play",
+	"timeline.allTime": "All time",
+	"timeline.shown": "{count} shown",
+	"timeline.windowText": "{start} to {end}",
+	"timeline.label": "Timeline",
+	"timeline.speed": "Playback speed",
+	"timeline.clear": "Show all time",
+	"timeline.window": "Time window",
+	"timeline.windowStart": "Window start",
+	"timeline.windowEnd": "Window end",
+
+	"heatmap.weight.count": "Visitors",
+	"heatmap.weight.score": "Score",
+	"heatmap.weight.customers": "Customers",
+	"heatmap.weightBy": "Weight by",
+	"heatmap.radius": "Radius",
+	"heatmap.radiusValue": "{value}px",
+	"heatmap.intensity": "Intensity",
+	"heatmap.intensityValue": "{value}×",
+	"heatmap.label": "Heatmap settings",
+
+	"choropleth.metric.count": "Visitors",
+	"choropleth.metric.customerRate": "Customer %",
+	"choropleth.metric.averageScore": "Avg. score",
+	"choropleth.shadeBy": "Shade by",
+	"choropleth.error": "Country boundaries failed to load",
+	"choropleth.loading": "Loading country boundaries…",
+	"choropleth.empty": "No visitors",
+	"choropleth.countries": {
+		one: "{count} country",
+		other: "{count} countries",
+	},
+	"choropleth.label": "Choropleth settings",
+	"choropleth.tooltip.visitors": {
+		one: "{count} visitor",
+		other: "{count} visitors",
+	},
+	"choropleth.tooltip.customers": "{rate} customers",
+	"choropleth.tooltip.averageScore": "avg. score {score}",
+
+	"colorBy.label": "Color by",
+	"colorBy.legend": "Marker colors",
+	"colorBy.other": "Other",
+	"colorBy.noValue": "No value",
+	"colorBy.range": "{min}–{max}",
+	"colorBy.empty": "No visitors to show",
+
+	"savedViews.title": "Saved Views",
+	"savedViews.label": "Saved views",
+	"savedViews.close": "Close saved views",
+	"savedViews.nameLabel": "Name of the new view",
+	"savedViews.defaultName": "View {number}",
+	"savedViews.save": "Save",
+	"savedViews.saved": "View saved",
+	"savedViews.empty":
+		"Save the current camera, map style, search and filters to come back to them later.",
+	"savedViews.restore": "Restore {name}",
+	"savedViews.rename": "Rename",
+	"savedViews.renameLabel": "Rename {name}",
+	"savedViews.renameDone": "Done renaming",
+	"savedViews.delete": "Delete",
+	"savedViews.deleteLabel": "Delete {name}",
+	"savedViews.confirmDelete": "Click again to delete {name}",
+	"savedViews.import": "Import",
+	"savedViews.export": "Export",
+	"savedViews.imported": {
+		one: "Imported {count} new view, {replaced} updated",
+		other: "Imported {count} new views, {replaced} updated",
+	},
+	"savedViews.importError": "Couldn't import the file: {message}",
+
+	"cluster.label": {
+		one: "Cluster of {count} visitor",
+		other: "Cluster of {count} visitors",
+	},
+	"cluster.visitors": {
+		one: "{count} visitor",
+		other: "{count} visitors",
+	},
+	"cluster.customers": "Customers",
+	"cluster.averageScore": "Avg. score",
+
+	"device.desktop": "Desktop",
+	"device.mobile": "Mobile",
+	"device.tablet": "Tablet",
+	"device.other": "Other",
+
+	"popup.label": "{name} details",
+	"popup.close": "Close popup",
+	"popup.scoreValue": "{score}/100",
+	"popup.actions": "Visitor actions",
+	"popup.actionFailed": "Couldn't complete that action",
+
+	"groupPanel.sort.name": "Name",
+	"groupPanel.sort.score": "Conversion score",
+	"groupPanel.sort.customer": "Customers first",
+	"groupPanel.sort.country": "Country",
+	"groupPanel.count": {
+		one: "{count} visitor",
+		other: "{count} visitors",
+	},
+	"groupPanel.zoom": "Zoom to visitors",
+	"groupPanel.maxZoom": "Already at maximum zoom",
+	"groupPanel.sortBy": "Sort by",
+	"groupPanel.empty": "No visitors in this group",
+	"groupPanel.page": "Page {page} of {count}",
+	"groupPanel.closeLabel": "Close visitor list",
+	"groupPanel.close": "Close",
+	"groupPanel.previous": "Previous page",
+	"groupPanel.next": "Next page",
+	"groupPanel.selection": "Selected visitors",
+	"groupPanel.cluster": "Cluster visitors",
+
+	"visitorList.column.name": "Name",
+	"visitorList.column.location": "Location",
+	"visitorList.column.device": "Device",
+	"visitorList.column.score": "Score",
+	"visitorList.column.customer": "Customer",
+	"visitorList.label": "Visitor list",
+	"visitorList.title": "Visitors",
+	"visitorList.onlyInView": "Only visitors in the map view",
+	"visitorList.emptyInView": "No visitors in the map view",
+	"visitorList.empty": "No visitors to list",
+
+	"analytics.title": "Analytics",
+	"analytics.summary": {
+		one: "{count} visitor · click a bar to filter",
+		other: "{count} visitors · click a bar to filter",
+	},
+	"analytics.close": "Close analytics",
+	"analytics.other": "{count} other",
+	"analytics.unknown": "{count} unknown",
+	"analytics.empty": "No data",
+	"analytics.breakdown": "{title} breakdown",
+	"analytics.barLabel": {
+		one: "{label}: {count} visitor",
+		other: "{label}: {count} visitors",
+	},
+	"analytics.histogram": "{title} histogram",
+	"analytics.binLabel": {
+		one: "Score {label}: {count} visitor",
+		other: "Score {label}: {count} visitors",
+	},
+	"analytics.withoutScore": "{count} without a score",
+
+	"announcer.showingAll": {
+		one: "Showing all {count} visitor",
+		other: "Showing all {count} visitors",
+	},
+	"announcer.showing": {
+		one: "Showing {visible} of {count} visitor",
+		other: "Showing {visible} of {count} visitors",
+	},
+	"announcer.camera": "Map centered on {latitude}, {longitude}, zoom {zoom}",
+	"announcer.north": "{value}° N",
+	"announcer.south": "{value}° S",
+	"announcer.east": "{value}° E",
+	"announcer.west": "{value}° W",
+
+	"language.label": "Language",
+
+	"theme.label": "Theme",
+	"theme.light": "Light",
+	"theme.dark": "Dark",
+	"theme.system": "System",
+};
@@ -0,0 +1,435 @@
+/**
+ * @fileoverview Spanish messages
+ * @module locales/es
+ */
+
+/**
+ * Spanish message catalog
+ * @type {Object<string, string|Object<string, string>>}
+ */
+export const es = {
+	"filters.label": "Opciones de filtro",
+	"filters.title": "Filtros",
+	"filters.clearAll": "Borrar todo",
+	"filters.close": "Cerrar filtros",
+	"filters.showing": {
+		one: "Mostrando {filtered} de {count} usuario",
+		other: "Mostrando {filtered} de {count} usuarios",
+	},
+	"filters.selected": "{count} seleccionados",
+	"filters.options": "Opciones de {label}",
+	"filters.noValues": "Sin valores",
+	"filters.minimum": "{label} mínimo",
+	"filters.maximum": "{label} máximo",
+
+	"search.placeholder": "Busca o filtra, p. ej. country:Japan score:>70",
+	"search.label": "Buscar visitantes",
+	"search.clear": "Borrar búsqueda",
+	"search.suggestions": "Sugerencias de búsqueda",
+	"search.results": "Visitantes coincidentes",
+	"search.error.unterminated": "Falta la comilla de cierre",
+	"search.error.unknownField": "Campo desconocido \"{field}\"",
+	"search.error.missingValue": "Falta el valor de \"{field}\"",
+	"search.error.expectsNumber": "\"{field}\" espera un número, p. ej. >70 o 50..80",
+	"search.error.expectsBoolean": "\"{field}\" espera true o false",
+
+	"visitor.unknown": "Desconocido",
+	"visitor.fallback": "Visitante",
+	"visitor.customer": "Cliente",
+
+	"toolbar.filters": "Mostrar filtros",
+	"toolbar.filtersLabel": "Mostrar u ocultar el panel de filtros",
+	"toolbar.activeFilters": "Filtros activos",
+	"toolbar.export": "Exportar visitantes",
+	"toolbar.exportLabel": "Mostrar u ocultar el panel de exportación",
+	"toolbar.analytics": "Analítica de visitantes",
+	"toolbar.analyticsLabel": "Mostrar u ocultar la analítica",
+	"toolbar.import": "Importar visitantes",
+	"toolbar.importLabel": "Importar visitantes desde un archivo",
+	"toolbar.savedViews": "Vistas guardadas",
+	"toolbar.savedViewsLabel": "Mostrar u ocultar las vistas guardadas",
+
+	"controls.label": "Controles de vista del mapa",
+	"controls.globe": "Globo 3D",
+	"controls.globeLabel": "Cambiar a la vista de globo 3D",
+	"controls.flat": "Mapa plano 2D",
+	"controls.flatLabel": "Cambiar a la vista de mapa plano 2D",
+	"controls.heatmap": "Mapa de calor",
+	"controls.heatmapLabel": "Mostrar u ocultar el mapa de calor",
+	"controls.choropleth": "Países",
+	"controls.choroplethLabel": "Mostrar u ocultar el coropleta de países",
+	"controls.rectangle": "Selección rectangular",
+	"controls.rectangleLabel": "Seleccionar visitantes en un rectángulo",
+	"controls.lasso": "Selección de lazo",
+	"controls.lassoLabel": "Seleccionar visitantes con un lazo a mano alzada",
+	"controls.polygon": "Selección poligonal",
+	"controls.polygonLabel": "Seleccionar visitantes en un polígono",
+	"controls.reset": "Restablecer vista",
+	"controls.resetLabel": "Restablecer la vista del mapa",
+	"controls.styles": "Estilos de mapa",
+	"controls.styleLabel": "Cambiar al estilo de mapa {label}",
+
+	"mapStyle.outdoors": "Exteriores (verde)",
+	"mapStyle.outdoors.label": "Cambiar al estilo de mapa de exteriores",
+	"mapStyle.satellite": "Satélite",
+	"mapStyle.satellite.label": "Cambiar al estilo de mapa satelital",
+	"mapStyle.light": "Claro",
+	"mapStyle.light.label": "Cambiar al estilo de mapa claro",
+	"mapStyle.dark": "Oscuro",
+	"mapStyle.dark.label": "Cambiar al estilo de mapa oscuro",
+
+	"live.open": "En directo",
+	"live.connecting": "Conectando…",
+	"live.closed": "Sin conexión",
+
+	"data.retry": "Reintentar",
+	"data.refreshFailed": "Error al actualizar: {message}",
+	"data.loading": "Cargando visitantes…",
+	"data.error": "No se pudieron cargar los visitantes",
+	"data.empty": "Aún no hay visitantes",
+	"data.emptyDetail": "{source} no devolvió visitantes.",
+
+	"import.drop": "Suelta para importar visitantes",
+	"import.title": "Importar visitantes",
+	"import.titleFile": "Importar {fileName}",
+	"import.dropHint":
+		"Suelta un archivo CSV, JSON o GeoJSON en cualquier parte del mapa, o",
+	"import.choose": "Elegir archivo",
+	"import.readError": "No se pudo leer el archivo: {message}",
+	"import.currentReplace": {
+		one: "{count} visitante de {fileName} sustituye a los visitantes cargados",
+		other: "{count} visitantes de {fileName} sustituyen a los visitantes cargados",
+	},
+	"import.currentMerge": {
+		one: "{count} visitante de {fileName} se combina con los visitantes cargados",
+		other: "{count} visitantes de {fileName} se combinan con los visitantes cargados",
+	},
+	"import.remove": "Quitar",
+	"import.rows": {
+		one: "{count} fila",
+		other: "{count} filas",
+	},
+	"import.columns": {
+		one: "{count} columna",
+		other: "{count} columnas",
+	},
+	"import.commentLines": {
+		one: "{count} línea de comentario omitida",
+		other: "{count} líneas de comentario omitidas",
+	},
+	"import.required": "obligatorio",
+	"import.ready": {
+		one: "{count} visitante listo",
+		other: "{count} visitantes listos",
+	},
+	"import.skipped": {
+		one: "{count} fila omitida (falta la latitud o la longitud)",
+		other: "{count} filas omitidas (falta la latitud o la longitud)",
+	},
+	"import.mode": "Modo de importación",
+	"import.merge": "Combinar con los visitantes cargados",
+	"import.replace": "Sustituir los visitantes cargados",
+	"import.chooseAnother": "Elegir otro archivo",
+	"import.confirm": {
+		one: "Importar {count} visitante",
+		other: "Importar {count} visitantes",
+	},
+	"import.close": "Cerrar importación",
+	"import.field.latitude": "Latitud",
+	"import.field.longitude": "Longitud",
+	"import.field.visitorId": "ID de visitante",
+	"import.field.firstName": "Nombre",
+	"import.field.lastName": "Apellido",
+	"import.field.email": "Correo electrónico",
+	"import.field.city": "Ciudad",
+	"import.field.country": "País",
+	"import.field.countryCode": "Código de país",
+	"import.field.isCustomer": "Cliente",
+	"import.field.device.type": "Dispositivo",
+	"import.field.browser.name": "Navegador",
+	"import.field.os.name": "Sistema operativo",
+	"import.field.referrer": "Referente",
+	"import.field.currentUrl": "Página actual",
+	"import.field.conversionLikelihood.score": "Puntuación de conversión",
+	"import.field.profileImage": "Imagen de perfil",
+	"import.field.firstSeen": "Primera visita",
+	"import.field.lastSeen": "Última visita",
+
+	"export.title": "Exportar",
+	"export.selection": "Selección del mapa ({count})",
+	"export.filtered": "Todos los visitantes filtrados ({count})",
+	"export.format": "Formato",
+	"export.columns": "Columnas",
+	"export.all": "Todas",
+	"export.none": "Ninguna",
+	"export.jsonNote": "JSON conserva todos los campos, incluidos los anidados.",
+	"export.note":
+		"La búsqueda, los filtros, el intervalo de tiempo y la selección activos se guardan en el archivo.",
+	"export.download": {
+		one: "Descargar {count} visitante",
+		other: "Descargar {count} visitantes",
+	},
+	"export.label": "Exportar visitantes",
+	"export.close": "Cerrar exportación",
+	"export.scope": "Visitantes a exportar",
+
+	"diagnostics.liveUpdate": "Actualización en directo",
+	"diagnostics.record": "Registro {index}",
+	"diagnostics.id": "ID {id}",
+	"diagnostics.more": "…y {count} más",
+	"diagnostics.rejectedCount": {
+		one: "{count} rechazado",
+		other: "{count} rechazados",
+	},
+	"diagnostics.correctedCount": {
+		one: "{count} corregido",
+		other: "{count} corregidos",
+	},
+	"diagnostics.title": "Diagnóstico de datos",
+	"diagnostics.recordsRejected": {
+		one: "{count} registro rechazado",
+		other: "{count} registros rechazados",
+	},
+	"diagnostics.corrections": {
+		one: "{count} corrección",
+		other: "{count} correcciones",
+	},
+	"diagnostics.rejected": "Rechazados",
+	"diagnostics.corrected": "Corregidos",
+	"diagnostics.show": "Mostrar el diagnóstico de datos",
+	"diagnostics.close": "Cerrar diagnóstico",
+
+	"selection.rectangleInstructions":
+		"Arrastra para seleccionar visitantes en un rectángulo. Pulsa Escape para cancelar.",
+	"selection.lassoInstructions":
+		"Dibuja alrededor de los visitantes para seleccionarlos. Pulsa Escape para cancelar.",
+	"selection.polygonInstructions":
+		"Haz clic para colocar las esquinas de un polígono y luego haz doble clic, haz clic en la primera esquina o pulsa Intro para cerrarlo. Retroceso quita la última esquina; Escape cancela.",
+	"selection.rectangleHint": "Arrastra sobre el mapa para seleccionar un rectángulo",
+	"selection.lassoHint": "Dibuja alrededor de los visitantes que quieras seleccionar",
+	"selection.polygonHint": "Haz clic para añadir esquinas; doble clic o Intro para terminar",
+	"selection.cancel": "Cancelar",
+	"selection.selected": {
+		one: "visitante seleccionado",
+		other: "visitantes seleccionados",
+	},
+	"selection.list": "Lista",
+	"selection.export": "Exportar",
+	"selection.clear": "Borrar selección",
+
+	"timeline.pauseLabel": "Pausar la reproducción",
+	"timeline.playLabel": "Reproducir llegadas",
+	"timeline.pause": "Pausar",
+	"timeline.play": "Reproducir",
+	"timeline.allTime": "Todo el periodo",
+	"timeline.shown": {
+		one: "{count} visible",
+		other: "{count} visibles",
+	},
+	"timeline.windowText": "{start} a {end}",
+	"timeline.label": "Línea de tiempo",
+	"timeline.speed": "Velocidad de reproducción",
+	"timeline.clear": "Mostrar todo el periodo",
+	"timeline.window": "Intervalo de tiempo",
+	"timeline.windowStart": "Inicio del intervalo",
+	"timeline.windowEnd": "Fin del intervalo",
+
+	"heatmap.weight.count": "Visitantes",
+	"heatmap.weight.score": "Puntuación",
+	"heatmap.weight.customers": "Clientes",
+	"heatmap.weightBy": "Ponderar por",
+	"heatmap.radius": "Radio",
+	"heatmap.radiusValue": "{value} px",
+	"heatmap.intensity": "Intensidad",
+	"heatmap.intensityValue": "{value}×",
+	"heatmap.label": "Ajustes del mapa de calor",
+
+	"choropleth.metric.count": "Visitantes",
+	"choropleth.metric.customerRate": "% clientes",
+	"choropleth.metric.averageScore": "Puntuación media",
+	"choropleth.shadeBy": "Sombrear por",
+	"choropleth.error": "No se pudieron cargar las fronteras de los países",
+	"choropleth.loading": "Cargando las fronteras de los países…",
+	"choropleth.empty": "Sin visitantes",
+	"choropleth.countries": {
+		one: "{count} país",
+		other: "{count} países",
+	},
+	"choropleth.label": "Ajustes del coropleta",
+	"choropleth.tooltip.visitors": {
+		one: "{count} visitante",
+		other: "{count} visitantes",
+	},
+	"choropleth.tooltip.customers": "{rate} clientes",
+	"choropleth.tooltip.averageScore": "puntuación media {score}",
+
+	"colorBy.label": "Colorear por",
+	"colorBy.legend": "Colores de los marcadores",
+	"colorBy.other": "Otros",
+	"colorBy.noValue": "Sin valor",
+	"colorBy.range": "{min}–{max}",
+	"colorBy.empty": "No hay visitantes que mostrar",
+	"colorScheme.device": "Dispositivo",
+	"colorScheme.score": "Puntuación de conversión",
+	"colorScheme.customer": "Tipo de cliente",
+	"colorScheme.referrer": "Referente",
+	"colorScheme.browser": "Navegador",
+
+	"savedViews.title": "Vistas guardadas",
+	"savedViews.label": "Vistas guardadas",
+	"savedViews.close": "Cerrar vistas guardadas",
+	"savedViews.nameLabel": "Nombre de la nueva vista",
+	"savedViews.defaultName": "Vista {number}",
+	"savedViews.save": "Guardar",
+	"savedViews.saved": "Vista guardada",
+	"savedViews.empty":
+		"Guarda la cámara, el estilo de mapa, la búsqueda y los filtros actuales para volver a ellos más tarde.",
+	"savedViews.restore": "Restaurar {name}",
+	"savedViews.rename": "Renombrar",
+	"savedViews.renameLabel": "Renombrar {name}",
+	"savedViews.renameDone": "Terminar de renombrar",
+	"savedViews.delete": "Eliminar",
+	"savedViews.deleteLabel": "Eliminar {name}",
+	"savedViews.confirmDelete": "Haz clic de nuevo para eliminar {name}",
+	"savedViews.import": "Importar",
+	"savedViews.export": "Exportar",
+	"savedViews.imported": {
+		one: "Se importó {count} vista nueva, {replaced} actualizadas",
+		other: "Se importaron {count} vistas nuevas, {replaced} actualizadas",
+	},
+	"savedViews.importError": "No se pudo importar el archivo: {message}",
+
+	"cluster.label": {
+		one: "Grupo de {count} visitante",
+		other: "Grupo de {count} visitantes",
+	},
+	"cluster.visitors": {
+		one: "{count} visitante",
+		other: "{count} visitantes",
+	},
+	"cluster.customers": "Clientes",
+	"cluster.averageScore": "Puntuación media",
+
+	"device.desktop": "Escritorio",
+	"device.mobile": "Móvil",
+	"device.tablet": "Tableta",
+	"device.other": "Otro",
+
+	"popup.label": "Detalles de {name}",
+	"popup.close": "Cerrar ventana",
+	"popup.scoreValue": "{score}/100",
+	"popup.actions": "Acciones del visitante",
+	"popup.actionFailed": "No se pudo completar la acción",
+
+	"popupField.visitorId": "ID de visitante",
+	"popupField.countryCode": "Código de país",
+	"popupField.device": "Dispositivo",
+	"popupField.browser": "Navegador",
+	"popupField.os": "Sistema operativo",
+	"popupField.referrer": "Referente",
+	"popupField.currentUrl": "Página actual",
+	"popupField.score": "Puntuación de conversión",
+	"popupAction.copyEmail": "Copiar correo",
+	"popupAction.copyEmail.done": "Correo copiado",
+	"popupAction.openUrl": "Abrir página actual",
+	"popupAction.filterCountry": "Filtrar por país",
+
+	"groupPanel.sort.name": "Nombre",
+	"groupPanel.sort.score": "Puntuación de conversión",
+	"groupPanel.sort.customer": "Clientes primero",
+	"groupPanel.sort.country": "País",
+	"groupPanel.count": {
+		one: "{count} visitante",
+		other: "{count} visitantes",
+	},
+	"groupPanel.zoom": "Acercar a los visitantes",
+	"groupPanel.maxZoom": "Ya está en el zoom máximo",
+	"groupPanel.sortBy": "Ordenar por",
+	"groupPanel.empty": "No hay visitantes en este grupo",
+	"groupPanel.page": "Página {page} de {count}",
+	"groupPanel.closeLabel": "Cerrar la lista de visitantes",
+	"groupPanel.close": "Cerrar",
+	"groupPanel.previous": "Página anterior",
+	"groupPanel.next": "Página siguiente",
+	"groupPanel.selection": "Visitantes seleccionados",
+	"groupPanel.cluster": "Visitantes del grupo",
+
+	"visitorList.column.name": "Nombre",
+	"visitorList.column.location": "Ubicación",
+	"visitorList.column.device": "Dispositivo",
+	"visitorList.column.score": "Puntuación",
+	"visitorList.column.customer": "Cliente",
+	"visitorList.label": "Lista de visitantes",
+	"visitorList.title": "Visitantes",
+	"visitorList.onlyInView": "Solo visitantes en la vista del mapa",
+	"visitorList.emptyInView": "No hay visitantes en la vista del mapa",
+	"visitorList.empty": "No hay visitantes que mostrar",
+
+	"analytics.title": "Analítica",
+	"analytics.summary": {
+		one: "{count} visitante · haz clic en una barra para filtrar",
+		other: "{count} visitantes · haz clic en una barra para filtrar",
+	},
+	"analytics.close": "Cerrar analítica",
+	"analytics.other": {
+		one: "{count} otro",
+		other: "{count} otros",
+	},
+	"analytics.unknown": {
+		one: "{count} desconocido",
+		other: "{count} desconocidos",
+	},
+	"analytics.empty": "Sin datos",
+	"analytics.breakdown": "Desglose de {title}",
+	"analytics.barLabel": {
+		one: "{label}: {count} visitante",
+		other: "{label}: {count} visitantes",
+	},
+	"analytics.histogram": "Histograma de {title}",
+	"analytics.binLabel": {
+		one: "Puntuación {label}: {count} visitante",
+		other: "Puntuación {label}: {count} visitantes",
+	},
+	"analytics.withoutScore": "{count} sin puntuación",
+
+	"announcer.showingAll": {
+		one: "Mostrando {count} visitante",
+		other: "Mostrando los {count} visitantes",
+	},
+	"announcer.showing": {
+		one: "Mostrando {visible} de {count} visitante",
+		other: "Mostrando {visible} de {count} visitantes",
+	},
+	"announcer.camera": "Mapa centrado en {latitude}, {longitude}, zoom {zoom}",
+	"announcer.north": "{value}° N",
+	"announcer.south": "{value}° S",
+	"announcer.east": "{value}° E",
+	"announcer.west": "{value}° O",
+
+	"language.label": "Idioma",
+
+	"theme.label": "Tema",
+	"theme.light": "Claro",
+	"theme.dark": "Oscuro",
+	"theme.system": "Sistema",
+
+	"filter.country": "País",
+	"filter.country.all": "Todos los países",
+	"filter.countryCode": "País (código)",
+	"filter.countryCode.all": "Todos los códigos",
+	"filter.device": "Dispositivo",
+	"filter.device.all": "Todos los dispositivos",
+	"filter.customer": "Tipo",
+	"filter.customer.all": "Todos",
+	"filter.customer.customer": "Clientes",
+	"filter.customer.visitor": "Visitantes",
+	"filter.browser": "Navegador",
+	"filter.browser.all": "Todos los navegadores",
+	"filter.os": "Sistema operativo",
+	"filter.os.all": "Todos los sistemas",
+	"filter.referrer": "Referente",
+	"filter.referrer.all": "Todos los referentes",
+	"filter.currentUrl": "Página actual",
+	"filter.currentUrl.all": "Todas las páginas",
+	"filter.score": "Puntuación de conversión",
+};
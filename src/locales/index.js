@@ -0,0 +1,14 @@
+/**
+ * @fileoverview Message catalogs of the supported locales
+ * @module locales
+ */
+
+import { en } from "./en";
+import { es } from "./es";
+import { ar } from "./ar";
+
+/**
+ * Message catalogs keyed by locale code (see I18N_CONFIG.LOCALES)
+ * @type {Object<string, Object>}
+ */
+export const CATALOGS = { en, es, ar };
@@ -9,6 +9,7 @@
  * - User identification (visitorId, firstName, lastName, email)
  * - Location information (city, country, countryCode)
  * - Optional: profileImage, device info, browser info, etc.
+ * - Optional: firstSeen/lastSeen timestamps (ISO 8601 or epoch ms) for the timeline
  */
 export const sampleVisitors = [
   {
@@ -28,7 +29,9 @@ export const sampleVisitors = [
     os: { name: 'Windows' },
     referrer: 'Google',
     currentUrl: '/products/laptop',
-    conversionLikelihood: { score: 85 }
+    conversionLikelihood: { score: 85 },
+    firstSeen: '2025-01-15T00:42:00Z',
+    lastSeen: '2025-01-15T01:15:00Z'
   },
   {
     visitorId: '2',
@@ -47,7 +50,9 @@ export const sampleVisitors = [
     os: { name: 'iOS' },
     referrer: 'Direct',
     currentUrl: '/home',
-    conversionLikelihood: { score: 42 }
+    conversionLikelihood: { score: 42 },
+    firstSeen: '2025-01-15T02:10:00Z',
+    lastSeen: '2025-01-15T02:24:00Z'
   },
   {
     visitorId: '3',
@@ -66,7 +71,9 @@ export const sampleVisitors = [
     os: { name: 'macOS' },
     referrer: 'Bing',
     currentUrl: '/products/phone',
-    conversionLikelihood: { score: 92 }
+    conversionLikelihood: { score: 92 },
+    firstSeen: '2025-01-15T03:55:00Z',
+    lastSeen: '2025-01-15T05:02:00Z'
   },
   {
     visitorId: '4',
@@ -85,7 +92,9 @@ export const sampleVisitors = [
     os: { name: 'Android' },
     referrer: 'Facebook',
     currentUrl: '/blog',
-    conversionLikelihood: { score: 28 }
+    conversionLikelihood: { score: 28 },
+    firstSeen: '2025-01-15T06:30:00Z',
+    lastSeen: '2025-01-15T06:41:00Z'
   },
   {
     visitorId: '5',
@@ -104,7 +113,9 @@ export const sampleVisitors = [
     os: { name: 'Android' },
     referrer: 'Direct',
     currentUrl: '/about',
-    conversionLikelihood: { score: 15 }
+    conversionLikelihood: { score: 15 },
+    firstSeen: '2025-01-15T08:05:00Z',
+    lastSeen: '2025-01-15T09:20:00Z'
   },
   {
     visitorId: '6',
@@ -123,7 +134,9 @@ export const sampleVisitors = [
     os: { name: 'Windows' },
     referrer: 'Baidu',
     currentUrl: '/products/tablet',
-    conversionLikelihood: { score: 78 }
+    conversionLikelihood: { score: 78 },
+    firstSeen: '2025-01-15T09:48:00Z',
+    lastSeen: '2025-01-15T10:05:00Z'
   },
   {
     visitorId: '7',
@@ -142,7 +155,9 @@ export const sampleVisitors = [
     os: { name: 'macOS' },
     referrer: 'Twitter',
     currentUrl: '/contact',
-    conversionLikelihood: { score: 35 }
+    conversionLikelihood: { score: 35 },
+    firstSeen: '2025-01-15T12:12:00Z',
+    lastSeen: '2025-01-15T12:58:00Z'
   },
   {
     visitorId: '8',
@@ -162,7 +177,9 @@ export const sampleVisitors = [
     referrer: 'Instagram',
     referrerImage: null,
     currentUrl: '/products/watch',
-    conversionLikelihood: { score: 88 }
+    conversionLikelihood: { score: 88 },
+    firstSeen: '2025-01-15T13:40:00Z',
+    lastSeen: '2025-01-15T13:52:00Z'
   },
   {
     visitorId: '9',
@@ -181,7 +198,9 @@ export const sampleVisitors = [
     os: { name: 'Windows' },
     referrer: 'Google',
     currentUrl: '/pricing',
-    conversionLikelihood: { score: 55 }
+    conversionLikelihood: { score: 55 },
+    firstSeen: '2025-01-15T15:25:00Z',
+    lastSeen: '2025-01-15T16:40:00Z'
   },
   {
     visitorId: '10',
@@ -200,7 +219,9 @@ export const sampleVisitors = [
     os: { name: 'Android' },
     referrer: 'Direct',
     currentUrl: '/faq',
-    conversionLikelihood: { score: 22 }
+    conversionLikelihood: { score: 22 },
+    firstSeen: '2025-01-15T17:03:00Z',
+    lastSeen: '2025-01-15T17:30:00Z'
   },
   {
     visitorId: '11',
@@ -219,7 +240,9 @@ export const sampleVisitors = [
     os: { name: 'Linux' },
     referrer: 'LinkedIn',
     currentUrl: '/products/headphones',
-    conversionLikelihood: { score: 95 }
+    conversionLikelihood: { score: 95 },
+    firstSeen: '2025-01-15T19:45:00Z',
+    lastSeen: '2025-01-15T21:10:00Z'
   },
   {
     visitorId: '12',
@@ -238,7 +261,9 @@ export const sampleVisitors = [
     os: { name: 'iOS' },
     referrer: 'Direct',
     currentUrl: '/support',
-    conversionLikelihood: { score: 18 }
+    conversionLikelihood: { score: 18 },
+    firstSeen: '2025-01-15T22:18:00Z',
+    lastSeen: '2025-01-15T22:35:00Z'
   }
 ]
 
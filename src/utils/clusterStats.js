@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Supercluster map/reduce functions for cluster statistics
+ * @module utils/clusterStats
+ */
+
+const CATEGORY_PROPERTY_PREFIX = "color_";
+
+/**
+ * Gets the cluster property holding the count for a color category
+ * Counts are stored as flat properties because supercluster only
+ * shallow-copies cluster properties before reducing into them.
+ * @param {number} index - Category index in the color scale
+ * @returns {string} Property name
+ */
+export const getCategoryProperty = (index) => `${CATEGORY_PROPERTY_PREFIX}${index}`;
+
+/**
+ * Builds supercluster's `map` and `reduce` options for a color scale
+ * Clusters accumulate their customer count, score sum/count and a visitor
+ * count per color category.
+ * @param {import("./colorSchemes").ColorScale} scale - Color scale
+ * @returns {{map: Function, reduce: Function}} Supercluster options
+ */
+export const createClusterReducers = (scale) => {
+	const keys = scale.categories.map((category, i) => getCategoryProperty(i));
+
+	return {
+		map: ({ visitor }) => {
+			const score = visitor?.conversionLikelihood?.score;
+			const category = scale.getCategory(visitor);
+
+			const stats = {
+				customers: visitor?.isCustomer ? 1 : 0,
+				scoreSum: typeof score === "number" ? score : 0,
+				scoreCount: typeof score === "number" ? 1 : 0,
+			};
+			keys.forEach((key, i) => {
+				stats[key] = i === category ? 1 : 0;
+			});
+			return stats;
+		},
+		reduce: (accumulated, properties) => {
+			accumulated.customers += properties.customers;
+			accumulated.scoreSum += properties.scoreSum;
+			accumulated.scoreCount += properties.scoreCount;
+			keys.forEach((key) => {
+				accumulated[key] += properties[key];
+			});
+		},
+	};
+};
+
+/**
+ * Reads aggregated statistics from a cluster's properties
+ * @param {Object} properties - Cluster properties from supercluster
+ * @param {import("./colorSchemes").ColorScale} scale - Color scale the cluster was built with
+ * @returns {{count: number, customers: number, averageScore: number|null, segments: Array<Object>}}
+ *   Statistics; segments lists every color category with its count
+ */
+export const getClusterStats = (properties, scale) => {
+	const count = properties.point_count || 0;
+	return {
+		count,
+		customers: properties.customers || 0,
+		averageScore: properties.scoreCount
+			? Math.round(properties.scoreSum / properties.scoreCount)
+			: null,
+		segments: scale.categories.map((category, i) => ({
+			...category,
+			count: properties[getCategoryProperty(i)] || 0,
+		})),
+	};
+};
@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Color-by schemes coloring markers and clusters by a visitor attribute
+ * @module utils/colorSchemes
+ */
+
+import {
+	COLOR_BY_CONFIG,
+	COLOR_SCALE_TYPES,
+	CONVERSION_SCORE,
+	DEVICE_SEGMENTS,
+} from "../constants";
+
+/**
+ * Category value of visitors outside a scheme's categories (or without a value)
+ * @type {string}
+ */
+export const FALLBACK_CATEGORY = "__fallback";
+
+/**
+ * A color-by scheme
+ * @typedef {Object} ColorScheme
+ * @property {string} key - Unique key
+ * @property {string} label - Name shown in the legend when the locale has no `colorScheme.<key>` message
+ * @property {string} type - One of COLOR_SCALE_TYPES
+ * @property {Function} accessor - Returns the visitor's value for this scheme
+ * @property {Array<{value: string, label: string, color: string}>} [categories] - Fixed categories (categorical); derived from the data when omitted
+ * @property {number} [maxCategories] - Number of derived categories before the rest fall into "other" (categorical)
+ * @property {Function} [formatCategory] - Labels a category: `(value, label, i18n) => string`; defaults to the `filter.<key>.<value>` message
+ * @property {Array<Array>} [stops] - Ascending `[value, "#rrggbb"]` pairs (continuous); each color applies from its value up to the next stop
+ * @property {boolean} [interpolate] - Blend between the stops instead (continuous)
+ * @property {number} [max] - Upper end of the scale, defaults to the last stop (continuous)
+ */
+
+/**
+ * A legend entry of a color scale; clusters count their visitors per entry
+ * @typedef {Object} ColorCategory
+ * @property {string} value - Category value (FALLBACK_CATEGORY for "other" or "no value")
+ * @property {string} label - Label shown when no message applies
+ * @property {string} color - Color
+ * @property {number} [min] - Lower bound of the range (continuous)
+ * @property {number} [max] - Upper bound of the range (continuous)
+ */
+
+/**
+ * A color scheme resolved against a data set
+ * @typedef {Object} ColorScale
+ * @property {ColorScheme} scheme - Scheme
+ * @property {Array<ColorCategory>} categories - Legend entries, the fallback entry last
+ * @property {Function} getCategory - Returns a visitor's index in `categories`
+ * @property {Function} getColor - Returns a visitor's color
+ */
+
+/**
+ * Color-by schemes offered by default, in legend picker order
+ * @type {Array<ColorScheme>}
+ */
+export const DEFAULT_COLOR_SCHEMES = [
+	{
+		key: "device",
+		label: "Device",
+		type: COLOR_SCALE_TYPES.CATEGORICAL,
+		accessor: (visitor) => visitor.device?.type,
+		categories: DEVICE_SEGMENTS.map(({ type, label, color }) => ({
+			value: type,
+			label,
+			color,
+		})),
+		formatCategory: (value, label, { t }) => t(`device.${value}`, { defaultValue: label }),
+	},
+	{
+		key: "score",
+		label: "Conversion Score",
+		type: COLOR_SCALE_TYPES.CONTINUOUS,
+		accessor: (visitor) => visitor.conversionLikelihood?.score,
+		stops: [
+			[0, CONVERSION_SCORE.LOW_COLOR],
+			[CONVERSION_SCORE.MEDIUM_THRESHOLD, CONVERSION_SCORE.MEDIUM_COLOR],
+			[CONVERSION_SCORE.HIGH_THRESHOLD, CONVERSION_SCORE.HIGH_COLOR],
+		],
+		max: 100,
+	},
+	{
+		key: "customer",
+		label: "Customer Status",
+		type: COLOR_SCALE_TYPES.CATEGORICAL,
+		accessor: (visitor) => (visitor.isCustomer ? "customer" : "visitor"),
+		categories: [
+			{ value: "customer", label: "Customers", color: "#34C759" },
+			{ value: "visitor", label: "Visitors", color: "#64D2FF" },
+		],
+	},
+	{
+		key: "referrer",
+		label: "Referrer",
+		type: COLOR_SCALE_TYPES.CATEGORICAL,
+		accessor: (visitor) => visitor.referrer,
+	},
+	{
+		key: "browser",
+		label: "Browser",
+		type: COLOR_SCALE_TYPES.CATEGORICAL,
+		accessor: (visitor) => visitor.browser?.name,
+	},
+];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Validates a color scheme
+ * @param {ColorScheme} scheme - Scheme to check
+ * @returns {ColorScheme} The scheme, with its label defaulting to the key
+ * @throws {Error} If the key, type, accessor, categories or stops are invalid
+ */
+export const createColorScheme = (scheme) => {
+	const { key, type, accessor, categories, stops } = scheme;
+	if (typeof key !== "string" || !key.trim()) {
+		throw new Error("A color scheme needs a key");
+	}
+	if (typeof accessor !== "function") {
+		throw new Error(`Color scheme "${key}" needs an accessor`);
+	}
+	if (type === COLOR_SCALE_TYPES.CATEGORICAL) {
+		const isValid =
+			!categories ||
+			categories.every((category) => category.value != null && category.color);
+		if (!isValid) {
+			throw new Error(`Color scheme "${key}" has a category without a value or color`);
+		}
+	} else if (type === COLOR_SCALE_TYPES.CONTINUOUS) {
+		const isValid =
+			Array.isArray(stops) &&
+			stops.length > 0 &&
+			stops.every(
+				([value, color], i) =>
+					typeof value === "number" &&
+					HEX_COLOR.test(color) &&
+					(i === 0 || value > stops[i - 1][0])
+			);
+		if (!isValid) {
+			throw new Error(
+				`Color scheme "${key}" needs ascending [value, "#rrggbb"] stops`
+			);
+		}
+	} else {
+		throw new Error(`Color scheme "${key}" has an invalid type "${type}"`);
+	}
+	return { ...scheme, label: scheme.label || key };
+};
+
+/**
+ * Picks the color schemes offered by one viewer
+ * Keys refer to DEFAULT_COLOR_SCHEMES and unknown keys are skipped; objects
+ * are custom schemes. Without a list, or when nothing in it resolves, every
+ * default scheme is offered.
+ * @param {Array<string|ColorScheme>|undefined} list - Scheme keys and definitions
+ * @returns {Array<ColorScheme>} Schemes, in list order
+ * @throws {Error} If a scheme in the list is invalid
+ */
+export const selectColorSchemes = (list) => {
+	if (!list?.length) return DEFAULT_COLOR_SCHEMES;
+	const selected = list
+		.map((item) =>
+			typeof item === "string"
+				? DEFAULT_COLOR_SCHEMES.find((scheme) => scheme.key === item)
+				: createColorScheme(item)
+		)
+		.filter(Boolean);
+	return selected.length ? selected : DEFAULT_COLOR_SCHEMES;
+};
+
+/**
+ * Mixes two hex colors
+ * @param {string} from - Start color (#rrggbb)
+ * @param {string} to - End color (#rrggbb)
+ * @param {number} amount - Share of the end color (0-1)
+ * @returns {string} Mixed color (#rrggbb)
+ */
+const mixColors = (from, to, amount) => {
+	const start = parseInt(from.slice(1), 16);
+	const end = parseInt(to.slice(1), 16);
+	return `#${[16, 8, 0]
+		.map((shift) => {
+			const a = (start >> shift) & 255;
+			const b = (end >> shift) & 255;
+			return Math.round(a + (b - a) * amount)
+				.toString(16)
+				.padStart(2, "0");
+		})
+		.join("")}`;
+};
+
+/**
+ * Gets the color of a value on a continuous scheme's stops
+ * Values below the first stop take its color.
+ * @param {Array<Array>} stops - Ascending [value, color] pairs
+ * @param {number} value - Value
+ * @param {boolean} [interpolate=false] - Whether to blend between stops
+ * @returns {string} Color
+ */
+export const getStopColor = (stops, value, interpolate = false) => {
+	const next = stops.findIndex(([stop]) => stop > value);
+	if (next === -1) return stops[stops.length - 1][1];
+	if (next === 0) return stops[0][1];
+	const [fromValue, fromColor] = stops[next - 1];
+	if (!interpolate) return fromColor;
+	const [toValue, toColor] = stops[next];
+	return mixColors(fromColor, toColor, (value - fromValue) / (toValue - fromValue));
+};
+
+/**
+ * Builds the value ranges of a continuous scheme
+ * Stepped schemes get a range per stop; interpolated ones are split into
+ * COLOR_BY_CONFIG.GRADIENT_BINS equal ranges colored at their middle.
+ * @param {ColorScheme} scheme - Continuous scheme
+ * @returns {Array<ColorCategory>} Ranges, ascending
+ */
+const getRanges = ({ stops, interpolate = false, max: schemeMax }) => {
+	const min = stops[0][0];
+	const max = schemeMax ?? stops[stops.length - 1][0];
+
+	if (!interpolate) {
+		return stops.map(([value, color], i) => ({
+			value: String(i),
+			label: String(value),
+			color,
+			min: value,
+			max: i < stops.length - 1 ? stops[i + 1][0] : max,
+		}));
+	}
+
+	const bins = COLOR_BY_CONFIG.GRADIENT_BINS;
+	const width = (max - min) / bins;
+	return Array.from({ length: bins }, (_, i) => ({
+		value: String(i),
+		label: String(min + width * i),
+		color: getStopColor(stops, min + width * (i + 0.5), true),
+		min: min + width * i,
+		max: min + width * (i + 1),
+	}));
+};
+
+/**
+ * Derives the categories of a categorical scheme without fixed categories
+ * The most frequent values get the palette colors, in order.
+ * @param {ColorScheme} scheme - Categorical scheme
+ * @param {Array<Object>} visitors - Visitors to derive the categories from
+ * @returns {Array<{value: string, label: string, color: string}>} Categories
+ */
+const deriveCategories = (scheme, visitors) => {
+	const counts = new Map();
+	visitors.forEach((visitor) => {
+		const value = scheme.accessor(visitor);
+		if (value === undefined || value === null || value === "") return;
+		const key = String(value).toLowerCase();
+		const entry = counts.get(key);
+		if (entry) {
+			entry.count += 1;
+		} else {
+			counts.set(key, { value: String(value), count: 1 });
+		}
+	});
+
+	const { PALETTE, MAX_CATEGORIES } = COLOR_BY_CONFIG;
+	return [...counts.values()]
+		.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+		.slice(0, scheme.maxCategories ?? MAX_CATEGORIES)
+		.map(({ value }, i) => ({
+			value,
+			label: value,
+			color: PALETTE[i % PALETTE.length],
+		}));
+};
+
+/**
+ * Resolves a color scheme against a data set
+ * Derive categories from every loaded visitor, not the filtered ones, so
+ * colors stay put while filters change.
+ * @param {ColorScheme} scheme - Color scheme
+ * @param {Array<Object>} visitors - Visitors to derive categories from
+ * @returns {ColorScale} Color scale
+ */
+export const createColorScale = (scheme, visitors) => {
+	const fallback = {
+		value: FALLBACK_CATEGORY,
+		label: scheme.type === COLOR_SCALE_TYPES.CONTINUOUS ? "No value" : "Other",
+		color: COLOR_BY_CONFIG.OTHER_COLOR,
+	};
+
+	if (scheme.type === COLOR_SCALE_TYPES.CONTINUOUS) {
+		const ranges = getRanges(scheme);
+		const categories = [...ranges, fallback];
+		const getValue = (visitor) => {
+			const value = scheme.accessor(visitor);
+			return typeof value === "number" && Number.isFinite(value) ? value : null;
+		};
+		return {
+			scheme,
+			categories,
+			getCategory: (visitor) => {
+				const value = getValue(visitor);
+				if (value === null) return ranges.length;
+				const index = ranges.findIndex((range) => value < range.max);
+				return index === -1 ? ranges.length - 1 : index;
+			},
+			getColor: (visitor) => {
+				const value = getValue(visitor);
+				return value === null
+					? fallback.color
+					: getStopColor(scheme.stops, value, scheme.interpolate);
+			},
+		};
+	}
+
+	const categories = [
+		...(scheme.categories || deriveCategories(scheme, visitors)),
+		fallback,
+	];
+	const indexes = new Map(
+		categories
+			.slice(0, -1)
+			.map((category, i) => [String(category.value).toLowerCase(), i])
+	);
+	const getCategory = (visitor) => {
+		const value = scheme.accessor(visitor);
+		const index =
+			value === undefined || value === null
+				? undefined
+				: indexes.get(String(value).toLowerCase());
+		return index ?? categories.length - 1;
+	};
+	return {
+		scheme,
+		categories,
+		getCategory,
+		getColor: (visitor) => categories[getCategory(visitor)].color,
+	};
+};
+
+/**
+ * Counts visitors per category of a color scale
+ * @param {ColorScale} scale - Color scale
+ * @param {Array<Object>} visitors - Visitors to count
+ * @returns {Array<number>} Counts, in `scale.categories` order
+ */
+export const countByCategory = (scale, visitors) => {
+	const counts = scale.categories.map(() => 0);
+	visitors.forEach((visitor) => {
+		counts[scale.getCategory(visitor)] += 1;
+	});
+	return counts;
+};
+
+/**
+ * Gets the localized label of a color scale category
+ * Ranges show their bounds; the fallback uses the `colorBy.other` or
+ * `colorBy.noValue` message.
+ * @param {ColorScale} scale - Color scale
+ * @param {ColorCategory} category - Category
+ * @param {import("./i18n").I18n} i18n - Localization helpers
+ * @returns {string} Label
+ */
+export const getCategoryLabel = ({ scheme }, category, i18n) => {
+	const { t, formatNumber } = i18n;
+	if (category.value === FALLBACK_CATEGORY) {
+		return scheme.type === COLOR_SCALE_TYPES.CONTINUOUS
+			? t("colorBy.noValue")
+			: t("colorBy.other");
+	}
+	if (scheme.type === COLOR_SCALE_TYPES.CONTINUOUS) {
+		return t("colorBy.range", {
+			min: formatNumber(category.min, { maximumFractionDigits: 1 }),
+			max: formatNumber(category.max, { maximumFractionDigits: 1 }),
+		});
+	}
+	return scheme.formatCategory
+		? scheme.formatCategory(category.value, category.label, i18n)
+		: t(`filter.${scheme.key}.${category.value}`, { defaultValue: category.label });
+};
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Per-country visitor aggregates for the choropleth
+ * @module utils/countryStats
+ */
+
+import { CHOROPLETH_METRICS } from "../constants";
+
+/**
+ * Aggregated statistics for one country
+ * @typedef {Object} CountryStats
+ * @property {string} code - ISO 3166-1 alpha-2 code (upper case)
+ * @property {number} count - Number of visitors
+ * @property {number} customers - Number of customers
+ * @property {number} customerRate - Share of customers (0-100)
+ * @property {number|null} averageScore - Average conversion score, or null if no visitor has one
+ */
+
+/**
+ * Aggregates visitors by countryCode
+ * @param {Array<Object>} visitors - Visitors to aggregate
+ * @returns {Map<string, CountryStats>} Statistics keyed by upper-case country code
+ */
+export const aggregateByCountry = (visitors) => {
+	const totals = new Map();
+
+	visitors.forEach((visitor) => {
+		if (!visitor.countryCode) return;
+		const code = String(visitor.countryCode).toUpperCase();
+		let entry = totals.get(code);
+		if (!entry) {
+			entry = { code, count: 0, customers: 0, scoreSum: 0, scoreCount: 0 };
+			totals.set(code, entry);
+		}
+		entry.count += 1;
+		if (visitor.isCustomer) entry.customers += 1;
+		const score = visitor.conversionLikelihood?.score;
+		if (typeof score === "number") {
+			entry.scoreSum += score;
+			entry.scoreCount += 1;
+		}
+	});
+
+	const stats = new Map();
+	totals.forEach(({ code, count, customers, scoreSum, scoreCount }) => {
+		stats.set(code, {
+			code,
+			count,
+			customers,
+			customerRate: Math.round((customers / count) * 100),
+			averageScore: scoreCount ? Math.round(scoreSum / scoreCount) : null,
+		});
+	});
+	return stats;
+};
+
+/**
+ * Reads a metric from country statistics
+ * @param {CountryStats} stats - Country statistics
+ * @param {string} metric - One of CHOROPLETH_METRICS
+ * @returns {number|null} Metric value, or null if unavailable
+ */
+export const getMetricValue = (stats, metric) => {
+	if (metric === CHOROPLETH_METRICS.CUSTOMER_RATE) return stats.customerRate;
+	if (metric === CHOROPLETH_METRICS.AVERAGE_SCORE) return stats.averageScore;
+	return stats.count;
+};
+
+/**
+ * Gets the upper end of the legend scale for a metric
+ * Rates and scores use a fixed 0-100 scale; counts scale to the busiest country.
+ * @param {Map<string, CountryStats>} stats - Statistics by country
+ * @param {string} metric - One of CHOROPLETH_METRICS
+ * @returns {number} Scale maximum (at least 1)
+ */
+export const getMetricMax = (stats, metric) => {
+	if (metric !== CHOROPLETH_METRICS.COUNT) return 100;
+	let max = 1;
+	stats.forEach((entry) => {
+		max = Math.max(max, entry.count);
+	});
+	return max;
+};
+
+/**
+ * Gets the camera bounds of a country from the boundaries collection
+ * Bounds crossing the antimeridian extend past 180° east so fitBounds
+ * frames them the short way round.
+ * @param {Object} boundaries - Country boundaries FeatureCollection
+ * @param {string} code - Country code
+ * @returns {[[number, number], [number, number]]|null} [[west, south], [east, north]], or null if unknown
+ */
+export const getCountryBounds = (boundaries, code) => {
+	const feature = boundaries?.features.find(
+		(item) => item.properties.code === String(code).toUpperCase()
+	);
+	if (!feature?.bbox) return null;
+	const [west, south, east, north] = feature.bbox;
+	return [
+		[west, south],
+		[east, north],
+	];
+};
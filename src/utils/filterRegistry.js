@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Declarative registry of visitor filter dimensions
+ * @module utils/filterRegistry
+ */
+
+import { FILTER_TYPES } from "../constants";
+
+/**
+ * A filter dimension
+ * @typedef {Object} FilterDefinition
+ * @property {string} key - Key in the filters state object (and `f.<key>` in the URL)
+ * @property {string} label - Label shown in the FilterPanel when the locale has no `filter.<key>` message
+ * @property {string} type - One of FILTER_TYPES
+ * @property {Function} accessor - Returns the visitor's value for this dimension
+ * @property {string} [allLabel] - Summary shown when nothing is selected (multi filters)
+ * @property {Array<{value: string, label: string}>} [options] - Fixed options (multi filters); derived from the data when omitted
+ * @property {boolean} [regionCodes] - Values are ISO 3166-1 alpha-2 codes, shown as localized country names
+ * @property {number} [min] - Lower bound (range filters)
+ * @property {number} [max] - Upper bound (range filters)
+ * @property {number} [step] - Slider step (range filters)
+ */
+
+/**
+ * Filter dimensions, in FilterPanel order
+ * Multi filters hold an array of selected values ([] when inactive); range
+ * filters hold a [min, max] pair (null when inactive).
+ * @type {Array<FilterDefinition>}
+ */
+export const FILTER_REGISTRY = [
+	{
+		key: "country",
+		label: "Country",
+		type: FILTER_TYPES.MULTI,
+		accessor: (visitor) => visitor.country,
+		allLabel: "All Countries",
+	},
+	{
+		key: "countryCode",
+		label: "Country Code",
+		type: FILTER_TYPES.MULTI,
+		accessor: (visitor) => visitor.countryCode,
+		allLabel: "All Codes",
+		regionCodes: true,
+	},
+	{
+		key: "device",
+		label: "Device",
+		type: FILTER_TYPES.MULTI,
+		accessor: (visitor) => visitor.device?.type,
+		allLabel: "All Devices",
+	},
+	{
+		key: "customer",
+		label: "Type",
+		type: FILTER_TYPES.MULTI,
+		accessor: (visitor) => (visitor.isCustomer ? "customer" : "visitor"),
+		allLabel: "All",
+		options: [
+			{ value: "customer", label: "Customers" },
+			{ value: "visitor", label: "Visitors" },
+		],
+	},
+	{
+		key: "browser",
+		label: "Browser",
+		type: FILTER_TYPES.MULTI,
+		accessor: (visitor) => visitor.browser?.name,
+		allLabel: "All Browsers",
+	},
+	{
+		key: "os",
+		label: "OS",
+		type: FILTER_TYPES.MULTI,
+		accessor: (visitor) => visitor.os?.name,
+		allLabel: "All Systems",
+	},
+	{
+		key: "referrer",
+		label: "Referrer",
+		type: FILTER_TYPES.MULTI,
+		accessor: (visitor) => visitor.referrer,
+		allLabel: "All Referrers",
+	},
+	{
+		key: "currentUrl",
+		label: "Current Page",
+		type: FILTER_TYPES.MULTI,
+		accessor: (visitor) => visitor.currentUrl,
+		allLabel: "All Pages",
+	},
+	{
+		key: "score",
+		label: "Conversion Score",
+		type: FILTER_TYPES.RANGE,
+		accessor: (visitor) => visitor.conversionLikelihood?.score,
+		min: 0,
+		max: 100,
+		step: 1,
+	},
+];
+
+/**
+ * Gets the inactive value for a filter
+ * @param {FilterDefinition} definition - Filter definition
+ * @returns {Array|null} Empty selection for multi filters, null for range filters
+ */
+export const getDefaultFilterValue = (definition) => {
+	return definition.type === FILTER_TYPES.RANGE ? null : [];
+};
+
+/**
+ * Builds the inactive filters state for a registry
+ * @param {Array<FilterDefinition>} [registry] - Filter registry
+ * @returns {Object} Filters state with every filter inactive
+ */
+export const getDefaultFilters = (registry = FILTER_REGISTRY) => {
+	return Object.fromEntries(
+		registry.map((definition) => [definition.key, getDefaultFilterValue(definition)])
+	);
+};
+
+/**
+ * Inactive filters state for the default registry
+ * @type {Object}
+ */
+export const DEFAULT_FILTERS = getDefaultFilters();
+
+/**
+ * Checks if a filter value narrows the visitor set
+ * @param {FilterDefinition} definition - Filter definition
+ * @param {*} value - Filter value
+ * @returns {boolean} True if the filter is active
+ */
+export const isFilterActive = (definition, value) => {
+	if (!Array.isArray(value)) return false;
+	if (definition.type === FILTER_TYPES.RANGE) {
+		return value[0] > definition.min || value[1] < definition.max;
+	}
+	return value.length > 0;
+};
+
+/**
+ * Checks if a visitor matches a single filter
+ * Multi filters compare case-insensitively against any selected value.
+ * @param {FilterDefinition} definition - Filter definition
+ * @param {Object} visitor - The visitor object to check
+ * @param {*} value - Filter value
+ * @returns {boolean} True if the visitor matches
+ */
+export const matchesFilter = (definition, visitor, value) => {
+	if (!isFilterActive(definition, value)) return true;
+
+	const fieldValue = definition.accessor(visitor);
+	if (definition.type === FILTER_TYPES.RANGE) {
+		return (
+			typeof fieldValue === "number" &&
+			fieldValue >= value[0] &&
+			fieldValue <= value[1]
+		);
+	}
+
+	if (fieldValue == null) return false;
+	const lower = String(fieldValue).toLowerCase();
+	return value.some((selected) => String(selected).toLowerCase() === lower);
+};
+
+/**
+ * Encodes a filter value as URL parameter values
+ * @param {FilterDefinition} definition - Filter definition
+ * @param {*} value - Filter value
+ * @returns {Array<string>} Parameter values (empty when inactive)
+ */
+export const serializeFilterValue = (definition, value) => {
+	if (!isFilterActive(definition, value)) return [];
+	if (definition.type === FILTER_TYPES.RANGE) return [`${value[0]}..${value[1]}`];
+	return value.map(String);
+};
+
+/**
+ * Decodes URL parameter values into a filter value
+ * Invalid values fall back to the inactive value.
+ * @param {FilterDefinition} definition - Filter definition
+ * @param {Array<string>} values - Parameter values
+ * @returns {*} Filter value
+ */
+export const parseFilterValue = (definition, values) => {
+	if (definition.type !== FILTER_TYPES.RANGE) {
+		return values.filter(Boolean);
+	}
+
+	const match = /^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/.exec(values[0] || "");
+	if (!match) return null;
+	const min = Math.max(definition.min, Number(match[1]));
+	const max = Math.min(definition.max, Number(match[2]));
+	return min <= max ? [min, max] : null;
+};
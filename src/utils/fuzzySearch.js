@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Fuzzy, ranked visitor search with typo tolerance
+ * @module utils/fuzzySearch
+ */
+
+import { SEARCH_RESULTS_CONFIG } from "../constants";
+
+/**
+ * Fields considered for ranking, with their relative weight
+ * @type {Array<{accessor: Function, weight: number}>}
+ */
+const RANKED_FIELDS = [
+	{
+		accessor: (visitor) =>
+			`${visitor.firstName || ""} ${visitor.lastName || ""}`.trim(),
+		weight: 3,
+	},
+	{ accessor: (visitor) => visitor.email, weight: 2 },
+	{ accessor: (visitor) => visitor.city, weight: 2 },
+	{ accessor: (visitor) => visitor.country, weight: 1 },
+];
+
+/**
+ * Computes the Damerau-Levenshtein (optimal string alignment) distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+export const editDistance = (a, b) => {
+	const rows = a.length + 1;
+	const cols = b.length + 1;
+	const d = Array.from({ length: rows }, (_, i) => [i]);
+	for (let j = 1; j < cols; j++) d[0][j] = j;
+
+	for (let i = 1; i < rows; i++) {
+		for (let j = 1; j < cols; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			d[i][j] = Math.min(
+				d[i - 1][j] + 1,
+				d[i][j - 1] + 1,
+				d[i - 1][j - 1] + cost
+			);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+			}
+		}
+	}
+
+	return d[rows - 1][cols - 1];
+};
+
+/**
+ * Gets the allowed edit distance for a typed word
+ * @param {string} word - Typed word
+ * @returns {number} Maximum edit distance
+ */
+const getTolerance = (word) => {
+	const rule = SEARCH_RESULTS_CONFIG.TYPO_TOLERANCE.find(
+		({ MIN_LENGTH }) => word.length >= MIN_LENGTH
+	);
+	return rule ? rule.DISTANCE : 0;
+};
+
+/**
+ * Scores how well a typed word matches a field value (0 = no match, 1 = exact)
+ * Exact and prefix word matches rank above substrings, which rank above typos.
+ * @param {string} token - Lowercased typed word
+ * @param {string} text - Lowercased field value
+ * @returns {number} Match score between 0 and 1
+ */
+const scoreToken = (token, text) => {
+	const words = text.split(/[\s@.\-_]+/).filter(Boolean);
+	if (words.includes(token)) return 1;
+	if (words.some((word) => word.startsWith(token))) return 0.9;
+	if (text.includes(token)) return 0.7;
+
+	const tolerance = getTolerance(token);
+	if (!tolerance) return 0;
+
+	let best = 0;
+	words.forEach((word) => {
+		// Compare against the whole word, then its prefix so partially typed
+		// words still match (ranked slightly lower)
+		const wordDistance = editDistance(token, word);
+		const prefixDistance = editDistance(token, word.slice(0, token.length));
+		if (wordDistance <= tolerance) best = Math.max(best, 0.6 - 0.15 * wordDistance);
+		if (prefixDistance <= tolerance) best = Math.max(best, 0.5 - 0.15 * prefixDistance);
+	});
+	return best;
+};
+
+/**
+ * Scores a visitor against the typed words
+ * @param {Object} visitor - Visitor object
+ * @param {Array<string>} tokens - Lowercased typed words
+ * @param {string} phrase - Lowercased full query
+ * @returns {number} Score, or 0 if any word matches nothing
+ */
+const scoreVisitor = (visitor, tokens, phrase) => {
+	const texts = RANKED_FIELDS.map(({ accessor, weight }) => ({
+		text: String(accessor(visitor) || "").toLowerCase(),
+		weight,
+	}));
+
+	let total = 0;
+	for (const token of tokens) {
+		const best = Math.max(
+			...texts.map(({ text, weight }) => (text ? scoreToken(token, text) * weight : 0))
+		);
+		if (best === 0) return 0;
+		total += best;
+	}
+
+	// Reward multi-word queries that match a field as a whole phrase
+	if (tokens.length > 1 && texts.some(({ text }) => text.includes(phrase))) {
+		total += tokens.length;
+	}
+
+	return total;
+};
+
+/**
+ * Checks if a typed word is a misspelled start of the visitor's first or last name
+ * Much stricter than the ranking, so it can narrow the map: one edit at most,
+ * against name prefixes only, and only for words of MAP_TYPO_MIN_LENGTH or more.
+ * @param {Object} visitor - Visitor object
+ * @param {string} word - Lowercased typed word
+ * @returns {boolean} True if a name starts with the word, give or take one edit
+ */
+export const matchesNameTypo = (visitor, word) => {
+	if (word.length < SEARCH_RESULTS_CONFIG.MAP_TYPO_MIN_LENGTH || /\s/.test(word)) {
+		return false;
+	}
+	return [visitor.firstName, visitor.lastName]
+		.flatMap((name) => String(name || "").toLowerCase().split(/\s+/))
+		.some((name) => name && editDistance(word, name.slice(0, word.length)) <= 1);
+};
+
+/**
+ * Ranks visitors by how well they match free text, tolerating typos
+ * @param {Array<Object>} visitors - Candidate visitors
+ * @param {string} text - Free-text query
+ * @param {number} [limit] - Maximum number of results
+ * @returns {Array<{visitor: Object, score: number}>} Results, best first
+ */
+export const rankVisitors = (visitors, text, limit = SEARCH_RESULTS_CONFIG.LIMIT) => {
+	const phrase = text.trim().toLowerCase();
+	if (phrase.length < SEARCH_RESULTS_CONFIG.MIN_QUERY_LENGTH) return [];
+	const tokens = phrase.split(/\s+/);
+
+	return visitors
+		.map((visitor) => ({ visitor, score: scoreVisitor(visitor, tokens, phrase) }))
+		.filter((result) => result.score > 0)
+		.sort(
+			(a, b) =>
+				b.score - a.score ||
+				String(a.visitor.firstName || "").localeCompare(b.visitor.firstName || "")
+		)
+		.slice(0, limit);
+};
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Geographic polygon selection of visitors
+ * @module utils/geoSelection
+ */
+
+/**
+ * Makes a ring's longitudes continuous
+ * Consecutive vertices more than 180° apart are assumed to cross the
+ * antimeridian, so later vertices are shifted by ±360°. The result may
+ * extend past ±180°, which keeps the polygon contiguous.
+ * @param {Array<[number, number]>} ring - [lng, lat] vertices
+ * @returns {Array<[number, number]>} Unwrapped ring
+ */
+export const unwrapRing = (ring) => {
+	const unwrapped = [];
+	ring.forEach(([lng, lat], index) => {
+		if (index === 0) {
+			unwrapped.push([lng, lat]);
+			return;
+		}
+		const previous = unwrapped[index - 1][0];
+		let next = lng;
+		while (next - previous > 180) next -= 360;
+		while (next - previous < -180) next += 360;
+		unwrapped.push([next, lat]);
+	});
+	return unwrapped;
+};
+
+/**
+ * Closes a ring by repeating its first vertex, as GeoJSON requires
+ * @param {Array<[number, number]>} ring - Vertices
+ * @returns {Array<[number, number]>} Closed ring
+ */
+export const closeRing = (ring) => {
+	if (!ring.length) return ring;
+	const [first] = ring;
+	const last = ring[ring.length - 1];
+	return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+/**
+ * Ray-casting point-in-polygon test in planar lng/lat space
+ * @param {number} lng - Point longitude
+ * @param {number} lat - Point latitude
+ * @param {Array<[number, number]>} ring - Polygon vertices
+ * @returns {boolean} True if the point is inside
+ */
+const isInsideRing = (lng, lat, ring) => {
+	let inside = false;
+	for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+		const [xi, yi] = ring[i];
+		const [xj, yj] = ring[j];
+		if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+			inside = !inside;
+		}
+	}
+	return inside;
+};
+
+/**
+ * Gets the bounding box of a ring
+ * @param {Array<[number, number]>} ring - Vertices (possibly unwrapped)
+ * @returns {[[number, number], [number, number]]} [[west, south], [east, north]]
+ */
+export const getRingBounds = (ring) => {
+	const lngs = ring.map(([lng]) => lng);
+	const lats = ring.map(([, lat]) => lat);
+	return [
+		[Math.min(...lngs), Math.min(...lats)],
+		[Math.max(...lngs), Math.max(...lats)],
+	];
+};
+
+/**
+ * Checks if a point lies inside an unwrapped ring
+ * The point is also tested one world to either side, so rings extending
+ * past ±180° match points on the other side of the antimeridian.
+ * @param {number} lng - Point longitude
+ * @param {number} lat - Point latitude
+ * @param {Array<[number, number]>} ring - Unwrapped ring
+ * @returns {boolean} True if the point is inside
+ */
+export const isPointInRing = (lng, lat, ring) => {
+	return [0, 360, -360].some((offset) => isInsideRing(lng + offset, lat, ring));
+};
+
+/**
+ * Selects the visitors inside a polygon
+ * @param {Array<Object>} visitors - Candidate visitors
+ * @param {Array<[number, number]>} ring - Unwrapped polygon ring
+ * @returns {Array<Object>} Visitors inside the polygon
+ */
+export const selectVisitorsInRing = (visitors, ring) => {
+	if (ring.length < 3) return [];
+	const [[west, south], [east, north]] = getRingBounds(ring);
+
+	return visitors.filter((visitor) => {
+		const { longitude, latitude } = visitor;
+		if (typeof longitude !== "number" || typeof latitude !== "number") return false;
+		if (latitude < south || latitude > north) return false;
+		// Cheap bounding box rejection before the full test
+		const inLngRange = [0, 360, -360].some(
+			(offset) => longitude + offset >= west && longitude + offset <= east
+		);
+		return inLngRange && isPointInRing(longitude, latitude, ring);
+	});
+};
+
+/**
+ * Checks if a point lies inside a [west, south, east, north] box
+ * The box may cross the antimeridian (east < west or east > 180), as map
+ * bounds do when the view spans it.
+ * @param {number} lng - Point longitude
+ * @param {number} lat - Point latitude
+ * @param {[number, number, number, number]} bounds - [west, south, east, north]
+ * @returns {boolean} True if the point is inside
+ */
+export const isPointInBounds = (lng, lat, [west, south, east, north]) => {
+	if (lat < south || lat > north) return false;
+	const span = east < west ? east + 360 - west : east - west;
+	if (span >= 360) return true;
+	// Shift the longitude into [west, west + 360)
+	const offset = (((lng - west) % 360) + 360) % 360;
+	return offset <= span;
+};
+
+/**
+ * Selects the visitors inside the map bounds
+ * @param {Array<Object>} visitors - Candidate visitors
+ * @param {[number, number, number, number]} bounds - [west, south, east, north]
+ * @returns {Array<Object>} Visitors inside the bounds
+ */
+export const selectVisitorsInBounds = (visitors, bounds) =>
+	visitors.filter(
+		({ longitude, latitude }) =>
+			typeof longitude === "number" &&
+			typeof latitude === "number" &&
+			isPointInBounds(longitude, latitude, bounds)
+	);
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Conversion of visitors to GeoJSON for Mapbox sources
+ * @module utils/geojson
+ */
+
+/**
+ * Converts visitors to a GeoJSON FeatureCollection for map layers
+ * Mapbox stringifies nested objects in source properties, so only flat
+ * values used by layer expressions are included.
+ * @param {Array<Object>} visitors - Array of visitor objects
+ * @param {import("./colorSchemes").ColorScale} [colorScale] - Adds each visitor's color and category index
+ * @returns {Object} GeoJSON FeatureCollection of points
+ */
+export const visitorsToFeatureCollection = (visitors, colorScale) => ({
+	type: "FeatureCollection",
+	features: visitors.map((visitor) => ({
+		type: "Feature",
+		properties: {
+			visitorId: visitor.visitorId,
+			isCustomer: !!visitor.isCustomer,
+			score: visitor.conversionLikelihood?.score ?? null,
+			profileImage: visitor.profileImage || null,
+			initial: visitor.firstName?.[0] || "?",
+			...(colorScale && {
+				color: colorScale.getColor(visitor),
+				colorIndex: colorScale.getCategory(visitor),
+			}),
+		},
+		geometry: {
+			type: "Point",
+			coordinates: [visitor.longitude, visitor.latitude],
+		},
+	})),
+});
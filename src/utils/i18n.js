@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Message lookup, plurals and locale-aware formatting
+ * @module utils/i18n
+ */
+
+import { CATALOGS } from "../locales";
+import { I18N_CONFIG } from "../constants";
+
+/**
+ * Localization helpers bound to a locale
+ * @typedef {Object} I18n
+ * @property {string} locale - Locale code (one of I18N_CONFIG.LOCALES)
+ * @property {string} direction - Text direction, "ltr" or "rtl"
+ * @property {Function} t - Translates a message key: t(key, params)
+ * @property {Function} formatNumber - Formats a number for the locale
+ * @property {Function} formatDate - Formats a date for the locale
+ * @property {Function} getCountryName - Localized name of an ISO 3166-1 alpha-2 code
+ */
+
+/**
+ * Finds the supported locale for a language tag
+ * Matches the exact code first, then the base language ("es-MX" → "es").
+ * @param {string|null|undefined} tag - BCP 47 language tag
+ * @returns {string|null} Supported locale code, or null
+ */
+export const resolveLocale = (tag) => {
+	if (!tag) return null;
+	const codes = I18N_CONFIG.LOCALES.map((item) => item.code);
+	const lower = tag.toLowerCase();
+	return (
+		codes.find((code) => code.toLowerCase() === lower) ||
+		codes.find((code) => code === lower.split("-")[0]) ||
+		null
+	);
+};
+
+/**
+ * Replaces `{name}` placeholders with parameters
+ * Numbers are formatted for the locale; unknown placeholders are kept.
+ * @param {string} template - Message template
+ * @param {Object} params - Placeholder values
+ * @param {Intl.NumberFormat} numberFormat - Number format for the locale
+ * @returns {string} Message
+ */
+const interpolate = (template, params, numberFormat) =>
+	template.replace(/\{(\w+)\}/g, (match, name) => {
+		const value = params[name];
+		if (value === undefined || value === null) return match;
+		return typeof value === "number" ? numberFormat.format(value) : String(value);
+	});
+
+/**
+ * Creates the localization helpers for a locale
+ * Catalogs map dotted keys to a message, or to plural forms keyed by
+ * Intl.PluralRules category (`one`, `few`, `other`…) chosen by `params.count`.
+ * Keys missing from the locale fall back to the default locale, then to
+ * `params.defaultValue`, then to the key itself.
+ * @param {string} locale - Locale code
+ * @returns {I18n} Localization helpers
+ */
+export const createI18n = (locale) => {
+	const definition =
+		I18N_CONFIG.LOCALES.find((item) => item.code === locale) || I18N_CONFIG.LOCALES[0];
+	const catalog = CATALOGS[definition.code] || {};
+	const fallback = CATALOGS[I18N_CONFIG.DEFAULT_LOCALE];
+	const pluralRules = new Intl.PluralRules(definition.code);
+	const numberFormat = new Intl.NumberFormat(definition.code);
+	const dateFormats = new Map();
+	let regionNames = null;
+	try {
+		regionNames = new Intl.DisplayNames([definition.code], { type: "region" });
+	} catch (error) {
+		// Older browsers without Intl.DisplayNames fall back to the data's names
+	}
+
+	const t = (key, params = {}) => {
+		const entry = catalog[key] ?? fallback[key] ?? params.defaultValue;
+		if (entry === undefined) return key;
+		const template =
+			typeof entry === "string"
+				? entry
+				: entry[pluralRules.select(params.count ?? 0)] ?? entry.other;
+		return interpolate(template, params, numberFormat);
+	};
+
+	const formatNumber = (value, options) =>
+		options
+			? new Intl.NumberFormat(definition.code, options).format(value)
+			: numberFormat.format(value);
+
+	const formatDate = (value, options = {}) => {
+		const key = JSON.stringify(options);
+		if (!dateFormats.has(key)) {
+			dateFormats.set(key, new Intl.DateTimeFormat(definition.code, options));
+		}
+		return dateFormats.get(key).format(value);
+	};
+
+	const getCountryName = (code, fallbackName = "") => {
+		if (!code || !regionNames) return fallbackName || code || "";
+		try {
+			return regionNames.of(String(code).toUpperCase()) || fallbackName;
+		} catch (error) {
+			return fallbackName || code;
+		}
+	};
+
+	return {
+		locale: definition.code,
+		direction: definition.direction,
+		t,
+		formatNumber,
+		formatDate,
+		getCountryName,
+	};
+};
+
+/**
+ * Gets a visitor's localized country name
+ * Derived from `countryCode` when present, otherwise the `country` field.
+ * @param {Object} visitor - Visitor object
+ * @param {I18n} i18n - Localization helpers
+ * @returns {string} Country name, or an empty string
+ */
+export const getVisitorCountry = (visitor, i18n) =>
+	visitor.countryCode
+		? i18n.getCountryName(visitor.countryCode, visitor.country)
+		: visitor.country || "";
+
+/**
+ * Gets the localized label of a filter value
+ * Region code filters show country names; other values use the
+ * `filter.<key>.<value>` message when the locale has one.
+ * @param {import("./filterRegistry").FilterDefinition} definition - Filter definition
+ * @param {string} value - Filter value
+ * @param {string} label - Label to fall back to
+ * @param {I18n} i18n - Localization helpers
+ * @returns {string} Label
+ */
+export const getFilterValueLabel = (definition, value, label, i18n) =>
+	definition.regionCodes
+		? i18n.getCountryName(value, label)
+		: i18n.t(`filter.${definition.key}.${value}`, { defaultValue: label });
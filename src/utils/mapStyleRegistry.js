@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Registry of map styles, extensible at runtime
+ * @module utils/mapStyleRegistry
+ */
+
+import { MAP_STYLES, FOG_COLORS, MAP_STYLE_TYPES, THEME_MODES } from "../constants";
+
+/**
+ * A map style
+ * @typedef {Object} MapStyleDefinition
+ * @property {string} id - Key stored in the URL (`style=`)
+ * @property {string} label - Name shown in the ViewControls when the locale has no `mapStyle.<id>` message
+ * @property {string|Object} style - Mapbox style URL, or a style JSON object
+ * @property {string} fogColor - Color of the fog around the globe
+ * @property {string|null} [theme] - Interface theme paired with the style ("light" or "dark"), used while the theme preference is "system"
+ * @property {React.ComponentType} [icon] - Icon shown in the ViewControls
+ */
+
+/**
+ * Styles that ship with the viewer, in ViewControls order
+ * The first one is the fallback for unknown or unregistered styles.
+ * @type {Array<MapStyleDefinition>}
+ */
+export const BUILT_IN_MAP_STYLES = [
+	{
+		id: MAP_STYLE_TYPES.OUTDOORS,
+		label: "Outdoors",
+		style: MAP_STYLES.OUTDOORS,
+		fogColor: FOG_COLORS.outdoors,
+		theme: null,
+	},
+	{
+		id: MAP_STYLE_TYPES.SATELLITE,
+		label: "Satellite",
+		style: MAP_STYLES.SATELLITE,
+		fogColor: FOG_COLORS.satellite,
+		theme: null,
+	},
+	{
+		id: MAP_STYLE_TYPES.LIGHT,
+		label: "Light",
+		style: MAP_STYLES.LIGHT,
+		fogColor: FOG_COLORS.light,
+		theme: THEME_MODES.LIGHT,
+	},
+	{
+		id: MAP_STYLE_TYPES.DARK,
+		label: "Dark",
+		style: MAP_STYLES.DARK,
+		fogColor: FOG_COLORS.dark,
+		theme: THEME_MODES.DARK,
+	},
+];
+
+const BUILT_IN_IDS = new Set(BUILT_IN_MAP_STYLES.map((definition) => definition.id));
+
+let registeredStyles = BUILT_IN_MAP_STYLES;
+const listeners = new Set();
+
+/**
+ * Replaces the registered styles and notifies subscribers
+ * @param {Array<MapStyleDefinition>} next - New list of styles
+ */
+const setRegisteredStyles = (next) => {
+	registeredStyles = next;
+	listeners.forEach((listener) => listener());
+};
+
+/**
+ * Gets the registered styles
+ * The array is replaced on every change, so it can be compared by identity.
+ * @returns {Array<MapStyleDefinition>} Registered styles, in ViewControls order
+ */
+export const getMapStyles = () => registeredStyles;
+
+/**
+ * Gets a registered style, falling back to the first one
+ * @param {string} id - Style id
+ * @returns {MapStyleDefinition} Style definition
+ */
+export const getMapStyle = (id) =>
+	registeredStyles.find((definition) => definition.id === id) || registeredStyles[0];
+
+/**
+ * Subscribes to changes of the registered styles
+ * @param {Function} listener - Called after every registration change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMapStyles = (listener) => {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+};
+
+/**
+ * Validates a map style and fills in its defaults
+ * @param {Object} definition - Style to check
+ * @param {string} definition.id - Key stored in the URL
+ * @param {string} [definition.label] - Name shown in the ViewControls, defaults to the id
+ * @param {string|Object} definition.style - Mapbox style URL, or a style JSON object
+ * @param {string} [definition.fogColor] - Fog color, defaults to the fallback style's
+ * @param {string|null} [definition.theme] - Paired interface theme ("light" or "dark")
+ * @param {React.ComponentType} [definition.icon] - Icon shown in the ViewControls
+ * @returns {MapStyleDefinition} Style definition
+ * @throws {Error} If the id, style or theme is invalid
+ */
+export const createMapStyleDefinition = ({
+	id,
+	label,
+	style,
+	fogColor,
+	theme = null,
+	icon,
+}) => {
+	if (typeof id !== "string" || !id.trim()) {
+		throw new Error("A map style needs an id");
+	}
+	if (typeof style !== "string" && (typeof style !== "object" || style === null)) {
+		throw new Error(`Map style "${id}" needs a style URL or style JSON`);
+	}
+	if (theme !== null && theme !== THEME_MODES.LIGHT && theme !== THEME_MODES.DARK) {
+		throw new Error(`Map style "${id}" has an invalid theme "${theme}"`);
+	}
+
+	return {
+		id,
+		label: label || id,
+		style,
+		fogColor: fogColor || BUILT_IN_MAP_STYLES[0].fogColor,
+		theme,
+		icon,
+	};
+};
+
+/**
+ * Picks the styles offered by one viewer
+ * Ids refer to registered styles and unknown ids are skipped; objects are
+ * styles only this viewer offers. Without a list, or when nothing in it
+ * resolves, every registered style is offered.
+ * @param {Array<string|Object>|undefined} list - Style ids and definitions
+ * @param {Array<MapStyleDefinition>} registered - Registered styles
+ * @returns {Array<MapStyleDefinition>} Styles, in list order
+ * @throws {Error} If a definition in the list is invalid
+ */
+export const selectMapStyles = (list, registered) => {
+	if (!list?.length) return registered;
+	const selected = list
+		.map((item) =>
+			typeof item === "string"
+				? registered.find((definition) => definition.id === item)
+				: createMapStyleDefinition(item)
+		)
+		.filter(Boolean);
+	return selected.length ? selected : registered;
+};
+
+/**
+ * Registers a map style, or replaces the style with the same id
+ * Built-in styles can be replaced (e.g. to change their fog) but not removed.
+ * @param {Object} input - Style to register (see createMapStyleDefinition)
+ * @returns {Function} Function unregistering the style
+ * @throws {Error} If the id, style or theme is invalid
+ */
+export const registerMapStyle = (input) => {
+	const definition = createMapStyleDefinition(input);
+	const { id } = definition;
+	const index = registeredStyles.findIndex((item) => item.id === id);
+	setRegisteredStyles(
+		index === -1
+			? [...registeredStyles, definition]
+			: registeredStyles.map((item, i) => (i === index ? definition : item))
+	);
+	return () => unregisterMapStyle(id);
+};
+
+/**
+ * Removes a registered style
+ * Built-in styles are kept; a replaced built-in style reverts to its default.
+ * @param {string} id - Style id
+ */
+export const unregisterMapStyle = (id) => {
+	if (BUILT_IN_IDS.has(id)) {
+		const builtIn = BUILT_IN_MAP_STYLES.find((definition) => definition.id === id);
+		if (getMapStyle(id) !== builtIn) {
+			setRegisteredStyles(
+				registeredStyles.map((item) => (item.id === id ? builtIn : item))
+			);
+		}
+		return;
+	}
+	if (registeredStyles.some((item) => item.id === id)) {
+		setRegisteredStyles(registeredStyles.filter((item) => item.id !== id));
+	}
+};
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Saved views: storage, sharing files and conversion to viewer state
+ * @module utils/savedViews
+ */
+
+import { SAVED_VIEWS_CONFIG } from "../constants";
+import { serializeUrlState, parseUrlState, DEFAULT_URL_STATE } from "./urlState";
+
+/**
+ * A named viewer state
+ * The state is kept in the same query string format as shareable links and is
+ * encoded against DEFAULT_URL_STATE rather than the viewer's own defaults, so
+ * a view means the same thing in every viewer it is imported into.
+ * @typedef {Object} SavedView
+ * @property {string} id - Unique ID
+ * @property {string} name - Name shown in the list
+ * @property {string} query - Camera, projection, style, search and filters as a query string
+ * @property {string} createdAt - ISO timestamp of the first save
+ * @property {string} updatedAt - ISO timestamp of the last change
+ */
+
+/**
+ * Creates a unique view ID
+ * @returns {string} View ID
+ */
+const createViewId = () =>
+	`view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Cleans up a view name
+ * @param {string} name - Name as typed
+ * @returns {string} Trimmed name, cut to SAVED_VIEWS_CONFIG.MAX_NAME_LENGTH
+ */
+export const normalizeViewName = (name) =>
+	String(name ?? "")
+		.trim()
+		.slice(0, SAVED_VIEWS_CONFIG.MAX_NAME_LENGTH);
+
+/**
+ * Creates a saved view from the viewer state
+ * The selected visitor is left out, since it may not exist when the view is
+ * restored (or imported elsewhere).
+ * @param {string} name - View name
+ * @param {import("./urlState").UrlState} state - Viewer state
+ * @returns {SavedView} Saved view
+ */
+export const createSavedView = (name, state) => {
+	const now = new Date().toISOString();
+	return {
+		id: createViewId(),
+		name: normalizeViewName(name),
+		query: serializeUrlState({ ...state, selectedId: null }, DEFAULT_URL_STATE),
+		createdAt: now,
+		updatedAt: now,
+	};
+};
+
+/**
+ * Decodes the viewer state of a saved view
+ * @param {SavedView} view - Saved view
+ * @param {Object} [allowed] - Allowed values for enumerated fields (see parseUrlState)
+ * @returns {import("./urlState").UrlState} Viewer state
+ */
+export const getSavedViewState = (view, allowed) =>
+	parseUrlState(view.query, DEFAULT_URL_STATE, allowed);
+
+/**
+ * Keeps the well-formed views of a list, filling in missing timestamps
+ * Views without a name or query are dropped, as are repeated IDs.
+ * @param {Array<*>} list - Views read from storage or a file
+ * @returns {Array<SavedView>} Valid views, in list order
+ */
+export const sanitizeSavedViews = (list) => {
+	if (!Array.isArray(list)) return [];
+	const seen = new Set();
+	return list.flatMap((item) => {
+		if (!item || typeof item !== "object" || typeof item.query !== "string") return [];
+		const name = normalizeViewName(item.name);
+		if (!name) return [];
+		const id = typeof item.id === "string" && item.id ? item.id : createViewId();
+		if (seen.has(id)) return [];
+		seen.add(id);
+
+		const createdAt = typeof item.createdAt === "string" ? item.createdAt : null;
+		const updatedAt = typeof item.updatedAt === "string" ? item.updatedAt : createdAt;
+		const now = new Date().toISOString();
+		return [
+			{
+				id,
+				name,
+				query: item.query,
+				createdAt: createdAt || now,
+				updatedAt: updatedAt || now,
+			},
+		];
+	});
+};
+
+/**
+ * Reads the saved views from localStorage
+ * @param {string} [storageKey] - Storage key
+ * @returns {Array<SavedView>} Saved views, empty if none or unreadable
+ */
+export const loadSavedViews = (storageKey = SAVED_VIEWS_CONFIG.STORAGE_KEY) => {
+	try {
+		return sanitizeSavedViews(JSON.parse(window.localStorage.getItem(storageKey)));
+	} catch (error) {
+		// Storage can be unavailable (private mode, sandboxed iframes) or hold bad JSON
+		return [];
+	}
+};
+
+/**
+ * Writes the saved views to localStorage
+ * @param {Array<SavedView>} views - Saved views
+ * @param {string} [storageKey] - Storage key
+ * @returns {boolean} Whether the views were stored
+ */
+export const storeSavedViews = (views, storageKey = SAVED_VIEWS_CONFIG.STORAGE_KEY) => {
+	try {
+		window.localStorage.setItem(storageKey, JSON.stringify(views));
+		return true;
+	} catch (error) {
+		// Unavailable or full; the views still last for this session
+		return false;
+	}
+};
+
+/**
+ * Serializes saved views as a shareable JSON file
+ * @param {Array<SavedView>} views - Saved views
+ * @returns {string} JSON text
+ */
+export const serializeSavedViews = (views) =>
+	JSON.stringify(
+		{
+			version: SAVED_VIEWS_CONFIG.FILE_VERSION,
+			exportedAt: new Date().toISOString(),
+			views,
+		},
+		null,
+		2
+	);
+
+/**
+ * Parses a saved views file
+ * Accepts an exported file or a bare array of views.
+ * @param {string} text - File contents
+ * @returns {Array<SavedView>} Valid views from the file
+ * @throws {Error} If the file isn't JSON or holds no valid views
+ */
+export const parseSavedViews = (text) => {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (error) {
+		throw new Error(`Invalid JSON: ${error.message}`);
+	}
+	if (data && !Array.isArray(data) && data.version > SAVED_VIEWS_CONFIG.FILE_VERSION) {
+		throw new Error(`Unsupported file version ${data.version}`);
+	}
+	const views = sanitizeSavedViews(Array.isArray(data) ? data : data?.views);
+	if (!views.length) throw new Error("The file has no saved views");
+	return views;
+};
+
+/**
+ * Adds imported views to the saved ones
+ * Imported views replace saved views with the same ID and are otherwise
+ * appended.
+ * @param {Array<SavedView>} current - Saved views
+ * @param {Array<SavedView>} imported - Imported views
+ * @returns {{views: Array<SavedView>, added: number, replaced: number}} Combined views and counts
+ */
+export const mergeSavedViews = (current, imported) => {
+	const importedById = new Map(imported.map((view) => [view.id, view]));
+	const views = current.map((view) => importedById.get(view.id) || view);
+	const existingIds = new Set(current.map((view) => view.id));
+	const added = imported.filter((view) => !existingIds.has(view.id));
+	return {
+		views: [...views, ...added],
+		added: added.length,
+		replaced: imported.length - added.length,
+	};
+};
+
+/**
+ * Downloads saved views as a JSON file
+ * @param {Array<SavedView>} views - Saved views
+ */
+export const downloadSavedViews = (views) => {
+	const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+	const url = URL.createObjectURL(
+		new Blob([serializeSavedViews(views)], { type: "application/json" })
+	);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = `${SAVED_VIEWS_CONFIG.FILENAME_PREFIX}-${timestamp}.json`;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	URL.revokeObjectURL(url);
+};
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Arrow-key navigation between elements by screen position
+ * @module utils/spatialNavigation
+ */
+
+/**
+ * Unit vectors of the arrow keys in screen space (y grows downwards)
+ * @type {Object<string, [number, number]>}
+ */
+export const ARROW_DIRECTIONS = {
+	ArrowUp: [0, -1],
+	ArrowDown: [0, 1],
+	ArrowLeft: [-1, 0],
+	ArrowRight: [1, 0],
+};
+
+/**
+ * Weight of the sideways offset relative to the distance travelled
+ * Higher values favour candidates straight ahead over closer diagonal ones.
+ * @type {number}
+ */
+const ACROSS_WEIGHT = 2;
+
+/**
+ * Finds the nearest candidate in a direction
+ * Only candidates ahead of the origin are considered; among those, the one
+ * with the lowest distance ahead plus weighted sideways offset wins.
+ * @template {{x: number, y: number}} T
+ * @param {{x: number, y: number}} origin - Starting point
+ * @param {Array<T>} candidates - Points to choose from
+ * @param {[number, number]} direction - Unit vector (see ARROW_DIRECTIONS)
+ * @returns {T|null} Nearest candidate, or null if none lies in that direction
+ */
+export const findNextInDirection = (origin, candidates, [dx, dy]) => {
+	let next = null;
+	let bestScore = Infinity;
+
+	candidates.forEach((candidate) => {
+		const vx = candidate.x - origin.x;
+		const vy = candidate.y - origin.y;
+		const ahead = vx * dx + vy * dy;
+		if (ahead <= 0) return;
+		const across = Math.abs(vx * dy - vy * dx);
+		const score = ahead + across * ACROSS_WEIGHT;
+		if (score < bestScore) {
+			bestScore = score;
+			next = candidate;
+		}
+	});
+
+	return next;
+};
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Visitor timestamp helpers for the timeline
+ * @module utils/timeline
+ */
+
+/**
+ * Parses a timestamp field
+ * @param {string|number|Date|null|undefined} value - ISO 8601 string, epoch milliseconds or Date
+ * @returns {number|null} Epoch milliseconds, or null if missing or invalid
+ */
+export const parseTimestamp = (value) => {
+	if (value === null || value === undefined || value === "") return null;
+	const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+	return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Gets the period a visitor was active
+ * A visitor with only one of firstSeen/lastSeen is treated as a single instant.
+ * @param {Object} visitor - Visitor object
+ * @returns {{start: number, end: number}|null} Active period, or null if the visitor has no timestamps
+ */
+export const getVisitorTimeRange = (visitor) => {
+	const firstSeen = parseTimestamp(visitor.firstSeen);
+	const lastSeen = parseTimestamp(visitor.lastSeen);
+	if (firstSeen === null && lastSeen === null) return null;
+
+	const start = firstSeen ?? lastSeen;
+	const end = lastSeen ?? firstSeen;
+	return start <= end ? { start, end } : { start: end, end: start };
+};
+
+/**
+ * Gets the time span covered by a set of visitors
+ * @param {Array<Object>} visitors - Visitors
+ * @returns {[number, number]|null} [earliest, latest] in epoch ms, or null if no visitor has timestamps
+ */
+export const getTimeExtent = (visitors) => {
+	let min = Infinity;
+	let max = -Infinity;
+	visitors.forEach((visitor) => {
+		const range = getVisitorTimeRange(visitor);
+		if (!range) return;
+		min = Math.min(min, range.start);
+		max = Math.max(max, range.end);
+	});
+	return min <= max ? [min, max] : null;
+};
+
+/**
+ * Checks if a visitor was active during a time window
+ * Visitors without timestamps are outside the time dimension and always match.
+ * @param {Object} visitor - Visitor object
+ * @param {[number, number]|null} timeWindow - [start, end] in epoch ms, or null for no window
+ * @returns {boolean} True if the visitor matches
+ */
+export const isVisitorInWindow = (visitor, timeWindow) => {
+	if (!timeWindow) return true;
+	const range = getVisitorTimeRange(visitor);
+	if (!range) return true;
+	return range.start <= timeWindow[1] && range.end >= timeWindow[0];
+};
+
+/**
+ * Filters visitors to those active during a time window
+ * @param {Array<Object>} visitors - Visitors
+ * @param {[number, number]|null} timeWindow - Time window, or null for no window
+ * @returns {Array<Object>} Matching visitors (the same array when there is no window)
+ */
+export const filterByTimeWindow = (visitors, timeWindow) => {
+	if (!timeWindow) return visitors;
+	return visitors.filter((visitor) => isVisitorInWindow(visitor, timeWindow));
+};
+
+/**
+ * Counts visitor arrivals (start of their active period) into equal bins
+ * @param {Array<Object>} visitors - Visitors
+ * @param {[number, number]} extent - Time span to bin
+ * @param {number} binCount - Number of bins
+ * @returns {Array<number>} Arrivals per bin
+ */
+export const getArrivalHistogram = (visitors, extent, binCount) => {
+	const bins = new Array(binCount).fill(0);
+	const span = extent[1] - extent[0];
+
+	visitors.forEach((visitor) => {
+		const range = getVisitorTimeRange(visitor);
+		if (!range || range.start < extent[0] || range.start > extent[1]) return;
+		const index = span > 0 ? Math.floor(((range.start - extent[0]) / span) * binCount) : 0;
+		bins[Math.min(index, binCount - 1)] += 1;
+	});
+
+	return bins;
+};
+
+/**
+ * Checks if a visitor arrived within the trailing part of a time window
+ * Used during playback to animate markers that just entered the window.
+ * @param {Object} visitor - Visitor object
+ * @param {[number, number]|null} timeWindow - Current time window
+ * @param {number} span - Length of the trailing part in epoch ms
+ * @returns {boolean} True if the visitor just arrived
+ */
+export const isRecentArrival = (visitor, timeWindow, span) => {
+	if (!timeWindow) return false;
+	const range = getVisitorTimeRange(visitor);
+	return !!range && range.start <= timeWindow[1] && range.start > timeWindow[1] - span;
+};
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Serialization of viewer state to and from the URL query string
+ * @module utils/urlState
+ */
+
+import {
+	URL_PARAMS,
+	FILTER_PARAM_PREFIX,
+	DEFAULT_VIEW_STATE,
+	VIEW_MODES,
+	MAP_STYLE_TYPES,
+} from "../constants";
+import {
+	FILTER_REGISTRY,
+	DEFAULT_FILTERS,
+	serializeFilterValue,
+	parseFilterValue,
+} from "./filterRegistry";
+
+/**
+ * Viewer state that is mirrored in the URL
+ * @typedef {Object} UrlState
+ * @property {Object} viewState - Camera state (longitude, latitude, zoom, pitch, bearing)
+ * @property {string} viewMode - View mode type
+ * @property {string} mapStyle - Map style type
+ * @property {string} searchQuery - Search query
+ * @property {Object} filters - Filter values keyed by filter name
+ * @property {string|null} selectedId - Selected visitor ID
+ */
+
+/**
+ * Default viewer state; values equal to these are left out of the URL
+ * @type {UrlState}
+ */
+export const DEFAULT_URL_STATE = {
+	viewState: DEFAULT_VIEW_STATE,
+	viewMode: VIEW_MODES.GLOBE,
+	mapStyle: MAP_STYLE_TYPES.OUTDOORS,
+	searchQuery: "",
+	filters: DEFAULT_FILTERS,
+	selectedId: null,
+};
+
+/**
+ * Rounds a number to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals) => {
+	const factor = 10 ** decimals;
+	return Math.round(value * factor) / factor;
+};
+
+/**
+ * Camera fields with their URL parameter and precision
+ * @type {Array<[string, string, number]>}
+ */
+const CAMERA_FIELDS = [
+	["longitude", URL_PARAMS.LONGITUDE, 4],
+	["latitude", URL_PARAMS.LATITUDE, 4],
+	["zoom", URL_PARAMS.ZOOM, 2],
+	["pitch", URL_PARAMS.PITCH, 1],
+	["bearing", URL_PARAMS.BEARING, 1],
+];
+
+/**
+ * Camera fields omitted from the URL when zero
+ * @type {Array<string>}
+ */
+const OPTIONAL_CAMERA_FIELDS = ["pitch", "bearing"];
+
+/**
+ * Rounds camera values to the precision stored in the URL
+ * @param {Object} viewState - Camera state
+ * @returns {Object} Rounded camera state
+ */
+export const roundViewState = (viewState) => {
+	const rounded = {};
+	CAMERA_FIELDS.forEach(([field, , decimals]) => {
+		if (typeof viewState[field] === "number") {
+			rounded[field] = round(viewState[field], decimals);
+		}
+	});
+	return rounded;
+};
+
+/**
+ * Serializes the non-camera part of the viewer state
+ * Values equal to their defaults are omitted to keep links short.
+ * @param {UrlState} state - Viewer state
+ * @param {UrlState} defaults - Default viewer state
+ * @returns {URLSearchParams} Query parameters
+ */
+const serializeSettings = (state, defaults) => {
+	const params = new URLSearchParams();
+
+	if (state.viewMode && state.viewMode !== defaults.viewMode) {
+		params.set(URL_PARAMS.VIEW_MODE, state.viewMode);
+	}
+	if (state.mapStyle && state.mapStyle !== defaults.mapStyle) {
+		params.set(URL_PARAMS.MAP_STYLE, state.mapStyle);
+	}
+	if (state.searchQuery) {
+		params.set(URL_PARAMS.SEARCH, state.searchQuery);
+	}
+	FILTER_REGISTRY.forEach((definition) => {
+		serializeFilterValue(definition, state.filters?.[definition.key]).forEach(
+			(value) => params.append(`${FILTER_PARAM_PREFIX}${definition.key}`, value)
+		);
+	});
+	if (state.selectedId != null) {
+		params.set(URL_PARAMS.SELECTED, String(state.selectedId));
+	}
+
+	return params;
+};
+
+/**
+ * Builds a key identifying the non-camera part of the state
+ * Used to decide whether a change deserves its own history entry.
+ * @param {UrlState} state - Viewer state
+ * @param {UrlState} defaults - Default viewer state
+ * @returns {string} Settings key
+ */
+export const getSettingsKey = (state, defaults) => {
+	return serializeSettings(state, defaults).toString();
+};
+
+/**
+ * Serializes viewer state into a query string
+ * @param {UrlState} state - Viewer state
+ * @param {UrlState} defaults - Default viewer state
+ * @returns {string} Query string including the leading "?", or "" if everything is default
+ */
+export const serializeUrlState = (state, defaults) => {
+	const params = new URLSearchParams();
+	const camera = roundViewState(state.viewState);
+	const defaultCamera = roundViewState(defaults.viewState);
+
+	const cameraChanged = CAMERA_FIELDS.some(
+		([field]) => (camera[field] || 0) !== (defaultCamera[field] || 0)
+	);
+	if (cameraChanged) {
+		CAMERA_FIELDS.forEach(([field, param]) => {
+			// Pitch and bearing are only written when the camera is tilted or rotated
+			if (camera[field] || !OPTIONAL_CAMERA_FIELDS.includes(field)) {
+				params.set(param, String(camera[field] || 0));
+			}
+		});
+	}
+
+	serializeSettings(state, defaults).forEach((value, key) => {
+		params.append(key, value);
+	});
+
+	const query = params.toString();
+	return query ? `?${query}` : "";
+};
+
+/**
+ * Parses viewer state from a query string
+ * Missing or invalid values fall back to the defaults. Filters are decoded
+ * through the filter registry.
+ * @param {string} search - Query string (e.g. window.location.search)
+ * @param {UrlState} defaults - Default viewer state
+ * @param {Object} [allowed] - Allowed values for enumerated fields
+ * @param {Array<string>} [allowed.viewModes] - Valid view modes
+ * @param {Array<string>} [allowed.mapStyles] - Valid map styles
+ * @returns {UrlState} Parsed viewer state
+ */
+export const parseUrlState = (search, defaults, { viewModes, mapStyles } = {}) => {
+	const params = new URLSearchParams(search);
+
+	const viewState = { pitch: 0, bearing: 0, ...defaults.viewState };
+	CAMERA_FIELDS.forEach(([field, param]) => {
+		const value = parseFloat(params.get(param));
+		if (Number.isFinite(value)) viewState[field] = value;
+	});
+
+	const viewMode = params.get(URL_PARAMS.VIEW_MODE);
+	const mapStyle = params.get(URL_PARAMS.MAP_STYLE);
+
+	const filters = { ...defaults.filters };
+	FILTER_REGISTRY.forEach((definition) => {
+		const param = `${FILTER_PARAM_PREFIX}${definition.key}`;
+		if (params.has(param)) {
+			filters[definition.key] = parseFilterValue(definition, params.getAll(param));
+		}
+	});
+
+	return {
+		viewState,
+		viewMode:
+			viewMode && (!viewModes || viewModes.includes(viewMode))
+				? viewMode
+				: defaults.viewMode,
+		mapStyle:
+			mapStyle && (!mapStyles || mapStyles.includes(mapStyle))
+				? mapStyle
+				: defaults.mapStyle,
+		searchQuery: params.get(URL_PARAMS.SEARCH) ?? defaults.searchQuery,
+		filters,
+		selectedId: params.get(URL_PARAMS.SELECTED),
+	};
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Breakdowns of a visitor set for the analytics dashboard
+ * @module utils/visitorAnalytics
+ */
+
+/**
+ * Counts of a categorical dimension
+ * @typedef {Object} ValueBreakdown
+ * @property {Array<{value: string, count: number}>} values - Most common values, most frequent first
+ * @property {number} otherCount - Visitors with a value beyond the listed ones
+ * @property {number} missingCount - Visitors without a value
+ */
+
+/**
+ * Counts visitors per value of a dimension
+ * Ties are broken alphabetically so the order is stable across renders.
+ * @param {Array<Object>} visitors - Visitors to count
+ * @param {Function} accessor - Returns a visitor's value for the dimension
+ * @param {number} limit - Maximum number of values to list
+ * @returns {ValueBreakdown} Breakdown of the dimension
+ */
+export const countValues = (visitors, accessor, limit) => {
+	const counts = new Map();
+	let missingCount = 0;
+
+	visitors.forEach((visitor) => {
+		const value = accessor(visitor);
+		if (value == null || value === "") {
+			missingCount += 1;
+			return;
+		}
+		const key = String(value);
+		counts.set(key, (counts.get(key) || 0) + 1);
+	});
+
+	const sorted = [...counts]
+		.map(([value, count]) => ({ value, count }))
+		.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+	const otherCount = sorted
+		.slice(limit)
+		.reduce((total, item) => total + item.count, 0);
+
+	return { values: sorted.slice(0, limit), otherCount, missingCount };
+};
+
+/**
+ * Histogram bin
+ * @typedef {Object} HistogramBin
+ * @property {number} min - Lowest value in the bin (inclusive)
+ * @property {number} max - Highest value in the bin (inclusive)
+ * @property {number} count - Visitors in the bin
+ */
+
+/**
+ * Bins a numeric dimension into equal-width bins
+ * Bins are inclusive ranges `step` apart, matching what a range filter
+ * selects; the last bin also holds the upper bound.
+ * @param {Array<Object>} visitors - Visitors to bin
+ * @param {Function} accessor - Returns a visitor's numeric value
+ * @param {{min: number, max: number, step: number}} range - Value range and resolution
+ * @param {number} binSize - Width of each bin
+ * @returns {{bins: Array<HistogramBin>, missingCount: number}} Bins and visitors without a value
+ */
+export const getHistogram = (visitors, accessor, { min, max, step }, binSize) => {
+	const binCount = Math.ceil((max - min) / binSize);
+	const bins = Array.from({ length: binCount }, (_, index) => ({
+		min: min + index * binSize,
+		max: index === binCount - 1 ? max : min + (index + 1) * binSize - step,
+		count: 0,
+	}));
+	let missingCount = 0;
+
+	visitors.forEach((visitor) => {
+		const value = accessor(visitor);
+		if (typeof value !== "number" || value < min || value > max) {
+			missingCount += 1;
+			return;
+		}
+		const index = Math.min(Math.floor((value - min) / binSize), binCount - 1);
+		bins[index].count += 1;
+	});
+
+	return { bins, missingCount };
+};
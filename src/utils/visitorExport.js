@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Serialization of visitors to CSV, GeoJSON and JSON downloads
+ * @module utils/visitorExport
+ */
+
+import { isFilterActive } from "./filterRegistry";
+import { closeRing } from "./geoSelection";
+import { EXPORT_FORMATS, EXPORT_CONFIG, FILTER_TYPES } from "../constants";
+
+/**
+ * Description of what was exported, written into every file
+ * @typedef {Object} ExportMetadata
+ * @property {string} exportedAt - ISO 8601 export time
+ * @property {number} count - Number of exported visitors
+ * @property {string|null} search - Search query, or null without one
+ * @property {Object<string, Array<string>|[number, number]>} filters - Active filter values keyed by filter key
+ * @property {{start: string, end: string}|null} timeWindow - Timeline window, or null for all time
+ * @property {Object|null} selection - Map selection as a GeoJSON Polygon, or null without one
+ */
+
+/**
+ * Flattens nested objects into dotted keys (`device.type`)
+ * Arrays of primitives are joined with "; ", other arrays are JSON encoded.
+ * @param {Object} value - Object to flatten
+ * @param {string} [prefix=""] - Key prefix
+ * @param {Object} [target={}] - Accumulator
+ * @returns {Object<string, *>} Flat object
+ */
+export const flattenVisitor = (value, prefix = "", target = {}) => {
+	Object.entries(value).forEach(([key, item]) => {
+		const path = prefix ? `${prefix}.${key}` : key;
+		if (Array.isArray(item)) {
+			const isPrimitive = item.every((entry) => entry === null || typeof entry !== "object");
+			target[path] = isPrimitive ? item.join("; ") : JSON.stringify(item);
+		} else if (item && typeof item === "object") {
+			flattenVisitor(item, path, target);
+		} else {
+			target[path] = item;
+		}
+	});
+	return target;
+};
+
+/**
+ * Lists the flattened fields present on any visitor, in first-seen order
+ * @param {Array<Object>} visitors - Visitors to export
+ * @returns {Array<string>} Column names
+ */
+export const getExportColumns = (visitors) => {
+	const columns = new Set();
+	visitors.forEach((visitor) => {
+		Object.keys(flattenVisitor(visitor)).forEach((column) => columns.add(column));
+	});
+	return [...columns];
+};
+
+/**
+ * Describes the search, filters, time window and selection behind an export
+ * @param {Object} state - Viewer state
+ * @param {number} state.count - Number of exported visitors
+ * @param {string} [state.searchQuery] - Search query
+ * @param {Object} state.filters - Filters state
+ * @param {Array<Object>} state.registry - Filter definitions (see FILTER_REGISTRY)
+ * @param {[number, number]|null} [state.timeWindow] - Timeline window in epoch ms
+ * @param {Array<[number, number]>|null} [state.selectionRing] - Map selection ring
+ * @returns {ExportMetadata} Export metadata
+ */
+export const getExportMetadata = ({
+	count,
+	searchQuery = "",
+	filters,
+	registry,
+	timeWindow = null,
+	selectionRing = null,
+}) => ({
+	exportedAt: new Date().toISOString(),
+	count,
+	search: searchQuery.trim() || null,
+	filters: Object.fromEntries(
+		registry
+			.filter((definition) => isFilterActive(definition, filters[definition.key]))
+			.map((definition) => [definition.key, filters[definition.key]])
+	),
+	timeWindow: timeWindow
+		? {
+				start: new Date(timeWindow[0]).toISOString(),
+				end: new Date(timeWindow[1]).toISOString(),
+		  }
+		: null,
+	selection: selectionRing
+		? { type: "Polygon", coordinates: [closeRing(selectionRing)] }
+		: null,
+});
+
+/**
+ * Summarizes export metadata as readable lines for the CSV header
+ * @param {ExportMetadata} metadata - Export metadata
+ * @param {Array<Object>} registry - Filter definitions, for labels
+ * @returns {Array<string>} Summary lines
+ */
+const describeMetadata = (metadata, registry) => {
+	const lines = [
+		`Exported ${metadata.count} visitors at ${metadata.exportedAt}`,
+		`Search: ${metadata.search ?? "none"}`,
+	];
+	registry.forEach((definition) => {
+		const value = metadata.filters[definition.key];
+		if (!value) return;
+		const text =
+			definition.type === FILTER_TYPES.RANGE
+				? `${value[0]}–${value[1]}`
+				: value.join(", ");
+		lines.push(`Filter ${definition.label}: ${text}`);
+	});
+	if (metadata.timeWindow) {
+		lines.push(`Time window: ${metadata.timeWindow.start} to ${metadata.timeWindow.end}`);
+	}
+	if (metadata.selection) {
+		lines.push(`Selection: ${JSON.stringify(metadata.selection)}`);
+	}
+	return lines;
+};
+
+/**
+ * Formats a value as a CSV cell
+ * Text starting with a formula character is prefixed with an apostrophe so
+ * spreadsheets don't evaluate it.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+	if (value === null || value === undefined) return "";
+	let text = String(value);
+	if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes visitors as CSV
+ * The export metadata is written first as raw `#` comment lines, never
+ * quoted, so comment-aware readers (pandas `comment="#"`, csv-parse `comment`)
+ * skip them whatever they contain.
+ * @param {Array<Object>} visitors - Visitors to export
+ * @param {Array<string>} columns - Flattened columns to include
+ * @param {ExportMetadata} metadata - Export metadata
+ * @param {Array<Object>} registry - Filter definitions, for labels
+ * @returns {string} CSV text
+ */
+export const visitorsToCsv = (visitors, columns, metadata, registry) => {
+	const rows = visitors.map((visitor) => {
+		const flat = flattenVisitor(visitor);
+		return columns.map((column) => toCsvCell(flat[column])).join(",");
+	});
+	return [
+		...describeMetadata(metadata, registry).map(
+			(line) => `# ${line.replace(/[\r\n]+/g, " ")}`
+		),
+		columns.map(toCsvCell).join(","),
+		...rows,
+	].join("\r\n");
+};
+
+/**
+ * Serializes visitors as a GeoJSON FeatureCollection
+ * Properties hold the chosen flattened columns; the export metadata is a
+ * top-level `metadata` member.
+ * @param {Array<Object>} visitors - Visitors to export
+ * @param {Array<string>} columns - Flattened columns to include
+ * @param {ExportMetadata} metadata - Export metadata
+ * @returns {string} GeoJSON text
+ */
+export const visitorsToGeoJson = (visitors, columns, metadata) => {
+	const collection = {
+		type: "FeatureCollection",
+		metadata,
+		features: visitors.map((visitor) => {
+			const flat = flattenVisitor(visitor);
+			return {
+				type: "Feature",
+				geometry: {
+					type: "Point",
+					coordinates: [visitor.longitude, visitor.latitude],
+				},
+				properties: Object.fromEntries(
+					columns
+						.filter((column) => column in flat)
+						.map((column) => [column, flat[column]])
+				),
+			};
+		}),
+	};
+	return JSON.stringify(collection, null, 2);
+};
+
+/**
+ * Serializes visitors as raw JSON, keeping nested fields as they are
+ * @param {Array<Object>} visitors - Visitors to export
+ * @param {ExportMetadata} metadata - Export metadata
+ * @returns {string} JSON text
+ */
+export const visitorsToJson = (visitors, metadata) => {
+	return JSON.stringify({ metadata, visitors }, null, 2);
+};
+
+const FORMAT_DETAILS = {
+	[EXPORT_FORMATS.CSV]: { extension: "csv", mimeType: "text/csv;charset=utf-8" },
+	[EXPORT_FORMATS.GEOJSON]: { extension: "geojson", mimeType: "application/geo+json" },
+	[EXPORT_FORMATS.JSON]: { extension: "json", mimeType: "application/json" },
+};
+
+/**
+ * Serializes visitors and downloads the file
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Array<Object>} visitors - Visitors to export
+ * @param {Array<string>} columns - Flattened columns (CSV and GeoJSON)
+ * @param {ExportMetadata} metadata - Export metadata
+ * @param {Array<Object>} registry - Filter definitions, for labels
+ */
+export const downloadVisitors = (format, visitors, columns, metadata, registry) => {
+	let content;
+	if (format === EXPORT_FORMATS.CSV) {
+		content = visitorsToCsv(visitors, columns, metadata, registry);
+	} else if (format === EXPORT_FORMATS.GEOJSON) {
+		content = visitorsToGeoJson(visitors, columns, metadata);
+	} else {
+		content = visitorsToJson(visitors, metadata);
+	}
+
+	const { extension, mimeType } = FORMAT_DETAILS[format];
+	const timestamp = metadata.exportedAt.replace(/[:.]/g, "-");
+	const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = `${EXPORT_CONFIG.FILENAME_PREFIX}-${timestamp}.${extension}`;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(url), EXPORT_CONFIG.REVOKE_DELAY);
+};
@@ -3,90 +3,394 @@
  * @module utils/visitorFilters
  */
 
+import { FILTER_REGISTRY, matchesFilter } from "./filterRegistry";
+import { rankVisitors, matchesNameTypo } from "./fuzzySearch";
+import { FILTER_TYPES } from "../constants";
+
 /**
- * Checks if a visitor matches the search query
- * @param {Object} visitor - The visitor object to check
- * @param {string} searchQuery - The search query string
- * @returns {boolean} True if visitor matches search query
+ * Searchable fields for the query syntax (`field:value`)
+ * Each field has a value accessor and a type: "text" fields match by
+ * case-insensitive substring, "number" fields accept comparisons
+ * (`score:>70`, `score:50..80`) and "boolean" fields accept true/false.
+ * Fields with `suggest` offer their values for autocomplete.
+ * @type {Object<string, Object>}
  */
-export const matchesSearchQuery = (visitor, searchQuery) => {
-	if (!searchQuery) return true;
+export const SEARCH_FIELDS = {
+	name: {
+		type: "text",
+		accessor: (visitor) =>
+			`${visitor.firstName || ""} ${visitor.lastName || ""}`.trim(),
+	},
+	email: { type: "text", accessor: (visitor) => visitor.email },
+	city: { type: "text", accessor: (visitor) => visitor.city, suggest: true },
+	country: { type: "text", accessor: (visitor) => visitor.country, suggest: true },
+	countryCode: {
+		type: "text",
+		accessor: (visitor) => visitor.countryCode,
+		suggest: true,
+	},
+	device: { type: "text", accessor: (visitor) => visitor.device?.type, suggest: true },
+	browser: { type: "text", accessor: (visitor) => visitor.browser?.name, suggest: true },
+	os: { type: "text", accessor: (visitor) => visitor.os?.name, suggest: true },
+	referrer: { type: "text", accessor: (visitor) => visitor.referrer, suggest: true },
+	url: { type: "text", accessor: (visitor) => visitor.currentUrl, suggest: true },
+	score: {
+		type: "number",
+		accessor: (visitor) => visitor.conversionLikelihood?.score,
+	},
+	customer: { type: "boolean", accessor: (visitor) => visitor.isCustomer },
+};
+
+/**
+ * Alternative names accepted for search fields
+ * @type {Object<string, string>}
+ */
+export const SEARCH_FIELD_ALIASES = {
+	cc: "countryCode",
+	code: "countryCode",
+	ref: "referrer",
+	page: "url",
+	currenturl: "url",
+};
 
-	const query = searchQuery.toLowerCase();
-	return (
-		visitor.firstName?.toLowerCase().includes(query) ||
-		visitor.lastName?.toLowerCase().includes(query) ||
-		visitor.email?.toLowerCase().includes(query) ||
-		visitor.city?.toLowerCase().includes(query) ||
-		visitor.country?.toLowerCase().includes(query)
+/**
+ * Fields matched by free text (terms without a `field:` prefix)
+ * @type {Array<Function>}
+ */
+const FREE_TEXT_ACCESSORS = [
+	(visitor) => visitor.firstName,
+	(visitor) => visitor.lastName,
+	(visitor) => visitor.email,
+	(visitor) => visitor.city,
+	(visitor) => visitor.country,
+];
+
+const BOOLEAN_VALUES = {
+	true: true,
+	yes: true,
+	1: true,
+	false: false,
+	no: false,
+	0: false,
+};
+
+/**
+ * Resolves a field name or alias to its canonical search field name
+ * @param {string} name - Field name as typed
+ * @returns {string|null} Canonical field name, or null if unknown
+ */
+export const resolveSearchField = (name) => {
+	const lower = name.toLowerCase();
+	const field = Object.keys(SEARCH_FIELDS).find(
+		(key) => key.toLowerCase() === lower
 	);
+	return field || SEARCH_FIELD_ALIASES[lower] || null;
 };
 
 /**
- * Checks if a visitor matches the country filter
- * @param {Object} visitor - The visitor object to check
- * @param {string} countryFilter - The country filter value
- * @returns {boolean} True if visitor matches country filter
+ * Splits a query into raw tokens
+ * A token is an optional `-` (negation), an optional `field:` prefix and a
+ * value that is either a bare word or a double-quoted phrase.
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Tokens with start/end offsets, negated, field, value and quote info
  */
-export const matchesCountryFilter = (visitor, countryFilter) => {
-	if (!countryFilter) return true;
-	return visitor.country?.toLowerCase() === countryFilter.toLowerCase();
+export const tokenizeSearchQuery = (query) => {
+	const tokens = [];
+	let i = 0;
+
+	while (i < query.length) {
+		if (/\s/.test(query[i])) {
+			i++;
+			continue;
+		}
+
+		const start = i;
+		let negated = false;
+		if (query[i] === "-" && query[i + 1] && !/\s/.test(query[i + 1])) {
+			negated = true;
+			i++;
+		}
+
+		let field = null;
+		const fieldMatch = /^([a-zA-Z]+):/.exec(query.slice(i));
+		if (fieldMatch) {
+			field = fieldMatch[1];
+			i += fieldMatch[0].length;
+		}
+
+		let value;
+		let quoted = false;
+		let unterminated = false;
+		if (query[i] === '"') {
+			quoted = true;
+			const closing = query.indexOf('"', i + 1);
+			if (closing === -1) {
+				unterminated = true;
+				value = query.slice(i + 1);
+				i = query.length;
+			} else {
+				value = query.slice(i + 1, closing);
+				i = closing + 1;
+			}
+		} else {
+			value = /^\S*/.exec(query.slice(i))[0];
+			i += value.length;
+		}
+
+		tokens.push({ start, end: i, negated, field, value, quoted, unterminated });
+	}
+
+	return tokens;
+};
+
+/**
+ * Parses a numeric comparison such as `>70`, `<=50`, `80` or `50..80`
+ * @param {string} value - Comparison text
+ * @returns {Function|null} Predicate for a number, or null if invalid
+ */
+const parseNumberComparison = (value) => {
+	const range = /^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/.exec(value);
+	if (range) {
+		const min = Number(range[1]);
+		const max = Number(range[2]);
+		return (n) => n >= min && n <= max;
+	}
+
+	const comparison = /^(>=|<=|>|<|=)?(-?\d+(?:\.\d+)?)$/.exec(value);
+	if (!comparison) return null;
+
+	const target = Number(comparison[2]);
+	switch (comparison[1]) {
+		case ">":
+			return (n) => n > target;
+		case ">=":
+			return (n) => n >= target;
+		case "<":
+			return (n) => n < target;
+		case "<=":
+			return (n) => n <= target;
+		default:
+			return (n) => n === target;
+	}
+};
+
+/**
+ * Parses a search query into terms and syntax errors
+ * Terms are combined with AND. Tokens with errors are reported and ignored.
+ * Each error carries an English `message` plus a `code` and `params` for
+ * localized messages (`search.error.<code>`).
+ * @param {string} query - Search query, e.g. `country:Japan score:>70 -browser:Safari "New York"`
+ * @returns {{terms: Array<Object>, errors: Array<Object>}} Parsed terms and errors ({start, end, message, code, params})
+ */
+export const parseSearchQuery = (query) => {
+	const terms = [];
+	const errors = [];
+	if (!query) return { terms, errors };
+
+	tokenizeSearchQuery(query).forEach((token) => {
+		const { start, end, negated, value } = token;
+		const addError = (code, message) =>
+			errors.push({ start, end, message, code, params: { field: token.field } });
+
+		if (token.unterminated) {
+			addError("unterminated", "Missing closing quote");
+			return;
+		}
+
+		if (!token.field) {
+			if (value) terms.push({ negated, text: value.toLowerCase() });
+			return;
+		}
+
+		const field = resolveSearchField(token.field);
+		if (!field) {
+			addError("unknownField", `Unknown field "${token.field}"`);
+			return;
+		}
+		if (!value && !token.quoted) {
+			addError("missingValue", `Missing value for "${token.field}"`);
+			return;
+		}
+
+		const { type, accessor } = SEARCH_FIELDS[field];
+		if (type === "number") {
+			const compare = parseNumberComparison(value);
+			if (!compare) {
+				addError("expectsNumber", `"${token.field}" expects a number, e.g. >70 or 50..80`);
+				return;
+			}
+			terms.push({
+				negated,
+				field,
+				test: (visitor) => {
+					const fieldValue = accessor(visitor);
+					return typeof fieldValue === "number" && compare(fieldValue);
+				},
+			});
+			return;
+		}
+
+		if (type === "boolean") {
+			const expected = BOOLEAN_VALUES[value.toLowerCase()];
+			if (expected === undefined) {
+				addError("expectsBoolean", `"${token.field}" expects true or false`);
+				return;
+			}
+			terms.push({
+				negated,
+				field,
+				test: (visitor) => Boolean(accessor(visitor)) === expected,
+			});
+			return;
+		}
+
+		const needle = value.toLowerCase();
+		terms.push({
+			negated,
+			field,
+			test: (visitor) =>
+				String(accessor(visitor) ?? "").toLowerCase().includes(needle),
+		});
+	});
+
+	return { terms, errors };
 };
 
 /**
- * Checks if a visitor matches the device filter
+ * Checks if a visitor matches a single parsed search term
+ * Free text (terms without a `field:` prefix) matches name, email, city and
+ * country by substring; longer words also match a name they misspell.
  * @param {Object} visitor - The visitor object to check
- * @param {string} deviceFilter - The device filter value
- * @returns {boolean} True if visitor matches device filter
+ * @param {Object} term - Parsed term from parseSearchQuery
+ * @returns {boolean} True if visitor matches the term
  */
-export const matchesDeviceFilter = (visitor, deviceFilter) => {
-	if (!deviceFilter) return true;
-	return visitor.device?.type?.toLowerCase() === deviceFilter.toLowerCase();
+const matchesSearchTerm = (visitor, term) => {
+	const matches = term.test
+		? term.test(visitor)
+		: FREE_TEXT_ACCESSORS.some((accessor) =>
+				accessor(visitor)?.toLowerCase().includes(term.text)
+		  ) || matchesNameTypo(visitor, term.text);
+	return term.negated ? !matches : matches;
 };
 
 /**
- * Checks if a visitor matches the customer filter
+ * Checks if a visitor matches the search query
  * @param {Object} visitor - The visitor object to check
- * @param {string} customerFilter - The customer filter value ('customer', 'visitor', or '')
- * @returns {boolean} True if visitor matches customer filter
+ * @param {string|Object} searchQuery - The search query string, or a query parsed with parseSearchQuery
+ * @returns {boolean} True if visitor matches search query
  */
-export const matchesCustomerFilter = (visitor, customerFilter) => {
-	if (customerFilter === "") return true;
-	if (customerFilter === "customer") return visitor.isCustomer === true;
-	if (customerFilter === "visitor") return visitor.isCustomer === false;
-	return true;
+export const matchesSearchQuery = (visitor, searchQuery) => {
+	if (!searchQuery) return true;
+
+	const { terms } =
+		typeof searchQuery === "string" ? parseSearchQuery(searchQuery) : searchQuery;
+	return terms.every((term) => matchesSearchTerm(visitor, term));
 };
 
 /**
- * Checks if a visitor matches the country code filter
+ * Checks if a visitor matches every filter in the registry
  * @param {Object} visitor - The visitor object to check
- * @param {string} countryCodeFilter - The country code filter value
- * @returns {boolean} True if visitor matches country code filter
+ * @param {Object} filters - Filter values keyed by filter key
+ * @param {Array<Object>} [registry] - Filter registry
+ * @returns {boolean} True if visitor matches all filters
  */
-export const matchesCountryCodeFilter = (visitor, countryCodeFilter) => {
-	if (!countryCodeFilter) return true;
-	return visitor.countryCode?.toLowerCase() === countryCodeFilter.toLowerCase();
+export const matchesFilters = (visitor, filters, registry = FILTER_REGISTRY) => {
+	return registry.every((definition) =>
+		matchesFilter(definition, visitor, filters[definition.key])
+	);
 };
 
 /**
  * Filters visitors based on search query and all filter criteria
  * @param {Array<Object>} visitors - Array of visitor objects
  * @param {string} searchQuery - Search query string
- * @param {Object} filters - Filter object with country, device, customer, countryCode
+ * @param {Object} filters - Filter values keyed by filter key (see FILTER_REGISTRY)
+ * @param {Array<Object>} [registry] - Filter registry
  * @returns {Array<Object>} Filtered array of visitors
  */
-export const filterVisitors = (visitors, searchQuery, filters) => {
+export const filterVisitors = (
+	visitors,
+	searchQuery,
+	filters,
+	registry = FILTER_REGISTRY
+) => {
+	const parsedQuery = parseSearchQuery(searchQuery);
 	return visitors.filter((visitor) => {
 		return (
-			matchesSearchQuery(visitor, searchQuery) &&
-			matchesCountryFilter(visitor, filters.country) &&
-			matchesDeviceFilter(visitor, filters.device) &&
-			matchesCustomerFilter(visitor, filters.customer) &&
-			matchesCountryCodeFilter(visitor, filters.countryCode)
+			matchesSearchQuery(visitor, parsedQuery) &&
+			matchesFilters(visitor, filters, registry)
 		);
 	});
 };
 
+/**
+ * Ranks visitors for the search results dropdown
+ * Takes the visitors already filtered for the map, so every result has a
+ * marker to fly to; they are ordered by how well the free-text words match.
+ * @param {Array<Object>} visitors - Visitors shown on the map (see filterVisitors)
+ * @param {string} searchQuery - Search query string
+ * @returns {Array<{visitor: Object, score: number}>} Ranked results, best first
+ */
+export const getSearchResults = (visitors, searchQuery) => {
+	const { terms } = parseSearchQuery(searchQuery);
+	const freeText = terms
+		.filter((term) => !term.test && !term.negated)
+		.map((term) => term.text)
+		.join(" ");
+	if (!freeText) return [];
+
+	return rankVisitors(visitors, freeText);
+};
+
+/**
+ * Builds the options of every multi filter with per-option counts
+ * Counts are faceted: each filter's counts apply the search and all other
+ * filters but not the filter itself, so they show what selecting an option adds.
+ * @param {Array<Object>} visitors - Array of all visitors
+ * @param {string} searchQuery - Search query string
+ * @param {Object} filters - Filter values keyed by filter key
+ * @param {Array<Object>} [registry] - Filter registry
+ * @returns {Object<string, Array<{value: string, label: string, count: number}>>} Options keyed by filter key
+ */
+export const getFilterOptions = (
+	visitors,
+	searchQuery,
+	filters,
+	registry = FILTER_REGISTRY
+) => {
+	const parsedQuery = parseSearchQuery(searchQuery);
+	const searched = visitors.filter((visitor) =>
+		matchesSearchQuery(visitor, parsedQuery)
+	);
+	const options = {};
+
+	registry.forEach((definition) => {
+		if (definition.type !== FILTER_TYPES.MULTI) return;
+
+		const others = registry.filter((other) => other !== definition);
+		const counts = new Map();
+		searched.forEach((visitor) => {
+			if (!matchesFilters(visitor, filters, others)) return;
+			const value = definition.accessor(visitor);
+			if (value == null || value === "") return;
+			counts.set(String(value), (counts.get(String(value)) || 0) + 1);
+		});
+
+		const values =
+			definition.options ||
+			getUniqueValues(visitors, definition.accessor).map((value) => ({
+				value: String(value),
+				label: String(value),
+			}));
+		options[definition.key] = values.map((option) => ({
+			...option,
+			count: counts.get(option.value) || 0,
+		}));
+	});
+
+	return options;
+};
+
 /**
  * Extracts unique values from visitor array for a given field
  * @param {Array<Object>} visitors - Array of visitor objects
@@ -98,11 +402,84 @@ export const getUniqueValues = (visitors, fieldAccessor) => {
 		? fieldAccessor
 		: (visitor) => visitor[fieldAccessor];
 
-	const values = visitors
-		.map(getValue)
-		.filter(Boolean)
-		.filter((value, index, self) => self.indexOf(value) === index);
+	const values = new Set();
+	visitors.forEach((visitor) => {
+		const value = getValue(visitor);
+		if (value) values.add(value);
+	});
 
-	return values.sort();
+	return [...values].sort();
 };
 
+
+/**
+ * Collects autocomplete values for every suggestable search field
+ * @param {Array<Object>} visitors - Array of visitor objects
+ * @returns {Object<string, Array<string>>} Unique values keyed by field name
+ */
+export const getSearchValueOptions = (visitors) => {
+	const options = {};
+	Object.entries(SEARCH_FIELDS).forEach(([field, { suggest, accessor, type }]) => {
+		if (suggest) options[field] = getUniqueValues(visitors, accessor);
+		if (type === "boolean") options[field] = ["true", "false"];
+	});
+	return options;
+};
+
+/**
+ * Quotes a value for the query syntax if it contains whitespace
+ * @param {string} value - Raw value
+ * @returns {string} Value safe to insert into a query
+ */
+const quoteSearchValue = (value) => {
+	return /\s/.test(value) ? `"${value}"` : value;
+};
+
+/**
+ * Builds autocomplete suggestions for the token under the cursor
+ * Suggests field names while typing a bare word, and field values (from
+ * `valueOptions`) after a `field:` prefix.
+ * @param {string} query - Search query
+ * @param {number} cursor - Cursor offset in the query
+ * @param {Object<string, Array<string>>} valueOptions - Values keyed by field (see getSearchValueOptions)
+ * @param {number} [limit=8] - Maximum number of suggestions
+ * @returns {Array<{label: string, replacement: string, start: number, end: number}>} Suggestions
+ */
+export const getSearchSuggestions = (query, cursor, valueOptions, limit = 8) => {
+	const token = tokenizeSearchQuery(query).find(
+		(item) => item.start <= cursor && cursor <= item.end
+	);
+	if (!token) return [];
+
+	const prefix = token.negated ? "-" : "";
+
+	if (!token.field) {
+		if (!token.value || token.quoted) return [];
+		const typed = token.value.toLowerCase();
+		return Object.keys(SEARCH_FIELDS)
+			.filter((field) => field.toLowerCase().startsWith(typed))
+			.slice(0, limit)
+			.map((field) => ({
+				label: `${field}:`,
+				replacement: `${prefix}${field}:`,
+				start: token.start,
+				end: token.end,
+			}));
+	}
+
+	const field = resolveSearchField(token.field);
+	const values = (field && valueOptions[field]) || [];
+	const typed = token.value.toLowerCase();
+	return values
+		.filter((value) => {
+			const lower = String(value).toLowerCase();
+			return lower.includes(typed) && lower !== typed;
+		})
+		.slice(0, limit)
+		.map((value) => ({
+			label: String(value),
+			replacement: `${prefix}${token.field}:${quoteSearchValue(String(value))} `,
+			start: token.start,
+			end: token.end,
+		}));
+};
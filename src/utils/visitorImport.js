@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Parsing and column mapping of imported visitor files
+ * @module utils/visitorImport
+ */
+
+import { parseVisitorPayload } from "./visitorSources";
+import { flattenVisitor } from "./visitorExport";
+import { IMPORT_MODES, IMPORT_CONFIG } from "../constants";
+
+/**
+ * A visitor field that imported columns can be mapped to
+ * @typedef {Object} ImportField
+ * @property {string} key - Dotted path in the visitor object
+ * @property {string} label - Label shown in the mapping dialog
+ * @property {string} type - "string", "number" or "boolean"
+ * @property {boolean} [required] - Rows without a valid value are skipped
+ * @property {Array<string>} [aliases] - Column names recognised automatically (normalized)
+ */
+
+/**
+ * Visitor schema offered in the mapping dialog, in display order
+ * @type {Array<ImportField>}
+ */
+export const VISITOR_IMPORT_FIELDS = [
+	{
+		key: "latitude",
+		label: "Latitude",
+		type: "number",
+		required: true,
+		aliases: ["lat", "y"],
+	},
+	{
+		key: "longitude",
+		label: "Longitude",
+		type: "number",
+		required: true,
+		aliases: ["lng", "lon", "long", "x"],
+	},
+	{
+		key: "visitorId",
+		label: "Visitor ID",
+		type: "string",
+		aliases: ["id", "userid", "uid"],
+	},
+	{
+		key: "firstName",
+		label: "First name",
+		type: "string",
+		aliases: ["first", "givenname"],
+	},
+	{
+		key: "lastName",
+		label: "Last name",
+		type: "string",
+		aliases: ["last", "surname", "familyname"],
+	},
+	{
+		key: "email",
+		label: "Email",
+		type: "string",
+		aliases: ["emailaddress", "mail"],
+	},
+	{
+		key: "city",
+		label: "City",
+		type: "string",
+		aliases: ["town"],
+	},
+	{
+		key: "country",
+		label: "Country",
+		type: "string",
+		aliases: ["countryname"],
+	},
+	{
+		key: "countryCode",
+		label: "Country code",
+		type: "string",
+		aliases: ["iso", "iso2", "cc"],
+	},
+	{
+		key: "isCustomer",
+		label: "Customer",
+		type: "boolean",
+		aliases: ["customer"],
+	},
+	{
+		key: "device.type",
+		label: "Device",
+		type: "string",
+		aliases: ["device", "devicetype"],
+	},
+	{
+		key: "browser.name",
+		label: "Browser",
+		type: "string",
+		aliases: ["browser", "browsername"],
+	},
+	{
+		key: "os.name",
+		label: "OS",
+		type: "string",
+		aliases: ["os", "osname", "platform"],
+	},
+	{
+		key: "referrer",
+		label: "Referrer",
+		type: "string",
+		aliases: ["referer", "source"],
+	},
+	{
+		key: "currentUrl",
+		label: "Current page",
+		type: "string",
+		aliases: ["url", "page", "path"],
+	},
+	{
+		key: "conversionLikelihood.score",
+		label: "Conversion score",
+		type: "number",
+		aliases: ["score", "conversionscore", "conversionlikelihood"],
+	},
+	{
+		key: "profileImage",
+		label: "Profile image",
+		type: "string",
+		aliases: ["avatar", "image", "photo"],
+	},
+	{
+		key: "firstSeen",
+		label: "First seen",
+		type: "string",
+		aliases: ["start", "arrived", "createdat"],
+	},
+	{
+		key: "lastSeen",
+		label: "Last seen",
+		type: "string",
+		aliases: ["end", "updatedat"],
+	},
+];
+
+/**
+ * A parsed import file
+ * @typedef {Object} ParsedImport
+ * @property {string} fileName - Original file name
+ * @property {string} format - "csv" or "json"
+ * @property {Array<string>} columns - Column names, nested JSON fields flattened to dotted paths
+ * @property {Array<Object<string, *>>} records - Flat records keyed by column
+ * @property {number} commentLines - `#` lines skipped before the CSV header (0 for JSON)
+ */
+
+/**
+ * Parses CSV text into records
+ * Handles quoted fields, escaped quotes and CRLF line endings. `#` comment
+ * lines are only recognized before the header row, as written by the CSV
+ * export, and skipped whole so commas in them never split into cells (older
+ * exports quoted them as a single cell, which is skipped too). Later rows
+ * starting with `#` are data, e.g. an ID like `#12`.
+ * @param {string} text - CSV text
+ * @returns {{columns: Array<string>, records: Array<Object<string, string>>, commentLines: number}} Header, rows and the number of skipped comment lines
+ */
+export const parseCsv = (text) => {
+	const rows = [];
+	let row = [];
+	let cell = "";
+	let inQuotes = false;
+	let commentLines = 0;
+
+	/**
+	 * Ends the current row, keeping comments and blank lines out of the preamble
+	 */
+	const endRow = () => {
+		row.push(cell);
+		const isBlank = row.length === 1 && row[0] === "";
+		const isComment = row.length === 1 && row[0].startsWith("#");
+		if (rows.length || !(isBlank || isComment)) {
+			rows.push(row);
+		} else if (isComment) {
+			commentLines += 1;
+		}
+		row = [];
+		cell = "";
+	};
+
+	for (let i = 0; i < text.length; i += 1) {
+		const char = text[i];
+		if (char === "#" && !rows.length && !inQuotes && !row.length && !cell) {
+			// Skip the comment line along with its line break
+			while (i < text.length && text[i] !== "\n" && text[i] !== "\r") i += 1;
+			if (text[i] === "\r" && text[i + 1] === "\n") i += 1;
+			commentLines += 1;
+			continue;
+		}
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i += 1;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === ",") {
+			row.push(cell);
+			cell = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") i += 1;
+			endRow();
+		} else {
+			cell += char;
+		}
+	}
+	if (cell || row.length) endRow();
+
+	const [header = [], ...body] = rows;
+	const columns = header.map((column) => column.trim());
+	const records = body
+		.filter((cells) => !(cells.length === 1 && cells[0] === ""))
+		.map((cells) =>
+			Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ""]))
+		);
+	return { columns, records, commentLines };
+};
+
+/**
+ * Parses the contents of an imported file
+ * JSON files may hold any payload accepted by the JSON sources (visitor
+ * array, GeoJSON FeatureCollection, `{visitors}` or `{data}`).
+ * @param {string} fileName - File name, used to detect the format
+ * @param {string} text - File contents
+ * @returns {ParsedImport} Parsed file
+ * @throws {Error} If the file is empty or can't be parsed
+ */
+export const parseImportFile = (fileName, text) => {
+	const content = text.replace(/^\uFEFF/, "");
+	const isJson = /\.(geo)?json$/i.test(fileName) || /^\s*[[{]/.test(content);
+
+	if (!isJson) {
+		const { columns, records, commentLines } = parseCsv(content);
+		if (!columns.length || !records.length) throw new Error("The file has no rows");
+		return { fileName, format: "csv", columns, records, commentLines };
+	}
+
+	let payload;
+	try {
+		payload = JSON.parse(content);
+	} catch (error) {
+		throw new Error(`Invalid JSON: ${error.message}`);
+	}
+	const records = parseVisitorPayload(payload)
+		.filter((item) => item && typeof item === "object")
+		.map((item) => flattenVisitor(item));
+	if (!records.length) throw new Error("The file has no visitors");
+
+	const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+	return { fileName, format: "json", columns, records, commentLines: 0 };
+};
+
+/**
+ * Normalizes a column name for alias matching
+ * @param {string} name - Column name
+ * @returns {string} Lower-case name without separators
+ */
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Guesses a column for every visitor field from the column names
+ * @param {Array<string>} columns - File columns
+ * @returns {Object<string, string>} Column name keyed by field key ("" when unmapped)
+ */
+export const guessColumnMapping = (columns) => {
+	const byName = new Map(columns.map((column) => [normalizeName(column), column]));
+	return Object.fromEntries(
+		VISITOR_IMPORT_FIELDS.map((field) => {
+			const candidates = [field.key, field.key.split(".")[0], ...(field.aliases || [])];
+			const match = candidates.map(normalizeName).find((name) => byName.has(name));
+			return [field.key, match ? byName.get(match) : ""];
+		})
+	);
+};
+
+/**
+ * Converts a raw value to a field's type
+ * @param {*} value - Raw value
+ * @param {string} type - Field type
+ * @returns {*} Converted value, or undefined if empty or invalid
+ */
+const convertValue = (value, type) => {
+	if (value === null || value === undefined) return undefined;
+	const text = String(value).trim();
+	if (!text) return undefined;
+
+	if (type === "number") {
+		const number = typeof value === "number" ? value : Number(text);
+		return Number.isFinite(number) ? number : undefined;
+	}
+	if (type === "boolean") {
+		if (typeof value === "boolean") return value;
+		const lower = text.toLowerCase();
+		if (["true", "yes", "y", "1", "customer"].includes(lower)) return true;
+		if (["false", "no", "n", "0", "visitor"].includes(lower)) return false;
+		return undefined;
+	}
+	return text;
+};
+
+/**
+ * Sets a dotted path on an object, creating intermediate objects
+ * @param {Object} target - Object to modify
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ */
+const setPath = (target, path, value) => {
+	const keys = path.split(".");
+	let node = target;
+	keys.slice(0, -1).forEach((key) => {
+		node[key] = node[key] || {};
+		node = node[key];
+	});
+	node[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Builds visitors from parsed records and a column mapping
+ * Only mapped fields are kept. Rows missing a required field are skipped;
+ * rows without an ID get a generated one.
+ * @param {Array<Object<string, *>>} records - Parsed records
+ * @param {Object<string, string>} mapping - Column name keyed by field key
+ * @param {string} [idPrefix] - Prefix of generated visitor IDs
+ * @returns {{visitors: Array<Object>, skipped: number}} Visitors and the number of skipped rows
+ */
+export const mapImportRecords = (records, mapping, idPrefix = IMPORT_CONFIG.ID_PREFIX) => {
+	const visitors = [];
+	let skipped = 0;
+
+	records.forEach((record, index) => {
+		const visitor = {};
+		const isComplete = VISITOR_IMPORT_FIELDS.every((field) => {
+			const column = mapping[field.key];
+			const value = column ? convertValue(record[column], field.type) : undefined;
+			if (value === undefined) return !field.required;
+			setPath(visitor, field.key, value);
+			return true;
+		});
+
+		if (!isComplete) {
+			skipped += 1;
+			return;
+		}
+		visitor.visitorId = visitor.visitorId ?? `${idPrefix}${index + 1}`;
+		visitors.push(visitor);
+	});
+
+	return { visitors, skipped };
+};
+
+/**
+ * Combines loaded and imported visitors
+ * When merging, imported visitors replace loaded ones with the same ID.
+ * @param {Array<Object>} visitors - Loaded visitors
+ * @param {Array<Object>} imported - Imported visitors
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Array<Object>} Combined visitors
+ */
+export const combineVisitors = (visitors, imported, mode) => {
+	if (mode === IMPORT_MODES.REPLACE) return imported;
+	const importedIds = new Set(imported.map((visitor) => String(visitor.visitorId)));
+	return [
+		...visitors.filter((visitor) => !importedIds.has(String(visitor.visitorId))),
+		...imported,
+	];
+};
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Validation and normalization of incoming visitor records
+ * @module utils/visitorSchema
+ */
+
+import { VISITOR_SCHEMA_CONFIG, ISSUE_SEVERITIES } from "../constants";
+
+/**
+ * A problem found while normalizing a record
+ * Errors reject the record; warnings describe a correction that was applied.
+ * @typedef {Object} VisitorIssue
+ * @property {string} severity - One of ISSUE_SEVERITIES
+ * @property {string} reason - Human readable description
+ * @property {number|null} index - Position in the incoming list, or null for live updates
+ * @property {string|null} visitorId - Visitor ID, if known
+ * @property {*} record - The original record
+ */
+
+/**
+ * Nested fields and the key holding their value when given as a plain string
+ * @type {Object<string, string>}
+ */
+const NESTED_FIELDS = {
+	device: "type",
+	browser: "name",
+	os: "name",
+};
+
+/**
+ * Converts a number or numeric string to a finite number
+ * @param {*} value - Raw value
+ * @returns {number|null} Number, or null if not numeric
+ */
+const toNumber = (value) => {
+	if (typeof value === "number") return Number.isFinite(value) ? value : null;
+	if (typeof value !== "string" || !value.trim()) return null;
+	const number = Number(value.trim());
+	return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Validates and coerces a single visitor record
+ * - Coordinates may be numeric strings (or `lat`/`lng`/`lon` keys); values
+ *   that only make sense swapped are swapped
+ * - `visitorId` becomes a string; a missing one is generated when a
+ *   fallback is given
+ * - `device`/`browser`/`os` given as strings become `{type}`/`{name}` objects
+ * - A bare numeric `conversionLikelihood` becomes `{score}`; invalid scores are dropped
+ * - Country codes are trimmed and upper-cased; invalid ones are dropped
+ * - "true"/"yes"/"1" strings in `isCustomer` become true, other strings false
+ * @param {*} record - Incoming record
+ * @param {string|null} [fallbackId] - ID to use when the record has none
+ * @returns {{visitor: Object|null, error: string|null, warnings: Array<string>}} Normalized visitor, or the rejection reason
+ */
+export const normalizeVisitor = (record, fallbackId = null) => {
+	const warnings = [];
+	const reject = (error) => ({ visitor: null, error, warnings });
+
+	if (!record || typeof record !== "object" || Array.isArray(record)) {
+		return reject("Record is not an object");
+	}
+
+	const rawLatitude = record.latitude ?? record.lat;
+	const rawLongitude = record.longitude ?? record.lng ?? record.lon;
+	if (rawLatitude == null || rawLatitude === "") return reject("Missing latitude");
+	if (rawLongitude == null || rawLongitude === "") return reject("Missing longitude");
+
+	let latitude = toNumber(rawLatitude);
+	let longitude = toNumber(rawLongitude);
+	if (latitude === null) return reject(`Latitude "${rawLatitude}" is not a number`);
+	if (longitude === null) return reject(`Longitude "${rawLongitude}" is not a number`);
+	if (typeof rawLatitude === "string" || typeof rawLongitude === "string") {
+		warnings.push("Converted text coordinates to numbers");
+	}
+
+	if (Math.abs(latitude) > 90) {
+		if (Math.abs(longitude) > 90 || Math.abs(latitude) > 180) {
+			return reject(`Latitude ${latitude} is out of range`);
+		}
+		[latitude, longitude] = [longitude, latitude];
+		warnings.push("Swapped latitude and longitude");
+	}
+	if (Math.abs(longitude) > 180) {
+		return reject(`Longitude ${longitude} is out of range`);
+	}
+
+	let visitorId = record.visitorId ?? record.id;
+	if (visitorId == null || visitorId === "") {
+		if (fallbackId === null) return reject("Missing visitorId");
+		visitorId = fallbackId;
+		warnings.push("Generated a missing visitorId");
+	}
+
+	const visitor = { ...record, visitorId: String(visitorId), latitude, longitude };
+	delete visitor.lat;
+	delete visitor.lng;
+	delete visitor.lon;
+
+	Object.entries(NESTED_FIELDS).forEach(([field, key]) => {
+		const value = visitor[field];
+		if (value == null || (typeof value === "object" && !Array.isArray(value))) return;
+		if (typeof value === "string" && value.trim()) {
+			visitor[field] = { [key]: value.trim() };
+		} else {
+			delete visitor[field];
+			warnings.push(`Dropped invalid ${field}`);
+		}
+	});
+
+	if (visitor.conversionLikelihood != null) {
+		const isObject = typeof visitor.conversionLikelihood === "object";
+		const rawScore = isObject
+			? visitor.conversionLikelihood.score
+			: visitor.conversionLikelihood;
+		const score = toNumber(rawScore);
+		if (score === null || score < 0 || score > 100) {
+			if (rawScore != null) warnings.push(`Dropped invalid conversion score "${rawScore}"`);
+			delete visitor.conversionLikelihood;
+		} else if (!isObject) {
+			visitor.conversionLikelihood = { score };
+		} else if (score !== rawScore) {
+			visitor.conversionLikelihood = { ...visitor.conversionLikelihood, score };
+		}
+	}
+
+	if (visitor.countryCode != null) {
+		const code = String(visitor.countryCode).trim().toUpperCase();
+		if (/^[A-Z]{2}$/.test(code)) {
+			visitor.countryCode = code;
+		} else {
+			warnings.push(`Dropped invalid country code "${visitor.countryCode}"`);
+			delete visitor.countryCode;
+		}
+	}
+
+	if (typeof visitor.isCustomer === "string") {
+		visitor.isCustomer = ["true", "yes", "1"].includes(
+			visitor.isCustomer.trim().toLowerCase()
+		);
+	}
+
+	return { visitor, error: null, warnings };
+};
+
+/**
+ * Validates and coerces a list of incoming visitors
+ * Records missing an ID get one from their position. Records reusing an
+ * earlier visitorId are rejected so the first one wins.
+ * @param {Array<*>} records - Incoming records
+ * @returns {{visitors: Array<Object>, issues: Array<VisitorIssue>}} Valid visitors and the problems found
+ */
+export const normalizeVisitors = (records) => {
+	const visitors = [];
+	const issues = [];
+	const seenIds = new Set();
+
+	records.forEach((record, index) => {
+		const fallbackId = `${VISITOR_SCHEMA_CONFIG.GENERATED_ID_PREFIX}${index + 1}`;
+		const { visitor, error, warnings } = normalizeVisitor(record, fallbackId);
+		const visitorId = visitor?.visitorId ?? record?.visitorId ?? null;
+		const report = (severity, reason) =>
+			issues.push({
+				severity,
+				reason,
+				index,
+				visitorId: visitorId === null ? null : String(visitorId),
+				record,
+			});
+
+		if (error) {
+			report(ISSUE_SEVERITIES.ERROR, error);
+			return;
+		}
+		if (seenIds.has(visitor.visitorId)) {
+			report(ISSUE_SEVERITIES.ERROR, `Duplicate visitorId "${visitor.visitorId}"`);
+			return;
+		}
+
+		seenIds.add(visitor.visitorId);
+		warnings.forEach((warning) => report(ISSUE_SEVERITIES.WARNING, warning));
+		visitors.push(visitor);
+	});
+
+	return { visitors, issues };
+};
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Display values and comparators shared by visitor lists
+ * @module utils/visitorSort
+ */
+
+/**
+ * Gets a visitor's display name
+ * @param {Object} visitor - Visitor object
+ * @returns {string} Full name, or an empty string
+ */
+export const getFullName = (visitor) =>
+	`${visitor.firstName || ""} ${visitor.lastName || ""}`.trim();
+
+/**
+ * Gets a visitor's "City, Country" location
+ * @param {Object} visitor - Visitor object
+ * @param {string} [country=visitor.country] - Country name to show, e.g. a localized one
+ * @returns {string} Location, or an empty string
+ */
+export const getLocation = (visitor, country = visitor.country) =>
+	[visitor.city, country].filter(Boolean).join(", ");
+
+/**
+ * Compares two sortable values, placing missing ones last
+ * Strings compare by locale, other values numerically. The direction only
+ * applies to present values, so missing ones stay last either way.
+ * @param {string|number|boolean|null|undefined} a - First value
+ * @param {string|number|boolean|null|undefined} b - Second value
+ * @param {number} [direction=1] - 1 for ascending, -1 for descending
+ * @returns {number} Sort order
+ */
+export const compareValues = (a, b, direction = 1) => {
+	const isMissing = (value) => value == null || value === "";
+	if (isMissing(a) || isMissing(b)) return Number(isMissing(a)) - Number(isMissing(b));
+	const order =
+		typeof a === "string" && typeof b === "string"
+			? a.localeCompare(b)
+			: Number(a) - Number(b);
+	return order * direction;
+};
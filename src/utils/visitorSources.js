@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Visitor data source adapters
+ * @module utils/visitorSources
+ */
+
+import { sampleVisitors } from "../sampleData";
+import { VISITOR_SOURCE_TYPES, VISITOR_SOURCE_CONFIG } from "../constants";
+
+/**
+ * A visitor data source
+ * @typedef {Object} VisitorSource
+ * @property {string} type - One of VISITOR_SOURCE_TYPES
+ * @property {string} label - Human readable description of the source
+ * @property {number} refreshInterval - Refresh interval in ms (0 disables refresh)
+ * @property {Function} load - Async function `(signal) => Array<Object>` returning visitors
+ */
+
+/**
+ * Converts a GeoJSON Point feature into a visitor object
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Object|null} Visitor object or null if the feature has no point geometry
+ */
+export const featureToVisitor = (feature) => {
+	if (feature?.geometry?.type !== "Point") return null;
+	const [longitude, latitude] = feature.geometry.coordinates;
+	return {
+		...feature.properties,
+		visitorId: feature.properties?.visitorId ?? feature.id,
+		latitude,
+		longitude,
+	};
+};
+
+/**
+ * Extracts a visitor array from a response payload
+ * Accepts a plain array, a GeoJSON FeatureCollection, or an object with a
+ * `visitors` or `data` array.
+ * @param {*} payload - Parsed JSON payload
+ * @returns {Array<Object>} Array of visitor objects
+ * @throws {Error} If the payload shape is not recognised
+ */
+export const parseVisitorPayload = (payload) => {
+	if (Array.isArray(payload)) return payload;
+	if (payload?.type === "FeatureCollection" && Array.isArray(payload.features)) {
+		return payload.features.map(featureToVisitor).filter(Boolean);
+	}
+	if (Array.isArray(payload?.visitors)) return payload.visitors;
+	if (Array.isArray(payload?.data)) return payload.data;
+	throw new Error("Unrecognised visitor payload format");
+};
+
+/**
+ * Fetches a URL and parses its JSON body
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init options
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {Error} If the response status is not OK
+ */
+const fetchJson = async (url, init) => {
+	const response = await fetch(url, init);
+	if (!response.ok) {
+		throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+	}
+	return response.json();
+};
+
+/**
+ * Creates an in-memory source for a fixed visitor array
+ * @param {Array<Object>} visitors - Visitor array
+ * @param {Object} [options] - Source options
+ * @param {string} [options.label] - Source label
+ * @returns {VisitorSource} Visitor source
+ */
+export const createMemorySource = (visitors, { label = "In-memory data" } = {}) => ({
+	type: VISITOR_SOURCE_TYPES.MEMORY,
+	label,
+	refreshInterval: 0,
+	load: async () => visitors,
+});
+
+/**
+ * Creates the bundled sample data source
+ * @returns {VisitorSource} Visitor source
+ */
+export const createSampleSource = () => ({
+	...createMemorySource(sampleVisitors, { label: "Sample data" }),
+	type: VISITOR_SOURCE_TYPES.SAMPLE,
+});
+
+/**
+ * Creates a source backed by a REST endpoint
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - Source options
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.refreshInterval] - Refresh interval in ms
+ * @param {Function} [options.transform] - Maps the parsed body to a visitor array
+ * @returns {VisitorSource} Visitor source
+ */
+export const createRestSource = (
+	url,
+	{
+		headers = {},
+		refreshInterval = VISITOR_SOURCE_CONFIG.REFRESH_INTERVAL,
+		transform = parseVisitorPayload,
+	} = {}
+) => ({
+	type: VISITOR_SOURCE_TYPES.REST,
+	label: url,
+	refreshInterval,
+	load: async (signal) => {
+		const body = await fetchJson(url, {
+			signal,
+			headers: { Accept: "application/json", ...headers },
+		});
+		return transform(body);
+	},
+});
+
+/**
+ * Creates a source backed by a static JSON or GeoJSON file
+ * @param {string} url - File URL
+ * @param {Object} [options] - Source options
+ * @param {number} [options.refreshInterval] - Refresh interval in ms
+ * @returns {VisitorSource} Visitor source
+ */
+export const createStaticSource = (url, { refreshInterval = 0 } = {}) => ({
+	type: VISITOR_SOURCE_TYPES.STATIC,
+	label: url,
+	refreshInterval,
+	load: async (signal) => parseVisitorPayload(await fetchJson(url, { signal })),
+});
+
+/**
+ * Creates the source described by the environment configuration
+ * Falls back to the sample data source when no URL is configured.
+ * @returns {VisitorSource} Visitor source
+ */
+export const createDefaultSource = () => {
+	const { TYPE, URL, REFRESH_INTERVAL } = VISITOR_SOURCE_CONFIG;
+
+	if (!URL) return createSampleSource();
+	if (TYPE === VISITOR_SOURCE_TYPES.STATIC) {
+		return createStaticSource(URL, { refreshInterval: REFRESH_INTERVAL });
+	}
+	return createRestSource(URL, { refreshInterval: REFRESH_INTERVAL });
+};
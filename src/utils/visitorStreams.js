@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Live visitor stream adapters (WebSocket and Server-Sent Events)
+ * @module utils/visitorStreams
+ */
+
+import { normalizeVisitor } from "./visitorSchema";
+import {
+	STREAM_EVENT_TYPES,
+	STREAM_STATUS,
+	VISITOR_STREAM_CONFIG,
+	ISSUE_SEVERITIES,
+} from "../constants";
+
+/**
+ * A visitor stream event
+ * @typedef {Object} StreamEvent
+ * @property {string} type - One of STREAM_EVENT_TYPES
+ * @property {Object} [visitor] - Visitor payload for add/update events
+ * @property {string} [visitorId] - Visitor ID for remove events
+ */
+
+/**
+ * A live visitor stream
+ * @typedef {Object} VisitorStream
+ * @property {string} label - Human readable description of the stream
+ * @property {Function} connect - `(onEvents, onStatus) => disconnect` opens the stream
+ */
+
+const EVENT_TYPES = Object.values(STREAM_EVENT_TYPES);
+
+/**
+ * Normalizes a raw message into a list of stream events
+ * Accepts a single event or an array of events. Events with an unknown type
+ * or without a visitor/visitorId are dropped.
+ * @param {*} message - Parsed message payload
+ * @returns {Array<StreamEvent>} Valid stream events
+ */
+export const parseStreamMessage = (message) => {
+	const events = Array.isArray(message) ? message : [message];
+	return events.filter((event) => {
+		if (!EVENT_TYPES.includes(event?.type)) return false;
+		if (event.type === STREAM_EVENT_TYPES.REMOVE) {
+			return event.visitorId != null || event.visitor?.visitorId != null;
+		}
+		return event.visitor?.visitorId != null;
+	});
+};
+
+/**
+ * Parses a JSON string and returns the contained stream events
+ * @param {string} data - Raw message data
+ * @returns {Array<StreamEvent>} Valid stream events, empty if the data is not JSON
+ */
+const parseJsonMessage = (data) => {
+	try {
+		return parseStreamMessage(JSON.parse(data));
+	} catch (error) {
+		return [];
+	}
+};
+
+/**
+ * Creates a stream backed by a WebSocket, reconnecting with exponential backoff
+ * @param {string} url - WebSocket URL
+ * @returns {VisitorStream} Visitor stream
+ */
+export const createWebSocketStream = (url) => ({
+	label: url,
+	connect: (onEvents, onStatus) => {
+		let socket = null;
+		let reconnectTimer = null;
+		let delay = VISITOR_STREAM_CONFIG.RECONNECT_DELAY;
+		let closed = false;
+
+		const open = () => {
+			onStatus(STREAM_STATUS.CONNECTING);
+			socket = new WebSocket(url);
+			socket.onopen = () => {
+				delay = VISITOR_STREAM_CONFIG.RECONNECT_DELAY;
+				onStatus(STREAM_STATUS.OPEN);
+			};
+			socket.onmessage = (e) => {
+				const events = parseJsonMessage(e.data);
+				if (events.length) onEvents(events);
+			};
+			socket.onclose = () => {
+				if (closed) return;
+				onStatus(STREAM_STATUS.CLOSED);
+				reconnectTimer = setTimeout(open, delay);
+				delay = Math.min(delay * 2, VISITOR_STREAM_CONFIG.MAX_RECONNECT_DELAY);
+			};
+		};
+
+		open();
+
+		return () => {
+			closed = true;
+			clearTimeout(reconnectTimer);
+			socket?.close();
+		};
+	},
+});
+
+/**
+ * Creates a stream backed by Server-Sent Events
+ * Messages may arrive on the default `message` event as JSON stream events, or
+ * as named `add`/`update`/`remove` events whose data is the visitor (or visitor ID).
+ * The browser handles reconnection.
+ * @param {string} url - EventSource URL
+ * @returns {VisitorStream} Visitor stream
+ */
+export const createEventSourceStream = (url) => ({
+	label: url,
+	connect: (onEvents, onStatus) => {
+		onStatus(STREAM_STATUS.CONNECTING);
+		const source = new EventSource(url);
+
+		source.onopen = () => onStatus(STREAM_STATUS.OPEN);
+		source.onerror = () => {
+			onStatus(
+				source.readyState === EventSource.CLOSED
+					? STREAM_STATUS.CLOSED
+					: STREAM_STATUS.CONNECTING
+			);
+		};
+		source.onmessage = (e) => {
+			const events = parseJsonMessage(e.data);
+			if (events.length) onEvents(events);
+		};
+
+		EVENT_TYPES.forEach((type) => {
+			source.addEventListener(type, (e) => {
+				let payload;
+				try {
+					payload = JSON.parse(e.data);
+				} catch (error) {
+					payload = e.data;
+				}
+				const event =
+					type === STREAM_EVENT_TYPES.REMOVE && typeof payload !== "object"
+						? { type, visitorId: String(payload) }
+						: { type, visitor: payload };
+				const events = parseStreamMessage(event);
+				if (events.length) onEvents(events);
+			});
+		});
+
+		return () => source.close();
+	},
+});
+
+/**
+ * Creates a stream for a URL, picking the transport from its protocol
+ * @param {string} url - Stream URL
+ * @returns {VisitorStream} Visitor stream
+ */
+export const createStream = (url) => {
+	return /^wss?:\/\//i.test(url)
+		? createWebSocketStream(url)
+		: createEventSourceStream(url);
+};
+
+/**
+ * Creates the stream described by the environment configuration
+ * @returns {VisitorStream|null} Visitor stream, or null when streaming is not configured
+ */
+export const createDefaultStream = () => {
+	return VISITOR_STREAM_CONFIG.URL ? createStream(VISITOR_STREAM_CONFIG.URL) : null;
+};
+
+/**
+ * Applies stream events to a visitor map keyed by visitorId
+ * Updates are merged into the existing visitor; updates for unknown visitors
+ * are treated as adds. The resulting visitors are normalized, and events
+ * producing an invalid visitor are rejected without changing the map.
+ * Removed visitors stay in the map for their exit animation, so IDs that are
+ * still leaving are passed in: adding or updating one of them brings it back
+ * and reports it as added. Each ID ends up in at most one of added/removed,
+ * following the last event for it; a visitor added and removed within the
+ * batch is in neither, as it never appeared.
+ * @param {Map<string, Object>} visitorMap - Visitor map to mutate
+ * @param {Array<StreamEvent>} events - Events to apply
+ * @param {Set<string>} [leavingIds] - IDs of visitors already removed but still in the map
+ * @returns {{added: Array<string>, removed: Array<string>, rejected: Array<import("./visitorSchema").VisitorIssue>}} IDs added and removed, and rejected events
+ */
+export const applyStreamEvents = (visitorMap, events, leavingIds = new Set()) => {
+	const leaving = new Set(leavingIds);
+	const added = new Set();
+	const created = new Set();
+	const removed = new Set();
+	const rejected = [];
+
+	events.forEach((event) => {
+		if (event.type === STREAM_EVENT_TYPES.REMOVE) {
+			const id = String(event.visitorId ?? event.visitor.visitorId);
+			if (!visitorMap.has(id) || leaving.has(id)) return;
+			leaving.add(id);
+			if (added.has(id)) {
+				// Added and gone within the batch: it never appeared, so there's
+				// nothing to animate out (a visitor brought back from leaving keeps
+				// its earlier exit)
+				added.delete(id);
+				if (created.delete(id)) visitorMap.delete(id);
+				return;
+			}
+			removed.add(id);
+			return;
+		}
+
+		const id = String(event.visitor.visitorId);
+		const existing = visitorMap.get(id);
+		const isUpdate = existing && event.type === STREAM_EVENT_TYPES.UPDATE;
+		const { visitor, error } = normalizeVisitor(
+			isUpdate ? { ...existing, ...event.visitor } : event.visitor
+		);
+		if (error) {
+			rejected.push({
+				severity: ISSUE_SEVERITIES.ERROR,
+				reason: error,
+				index: null,
+				visitorId: id,
+				record: event.visitor,
+			});
+			return;
+		}
+
+		if (removed.has(id)) {
+			// Removed and back within the batch: it never left
+			removed.delete(id);
+			leaving.delete(id);
+		} else if (!existing || leaving.has(id)) {
+			leaving.delete(id);
+			added.add(id);
+			if (!existing) created.add(id);
+		}
+		visitorMap.set(id, visitor);
+	});
+
+	return { added: [...added], removed: [...removed], rejected };
+};
@@ -1,11 +1,54 @@
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    port: 3000,
-    open: true
+const { dependencies } = JSON.parse(readFileSync('./package.json', 'utf-8'))
+
+// Library builds, picked with `vite build --mode <name>`:
+// - lib: ES module for React apps, leaving the dependencies to the host app
+// - standalone: script-tag bundle exposing `GlobeViewer.mount`, with everything included
+const LIBRARY_BUILDS = {
+  lib: {
+    entry: 'src/lib/index.js',
+    formats: ['es'],
+    external: (id) =>
+      Object.keys(dependencies).some((name) => id === name || id.startsWith(`${name}/`))
+  },
+  standalone: {
+    entry: 'src/lib/standalone.js',
+    formats: ['iife'],
+    external: []
+  }
+}
+
+export default defineConfig(({ mode }) => {
+  const library = LIBRARY_BUILDS[mode]
+  if (!library) {
+    return {
+      plugins: [react()],
+      server: {
+        port: 3000,
+        open: true
+      }
+    }
   }
-})
 
+  return {
+    plugins: [react()],
+    // React reads process.env.NODE_ENV, which only the bundled build can settle
+    define: mode === 'standalone' ? { 'process.env.NODE_ENV': '"production"' } : {},
+    build: {
+      outDir: `dist/${mode}`,
+      copyPublicDir: false,
+      lib: {
+        entry: library.entry,
+        formats: library.formats,
+        name: 'GlobeViewer',
+        fileName: 'globe-viewer'
+      },
+      rollupOptions: {
+        external: library.external
+      }
+    }
+  }
+})